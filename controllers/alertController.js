@@ -1,84 +1,65 @@
+import mongoose from 'mongoose';
 import Alert from '../models/Alert.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
-import fetch from 'node-fetch';
-
-
-const reverseGeocode = async (lat, lng) => {
-  try {
-    const key = process.env.LOCATIONIQ_KEY;
-    console.log('LocationIQ key prefix:', (key || 'NONE').slice(0, 10));
-
-    if (!key) {
-      console.error('LOCATIONIQ_KEY missing from environment');
-      return null;
-    }
-
-    const url = `https://us1.locationiq.com/v1/reverse?key=${key}&lat=${lat}&lon=${lng}&format=json`;
-    console.log('Reverse geocode URL:', url);
-
-    const res = await fetch(url);
-
-    if (!res.ok) {
-      console.error('Reverse geocode HTTP error:', res.status);
-      const bodyText = await res.text();
-      console.error('Reverse geocode response body:', bodyText); // <-- mahalaga 'to
-      return null;
-    }
-
-    const data = await res.json();
-
-    if (data && data.display_name) {
-      return data.display_name;
-    }
-
-    return null;
-  } catch (err) {
-    console.error('LocationIQ reverse geocode error:', err);
-    return null;
-  }
-};
-
+import Station from '../models/Station.js';
+import Unit from '../models/Unit.js';
+import { findRespondersForAlert, notifyResponders } from '../services/dispatch.js';
+import {
+  AlertTransitionError,
+  CLOSED_STATUSES,
+  SERVICE_TYPES,
+  applyStatusChange,
+  buildServices,
+  ensureServices,
+  getAllowedTransitions,
+  transitionAlert,
+} from '../services/alertStateMachine.js';
+import { reverseGeocode, toAlertLocationFields } from '../services/geocoding/index.js';
+import { can, hasPermission, scopeFilter, supervisedStationIds } from '../services/permissions.js';
+import { notifyStationSupervisors, routeAlertToStations } from '../services/stations.js';
+import { AvailabilityError, assertAvailableForAlert, syncAlertResponders } from '../services/availability.js';
+import { UnitError, dispatchUnit, releaseAlertUnits, syncAlertUnits } from '../services/units.js';
+import { areaRoomFor, publish, publishNotification, rooms } from '../services/realtime/index.js';
+import {
+  acceptOffer,
+  declineOffer,
+  getOpenOffersFor,
+  offerPendingServices,
+  reassignService,
+  releaseService,
+  settleOffers,
+} from '../services/dispatchOffers.js';
 
 // @desc    Get all alerts with filters
 // @route   GET /api/alerts
 // @access  Private
 export const getAlerts = async (req, res) => {
   try {
-    const { status, type, priority, page = 1, limit = 100 } = req.query;
+    const { status, type, priority, station, page = 1, limit = 100 } = req.query;
     
     const query = {};
     if (status) query.status = status;
-    if (type) query.type = type;
     if (priority) query.priority = priority;
-
-    // If user is not admin, show only relevant alertss
-    if (req.user.userType !== 'admin') {
-      if (req.user.userType === 'citizen' || req.user.userType === 'family') {
-        // Citizens and family see their own alerts AND alerts from users who listed them as family members
-        try {
-          const reporters = await User.find({ familyMembers: req.user.id }).select('_id').lean();
-          const reporterIds = reporters.map(r => r._id.toString());
-          // include self
-          reporterIds.unshift(req.user.id);
-          query.reporter = { $in: reporterIds };
-        } catch (e) {
-          console.error('Error expanding family reporter list:', e);
-          // fallback to only own alerts
-          query.reporter = req.user.id;
-        }
-      } else if (req.user.userType === 'police' || req.user.userType === 'hospital' || req.user.userType === 'fire') {
-        // Responders see alerts they can respond to OR alerts they're assigned to
-        query.$or = [
-          { type: req.user.userType },
-          { responder: req.user.id },
-        ];
+    // Multi-agency alerts match on any required service, not just the primary type
+    if (type) query.$and = [{ $or: [{ type }, { 'services.type': type }] }];
+    // Alerts with a service routed to this station (services/stations.js)
+    if (station) {
+      if (!mongoose.isValidObjectId(station)) {
+        return res.status(400).json({ message: 'Invalid station id' });
       }
+      query.$and = [...(query.$and || []), { 'services.station': station }];
     }
 
+    // Only the alerts the user may view: their own and their family's, the ones needing
+    // their service or assigned to them, or all of them (services/permissions.js)
+    const visible = await scopeFilter(req.user, 'alert.view');
+    if (Object.keys(visible).length) query.$and = [...(query.$and || []), visible];
+
     const alerts = await Alert.find(query)
       .populate('reporter', 'name email contactNumber userType')
       .populate('responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -107,12 +88,20 @@ export const getAlertById = async (req, res) => {
     const alert = await Alert.findById(req.params.id)
       .populate('reporter', 'name email contactNumber userType location')
       .populate('responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType')
+      .populate('services.station', 'name agency contactNumber')
+      .populate('services.units', 'callSign type status location crew')
+      .populate('offers.responder', 'name userType')
       .populate('timeline.user', 'name userType');
 
     if (!alert) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
+    if (!(await can(req.user, 'alert.view', alert))) {
+      return res.status(403).json({ message: 'Not authorized to view this alert' });
+    }
+
     res.json(alert);
   } catch (error) {
     console.error('Get alert by ID error:', error);
@@ -120,84 +109,175 @@ export const getAlertById = async (req, res) => {
   }
 };
 
-const getIoTReporterUser = async () => {
-  const IOT_REPORTER_NAME = 'AlertoDePin Device';
-  const IOT_REPORTER_EMAIL = 'device@alertodepin.local';
-
-  let user = await User.findOne({ email: IOT_REPORTER_EMAIL });
+// Route each service of a new alert to the station covering its location. A failure only
+// costs the routing: the alert is still dispatched by distance.
+const routeToStations = async (alert) => {
+  try {
+    return await routeAlertToStations(alert);
+  } catch (routeErr) {
+    console.error('Error routing alert to stations:', routeErr);
+    return {};
+  }
+};
 
-  if (!user) {
-    user = await User.create({
-      name: IOT_REPORTER_NAME,
-      email: IOT_REPORTER_EMAIL,
-      password: 'ChangeMe123!',   // di naman gagamitin mag-login
-      userType: 'citizen',
-      status: 'active',
-    });
+// Find the nearest responders for every service a new alert requires (members of the station
+// it was routed to first), notify each of them and offer every service to its best candidate.
+// Returns the combined dispatch results from findRespondersForAlert.
+const notifyNearbyResponders = async (req, alert, populatedAlert, routed = {}) => {
+  const types = alert.services.length ? alert.services.map(s => s.type) : [alert.type];
+  const candidatesByType = {};
+  let nearbyResponders = [];
+  for (const type of types) {
+    try {
+      candidatesByType[type] = await findRespondersForAlert({
+        type,
+        coordinates: alert.location?.coordinates?.coordinates,
+        onlineUsers: req.app.get('onlineUsers'),
+        preferredIds: routed[type]?.members || [],
+      });
+      nearbyResponders = nearbyResponders.concat(candidatesByType[type]);
+    } catch (dispatchErr) {
+      console.error(`Error finding nearby ${type} responders:`, dispatchErr);
+    }
   }
 
-  return user;
+  await notifyResponders(alert, populatedAlert, nearbyResponders);
+  await offerPendingServices({
+    onlineUsers: req.app.get('onlineUsers'),
+    alert,
+    candidatesByType,
+  });
+  return nearbyResponders;
+};
+
+// After an alert changed: bring its responders' availability in line and send the units
+// of closed services home. Never throws.
+const syncAlertAssignees = (alert) => {
+  syncAlertResponders(alert);
+  syncAlertUnits(alert);
 };
 
+// Rooms that follow an alert: its reporter, anyone who joined the alert's room,
+// and maps watching the area it is in
+const alertAudience = (alert) => [
+  rooms.user(alert.reporter?._id || alert.reporter),
+  rooms.alert(alert._id),
+  areaRoomFor(alert.location?.coordinates?.coordinates),
+];
+
+// Notify family members of the reporter (if any). The alert itself reaches them
+// through the `alert.created` broadcast.
+const notifyReporterFamily = async (reporterId, alert) => {
+  try {
+    const reporter = await User.findById(reporterId).populate('familyMembers', 'name email');
+    if (reporter && reporter.familyMembers && reporter.familyMembers.length > 0) {
+      for (const fam of reporter.familyMembers) {
+        // Create notification record
+        const notif = await Notification.create({
+          user: fam._id,
+          alert: alert._id,
+          type: 'family_alert',
+          title: `Family alert from ${reporter.name}`,
+          message: `${reporter.name} sent an emergency alert: ${alert.title}`,
+        }).catch(err => { console.error('Error creating family notification', err); return null; });
+
+        publishNotification(notif);
+      }
+    }
+  } catch (famErr) {
+    console.error('Error notifying family members:', famErr);
+  }
+};
+
+const formatNotifiedResponders = (nearbyResponders) =>
+  nearbyResponders.map(({ user, distance, live }) => ({
+    id: user._id,
+    name: user.name,
+    userType: user.userType,
+    distance: Math.round(distance), // meters
+    live,
+  }));
+
 // @desc    Create new alert from IoT (ESP32)
 // @route   POST /api/alerts/iot
-// @access  Public
+// @access  Device (signed request, see middleware/deviceAuth.js)
 export const createIoTAlert = async (req, res) => {
   try {
-    const { type, latitude, longitude } = req.body;
+    const { device } = req;
+    const { latitude, longitude } = req.body;
+    const type = req.body.type || device.defaultAlertType;
 
-    if (!type || latitude == null || longitude == null) {
-      return res.status(400).json({
-        message: 'Fields required: type, latitude, longitude',
-      });
+    if (!['police', 'hospital', 'fire', 'family'].includes(type)) {
+      return res.status(400).json({ message: `Invalid alert type: ${type}` });
     }
 
-    const deviceUser = await getIoTReporterUser();
+    // Use the reported position if the device has GPS, else its registered home location
+    let coordinates = device.homeLocation?.coordinates?.coordinates;
+    const reportedPosition = latitude != null && longitude != null;
+    if (reportedPosition) {
+      const latNum = parseFloat(latitude);
+      const lngNum = parseFloat(longitude);
+      if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) {
+        return res.status(400).json({ message: 'Invalid latitude or longitude' });
+      }
+      coordinates = [lngNum, latNum];
+    }
 
-    const latNum = parseFloat(latitude);
-    const lngNum = parseFloat(longitude);
+    if (!coordinates || coordinates.length !== 2) {
+      return res.status(400).json({
+        message: 'Fields required: latitude, longitude (device has no registered home location)',
+      });
+    }
 
-    // 🔥 Try to get real address from lat/lon
-    let addressText = await reverseGeocode(latNum, lngNum);
-    // fallback kung mag-fail ang API
-    if (!addressText) {
-      addressText = `Lat: ${latNum.toFixed(5)}, Lon: ${lngNum.toFixed(5)} (IoT device)`;
+    const [lng, lat] = coordinates;
+    const locationFields = toAlertLocationFields(await reverseGeocode(lat, lng), lat, lng, ' (IoT device)');
+    // A registered home address is more precise than a geocoded centroid
+    if (!reportedPosition && device.homeLocation?.address) {
+      locationFields.address = device.homeLocation.address;
     }
 
     const alert = await Alert.create({
       title: `IoT ${type} alert`,
-      description: `Automatic alert from IoT device`,
+      description: `Automatic alert from IoT device ${device.name || device.deviceId}`,
       type,
+      services: buildServices([type]),
       priority: 'critical',
       status: 'active',
       location: {
-        address: addressText,   
+        ...locationFields,
         coordinates: {
           type: 'Point',
-          coordinates: [lngNum, latNum], // [longitude, latitude]
+          coordinates, // [longitude, latitude]
         },
       },
-      reporter: deviceUser._id,
+      reporter: device.owner,
+      device: device._id,
       timeline: [{
         action: 'Alert created from IoT (auto-active)',
-        user: deviceUser._id,
+        user: device.owner,
         timestamp: new Date(),
-        notes: 'Initial status set to active from IoT device',
+        notes: `Initial status set to active from IoT device ${device.deviceId}`,
       }],
     });
 
+    const routed = await routeToStations(alert);
+
     const populatedAlert = await Alert.findById(alert._id)
-      .populate('reporter', 'name email userType');
+      .populate('reporter', 'name email contactNumber userType')
+      .populate('device', 'deviceId name');
 
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('new-alert', populatedAlert);
-      console.log('Broadcasting new IOT alert:', populatedAlert._id);
-    }
+    const nearbyResponders = await notifyNearbyResponders(req, alert, populatedAlert, routed);
+    await notifyStationSupervisors(alert, populatedAlert, routed);
+
+    await notifyReporterFamily(device.owner, alert);
+
+    publish('alert.created', { alert: populatedAlert }, { broadcast: true });
+    console.log('Broadcasting new IOT alert:', populatedAlert._id);
 
     res.status(201).json({
       message: 'IoT alert created successfully',
       alert: populatedAlert,
+      notifiedResponders: formatNotifiedResponders(nearbyResponders),
     });
   } catch (error) {
     console.error('Create IoT alert error:', error);
@@ -211,12 +291,32 @@ export const createIoTAlert = async (req, res) => {
 // @access  Private
 export const createAlert = async (req, res) => {
   try {
-    const { title, description, type, priority, location, notes, images } = req.body;
+    const { title, description, priority, notes, images, requiredServices } = req.body;
+    let { location } = req.body;
+
+    // `requiredServices` lists every agency needed (e.g. a crash with a fire needs all three).
+    // The primary `type` defaults to the first of them and is always included.
+    if (requiredServices !== undefined &&
+        (!Array.isArray(requiredServices) || requiredServices.some(t => !SERVICE_TYPES.includes(t)))) {
+      return res.status(400).json({ message: `requiredServices must be a list of: ${SERVICE_TYPES.join(', ')}` });
+    }
+    const type = req.body.type || requiredServices?.[0];
+    const services = buildServices([type, ...(requiredServices || [])]);
+
+    // Clients may send only coordinates; fill in the address from the geocoder
+    const [lng, lat] = location?.coordinates?.coordinates || [];
+    if (location && !location.address && lng != null && lat != null) {
+      location = {
+        ...location,
+        ...toAlertLocationFields(await reverseGeocode(lat, lng), lat, lng),
+      };
+    }
 
     const alert = await Alert.create({
       title,
       description,
       type,
+      services,
       priority: priority || 'medium',
       location,
       reporter: req.user.id,
@@ -229,71 +329,25 @@ export const createAlert = async (req, res) => {
       }],
     });
 
+    const routed = await routeToStations(alert);
+
     const populatedAlert = await Alert.findById(alert._id)
       .populate('reporter', 'name email contactNumber userType');
 
-    // Find nearby responders - simplified version without geospatial query for now
-    // TODO: Fix geospatial query once indexes are properly configured
-    const nearbyResponders = await User.find({
-      userType: type,
-      status: 'active',
-    }).limit(20);
-
-    // Emit real-time notification to responders
-    const io = req.app.get('io');
-    if (io && nearbyResponders.length > 0) {
-      nearbyResponders.forEach(responder => {
-        io.to(responder._id.toString()).emit('newAlert', {
-          alert: populatedAlert,
-          message: `New ${type} alert in your area`,
-        });
+    // Find nearby responders, station members and closest (and live-tracked) first
+    const nearbyResponders = await notifyNearbyResponders(req, alert, populatedAlert, routed);
+    await notifyStationSupervisors(alert, populatedAlert, routed);
+
+    await notifyReporterFamily(req.user.id, alert);
 
-        // Create notification in database
-        Notification.create({
-          user: responder._id,
-          alert: alert._id,
-          type: 'alert',
-          title: `New ${type} alert`,
-          message: `New ${type} alert: ${title}`,
-        }).catch(err => console.error('Error creating notification:', err));
-      });
-    }
-    
-    // Notify family members of the reporter (if any)
-    try {
-      const reporter = await User.findById(req.user.id).populate('familyMembers', 'name email');
-      if (reporter && reporter.familyMembers && reporter.familyMembers.length > 0 && io) {
-        for (const fam of reporter.familyMembers) {
-          // Create notification record
-          const notif = await Notification.create({
-            user: fam._id,
-            alert: alert._id,
-            type: 'family_alert',
-            title: `Family alert from ${reporter.name}`,
-            message: `${reporter.name} sent an emergency alert: ${title}`,
-          }).catch(err => { console.error('Error creating family notification', err); return null; });
-
-          // Emit notification to family member socket room
-          if (io && fam._id) {
-            io.to(fam._id.toString()).emit('newNotification', notif);
-            io.to(fam._id.toString()).emit('new-alert', populatedAlert);
-          }
-        }
-      }
-    } catch (famErr) {
-      console.error('Error notifying family members:', famErr);
-    }
-    
     // Broadcast to all connected clients for live map updates
-    if (io) {
-      io.emit('new-alert', populatedAlert);
-      console.log('Broadcasting new alert to all clients:', populatedAlert._id);
-    }
+    publish('alert.created', { alert: populatedAlert }, { broadcast: true });
+    console.log('Broadcasting new alert to all clients:', populatedAlert._id);
 
     res.status(201).json({
       message: 'Alert created successfully',
       alert: populatedAlert,
-      notifiedResponders: nearbyResponders.length,
+      notifiedResponders: formatNotifiedResponders(nearbyResponders),
     });
   } catch (error) {
     console.error('Create alert error:', error);
@@ -301,6 +355,10 @@ export const createAlert = async (req, res) => {
   }
 };
 
+// Fields that may be edited directly through PUT /api/alerts/:id.
+// Status changes go through the state machine; responder, timeline and timestamps are never taken from the body.
+const EDITABLE_ALERT_FIELDS = ['title', 'description', 'priority', 'notes', 'images', 'location'];
+
 // @desc    Update alert
 // @route   PUT /api/alerts/:id
 // @access  Private
@@ -312,38 +370,183 @@ export const updateAlert = async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    // Only reporter or assigned responder can update
-    if (alert.reporter.toString() !== req.user.id && 
-        (!alert.responder || alert.responder.toString() !== req.user.id) &&
-        req.user.userType !== 'admin') {
+    // Only reporter or assigned responders can update
+    if (!(await can(req.user, 'alert.update', alert))) {
       return res.status(403).json({ message: 'Not authorized to update this alert' });
     }
 
-    const updatedAlert = await Alert.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    ).populate('reporter responder', 'name email contactNumber userType');
+    // Resolved and cancelled alerts are a closed record; admins may still add notes
+    if (CLOSED_STATUSES.includes(alert.status)) {
+      const changed = EDITABLE_ALERT_FIELDS.filter(field => req.body[field] !== undefined);
+      const notesOnly = changed.every(field => field === 'notes') &&
+        (req.body.status === undefined || req.body.status === alert.status);
+      if (!notesOnly || !hasPermission(req.user, 'alert.update.any')) {
+        throw new AlertTransitionError(`The alert is ${alert.status} and can no longer be edited`, {
+          code: 'ALERT_CLOSED',
+          from: alert.status,
+          to: req.body.status,
+        });
+      }
+    }
 
-    // Notify reporter of updates via Socket.IO
-    const io = req.app.get('io');
-    if (io && updatedAlert.reporter) {
-      io.to(updatedAlert.reporter._id.toString()).emit('alertUpdated', {
-        alert: updatedAlert,
-        message: req.body.notes || 'Alert status updated',
+    EDITABLE_ALERT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field];
+    });
+
+    const { status } = req.body;
+    if (status === 'responded') await assertAvailableForAlert(req.user.id);
+    if (status === 'pending' && status !== alert.status) {
+      // Releasing a claimed service also hands it to the next candidate (saves the alert)
+      await releaseService(alert, req.user, {
+        service: req.body.service,
+        reason: req.body.notes,
+        onlineUsers: req.app.get('onlineUsers'),
       });
+    } else {
+      if (status && status !== alert.status) {
+        applyStatusChange(alert, status, { user: req.user, service: req.body.service, notes: req.body.notes });
+        settleOffers(alert);
+      }
+      await alert.save();
     }
+    syncAlertAssignees(alert);
+
+    const updatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    // Notify reporter of updates
+    publish('alert.updated', {
+      alert: updatedAlert,
+      message: req.body.notes || 'Alert status updated',
+    }, { to: alertAudience(alert) });
 
     res.json({
       message: 'Alert updated successfully',
       alert: updatedAlert,
     });
   } catch (error) {
+    if (error instanceof AlertTransitionError || error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Update alert error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// @desc    Get the statuses the current user may move an alert to
+// @route   GET /api/alerts/:id/transitions
+// @access  Private
+export const getAlertTransitions = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!(await can(req.user, 'alert.view', alert))) {
+      return res.status(403).json({ message: 'Not authorized to view this alert' });
+    }
+
+    ensureServices(alert);
+    res.json({
+      status: alert.status,
+      allowed: getAllowedTransitions(alert, req.user),
+      services: alert.services.map(service => ({
+        type: service.type,
+        status: service.status,
+        allowed: getAllowedTransitions(alert, req.user, service),
+      })),
+    });
+  } catch (error) {
+    console.error('Get alert transitions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Move alert to a new status (en_route, on_scene, transporting, ...)
+// @route   PUT /api/alerts/:id/status
+// @access  Private (permitted roles depend on the transition)
+export const updateAlertStatus = async (req, res) => {
+  try {
+    const { status, notes, service } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ message: 'Please provide a status' });
+    }
+
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (status === 'pending') {
+      await releaseService(alert, req.user, {
+        service,
+        reason: notes,
+        onlineUsers: req.app.get('onlineUsers'),
+      });
+    } else {
+      if (status === 'responded') await assertAvailableForAlert(req.user.id);
+      applyStatusChange(alert, status, { user: req.user, service, notes });
+      settleOffers(alert);
+      await alert.save();
+    }
+    syncAlertAssignees(alert);
+
+    const populatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    publish('alert.updated', {
+      alert: populatedAlert,
+      message: notes || `Alert status changed to ${status}`,
+    }, { to: alertAudience(alert) });
+
+    if (alert.reporter.toString() !== req.user.id) {
+      const notification = await Notification.create({
+        user: alert.reporter,
+        alert: alert._id,
+        type: 'update',
+        title: 'Alert Updated',
+        message: `Your alert is now ${status.replace('_', ' ')}`,
+      });
+      publishNotification(notification);
+    }
+
+    res.json({
+      message: 'Alert status updated successfully',
+      alert: populatedAlert,
+    });
+  } catch (error) {
+    if (error instanceof AlertTransitionError || error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Update alert status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Tell the reporter a responder has taken their alert
+const notifyReporterResponded = async (alert, populatedAlert, responder) => {
+  publish('alert.responded', {
+    alert: populatedAlert,
+    message: 'A responder is on the way',
+  }, { to: alertAudience(alert) });
+
+  // Create notification for reporter
+  const notification = await Notification.create({
+    user: alert.reporter,
+    alert: alert._id,
+    type: 'alert_responded',
+    title: 'Alert Responded',
+    message: `Your alert has been responded to by ${responder.name}`,
+  });
+  publishNotification(notification);
+};
+
 // @desc    Respond to alert
 // @route   PUT /api/alerts/:id/respond
 // @access  Private (Responders only)
@@ -355,55 +558,279 @@ export const respondToAlert = async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    if (alert.status !== 'pending' && alert.status !== 'active') {
-      return res.status(400).json({ message: 'Alert is not available for response' });
+    // Off-duty, busy and out-of-service responders cannot take on another alert
+    await assertAvailableForAlert(req.user.id);
+
+    // Responders claim their own agency's service; admins may name one with `service`
+    applyStatusChange(alert, 'responded', { user: req.user, service: req.body.service });
+    settleOffers(alert);
+
+    await alert.save();
+    syncAlertAssignees(alert);
+
+    const populatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    await notifyReporterResponded(alert, populatedAlert, req.user);
+
+    res.json({
+      message: 'Successfully responded to alert',
+      alert: populatedAlert,
+    });
+  } catch (error) {
+    if (error instanceof AlertTransitionError || error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error('Respond to alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    // Check if user type matches alert type
-    if (req.user.userType !== alert.type && req.user.userType !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to respond to this alert type' });
+// @desc    Get open dispatch offers for the current responder
+// @route   GET /api/alerts/offers
+// @access  Private (Responders)
+export const getMyOffers = async (req, res) => {
+  try {
+    const offers = await getOpenOffersFor(req.user.id);
+    res.json({ offers });
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Accept a dispatch offer (claims the offered service)
+// @route   PUT /api/alerts/:id/offers/:offerId/accept
+// @access  Private (the responder the offer was made to)
+export const acceptAlertOffer = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
     }
 
-    alert.responder = req.user.id;
-    alert.status = 'responded';
-    alert.responseTime = Date.now();
-    alert.timeline.push({
-      action: 'Responder assigned and en route',
-      user: req.user.id,
-      timestamp: new Date(),
+    const offer = await acceptOffer(alert, req.params.offerId, req.user);
+    syncAlertAssignees(alert);
+
+    const populatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    await notifyReporterResponded(alert, populatedAlert, req.user);
+
+    res.json({
+      message: 'Offer accepted',
+      offer,
+      alert: populatedAlert,
     });
+  } catch (error) {
+    if (error instanceof AlertTransitionError || error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Accept offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    await alert.save();
+// @desc    Decline a dispatch offer; the service is offered to the next candidate
+// @route   PUT /api/alerts/:id/offers/:offerId/decline
+// @access  Private (the responder the offer was made to)
+export const declineAlertOffer = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const { offer, next } = await declineOffer(alert, req.params.offerId, req.user, req.body.reason, {
+      onlineUsers: req.app.get('onlineUsers'),
+    });
+
+    res.json({
+      message: 'Offer declined',
+      offer,
+      reassigned: Boolean(next),
+    });
+  } catch (error) {
+    if (error instanceof AlertTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Decline offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Release a claimed service back to the pool; it is offered to the next candidate
+// @route   PUT /api/alerts/:id/release
+// @access  Private (assigned responder or Admin)
+export const releaseAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const { service, next } = await releaseService(alert, req.user, {
+      service: req.body.service,
+      reason: req.body.reason,
+      onlineUsers: req.app.get('onlineUsers'),
+    });
+    syncAlertAssignees(alert);
 
     const populatedAlert = await Alert.findById(alert._id)
-      .populate('reporter responder', 'name email contactNumber userType');
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
 
-    // Notify reporter via Socket.IO
-    const io = req.app.get('io');
-    io.to(alert.reporter.toString()).emit('alertResponded', {
+    publish('alert.updated', {
+      alert: populatedAlert,
+      message: `The ${service} responder released your alert; finding another responder`,
+    }, { to: alertAudience(alert) });
+
+    res.json({
+      message: 'Alert released',
+      service,
+      reassigned: Boolean(next),
       alert: populatedAlert,
-      message: 'A responder is on the way',
     });
+  } catch (error) {
+    if (error instanceof AlertTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Release alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Hand a service of the alert to another responder
+// @route   PUT /api/alerts/:id/reassign
+// @access  Private (station supervisors, admins)
+export const reassignAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!(await can(req.user, 'alert.reassign', alert))) {
+      return res.status(403).json({ message: 'Not authorized to reassign this alert' });
+    }
+
+    const { service, responderId, reason } = req.body;
+
+    // Supervisors only move services routed to their station, and only to its members
+    if (!hasPermission(req.user, 'alert.reassign.any')) {
+      const entry = alert.services.find(s => s.type === service) ||
+        (!service && alert.services.length === 1 ? alert.services[0] : null);
+      const stationId = entry?.station?.toString();
+      if (!stationId || !(await supervisedStationIds(req.user.id)).includes(stationId)) {
+        return res.status(403).json({ message: 'You can only reassign services routed to a station you supervise' });
+      }
+      if (!mongoose.isValidObjectId(responderId) ||
+          !(await Station.exists({ _id: stationId, members: responderId }))) {
+        return res.status(400).json({ message: 'Choose a member of your station', code: 'INVALID_RESPONDER' });
+      }
+    }
+
+    const result = await reassignService(alert, req.user, { service, responderId, reason });
+    syncAlertAssignees(alert);
+
+    const populatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    const message = `The ${result.service} service was reassigned to ${result.responder.name}`;
+    publish('alert.updated', { alert: populatedAlert, message }, { to: alertAudience(alert) });
+    publish('alert.reassigned', {
+      alert: populatedAlert,
+      service: result.service,
+      responderId: result.responder._id,
+      previousResponderId: result.previousResponder || null,
+      message,
+    }, { to: [result.responder._id, result.previousResponder].filter(Boolean).map(rooms.user) });
 
-    // Create notification for reporter
     const notification = await Notification.create({
-      user: alert.reporter,
+      user: result.responder._id,
       alert: alert._id,
-      type: 'alert_responded',
-      title: 'Alert Responded',
-      message: `Your alert has been responded to by ${req.user.name}`,
+      type: 'alert',
+      title: `${result.service} alert assigned to you`,
+      message: `${req.user.name} assigned you: ${alert.title}`,
+    }).catch(err => { console.error('Error creating reassignment notification:', err); return null; });
+    publishNotification(notification);
+
+    res.json({
+      message: 'Alert reassigned',
+      service: result.service,
+      alert: populatedAlert,
     });
-    // Emit notification to reporter via Socket.IO
-    if (io) {
-      io.to(alert.reporter.toString()).emit('newNotification', notification);
+  } catch (error) {
+    if (error instanceof AlertTransitionError || error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Reassign alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Dispatch a unit (vehicle) to a service of an alert
+// @route   PUT /api/alerts/:id/units
+// @access  Private (Admin, or supervisor of the station the service was routed to)
+export const assignUnitToAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!(await can(req.user, 'unit.dispatch', alert))) {
+      return res.status(403).json({ message: 'Not authorized to dispatch units to this alert' });
+    }
+
+    const { unitId, service, notes } = req.body;
+
+    // Supervisors only send their station's units to services routed to it
+    if (!hasPermission(req.user, 'unit.dispatch.any')) {
+      const entry = alert.services.find(s => s.type === service) ||
+        (!service && alert.services.length === 1 ? alert.services[0] : null);
+      const stationId = entry?.station?.toString();
+      if (!stationId || !(await supervisedStationIds(req.user.id)).includes(stationId)) {
+        return res.status(403).json({ message: 'You can only dispatch units to services routed to a station you supervise' });
+      }
+      if (!mongoose.isValidObjectId(unitId) ||
+          !(await Unit.exists({ _id: unitId, homeStation: stationId }))) {
+        return res.status(400).json({ message: 'Choose a unit of your station', code: 'INVALID_UNIT' });
+      }
     }
 
+    const result = await dispatchUnit(alert, unitId, { service, user: req.user, notes });
+    syncAlertAssignees(alert);
+
+    const populatedAlert = await Alert.findById(alert._id)
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType')
+      .populate('services.units', 'callSign type status location');
+
+    publish('alert.updated', {
+      alert: populatedAlert,
+      message: `Unit ${result.unit.callSign} is responding`,
+    }, { to: alertAudience(alert) });
+
     res.json({
-      message: 'Successfully responded to alert',
+      message: 'Unit dispatched',
+      service: result.service,
+      unit: result.unit,
       alert: populatedAlert,
     });
   } catch (error) {
-    console.error('Respond to alert error:', error);
+    if (error instanceof AlertTransitionError || error instanceof UnitError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Dispatch unit error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -419,40 +846,39 @@ export const resolveAlert = async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    // Only responder or admin can resolve
-    if ((!alert.responder || alert.responder.toString() !== req.user.id) && 
-        req.user.userType !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to resolve this alert' });
-    }
-
-    alert.status = 'resolved';
-    alert.resolvedTime = Date.now();
-    alert.timeline.push({
-      action: 'Alert resolved',
-      user: req.user.id,
-      timestamp: new Date(),
-      notes: req.body.notes,
-    });
+    applyStatusChange(alert, 'resolved', { user: req.user, service: req.body.service, notes: req.body.notes });
+    settleOffers(alert);
 
     await alert.save();
+    syncAlertAssignees(alert);
 
     const populatedAlert = await Alert.findById(alert._id)
-      .populate('reporter responder', 'name email contactNumber userType');
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
 
-    // Notify reporter
-    const io = req.app.get('io');
-    if (io) {
-      io.to(alert.reporter.toString()).emit('alertResolved', {
+    // Other agencies are still working the alert: only one service closed
+    if (alert.status !== 'resolved') {
+      publish('alert.updated', {
         alert: populatedAlert,
-        message: 'Your alert has been resolved',
-      });
-      // Also emit generic alertUpdated event
-      io.to(alert.reporter.toString()).emit('alertUpdated', {
+        message: 'One of the responding services has finished',
+      }, { to: alertAudience(alert) });
+      return res.json({
+        message: 'Service resolved; alert stays open until every service is closed',
         alert: populatedAlert,
-        message: 'Your alert has been resolved',
       });
     }
 
+    // Notify reporter
+    publish('alert.resolved', {
+      alert: populatedAlert,
+      message: 'Your alert has been resolved',
+    }, { to: alertAudience(alert) });
+    // Also publish the generic update for clients that only follow alert.updated
+    publish('alert.updated', {
+      alert: populatedAlert,
+      message: 'Your alert has been resolved',
+    }, { to: alertAudience(alert) });
+
     const notification = await Notification.create({
       user: alert.reporter,
       alert: alert._id,
@@ -460,16 +886,16 @@ export const resolveAlert = async (req, res) => {
       title: 'Alert Resolved',
       message: 'Your alert has been resolved',
     });
-    // Emit notification to reporter via Socket.IO
-    if (io) {
-      io.to(alert.reporter.toString()).emit('newNotification', notification);
-    }
+    publishNotification(notification);
 
     res.json({
       message: 'Alert resolved successfully',
       alert: populatedAlert,
     });
   } catch (error) {
+    if (error instanceof AlertTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Resolve alert error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -477,7 +903,7 @@ export const resolveAlert = async (req, res) => {
 
 // @desc    Cancel alert
 // @route   PUT /api/alerts/:id/cancel
-// @access  Private (Reporter only)
+// @access  Private (Reporter before response, or Admin)
 export const cancelAlert = async (req, res) => {
   try {
     const alert = await Alert.findById(req.params.id);
@@ -486,43 +912,35 @@ export const cancelAlert = async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    // Only the reporter can cancel their own alert
-    if (alert.reporter.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Only the reporter can cancel this alert' });
-    }
-
-    // Cannot cancel if someone has already responded
-    if (alert.responder) {
-      return res.status(400).json({ 
-        message: 'Cannot cancel alert - a responder has already been assigned. Please contact them directly.' 
-      });
-    }
-
-    // Can only cancel pending or active alerts without responder
-    if (alert.status !== 'pending' && alert.status !== 'active') {
-      return res.status(400).json({ 
-        message: `Cannot cancel alert with status: ${alert.status}` 
-      });
-    }
-
-    alert.status = 'cancelled';
-    alert.timeline.push({
-      action: 'Alert cancelled by reporter',
-      user: req.user.id,
-      timestamp: new Date(),
-      notes: 'Reporter cancelled the alert before response',
+    const byReporter = alert.reporter.toString() === req.user.id;
+    transitionAlert(alert, 'cancelled', {
+      user: req.user,
+      action: byReporter ? 'Alert cancelled by reporter' : 'Alert cancelled',
+      notes: req.body.notes || (byReporter ? 'Reporter cancelled the alert before response' : undefined),
     });
+    settleOffers(alert);
 
     await alert.save();
+    syncAlertAssignees(alert);
 
     const populatedAlert = await Alert.findById(alert._id)
-      .populate('reporter responder', 'name email contactNumber userType');
+      .populate('reporter responder', 'name email contactNumber userType')
+      .populate('services.responder', 'name email contactNumber userType');
+
+    // Responders already working the alert need to stand down
+    publish('alert.cancelled', {
+      alert: populatedAlert,
+      message: 'The alert was cancelled',
+    }, { to: [...alertAudience(alert), ...alert.assignedTo.map(id => rooms.user(id))] });
 
     res.json({
       message: 'Alert cancelled successfully',
       alert: populatedAlert,
     });
   } catch (error) {
+    if (error instanceof AlertTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Cancel alert error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -578,11 +996,14 @@ export const deleteAlert = async (req, res) => {
     }
 
     // Only reporter or admin can delete
-    if (alert.reporter.toString() !== req.user.id && req.user.userType !== 'admin') {
+    if (!(await can(req.user, 'alert.delete', alert))) {
       return res.status(403).json({ message: 'Not authorized to delete this alert' });
     }
 
     await alert.deleteOne();
+    syncAlertResponders(alert);
+    releaseAlertUnits(alert._id)
+      .catch(err => console.error(`Error releasing units of alert ${alert._id}:`, err));
 
     res.json({ message: 'Alert deleted successfully' });
   } catch (error) {
@@ -0,0 +1,116 @@
+import Alert from '../models/Alert.js';
+import AlertMessage from '../models/AlertMessage.js';
+import { canAccessAlertChat, markAlertMessagesRead, postAlertMessage } from '../services/alertChat.js';
+
+// Load the alert and check the current user may use its chat; sends the error response itself
+const loadChatAlert = async (req, res) => {
+  const alert = await Alert.findById(req.params.id);
+
+  if (!alert) {
+    res.status(404).json({ message: 'Alert not found' });
+    return null;
+  }
+
+  if (!(await canAccessAlertChat(alert, req.user))) {
+    res.status(403).json({ message: 'Not authorized to view this alert chat' });
+    return null;
+  }
+
+  return alert;
+};
+
+// @desc    Get an alert's chat messages (newest first)
+// @route   GET /api/alerts/:id/messages
+// @access  Private (reporter, assigned responders, family, admin)
+export const getAlertMessages = async (req, res) => {
+  try {
+    const alert = await loadChatAlert(req, res);
+    if (!alert) return;
+
+    const { page = 1, limit = 50 } = req.query;
+    const query = { alert: alert._id };
+
+    const messages = await AlertMessage.find(query)
+      .populate('sender', 'name userType')
+      .populate('readBy.user', 'name userType')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await AlertMessage.countDocuments(query);
+    const unreadCount = await AlertMessage.countDocuments({
+      ...query,
+      sender: { $ne: req.user.id },
+      'readBy.user': { $ne: req.user.id },
+    });
+
+    res.json({
+      messages,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error('Get alert messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Post a message to an alert's chat
+// @route   POST /api/alerts/:id/messages
+// @access  Private (reporter, assigned responders, family, admin)
+export const sendAlertMessage = async (req, res) => {
+  try {
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!body) {
+      return res.status(400).json({ message: 'Message body is required' });
+    }
+
+    const alert = await loadChatAlert(req, res);
+    if (!alert) return;
+
+    const message = await postAlertMessage({
+      onlineUsers: req.app.get('onlineUsers'),
+      alert,
+      user: req.user,
+      body,
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      data: message,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Send alert message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Mark an alert's chat messages as read (optionally only up to `before`)
+// @route   PUT /api/alerts/:id/messages/read
+// @access  Private (reporter, assigned responders, family, admin)
+export const markAlertMessagesAsRead = async (req, res) => {
+  try {
+    const before = req.body.before ? new Date(req.body.before) : undefined;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ message: 'before must be a date' });
+    }
+
+    const alert = await loadChatAlert(req, res);
+    if (!alert) return;
+
+    const count = await markAlertMessagesRead({ alert, user: req.user, before });
+
+    res.json({
+      message: 'Messages marked as read',
+      count,
+    });
+  } catch (error) {
+    console.error('Mark alert messages read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import { canAccessAlertChat } from '../services/alertChat.js';
+import { getAlertTracks } from '../services/locationTracks.js';
+
+// @desc    Get the breadcrumb trail of every responder on an alert, with their current ETA
+// @route   GET /api/alerts/:id/track
+// @access  Private (reporter, assigned responders, family, admin)
+export const getAlertTrack = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id).lean();
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    // Same people as the alert's chat
+    if (!(await canAccessAlertChat(alert, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view this alert track' });
+    }
+
+    const { responder, since } = req.query;
+    if (responder && !mongoose.Types.ObjectId.isValid(responder)) {
+      return res.status(400).json({ message: 'Invalid responder id' });
+    }
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid since date' });
+    }
+
+    const tracks = await getAlertTracks(alert, { responder, since: sinceDate });
+    res.json({ alertId: alert._id, tracks });
+  } catch (error) {
+    console.error('Get alert track error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// @desc    Get audit log entries, newest first
+// @route   GET /api/audit-log
+// @access  Private/Admin
+export const getAuditLog = async (req, res) => {
+  try {
+    const { action, targetType, target, actor, from, to, page = 1, limit = 50 } = req.query;
+
+    for (const id of [target, actor]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid id' });
+      }
+    }
+
+    const query = {};
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (target) query.target = target;
+    if (actor) query.actor = actor;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email userType')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,7 +1,51 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
+import {
+  AuthSessionError,
+  clientInfo,
+  createSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+} from '../services/authSessions.js';
+import {
+  consumeAccountToken,
+  isRestrictedByVerification,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from '../services/accountTokens.js';
+import {
+  APPLICATION_USER_TYPES,
+  buildApplication,
+  recordApplicationSubmitted,
+} from '../services/responderApplications.js';
+import { checkLoginLockout, clearLoginFailures, recordLoginFailure } from '../services/rateLimit/index.js';
+
+// Sign-in answer for responder accounts that have not been approved
+const APPLICATION_STATUS_RESPONSES = {
+  pending: { message: 'Your account is awaiting approval by an administrator', code: 'APPROVAL_PENDING' },
+  rejected: { message: 'Your responder application was not approved', code: 'APPLICATION_REJECTED' },
+};
+
+// 429 for a sign-in blocked by too many failed attempts
+const sendLoginLocked = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfterSec));
+  return res.status(429).json({
+    message: 'Too many failed sign-in attempts. Please try again later.',
+    code: 'LOGIN_LOCKED',
+    retryAfter: lock.retryAfterSec,
+    lockedUntil: lock.lockedUntil,
+  });
+};
+
+// Count a failed sign-in; answers 429 once it locks the account or address
+const rejectCredentials = async (req, res, email) => {
+  const lock = await recordLoginFailure(email, req.ip);
+  if (lock) return sendLoginLocked(res, lock);
+  return res.status(401).json({ message: 'Invalid credentials' });
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -24,6 +68,9 @@ export const register = async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
+    // Police, hospital and fire accounts stay pending until an admin approves them
+    const isApplication = APPLICATION_USER_TYPES.includes(userType);
+
     // Create user
     const user = await User.create({
       name,
@@ -32,18 +79,33 @@ export const register = async (req, res) => {
       contactNumber,
       userType: userType || 'citizen',
       address,
+      ...(isApplication && { status: 'pending', responderApplication: buildApplication(req.body) }),
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, userType: user.userType },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Registration succeeds even if the verification email cannot be sent; it can be resent
+    const verificationEmailSent = await sendVerificationEmail(user)
+      .then(() => true)
+      .catch((error) => {
+        console.error('Verification email error:', error);
+        return false;
+      });
+
+    if (isApplication) {
+      await recordApplicationSubmitted(user, req);
+    }
+
+    // Start a session (access + refresh token) for this device, unless the account awaits
+    // approval or unverified accounts may not sign in
+    const tokens = isApplication || isRestrictedByVerification(user, 'login')
+      ? {}
+      : await createSession(user, clientInfo(req));
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: isApplication
+        ? 'Application submitted. An administrator will review your credentials before you can sign in.'
+        : 'User registered successfully',
+      verificationEmailSent,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -52,6 +114,7 @@ export const register = async (req, res) => {
         contactNumber: user.contactNumber,
         address: user.address,
         isVerified: user.isVerified,
+        status: user.status,
       },
     });
   } catch (error) {
@@ -71,37 +134,48 @@ export const login = async (req, res) => {
       return res.status(400).json({ message: 'Please provide email and password' });
     }
 
-    // Find user by email
+    // Locked accounts and addresses are refused before the password is even checked
+    const lock = await checkLoginLockout(email, req.ip);
+    if (lock) {
+      return sendLoginLocked(res, lock);
+    }
+
+    // Find user by email (unknown addresses count as failures too, so they look the same)
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectCredentials(req, res, email);
     }
 
-    // Check if account is active
-    if (user.status !== 'active') {
+    // Check if account is active (responder applications are explained once the password matches)
+    if (user.status !== 'active' && !APPLICATION_STATUS_RESPONSES[user.status]) {
       return res.status(403).json({ message: 'Account is suspended or inactive' });
     }
 
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectCredentials(req, res, email);
+    }
+    await clearLoginFailures(email);
+
+    if (APPLICATION_STATUS_RESPONSES[user.status]) {
+      return res.status(403).json(APPLICATION_STATUS_RESPONSES[user.status]);
+    }
+
+    if (isRestrictedByVerification(user, 'login')) {
+      return res.status(403).json({ message: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
     }
 
     // Update last active timestamp
     user.lastActive = Date.now();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, userType: user.userType },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session (access + refresh token) for this device
+    const tokens = await createSession(user, clientInfo(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -137,3 +211,208 @@ export const getCurrentUser = async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token)
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presented } = req.body;
+
+    if (!presented) {
+      return res.status(400).json({ message: 'Please provide a refresh token' });
+    }
+
+    const { user, ...tokens } = await refreshSession(presented, clientInfo(req));
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        userType: user.userType,
+      },
+    });
+  } catch (error) {
+    if (error instanceof AuthSessionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSession(req.user.id, req.user.sessionId, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log out of every session on every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({ message: 'Logged out on all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.user.sessionId);
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Sign out one of the current user's sessions (e.g. a lost phone)
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeOwnSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId, 'logout');
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Verify an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public (requires a verification token)
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verify_email');
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired', code: 'INVALID_TOKEN' });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { isVerified: true }, { new: true });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Email verified successfully', isVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Send a new verification email (to the signed-in user, or to `email`)
+// @route   POST /api/auth/resend-verification
+// @access  Public
+export const resendVerification = async (req, res) => {
+  try {
+    const user = req.user
+      ? await User.findById(req.user.id)
+      : req.body.email && await User.findOne({ email: String(req.body.email).toLowerCase() });
+
+    if (req.user && user?.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    // A failed send must not answer differently from an unknown address
+    if (user && !user.isVerified && user.status === 'active') {
+      await sendVerificationEmail(user)
+        .catch(error => console.error('Verification email error:', error));
+    }
+
+    // Same answer whether or not the address exists
+    res.json({ message: 'If the account exists and is not verified, a verification email has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    // A failed send must not answer differently from an unknown address
+    if (user && user.status === 'active') {
+      await sendPasswordResetEmail(user)
+        .catch(error => console.error('Password reset email error:', error));
+    }
+
+    // Same answer whether or not the address exists
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a reset token)
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeAccountToken(req.body.token, 'reset_password');
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired', code: 'INVALID_TOKEN' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // The reset link proves the user controls the email address
+    user.password = await bcrypt.hash(req.body.password, 10);
+    user.isVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeAllSessions(user._id, 'password_changed');
+    // The failed sign-ins were against the old password; the owner may sign in right away
+    await clearLoginFailures(user.email);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Shift from '../models/Shift.js';
+import Station from '../models/Station.js';
+import User from '../models/User.js';
+import { CLOSED_STATUSES, IN_PROGRESS_STATUSES, SERVICE_TYPES } from '../services/alertStateMachine.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  AVAILABILITY_STATUSES,
+  AvailabilityError,
+  MANUAL_AVAILABILITY_STATUSES,
+  availabilityOf,
+  changeOwnAvailability,
+  dispatchableFilter,
+  setAvailability,
+} from '../services/availability.js';
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+// @desc    Go off duty, available or out of service
+// @route   PUT /api/users/availability
+// @access  Private (Responders)
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const user = await changeOwnAvailability(req.user.id, status, reason);
+
+    res.json({
+      message: 'Availability updated',
+      availability: user.availability,
+    });
+  } catch (error) {
+    if (error instanceof AvailabilityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Update availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set a responder's availability (e.g. out of service)
+// @route   PUT /api/users/:id/availability
+// @access  Private/Admin
+export const setUserAvailability = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!MANUAL_AVAILABILITY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Availability must be one of: ${MANUAL_AVAILABILITY_STATUSES.join(', ')}`,
+        code: 'INVALID_AVAILABILITY',
+      });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('name userType availability')
+      : null;
+    if (!user || !SERVICE_TYPES.includes(user.userType)) {
+      return res.status(404).json({ message: 'Responder not found' });
+    }
+
+    const previous = availabilityOf(user);
+    await setAvailability(user._id, status, { reason });
+
+    await recordAudit({
+      req,
+      action: 'user.availability_changed',
+      targetType: 'User',
+      target: user._id,
+      details: { from: previous, to: status, reason },
+    });
+
+    res.json({
+      message: 'Availability updated',
+      availability: (await User.findById(user._id).select('availability').lean()).availability,
+    });
+  } catch (error) {
+    console.error('Set user availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Live roster: responders with availability, presence, shift, station and assignments
+// @route   GET /api/users/roster
+// @access  Private/Admin
+export const getRoster = async (req, res) => {
+  try {
+    const { station, userType, availability, page = 1, limit = 100 } = req.query;
+
+    const query = { userType: { $in: SERVICE_TYPES }, status: 'active' };
+    if (userType) {
+      if (!SERVICE_TYPES.includes(userType)) {
+        return res.status(400).json({ message: `userType must be one of: ${SERVICE_TYPES.join(', ')}` });
+      }
+      query.userType = userType;
+    }
+    if (availability) {
+      if (!AVAILABILITY_STATUSES.includes(availability)) {
+        return res.status(400).json({ message: `availability must be one of: ${AVAILABILITY_STATUSES.join(', ')}` });
+      }
+      Object.assign(query, availability === 'available' ? dispatchableFilter() : { 'availability.status': availability });
+    }
+    if (station) {
+      const found = mongoose.isValidObjectId(station) ? await Station.findById(station).select('members').lean() : null;
+      if (!found) {
+        return res.status(404).json({ message: 'Station not found' });
+      }
+      query._id = { $in: found.members };
+    }
+
+    const users = await User.find(query)
+      .select('name email contactNumber userType availability lastActive')
+      .sort({ userType: 1, name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await User.countDocuments(query);
+
+    const summary = await User.aggregate([
+      { $match: query },
+      { $group: { _id: { $ifNull: ['$availability.status', 'available'] }, count: { $sum: 1 } } },
+    ]);
+
+    const ids = users.map(u => u._id);
+    const now = new Date();
+    const [shifts, stations, alerts] = await Promise.all([
+      Shift.find({ user: { $in: ids }, endsAt: { $gt: now } })
+        .sort({ startsAt: 1 })
+        .select('user station startsAt endsAt')
+        .lean(),
+      Station.find({ active: true, members: { $in: ids } }).select('name agency members').lean(),
+      Alert.find({
+        status: { $nin: CLOSED_STATUSES },
+        services: { $elemMatch: { responder: { $in: ids }, status: { $in: IN_PROGRESS_STATUSES } } },
+      })
+        .select('title priority services')
+        .lean(),
+    ]);
+
+    const onlineUsers = req.app.get('onlineUsers');
+    const roster = users.map(user => {
+      const id = user._id.toString();
+      const upcoming = shifts.filter(s => idOf(s.user) === id);
+      const current = upcoming.find(s => new Date(s.startsAt) <= now);
+      const memberOf = stations.find(s => s.members.some(m => idOf(m) === id));
+
+      return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        contactNumber: user.contactNumber,
+        userType: user.userType,
+        availability: { ...user.availability, status: availabilityOf(user) },
+        online: Boolean(onlineUsers?.has(id)),
+        lastActive: user.lastActive,
+        station: memberOf ? { id: memberOf._id, name: memberOf.name } : null,
+        currentShift: current || null,
+        nextShift: upcoming.find(s => s !== current) || null,
+        assignments: alerts.flatMap(alert => alert.services
+          .filter(s => idOf(s.responder) === id && IN_PROGRESS_STATUSES.includes(s.status))
+          .map(s => ({ alertId: alert._id, title: alert.title, priority: alert.priority, service: s.type, status: s.status }))),
+      };
+    });
+
+    res.json({
+      roster,
+      summary: Object.fromEntries(AVAILABILITY_STATUSES.map(status => [
+        status,
+        summary.find(s => s._id === status)?.count || 0,
+      ])),
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get roster error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
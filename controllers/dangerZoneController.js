@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import DangerZone from '../models/DangerZone.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  DangerZoneError,
+  ZONE_SEVERITIES,
+  activeZoneFilter,
+  assertZoneAlert,
+  buildZoneShape,
+  clearZoneWarnings,
+  describeZone,
+  isZoneActive,
+  publishZone,
+  resolveExpiry,
+  warnUsersInside,
+} from '../services/dangerZones.js';
+import { hasPermission } from '../services/permissions.js';
+
+const parsePoint = (value) => {
+  const point = String(value).split(',').map(Number);
+  return point.length === 2 && point.every(Number.isFinite) ? point : null;
+};
+
+// Zones as a GeoJSON FeatureCollection for map overlays
+const toFeatureCollection = (zones) => ({
+  type: 'FeatureCollection',
+  features: zones.map(zone => {
+    const { geometry, ...properties } = describeZone(zone);
+    return { type: 'Feature', id: String(zone._id), geometry, properties };
+  }),
+});
+
+// @desc    Get active danger zones (?bounds=west,south,east,north, ?near=lng,lat, ?severity=,
+//          ?format=geojson; zone managers may add ?includeInactive=true)
+// @route   GET /api/zones
+// @access  Private
+export const getZones = async (req, res) => {
+  try {
+    const { bounds, near, severity, format, includeInactive, page = 1, limit = 200 } = req.query;
+
+    const query = includeInactive === 'true' && hasPermission(req.user, 'zone.create')
+      ? {}
+      : activeZoneFilter();
+    if (severity) {
+      if (!ZONE_SEVERITIES.includes(severity)) {
+        return res.status(400).json({ message: `severity must be one of: ${ZONE_SEVERITIES.join(', ')}` });
+      }
+      query.severity = severity;
+    }
+    if (near) {
+      const point = parsePoint(near);
+      if (!point) {
+        return res.status(400).json({ message: 'near must be "longitude,latitude"' });
+      }
+      query.geometry = { $geoIntersects: { $geometry: { type: 'Point', coordinates: point } } };
+    } else if (bounds) {
+      const box = String(bounds).split(',').map(Number);
+      if (box.length !== 4 || !box.every(Number.isFinite) || box[0] >= box[2] || box[1] >= box[3]) {
+        return res.status(400).json({ message: 'bounds must be "west,south,east,north"' });
+      }
+      const [west, south, east, north] = box;
+      query.geometry = {
+        $geoIntersects: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+          },
+        },
+      };
+    }
+
+    const zones = await DangerZone.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    if (format === 'geojson') {
+      return res.json(toFeatureCollection(zones));
+    }
+
+    const count = await DangerZone.countDocuments(query);
+
+    res.json({
+      zones: zones.map(describeZone),
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get danger zones error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get danger zone by ID
+// @route   GET /api/zones/:id
+// @access  Private
+export const getZoneById = async (req, res) => {
+  try {
+    const zone = mongoose.isValidObjectId(req.params.id)
+      ? await DangerZone.findById(req.params.id)
+        .populate('createdBy', 'name userType')
+        .populate('alert', 'title type priority status')
+      : null;
+    if (!zone) {
+      return res.status(404).json({ message: 'Danger zone not found' });
+    }
+
+    res.json({ ...describeZone(zone), createdBy: zone.createdBy, active: isZoneActive(zone) });
+  } catch (error) {
+    console.error('Get danger zone by ID error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Draw a danger zone (circle or polygon) and warn users inside it
+// @route   POST /api/zones
+// @access  Private (Responders, Admin)
+export const createZone = async (req, res) => {
+  try {
+    const { title, message, severity, shape, center, radius, polygon, expiresAt, durationMinutes, alert } = req.body;
+
+    if (severity !== undefined && !ZONE_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ message: `severity must be one of: ${ZONE_SEVERITIES.join(', ')}` });
+    }
+    const drawn = buildZoneShape({ shape, center, radius, polygon });
+    const expiry = resolveExpiry({ expiresAt, durationMinutes });
+    await assertZoneAlert(alert);
+
+    const zone = await DangerZone.create({
+      title,
+      message,
+      severity,
+      ...drawn,
+      alert: alert || undefined,
+      createdBy: req.user.id,
+      expiresAt: expiry,
+    });
+
+    await recordAudit({
+      req,
+      action: 'zone.created',
+      targetType: 'DangerZone',
+      target: zone._id,
+      details: { title: zone.title, severity: zone.severity, shape: zone.shape, expiresAt: zone.expiresAt },
+    });
+
+    publishZone('zone.created', zone);
+    const warned = await warnUsersInside(zone, req.app.get('onlineUsers'));
+
+    res.status(201).json({
+      message: 'Danger zone created',
+      zone: describeZone(zone),
+      warned,
+    });
+  } catch (error) {
+    if (error instanceof DangerZoneError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create danger zone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Responders change the zones they drew; admins any zone
+const findManageableZone = async (req, res) => {
+  const zone = mongoose.isValidObjectId(req.params.id) ? await DangerZone.findById(req.params.id) : null;
+  if (!zone) {
+    res.status(404).json({ message: 'Danger zone not found' });
+    return null;
+  }
+  if (zone.createdBy.toString() !== req.user.id && !hasPermission(req.user, 'zone.manage')) {
+    res.status(403).json({ message: 'You can only change danger zones you drew' });
+    return null;
+  }
+  if (!isZoneActive(zone)) {
+    res.status(409).json({ message: 'The danger zone is no longer active', code: 'ZONE_INACTIVE' });
+    return null;
+  }
+  return zone;
+};
+
+// @desc    Update a zone's title, message, severity or expiry
+// @route   PUT /api/zones/:id
+// @access  Private (Responder who drew it, Admin)
+export const updateZone = async (req, res) => {
+  try {
+    const zone = await findManageableZone(req, res);
+    if (!zone) return;
+
+    const { title, message, severity, expiresAt, durationMinutes } = req.body;
+
+    if (severity !== undefined && !ZONE_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ message: `severity must be one of: ${ZONE_SEVERITIES.join(', ')}` });
+    }
+    if (expiresAt !== undefined || durationMinutes !== undefined) {
+      zone.expiresAt = resolveExpiry({ expiresAt, durationMinutes });
+    }
+    if (title !== undefined) zone.title = title;
+    if (message !== undefined) zone.message = message;
+    if (severity !== undefined) zone.severity = severity;
+
+    await zone.save();
+
+    await recordAudit({
+      req,
+      action: 'zone.updated',
+      targetType: 'DangerZone',
+      target: zone._id,
+      details: { fields: Object.keys(req.body), severity: zone.severity, expiresAt: zone.expiresAt },
+    });
+
+    publishZone('zone.updated', zone);
+
+    res.json({
+      message: 'Danger zone updated',
+      zone: describeZone(zone),
+    });
+  } catch (error) {
+    if (error instanceof DangerZoneError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update danger zone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Lift a danger zone before it expires
+// @route   PUT /api/zones/:id/lift
+// @access  Private (Responder who drew it, Admin)
+export const liftZone = async (req, res) => {
+  try {
+    const zone = await findManageableZone(req, res);
+    if (!zone) return;
+
+    zone.liftedAt = new Date();
+    zone.liftedBy = req.user.id;
+    await zone.save();
+
+    await recordAudit({
+      req,
+      action: 'zone.lifted',
+      targetType: 'DangerZone',
+      target: zone._id,
+      details: { title: zone.title, reason: req.body.reason },
+    });
+
+    publishZone('zone.lifted', zone);
+    await clearZoneWarnings(zone._id);
+
+    res.json({
+      message: 'Danger zone lifted',
+      zone: describeZone(zone),
+    });
+  } catch (error) {
+    console.error('Lift danger zone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import { getDeviceMonitorConfig, notifyDeviceConnectivity } from '../services/deviceMonitor.js';
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+const generateDeviceId = () => `ADP-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+// Build a homeLocation subdocument from { address, coordinates: [lng, lat] }
+const parseHomeLocation = (homeLocation) => {
+  if (!homeLocation) return undefined;
+  const { address, coordinates } = homeLocation;
+  const pair = Array.isArray(coordinates) ? coordinates : coordinates?.coordinates;
+  if (!Array.isArray(pair) || pair.length !== 2 || pair.some(n => !Number.isFinite(Number(n)))) {
+    return null;
+  }
+  return {
+    address,
+    coordinates: { type: 'Point', coordinates: pair.map(Number) },
+  };
+};
+
+// @desc    Get all registered devices
+// @route   GET /api/devices
+// @access  Private/Admin
+export const getDevices = async (req, res) => {
+  try {
+    const { status, owner, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (owner) query.owner = owner;
+
+    const devices = await Device.find(query)
+      .populate('owner', 'name email contactNumber')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Device.countDocuments(query);
+
+    res.json({
+      devices,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get device health overview (offline and low-battery devices first)
+// @route   GET /api/devices/health
+// @access  Private/Admin
+export const getDeviceHealth = async (req, res) => {
+  try {
+    const { lowBatteryPercent } = getDeviceMonitorConfig();
+
+    const devices = await Device.find({ status: 'active' })
+      .select('deviceId name owner health connectivity offlineSince lastSeenAt')
+      .populate('owner', 'name email contactNumber')
+      .lean();
+
+    const now = Date.now();
+    const rank = { offline: 0, unknown: 1, online: 2 };
+    const health = devices
+      .map(device => {
+        const lastHeartbeatAt = device.health?.lastHeartbeatAt;
+        const batteryLevel = device.health?.batteryLevel;
+        return {
+          ...device,
+          lowBattery: batteryLevel != null && batteryLevel <= lowBatteryPercent,
+          secondsSinceHeartbeat: lastHeartbeatAt
+            ? Math.round((now - new Date(lastHeartbeatAt).getTime()) / 1000)
+            : null,
+        };
+      })
+      .sort((a, b) => (rank[a.connectivity] - rank[b.connectivity]) || (b.lowBattery - a.lowBattery));
+
+    res.json({
+      devices: health,
+      summary: {
+        total: health.length,
+        online: health.filter(d => d.connectivity === 'online').length,
+        offline: health.filter(d => d.connectivity === 'offline').length,
+        unknown: health.filter(d => d.connectivity === 'unknown').length,
+        lowBattery: health.filter(d => d.lowBattery).length,
+      },
+    });
+  } catch (error) {
+    console.error('Get device health error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record a device heartbeat (battery, signal, firmware)
+// @route   POST /api/devices/heartbeat
+// @access  Device (signed request, see middleware/deviceAuth.js)
+export const recordHeartbeat = async (req, res) => {
+  try {
+    const { device } = req;
+    const { batteryLevel, signalStrength, firmwareVersion } = req.body;
+
+    const battery = batteryLevel != null ? Number(batteryLevel) : undefined;
+    if (battery !== undefined && (!Number.isFinite(battery) || battery < 0 || battery > 100)) {
+      return res.status(400).json({ message: 'batteryLevel must be a percentage between 0 and 100' });
+    }
+    const signal = signalStrength != null ? Number(signalStrength) : undefined;
+    if (signal !== undefined && !Number.isFinite(signal)) {
+      return res.status(400).json({ message: 'signalStrength must be a number (dBm)' });
+    }
+
+    const wasOffline = device.connectivity === 'offline';
+
+    device.health = {
+      batteryLevel: battery ?? device.health?.batteryLevel,
+      signalStrength: signal ?? device.health?.signalStrength,
+      firmwareVersion: firmwareVersion || device.health?.firmwareVersion,
+      lastHeartbeatAt: new Date(),
+    };
+    device.connectivity = 'online';
+    device.offlineSince = undefined;
+    await device.save();
+
+    if (wasOffline) {
+      notifyDeviceConnectivity(device, 'online')
+        .catch(err => console.error('Error notifying device online:', err));
+    }
+
+    res.json({
+      message: 'Heartbeat recorded',
+      serverTime: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Record heartbeat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get device by ID
+// @route   GET /api/devices/:id
+// @access  Private/Admin
+export const getDeviceById = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id)
+      .populate('owner', 'name email contactNumber');
+
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    res.json(device);
+  } catch (error) {
+    console.error('Get device by ID error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Register a new IoT device
+// @route   POST /api/devices
+// @access  Private/Admin
+export const registerDevice = async (req, res) => {
+  try {
+    const { deviceId, name, owner, defaultAlertType, homeLocation } = req.body;
+
+    if (!owner) {
+      return res.status(400).json({ message: 'Device owner is required' });
+    }
+
+    const ownerUser = await User.findById(owner);
+    if (!ownerUser) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+
+    const parsedLocation = parseHomeLocation(homeLocation);
+    if (parsedLocation === null) {
+      return res.status(400).json({ message: 'homeLocation.coordinates must be [longitude, latitude]' });
+    }
+
+    const id = deviceId || generateDeviceId();
+    if (await Device.exists({ deviceId: id })) {
+      return res.status(400).json({ message: 'A device with this ID is already registered' });
+    }
+
+    const secret = generateSecret();
+    const device = await Device.create({
+      deviceId: id,
+      name,
+      secret,
+      owner: ownerUser._id,
+      defaultAlertType,
+      homeLocation: parsedLocation,
+      createdBy: req.user.id,
+    });
+
+    // The secret is only ever shown here and on rotation; flash it to the device now
+    res.status(201).json({
+      message: 'Device registered successfully',
+      device: await Device.findById(device._id).populate('owner', 'name email contactNumber'),
+      secret,
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+};
+
+// @desc    Update device details (name, owner, default type, home location)
+// @route   PUT /api/devices/:id
+// @access  Private/Admin
+export const updateDevice = async (req, res) => {
+  try {
+    const { name, owner, defaultAlertType, homeLocation } = req.body;
+
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    if (owner) {
+      const ownerUser = await User.findById(owner);
+      if (!ownerUser) {
+        return res.status(404).json({ message: 'Owner not found' });
+      }
+      device.owner = ownerUser._id;
+    }
+
+    if (homeLocation) {
+      const parsedLocation = parseHomeLocation(homeLocation);
+      if (!parsedLocation) {
+        return res.status(400).json({ message: 'homeLocation.coordinates must be [longitude, latitude]' });
+      }
+      device.homeLocation = parsedLocation;
+    }
+
+    if (name !== undefined) device.name = name;
+    if (defaultAlertType) device.defaultAlertType = defaultAlertType;
+
+    await device.save();
+
+    res.json({
+      message: 'Device updated successfully',
+      device: await Device.findById(device._id).populate('owner', 'name email contactNumber'),
+    });
+  } catch (error) {
+    console.error('Update device error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+};
+
+// @desc    Rotate a device's signing secret
+// @route   POST /api/devices/:id/rotate
+// @access  Private/Admin
+export const rotateDeviceSecret = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(400).json({ message: 'Cannot rotate the secret of a revoked device' });
+    }
+
+    const secret = generateSecret();
+    device.secret = secret;
+    device.secretRotatedAt = new Date();
+    await device.save();
+
+    res.json({
+      message: 'Device secret rotated successfully',
+      deviceId: device.deviceId,
+      secret,
+    });
+  } catch (error) {
+    console.error('Rotate device secret error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Revoke a device so its requests are rejected
+// @route   PUT /api/devices/:id/revoke
+// @access  Private/Admin
+export const revokeDevice = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    device.status = 'revoked';
+    device.revokedAt = new Date();
+    await device.save();
+
+    res.json({
+      message: 'Device revoked successfully',
+      device,
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
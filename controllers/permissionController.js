@@ -0,0 +1,25 @@
+import { describePermissions, permissionsOf } from '../services/permissions.js';
+
+// @desc    Get every permission and each role's effective permissions
+// @route   GET /api/permissions
+// @access  Private/Admin
+export const getPermissions = async (req, res) => {
+  try {
+    res.json(describePermissions());
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current user's permissions (for showing or hiding UI)
+// @route   GET /api/permissions/me
+// @access  Private
+export const getMyPermissions = async (req, res) => {
+  try {
+    res.json({ role: req.user.userType, permissions: permissionsOf(req.user.userType) });
+  } catch (error) {
+    console.error('Get my permissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,63 @@
+import { recordAudit } from '../services/auditLog.js';
+import {
+  clearLockout,
+  getLockoutConfig,
+  getRateLimitConfig,
+  getRateLimitStore,
+  listLockouts,
+} from '../services/rateLimit/index.js';
+
+// @desc    Get accounts and IPs with failed sign-ins, locked ones first
+// @route   GET /api/rate-limits/lockouts
+// @access  Private/Admin
+export const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    const lockedOnly = req.query.locked === 'true';
+
+    res.json({
+      lockouts: lockedOnly ? lockouts.filter(l => l.locked) : lockouts,
+      config: getLockoutConfig(),
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Clear the failures and lock of one account or IP (key e.g. account:jane@example.com)
+// @route   DELETE /api/rate-limits/lockouts/:key
+// @access  Private/Admin
+export const removeLockout = async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!/^(account|ip):.+/.test(key)) {
+      return res.status(400).json({ message: 'Lockout key must look like account:<email> or ip:<address>' });
+    }
+
+    const cleared = await clearLockout(key);
+    if (!cleared) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    await recordAudit({ req, action: 'lockout.cleared', targetType: 'Lockout', details: { key } });
+
+    res.json({ message: 'Lockout cleared', key });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the rate-limit policies in effect
+// @route   GET /api/rate-limits/policies
+// @access  Private/Admin
+export const getRateLimitPolicies = async (req, res) => {
+  try {
+    res.json({ ...getRateLimitConfig(), store: getRateLimitStore().name });
+  } catch (error) {
+    console.error('Get rate-limit policies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
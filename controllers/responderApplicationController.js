@@ -0,0 +1,69 @@
+import User from '../models/User.js';
+import {
+  ApplicationReviewError,
+  reviewApplication,
+  summarizeApplication,
+} from '../services/responderApplications.js';
+
+// @desc    Get responder applications, oldest first (the review queue)
+// @route   GET /api/users/applications
+// @access  Private/Admin
+export const getResponderApplications = async (req, res) => {
+  try {
+    const { status = 'pending', userType, page = 1, limit = 50 } = req.query;
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status value' });
+    }
+
+    const query = { 'responderApplication.status': status };
+    if (userType) query.userType = userType;
+
+    const users = await User.find(query)
+      .select('-password')
+      .populate('responderApplication.reviewedBy', 'name email')
+      .sort({ 'responderApplication.submittedAt': status === 'pending' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await User.countDocuments(query);
+
+    res.json({
+      applications: users.map(summarizeApplication),
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get responder applications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const decide = (decision) => async (req, res) => {
+  try {
+    const note = decision === 'approved' ? req.body.note : req.body.reason;
+    const user = await reviewApplication(req.params.id, decision, note, req);
+
+    res.json({
+      message: `Application ${decision}`,
+      application: summarizeApplication(user),
+    });
+  } catch (error) {
+    if (error instanceof ApplicationReviewError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error(`Review responder application (${decision}) error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Approve a responder application; the account becomes active
+// @route   PUT /api/users/:id/application/approve
+// @access  Private/Admin
+export const approveResponderApplication = decide('approved');
+
+// @desc    Reject a responder application (body: { reason })
+// @route   PUT /api/users/:id/application/reject
+// @access  Private/Admin
+export const rejectResponderApplication = decide('rejected');
@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.js';
+import Station from '../models/Station.js';
+import User from '../models/User.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  availabilityOf,
+  currentShift,
+  getShiftConfig,
+  setAvailability,
+  sweepShiftBoundaries,
+} from '../services/availability.js';
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// @desc    Get shifts (?station=&user=&from=&to=)
+// @route   GET /api/shifts
+// @access  Private/Admin
+export const getShifts = async (req, res) => {
+  try {
+    const { station, user, from, to, page = 1, limit = 100 } = req.query;
+
+    const query = {};
+    if (station) query.station = station;
+    if (user) query.user = user;
+    if ([station, user].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid station or user id' });
+    }
+    // Shifts overlapping the window (default: from now on)
+    const fromDate = from ? parseDate(from) : new Date();
+    const toDate = to ? parseDate(to) : null;
+    if (!fromDate || (to && !toDate)) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+    query.endsAt = { $gt: fromDate };
+    if (toDate) query.startsAt = { $lt: toDate };
+
+    const shifts = await Shift.find(query)
+      .populate('user', 'name userType')
+      .populate('station', 'name agency')
+      .sort({ startsAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Shift.countDocuments(query);
+
+    res.json({
+      shifts,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current user's current and upcoming shifts
+// @route   GET /api/shifts/mine
+// @access  Private
+export const getMyShifts = async (req, res) => {
+  try {
+    const shifts = await Shift.find({ user: req.user.id, endsAt: { $gt: new Date() } })
+      .populate('station', 'name agency address contactNumber')
+      .sort({ startsAt: 1 })
+      .limit(50);
+
+    res.json({ shifts });
+  } catch (error) {
+    console.error('Get my shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Schedule a shift for a station member
+// @route   POST /api/shifts
+// @access  Private/Admin
+export const createShift = async (req, res) => {
+  try {
+    const { station, user, startsAt, endsAt, notes } = req.body;
+
+    if (!mongoose.isValidObjectId(station) || !mongoose.isValidObjectId(user)) {
+      return res.status(400).json({ message: 'station and user are required' });
+    }
+    const start = parseDate(startsAt);
+    const end = parseDate(endsAt);
+    if (!start || !end || end <= start) {
+      return res.status(400).json({ message: 'startsAt and endsAt must be dates, endsAt after startsAt' });
+    }
+    if (end - start > getShiftConfig().maxShiftMs) {
+      return res.status(400).json({ message: 'Shift is longer than SHIFT_MAX_HOURS allows' });
+    }
+    if (end <= new Date()) {
+      return res.status(400).json({ message: 'Shift has already ended' });
+    }
+
+    if (!(await Station.exists({ _id: station, members: user }))) {
+      return res.status(400).json({ message: 'The responder is not a member of this station' });
+    }
+
+    const overlapping = await Shift.exists({ user, startsAt: { $lt: end }, endsAt: { $gt: start } });
+    if (overlapping) {
+      return res.status(409).json({ message: 'The responder already has a shift in this period' });
+    }
+
+    const shift = await Shift.create({
+      station,
+      user,
+      startsAt: start,
+      endsAt: end,
+      notes,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit({
+      req,
+      action: 'shift.created',
+      targetType: 'Shift',
+      target: shift._id,
+      details: { station, user, startsAt: start, endsAt: end },
+    });
+
+    // A shift that is already running takes effect now rather than at the next sweep
+    if (start <= new Date()) {
+      await sweepShiftBoundaries();
+    }
+
+    res.status(201).json({
+      message: 'Shift scheduled',
+      shift: await Shift.findById(shift._id)
+        .populate('user', 'name userType')
+        .populate('station', 'name agency'),
+    });
+  } catch (error) {
+    console.error('Create shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel a shift (a running one ends now)
+// @route   DELETE /api/shifts/:id
+// @access  Private/Admin
+export const deleteShift = async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await Shift.findById(req.params.id) : null;
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    const now = new Date();
+    const running = shift.startsAt <= now && shift.endsAt > now;
+    await shift.deleteOne();
+
+    // Responders whose running shift was cancelled go off duty unless they are working an alert
+    if (running && !(await currentShift(shift.user, now))) {
+      const user = await User.findById(shift.user).select('availability').lean();
+      if (user && availabilityOf(user) === 'available') {
+        await setAvailability(shift.user, 'off_duty', { reason: 'Shift cancelled' });
+      }
+    }
+
+    await recordAudit({
+      req,
+      action: 'shift.cancelled',
+      targetType: 'Shift',
+      target: shift._id,
+      details: { station: shift.station, user: shift.user, startsAt: shift.startsAt, endsAt: shift.endsAt },
+    });
+
+    res.json({ message: 'Shift cancelled' });
+  } catch (error) {
+    console.error('Delete shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
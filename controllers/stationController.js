@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Station from '../models/Station.js';
+import { recordAudit } from '../services/auditLog.js';
+import { StationError, findStationOf, parseJurisdiction, setStationMembers } from '../services/stations.js';
+
+const MEMBER_FIELDS = 'name email contactNumber userType status';
+
+const populateStation = (id) => Station.findById(id)
+  .populate('members', MEMBER_FIELDS)
+  .populate('supervisors', MEMBER_FIELDS);
+
+// @desc    Get stations (?agency=police&active=true, ?near=lng,lat for the one covering a point)
+// @route   GET /api/stations
+// @access  Private (responders, admins)
+export const getStations = async (req, res) => {
+  try {
+    const { agency, active, near, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (agency) query.agency = agency;
+    if (active !== undefined) query.active = active === 'true';
+    if (near) {
+      const point = near.split(',').map(Number);
+      if (point.length !== 2 || point.some(n => !Number.isFinite(n))) {
+        return res.status(400).json({ message: 'near must be "longitude,latitude"' });
+      }
+      query.jurisdiction = { $geoIntersects: { $geometry: { type: 'Point', coordinates: point } } };
+    }
+
+    const stations = await Station.find(query)
+      .sort({ agency: 1, name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Station.countDocuments(query);
+
+    res.json({
+      stations,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get stations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the station the current user belongs to
+// @route   GET /api/stations/mine
+// @access  Private
+export const getMyStation = async (req, res) => {
+  try {
+    const station = await findStationOf(req.user.id);
+    if (!station) {
+      return res.status(404).json({ message: 'You are not a member of any station' });
+    }
+
+    res.json({
+      station: await populateStation(station._id),
+      supervisor: station.supervisors.some(id => id.toString() === req.user.id),
+    });
+  } catch (error) {
+    console.error('Get my station error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get station by ID
+// @route   GET /api/stations/:id
+// @access  Private (responders, admins)
+export const getStationById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Station not found' });
+    }
+
+    const station = await populateStation(req.params.id);
+    if (!station) {
+      return res.status(404).json({ message: 'Station not found' });
+    }
+
+    res.json(station);
+  } catch (error) {
+    console.error('Get station by ID error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a station
+// @route   POST /api/stations
+// @access  Private/Admin
+export const createStation = async (req, res) => {
+  try {
+    const { name, agency, organization, code, address, contactNumber, jurisdiction, members, supervisors } = req.body;
+
+    const parsedJurisdiction = parseJurisdiction(jurisdiction);
+    if (!parsedJurisdiction) {
+      return res.status(400).json({
+        message: 'jurisdiction must be a GeoJSON Polygon or MultiPolygon of closed [longitude, latitude] rings',
+      });
+    }
+
+    if (code && await Station.exists({ code })) {
+      return res.status(400).json({ message: 'A station with this code already exists' });
+    }
+
+    const station = new Station({
+      name,
+      agency,
+      organization,
+      code,
+      address,
+      contactNumber,
+      jurisdiction: parsedJurisdiction,
+    });
+    await setStationMembers(station, { members: members || [], supervisors: supervisors || [] });
+    await station.save();
+
+    await recordAudit({
+      req,
+      action: 'station.created',
+      targetType: 'Station',
+      target: station._id,
+      details: { name: station.name, agency: station.agency },
+    });
+
+    res.status(201).json({
+      message: 'Station created successfully',
+      station: await populateStation(station._id),
+    });
+  } catch (error) {
+    if (error instanceof StationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create station error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update station details, jurisdiction or active flag
+// @route   PUT /api/stations/:id
+// @access  Private/Admin
+export const updateStation = async (req, res) => {
+  try {
+    const station = mongoose.isValidObjectId(req.params.id) ? await Station.findById(req.params.id) : null;
+    if (!station) {
+      return res.status(404).json({ message: 'Station not found' });
+    }
+
+    const { name, organization, code, address, contactNumber, jurisdiction, active } = req.body;
+
+    if (jurisdiction !== undefined) {
+      const parsedJurisdiction = parseJurisdiction(jurisdiction);
+      if (!parsedJurisdiction) {
+        return res.status(400).json({
+          message: 'jurisdiction must be a GeoJSON Polygon or MultiPolygon of closed [longitude, latitude] rings',
+        });
+      }
+      station.jurisdiction = parsedJurisdiction;
+    }
+
+    if (code !== undefined && code !== station.code) {
+      if (code && await Station.exists({ code, _id: { $ne: station._id } })) {
+        return res.status(400).json({ message: 'A station with this code already exists' });
+      }
+      station.code = code || undefined;
+    }
+
+    if (name !== undefined) station.name = name;
+    if (organization !== undefined) station.organization = organization;
+    if (address !== undefined) station.address = address;
+    if (contactNumber !== undefined) station.contactNumber = contactNumber;
+    if (active !== undefined) station.active = Boolean(active);
+
+    await station.save();
+
+    await recordAudit({
+      req,
+      action: 'station.updated',
+      targetType: 'Station',
+      target: station._id,
+      details: { fields: Object.keys(req.body) },
+    });
+
+    res.json({
+      message: 'Station updated successfully',
+      station: await populateStation(station._id),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update station error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Replace a station's members and/or supervisors
+// @route   PUT /api/stations/:id/members
+// @access  Private/Admin
+export const updateStationMembers = async (req, res) => {
+  try {
+    const station = mongoose.isValidObjectId(req.params.id) ? await Station.findById(req.params.id) : null;
+    if (!station) {
+      return res.status(404).json({ message: 'Station not found' });
+    }
+
+    const { members, supervisors } = req.body;
+    if (members === undefined && supervisors === undefined) {
+      return res.status(400).json({ message: 'Send members and/or supervisors' });
+    }
+
+    await setStationMembers(station, { members, supervisors });
+    await station.save();
+
+    await recordAudit({
+      req,
+      action: 'station.members_changed',
+      targetType: 'Station',
+      target: station._id,
+      details: {
+        members: station.members.map(String),
+        supervisors: station.supervisors.map(String),
+      },
+    });
+
+    res.json({
+      message: 'Station members updated',
+      station: await populateStation(station._id),
+    });
+  } catch (error) {
+    if (error instanceof StationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Update station members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,316 @@
+import mongoose from 'mongoose';
+import Unit from '../models/Unit.js';
+import { SERVICE_TYPES } from '../services/alertStateMachine.js';
+import { recordAudit } from '../services/auditLog.js';
+import { toLngLat } from '../services/geo.js';
+import { hasPermission } from '../services/permissions.js';
+import {
+  UNIT_STATUSES,
+  UNIT_TYPES,
+  UnitError,
+  assertUnitSetup,
+  findNearestUnits,
+  isCrewMember,
+  moveUnit,
+  setUnitCrew,
+  setUnitStatus,
+} from '../services/units.js';
+
+const CREW_FIELDS = 'name contactNumber userType availability';
+
+const populateUnit = (id) => Unit.findById(id)
+  .populate('crew', CREW_FIELDS)
+  .populate('homeStation', 'name agency')
+  .populate('currentAlert', 'title type priority status location');
+
+// @desc    Get units (?agency=&type=&status=&station=&active=)
+// @route   GET /api/units
+// @access  Private (responders, admins)
+export const getUnits = async (req, res) => {
+  try {
+    const { agency, type, status, station, active, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (agency) query.agency = agency;
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (active !== undefined) query.active = active === 'true';
+    if (station) {
+      if (!mongoose.isValidObjectId(station)) {
+        return res.status(400).json({ message: 'Invalid station id' });
+      }
+      query.homeStation = station;
+    }
+
+    const units = await Unit.find(query)
+      .populate('crew', CREW_FIELDS)
+      .populate('homeStation', 'name agency')
+      .sort({ agency: 1, callSign: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Unit.countDocuments(query);
+
+    res.json({
+      units,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error('Get units error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Nearest available units to a point (?lng=&lat=&type=ambulance&agency=&limit=&maxDistanceKm=)
+// @route   GET /api/units/nearest
+// @access  Private (responders, admins)
+export const getNearestUnits = async (req, res) => {
+  try {
+    const { lng, lat, type, agency, limit = 5, maxDistanceKm = 50 } = req.query;
+
+    const coordinates = toLngLat({ lng, lat });
+    if (!coordinates) {
+      return res.status(400).json({ message: 'lng and lat are required' });
+    }
+    if (type && !UNIT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${UNIT_TYPES.join(', ')}` });
+    }
+    if (agency && !SERVICE_TYPES.includes(agency)) {
+      return res.status(400).json({ message: `agency must be one of: ${SERVICE_TYPES.join(', ')}` });
+    }
+
+    const units = await findNearestUnits({
+      coordinates,
+      type,
+      agency,
+      limit: Math.min(parseInt(limit, 10) || 5, 50),
+      maxDistanceKm: Number(maxDistanceKm) || 50,
+    });
+
+    res.json({
+      units: units.map(unit => ({ ...unit, distance: Math.round(unit.distance) })), // meters
+    });
+  } catch (error) {
+    console.error('Get nearest units error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the unit the current user is crewing
+// @route   GET /api/units/mine
+// @access  Private
+export const getMyUnit = async (req, res) => {
+  try {
+    const unit = await Unit.findOne({ crew: req.user.id, active: true }).select('_id');
+    if (!unit) {
+      return res.status(404).json({ message: 'You are not on the crew of any unit' });
+    }
+
+    res.json({ unit: await populateUnit(unit._id) });
+  } catch (error) {
+    console.error('Get my unit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get unit by ID
+// @route   GET /api/units/:id
+// @access  Private (responders, admins)
+export const getUnitById = async (req, res) => {
+  try {
+    const unit = mongoose.isValidObjectId(req.params.id) ? await populateUnit(req.params.id) : null;
+    if (!unit) {
+      return res.status(404).json({ message: 'Unit not found' });
+    }
+
+    res.json(unit);
+  } catch (error) {
+    console.error('Get unit by ID error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Register a unit
+// @route   POST /api/units
+// @access  Private/Admin
+export const createUnit = async (req, res) => {
+  try {
+    const { callSign, type, agency, capacity, plateNumber, homeStation, crew, notes } = req.body;
+
+    if (!UNIT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${UNIT_TYPES.join(', ')}` });
+    }
+    if (!SERVICE_TYPES.includes(agency)) {
+      return res.status(400).json({ message: `agency must be one of: ${SERVICE_TYPES.join(', ')}` });
+    }
+    await assertUnitSetup({ type, agency, homeStation });
+
+    if (callSign && await Unit.exists({ callSign: String(callSign).trim().toUpperCase() })) {
+      return res.status(400).json({ message: 'A unit with this call sign already exists' });
+    }
+
+    const unit = new Unit({ callSign, type, agency, capacity, plateNumber, homeStation, notes });
+    await setUnitCrew(unit, crew || []);
+    await unit.save();
+
+    await recordAudit({
+      req,
+      action: 'unit.created',
+      targetType: 'Unit',
+      target: unit._id,
+      details: { callSign: unit.callSign, type: unit.type, agency: unit.agency },
+    });
+
+    res.status(201).json({
+      message: 'Unit created successfully',
+      unit: await populateUnit(unit._id),
+    });
+  } catch (error) {
+    if (error instanceof UnitError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create unit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update unit details, crew, home station or active flag
+// @route   PUT /api/units/:id
+// @access  Private/Admin
+export const updateUnit = async (req, res) => {
+  try {
+    const unit = mongoose.isValidObjectId(req.params.id) ? await Unit.findById(req.params.id) : null;
+    if (!unit) {
+      return res.status(404).json({ message: 'Unit not found' });
+    }
+
+    const { callSign, type, capacity, plateNumber, homeStation, crew, notes, active } = req.body;
+
+    if (type !== undefined && !UNIT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${UNIT_TYPES.join(', ')}` });
+    }
+    if (type !== undefined || homeStation !== undefined) {
+      await assertUnitSetup({
+        type: type ?? unit.type,
+        agency: unit.agency,
+        homeStation: homeStation !== undefined ? homeStation : unit.homeStation,
+      });
+    }
+
+    if (callSign !== undefined) {
+      const normalized = String(callSign).trim().toUpperCase();
+      if (await Unit.exists({ callSign: normalized, _id: { $ne: unit._id } })) {
+        return res.status(400).json({ message: 'A unit with this call sign already exists' });
+      }
+      unit.callSign = normalized;
+    }
+    if (active === false && unit.currentAlert) {
+      return res.status(409).json({ message: 'The unit is dispatched to an alert', code: 'UNIT_DISPATCHED' });
+    }
+
+    if (type !== undefined) unit.type = type;
+    if (capacity !== undefined) unit.capacity = capacity;
+    if (plateNumber !== undefined) unit.plateNumber = plateNumber;
+    if (homeStation !== undefined) unit.homeStation = homeStation || undefined;
+    if (notes !== undefined) unit.notes = notes;
+    if (active !== undefined) unit.active = Boolean(active);
+    if (crew !== undefined) await setUnitCrew(unit, crew);
+
+    await unit.save();
+
+    await recordAudit({
+      req,
+      action: 'unit.updated',
+      targetType: 'Unit',
+      target: unit._id,
+      details: { fields: Object.keys(req.body), crew: crew !== undefined ? unit.crew.map(String) : undefined },
+    });
+
+    res.json({
+      message: 'Unit updated successfully',
+      unit: await populateUnit(unit._id),
+    });
+  } catch (error) {
+    if (error instanceof UnitError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update unit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Crews report on their own unit; admins on any
+const findReportableUnit = async (req, res) => {
+  const unit = mongoose.isValidObjectId(req.params.id) ? await Unit.findById(req.params.id) : null;
+  if (!unit || (!unit.active && !hasPermission(req.user, 'unit.manage'))) {
+    res.status(404).json({ message: 'Unit not found' });
+    return null;
+  }
+  if (!isCrewMember(unit, req.user.id) && !hasPermission(req.user, 'unit.manage')) {
+    res.status(403).json({ message: "Only the unit's crew can report on it" });
+    return null;
+  }
+  return unit;
+};
+
+// @desc    Report a unit's status (en_route, on_scene, transporting, returning, available, ...)
+// @route   PUT /api/units/:id/status
+// @access  Private (crew, admins)
+export const updateUnitStatus = async (req, res) => {
+  try {
+    const unit = await findReportableUnit(req, res);
+    if (!unit) return;
+
+    const { status } = req.body;
+    if (!UNIT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${UNIT_STATUSES.join(', ')}` });
+    }
+
+    await setUnitStatus(unit, status);
+
+    res.json({
+      message: 'Unit status updated',
+      unit: await populateUnit(unit._id),
+    });
+  } catch (error) {
+    if (error instanceof UnitError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Update unit status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Report a unit's position (vehicle trackers; crews' live locations move it too)
+// @route   PUT /api/units/:id/location
+// @access  Private (crew, admins)
+export const updateUnitLocation = async (req, res) => {
+  try {
+    const unit = await findReportableUnit(req, res);
+    if (!unit) return;
+
+    const coordinates = toLngLat(req.body.coordinates);
+    if (!coordinates) {
+      return res.status(400).json({ message: 'Please provide valid coordinates [longitude, latitude]' });
+    }
+
+    await moveUnit(unit, coordinates);
+
+    res.json({
+      message: 'Unit location updated',
+      location: { type: 'Point', coordinates },
+    });
+  } catch (error) {
+    console.error('Update unit location error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
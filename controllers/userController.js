@@ -1,6 +1,16 @@
-import User from '../models/User.js';
+import mongoose from 'mongoose';
+import User, { FAMILY_MEMBER_FIELDS, SEARCH_USER_FIELDS } from '../models/User.js';
 import Alert from '../models/Alert.js';
+import Station from '../models/Station.js';
 import bcrypt from 'bcryptjs';
+import { IN_PROGRESS_STATUSES, OPEN_STATUSES, SERVICE_TYPES } from '../services/alertStateMachine.js';
+import { disconnectUserSockets } from '../middleware/socketAuth.js';
+import { recordResponderPositions } from '../services/locationTracks.js';
+import { recordUnitPositions } from '../services/units.js';
+import { checkDangerZones } from '../services/dangerZones.js';
+import { clientInfo, createSession, revokeAllSessions } from '../services/authSessions.js';
+import { recordAudit } from '../services/auditLog.js';
+import { hasPermission, supervisedStationIds } from '../services/permissions.js';
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -86,7 +96,11 @@ export const changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every device, then start a fresh session for this one
+    await revokeAllSessions(user._id, 'password_changed');
+    const tokens = await createSession(user, clientInfo(req));
+
+    res.json({ message: 'Password changed successfully', ...tokens });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -113,6 +127,16 @@ export const updateLocation = async (req, res) => {
     user.lastActive = Date.now();
     await user.save();
 
+    // Responders on an alert also extend its trail, crews move their unit, and anyone
+    // entering a danger zone is warned
+    const positions = [{ userId: user._id, userType: user.userType, location: coordinates }];
+    recordResponderPositions(positions)
+      .catch(err => console.error('Location track error:', err));
+    recordUnitPositions(positions)
+      .catch(err => console.error('Unit location error:', err));
+    checkDangerZones(positions)
+      .catch(err => console.error('Danger zone check error:', err));
+
     res.json({
       message: 'Location updated successfully',
       location: user.location,
@@ -183,16 +207,35 @@ export const updateUserStatus = async (req, res) => {
       return res.status(400).json({ message: 'Invalid status value' });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).select('-password');
+    const user = await User.findById(req.params.id).select('-password');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Responder sign-ups are decided through the application review endpoints
+    if (['pending', 'rejected'].includes(user.status)) {
+      return res.status(409).json({ message: 'This account is a responder application; approve or reject it instead' });
+    }
+
+    const previousStatus = user.status;
+    user.status = status;
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.status_changed',
+      targetType: 'User',
+      target: user._id,
+      details: { from: previousStatus, to: status },
+    });
+
+    // Drop live connections and sessions of suspended/inactive users straight away
+    if (status !== 'active') {
+      disconnectUserSockets(user._id.toString());
+      await revokeAllSessions(user._id, 'account_inactive', { endSockets: false });
+    }
+
     res.json({
       message: 'User status updated successfully',
       user,
@@ -203,17 +246,96 @@ export const updateUserStatus = async (req, res) => {
   }
 };
 
+// Aggregation stage giving every alert a `services` array. Alerts created before
+// multi-agency support get a single entry built from their alert-level fields.
+const SERVICES_PROJECTION_STAGE = {
+  $project: {
+    createdAt: 1,
+    services: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$services', []] } }, 0] },
+        '$services',
+        [{
+          type: '$type',
+          status: { $cond: [{ $eq: ['$status', 'active'] }, 'pending', '$status'] },
+          responder: '$responder',
+          responseTime: '$responseTime',
+        }],
+      ],
+    },
+  },
+};
+
+// Statistics of the services routed to one station (GET /api/users/stats?station=<id>):
+// admins see any station, supervisors the stations they supervise
+const getStationStats = async (req, res) => {
+  const { station: stationId } = req.query;
+  if (!mongoose.isValidObjectId(stationId)) {
+    return res.status(400).json({ message: 'Invalid station id' });
+  }
+  if (!hasPermission(req.user, 'stats.view.any') &&
+      !(hasPermission(req.user, 'stats.view.station') &&
+        (await supervisedStationIds(req.user.id)).includes(stationId))) {
+    return res.status(403).json({ message: 'Not authorized to view statistics of this station' });
+  }
+
+  const station = await Station.findById(stationId).select('name agency members supervisors').lean();
+  if (!station) {
+    return res.status(404).json({ message: 'Station not found' });
+  }
+
+  const id = new mongoose.Types.ObjectId(stationId);
+  const [serviceStats] = await Alert.aggregate([
+    { $match: { 'services.station': id } },
+    { $unwind: '$services' },
+    { $match: { 'services.station': id } },
+    { $group: {
+      _id: null,
+      total: { $sum: 1 },
+      pending: { $sum: { $cond: [{ $eq: ['$services.status', 'pending'] }, 1, 0] } },
+      inProgress: { $sum: { $cond: [{ $in: ['$services.status', IN_PROGRESS_STATUSES] }, 1, 0] } },
+      resolved: { $sum: { $cond: [{ $eq: ['$services.status', 'resolved'] }, 1, 0] } },
+      avgResponseTime: { $avg: { $subtract: ['$services.responseTime', '$createdAt'] } },
+    }}
+  ]);
+
+  // Open services per member, to balance reassignments
+  const workload = await Alert.aggregate([
+    { $match: { 'services.station': id } },
+    { $unwind: '$services' },
+    { $match: { 'services.station': id, 'services.status': { $in: IN_PROGRESS_STATUSES } } },
+    { $group: { _id: '$services.responder', openServices: { $sum: 1 } } },
+    { $sort: { openServices: -1 } }
+  ]);
+
+  res.json({
+    station: { id: station._id, name: station.name, agency: station.agency },
+    members: station.members.length,
+    supervisors: station.supervisors.length,
+    totalAlerts: serviceStats?.total || 0,
+    pendingAlerts: serviceStats?.pending || 0,
+    activeAlerts: serviceStats?.inProgress || 0,
+    resolvedAlerts: serviceStats?.resolved || 0,
+    avgResponseTime: serviceStats?.avgResponseTime || 0,
+    workload: workload.map(w => ({ responder: w._id, openServices: w.openServices })),
+  });
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/users/stats
 // @access  Private
 export const getStats = async (req, res) => {
   try {
+    if (req.query.station) {
+      return await getStationStats(req, res);
+    }
+
     const stats = {};
 
-    if (req.user.userType === 'admin') {
+    if (hasPermission(req.user, 'stats.view.any')) {
       // Admin gets overall statistics
       stats.totalUsers = await User.countDocuments();
-      stats.activeAlerts = await Alert.countDocuments({ status: { $in: ['pending', 'active', 'responded'] } });
+      stats.activeAlerts = await Alert.countDocuments({ status: { $in: OPEN_STATUSES } });
       stats.resolvedAlerts = await Alert.countDocuments({ status: 'resolved' });
       stats.usersByType = await User.aggregate([
         { $group: { _id: '$userType', count: { $sum: 1 } } }
@@ -224,34 +346,62 @@ export const getStats = async (req, res) => {
       stats.alertsByStatus = await Alert.aggregate([
         { $group: { _id: '$status', count: { $sum: 1 } } }
       ]);
-    } else if (['police', 'hospital', 'fire'].includes(req.user.userType)) {
-      // Responders get their statistics
-      stats.assignedAlerts = await Alert.countDocuments({ 
-        responder: req.user.id,
-        status: { $in: ['responded', 'active'] }
-      });
-      stats.resolvedAlerts = await Alert.countDocuments({ 
-        responder: req.user.id,
-        status: 'resolved'
-      });
-      stats.pendingAlerts = await Alert.countDocuments({ 
-        type: req.user.userType,
-        status: 'pending'
-      });
-      
-      // Average response time
-      const responseStats = await Alert.aggregate([
-        { $match: { responder: req.user.id, responseTime: { $exists: true } } },
-        { $project: { 
-          responseTime: { $subtract: ['$responseTime', '$createdAt'] }
+      // Per-service breakdown: counts by status and average response time for each agency
+      stats.services = await Alert.aggregate([
+        SERVICES_PROJECTION_STAGE,
+        { $unwind: '$services' },
+        { $match: { 'services.type': { $in: SERVICE_TYPES } } },
+        { $group: {
+          _id: '$services.type',
+          total: { $sum: 1 },
+          pending: { $sum: { $cond: [{ $eq: ['$services.status', 'pending'] }, 1, 0] } },
+          inProgress: { $sum: { $cond: [{ $in: ['$services.status', IN_PROGRESS_STATUSES] }, 1, 0] } },
+          resolved: { $sum: { $cond: [{ $eq: ['$services.status', 'resolved'] }, 1, 0] } },
+          avgResponseTime: { $avg: { $subtract: ['$services.responseTime', '$createdAt'] } },
+        }},
+        { $sort: { _id: 1 } }
+      ]);
+    } else if (hasPermission(req.user, 'stats.view.service')) {
+      // Responders get their statistics, counted per service they were assigned to
+      const responderId = new mongoose.Types.ObjectId(req.user.id);
+      const [serviceStats] = await Alert.aggregate([
+        SERVICES_PROJECTION_STAGE,
+        { $unwind: '$services' },
+        { $match: {
+          $or: [
+            { 'services.responder': responderId },
+            { 'services.type': req.user.userType, 'services.status': 'pending' },
+          ]
         }},
-        { $group: { 
-          _id: null, 
-          avgResponseTime: { $avg: '$responseTime' }
+        { $group: {
+          _id: null,
+          assignedAlerts: { $sum: { $cond: [
+            { $and: [
+              { $eq: ['$services.responder', responderId] },
+              { $in: ['$services.status', IN_PROGRESS_STATUSES] },
+            ] }, 1, 0
+          ] } },
+          resolvedAlerts: { $sum: { $cond: [
+            { $and: [
+              { $eq: ['$services.responder', responderId] },
+              { $eq: ['$services.status', 'resolved'] },
+            ] }, 1, 0
+          ] } },
+          pendingAlerts: { $sum: { $cond: [{ $eq: ['$services.status', 'pending'] }, 1, 0] } },
+          // Average response time (only where this responder claimed the service)
+          // ($avg skips the nulls from services without a responseTime)
+          avgResponseTime: { $avg: { $cond: [
+            { $eq: ['$services.responder', responderId] },
+            { $subtract: ['$services.responseTime', '$createdAt'] },
+            null
+          ] } },
         }}
       ]);
-      
-      stats.avgResponseTime = responseStats[0]?.avgResponseTime || 0;
+
+      stats.assignedAlerts = serviceStats?.assignedAlerts || 0;
+      stats.resolvedAlerts = serviceStats?.resolvedAlerts || 0;
+      stats.pendingAlerts = serviceStats?.pendingAlerts || 0;
+      stats.avgResponseTime = serviceStats?.avgResponseTime || 0;
     } else {
       // Citizens/Family get their statistics
       const userId = req.user.id;
@@ -260,7 +410,7 @@ export const getStats = async (req, res) => {
       stats.myAlerts = await Alert.countDocuments({ reporter: userId });
       stats.activeAlerts = await Alert.countDocuments({ 
         reporter: userId,
-        status: { $in: ['pending', 'active', 'responded'] }
+        status: { $in: OPEN_STATUSES }
       });
       stats.resolvedAlerts = await Alert.countDocuments({ 
         reporter: userId,
@@ -277,6 +427,8 @@ export const getStats = async (req, res) => {
   }
 };
 
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // @desc    Search users by name or email (for adding family members)
 // @route   GET /api/users/search
 // @access  Private
@@ -285,11 +437,12 @@ export const searchUsers = async (req, res) => {
     const q = (req.query.q || '').trim();
     if (!q) return res.json({ users: [] });
 
-    const regex = new RegExp(q, 'i');
+    // Match the text literally: user input is never a pattern
+    const regex = new RegExp(escapeRegExp(q), 'i');
     const users = await User.find({
       $or: [ { name: regex }, { email: regex } ]
     })
-    .select('-password')
+    .select(SEARCH_USER_FIELDS)
     .limit(30);
 
     // exclude self
@@ -306,7 +459,7 @@ export const searchUsers = async (req, res) => {
 // @access  Private
 export const getFamilyMembers = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate('familyMembers', '-password');
+    const user = await User.findById(req.user.id).populate('familyMembers', FAMILY_MEMBER_FIELDS);
     if (!user) return res.status(404).json({ message: 'User not found' });
     res.json({ family: user.familyMembers || [] });
   } catch (error) {
@@ -328,7 +481,7 @@ export const updateFamilyMember = async (req, res) => {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    const member = await User.findById(memberId).select('-password');
+    const member = await User.findById(memberId).select(FAMILY_MEMBER_FIELDS);
     if (!member) return res.status(404).json({ message: 'Member not found' });
 
     if (action === 'add') {
@@ -343,7 +496,7 @@ export const updateFamilyMember = async (req, res) => {
 
     await user.save();
 
-    const updated = await User.findById(req.user.id).populate('familyMembers', '-password');
+    const updated = await User.findById(req.user.id).populate('familyMembers', FAMILY_MEMBER_FIELDS);
     res.json({ message: 'Family updated', family: updated.familyMembers || [] });
   } catch (error) {
     console.error('Update family member error:', error);
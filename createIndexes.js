@@ -2,6 +2,22 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import User from './models/User.js';
 import Alert from './models/Alert.js';
+import Device from './models/Device.js';
+import DeviceNonce from './models/DeviceNonce.js';
+import AlertMessage from './models/AlertMessage.js';
+import RealtimeEvent from './models/RealtimeEvent.js';
+import Presence from './models/Presence.js';
+import LocationTrack from './models/LocationTrack.js';
+import AuthSession from './models/AuthSession.js';
+import AccountToken from './models/AccountToken.js';
+import AuditLog from './models/AuditLog.js';
+import RateLimitBucket from './models/RateLimitBucket.js';
+import Lockout from './models/Lockout.js';
+import Station from './models/Station.js';
+import Shift from './models/Shift.js';
+import Unit from './models/Unit.js';
+import DangerZone from './models/DangerZone.js';
+import ZoneWarning from './models/ZoneWarning.js';
 
 dotenv.config();
 
@@ -24,6 +40,80 @@ const createIndexes = async () => {
     const alertIndexes = await Alert.collection.getIndexes();
     console.log('Alert indexes:', Object.keys(alertIndexes));
 
+    // Create indexes for IoT device models
+    console.log('\nCreating indexes for Device models...');
+    await Device.createIndexes();
+    await DeviceNonce.createIndexes();
+    console.log('Device indexes:', Object.keys(await Device.collection.getIndexes()));
+    console.log('DeviceNonce indexes:', Object.keys(await DeviceNonce.collection.getIndexes()));
+
+    // Create indexes for alert chat messages
+    console.log('\nCreating indexes for AlertMessage model...');
+    await AlertMessage.createIndexes();
+    console.log('AlertMessage indexes:', Object.keys(await AlertMessage.collection.getIndexes()));
+
+    // Create indexes for the real-time replay log
+    console.log('\nCreating indexes for RealtimeEvent model...');
+    await RealtimeEvent.createIndexes();
+    console.log('RealtimeEvent indexes:', Object.keys(await RealtimeEvent.collection.getIndexes()));
+
+    // Create indexes for shared presence (REALTIME_ADAPTER=mongo)
+    console.log('\nCreating indexes for Presence model...');
+    await Presence.createIndexes();
+    console.log('Presence indexes:', Object.keys(await Presence.collection.getIndexes()));
+
+    // Create indexes for responder location trails
+    console.log('\nCreating indexes for LocationTrack model...');
+    await LocationTrack.createIndexes();
+    console.log('LocationTrack indexes:', Object.keys(await LocationTrack.collection.getIndexes()));
+
+    // Create indexes for sign-in sessions (refresh tokens)
+    console.log('\nCreating indexes for AuthSession model...');
+    await AuthSession.createIndexes();
+    console.log('AuthSession indexes:', Object.keys(await AuthSession.collection.getIndexes()));
+
+    // Create indexes for email verification / password reset tokens
+    console.log('\nCreating indexes for AccountToken model...');
+    await AccountToken.createIndexes();
+    console.log('AccountToken indexes:', Object.keys(await AccountToken.collection.getIndexes()));
+
+    // Create indexes for the audit log
+    console.log('\nCreating indexes for AuditLog model...');
+    await AuditLog.createIndexes();
+    console.log('AuditLog indexes:', Object.keys(await AuditLog.collection.getIndexes()));
+
+    // Create indexes for rate limits and sign-in lockouts (RATE_LIMIT_STORE=mongo)
+    console.log('\nCreating indexes for RateLimitBucket and Lockout models...');
+    await RateLimitBucket.createIndexes();
+    await Lockout.createIndexes();
+    console.log('RateLimitBucket indexes:', Object.keys(await RateLimitBucket.collection.getIndexes()));
+    console.log('Lockout indexes:', Object.keys(await Lockout.collection.getIndexes()));
+
+    // Create indexes for stations (jurisdiction lookups, membership)
+    console.log('\nCreating indexes for Station model...');
+    await Station.createIndexes();
+    console.log('Station indexes:', Object.keys(await Station.collection.getIndexes()));
+
+    // Create indexes for station shifts
+    console.log('\nCreating indexes for Shift model...');
+    await Shift.createIndexes();
+    console.log('Shift indexes:', Object.keys(await Shift.collection.getIndexes()));
+
+    // Create indexes for units (nearest available unit, crew lookups)
+    console.log('\nCreating indexes for Unit model...');
+    await Unit.createIndexes();
+    console.log('Unit indexes:', Object.keys(await Unit.collection.getIndexes()));
+
+    // Create indexes for danger zones (map overlays, active zones)
+    console.log('\nCreating indexes for DangerZone model...');
+    await DangerZone.createIndexes();
+    console.log('DangerZone indexes:', Object.keys(await DangerZone.collection.getIndexes()));
+
+    // Create indexes for danger zone warning state (one entry per user and zone, TTL)
+    console.log('\nCreating indexes for ZoneWarning model...');
+    await ZoneWarning.createIndexes();
+    console.log('ZoneWarning indexes:', Object.keys(await ZoneWarning.collection.getIndexes()));
+
     console.log('\n✅ All indexes created successfully!');
     mongoose.connection.close();
   } catch (error) {
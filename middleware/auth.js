@@ -1,5 +1,39 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../services/authSessions.js';
+import { isRestrictedByVerification } from '../services/accountTokens.js';
+import { hasPermission } from '../services/permissions.js';
+
+const revokedError = () => {
+  const error = new Error('Session revoked');
+  error.name = 'TokenRevokedError';
+  return error;
+};
+
+// Verify an access token and load its user. Throws on a bad, expired or revoked token
+// (its session was signed out, or the user signed out everywhere after it was issued);
+// `user` is null when the account no longer exists.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select('-password');
+
+  // Same-second tokens survive, so a session started right after the revocation works
+  if (user?.sessionsRevokedAt && decoded.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000)) {
+    throw revokedError();
+  }
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) throw revokedError();
+
+  return { decoded, user };
+};
+
+const toRequestUser = (user, decoded) => ({
+  id: user._id.toString(),
+  userType: user.userType,
+  email: user.email,
+  name: user.name,
+  isVerified: user.isVerified,
+  sessionId: decoded.sid
+});
 
 // Authenticate user
 export const authenticate = async (req, res, next) => {
@@ -10,9 +44,7 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const user = await User.findById(decoded.id).select('-password');
+    const { decoded, user } = await resolveAccessToken(token);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -22,38 +54,64 @@ export const authenticate = async (req, res, next) => {
       return res.status(403).json({ message: 'Account is suspended or inactive' });
     }
 
-    req.user = {
-      id: user._id.toString(),
-      userType: user.userType,
-      email: user.email,
-      name: user.name
-    };
+    req.user = toRequestUser(user, decoded);
 
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
-    // Handle expired JWT specifically so clients can respond accordingly
+    // Handle expired and revoked JWTs specifically so clients can respond accordingly
     if (error && error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired', expiredAt: error.expiredAt });
+      return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED', expiredAt: error.expiredAt });
+    }
+    if (error && error.name === 'TokenRevokedError') {
+      return res.status(401).json({ message: 'Session revoked', code: 'SESSION_REVOKED' });
     }
+    console.error('Authentication error:', error);
     return res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-// Authorize admin
-export const authorizeAdmin = (req, res, next) => {
-  if (req.user.userType !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
+// Resolve a JWT to the same shape as req.user, for callers without a request (Socket.IO).
+// Throws if the token is invalid, expired or revoked; returns null for unknown or inactive users.
+export const getUserFromToken = async (token) => {
+  const { decoded, user } = await resolveAccessToken(token);
+  if (!user || user.status !== 'active') return null;
+
+  return toRequestUser(user, decoded);
+};
+
+// Set req.user when a valid token is sent; anonymous requests continue without it
+export const optionalAuthenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    const user = await getUserFromToken(token);
+    if (user) req.user = user;
+  } catch (error) {
+    // An invalid or expired token is treated like no token
+  }
+  next();
+};
+
+// Block unverified accounts from `restriction` when UNVERIFIED_RESTRICTIONS lists it
+export const requireVerified = (restriction) => (req, res, next) => {
+  if (isRestrictedByVerification(req.user, restriction)) {
+    return res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
   }
   next();
 };
 
-// Authorize specific user types
-export const authorizeRoles = (...roles) => {
+// Authorize by permission (services/permissions.js). Permissions that depend on the
+// resource (`alert.delete.own`) are checked in the controller with `can`.
+export const authorize = (permission) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.userType)) {
-      return res.status(403).json({ 
-        message: `Access denied. Required roles: ${roles.join(', ')}` 
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        message: 'Access denied. Missing permission: ' + permission,
+        permission
       });
     }
     next();
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import Device from '../models/Device.js';
+import DeviceNonce from '../models/DeviceNonce.js';
+
+// How far a device clock may drift from the server, in seconds
+const getMaxSkewSeconds = () => parseInt(process.env.IOT_SIGNATURE_MAX_SKEW_SEC, 10) || 300;
+
+// Signature = hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`))
+export const signDeviceRequest = (secret, timestamp, nonce, rawBody = '') =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest('hex');
+
+const safeEqualHex = (a, b) => {
+  const bufA = Buffer.from(a || '', 'hex');
+  const bufB = Buffer.from(b || '', 'hex');
+  return bufA.length > 0 && bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Authenticate an IoT device using signed request headers:
+//   X-Device-Id   registered device ID
+//   X-Timestamp   unix time in seconds
+//   X-Nonce       random value, never reused by the same device
+//   X-Signature   see signDeviceRequest
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    const deviceId = req.get('X-Device-Id');
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature');
+
+    if (!deviceId || !timestamp || !nonce || !signature) {
+      return res.status(401).json({
+        message: 'Device headers required: X-Device-Id, X-Timestamp, X-Nonce, X-Signature',
+      });
+    }
+
+    const maxSkew = getMaxSkewSeconds();
+    const ts = parseInt(timestamp, 10);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > maxSkew) {
+      return res.status(401).json({ message: 'Request timestamp outside allowed window' });
+    }
+
+    const device = await Device.findOne({ deviceId }).select('+secret');
+    if (!device) {
+      return res.status(401).json({ message: 'Unknown device' });
+    }
+
+    if (device.status !== 'active') {
+      return res.status(403).json({ message: 'Device has been revoked' });
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = signDeviceRequest(device.secret, timestamp, nonce, rawBody);
+    if (!safeEqualHex(signature, expected)) {
+      return res.status(401).json({ message: 'Invalid device signature' });
+    }
+
+    // Record the nonce; the unique index rejects a second use inside the window
+    try {
+      await DeviceNonce.create({
+        device: device._id,
+        nonce,
+        expiresAt: new Date((ts + maxSkew) * 1000),
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(401).json({ message: 'Replayed request' });
+      }
+      throw err;
+    }
+
+    device.lastSeenAt = new Date();
+    await device.save();
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
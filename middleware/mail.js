@@ -0,0 +1,13 @@
+import { isMailDeliverable } from '../services/mail/index.js';
+
+// Routes that exist only to send an email (resend verification, forgot password) answer
+// 503 while mail cannot be delivered, instead of claiming a link was sent
+export const requireMail = (req, res, next) => {
+  if (!isMailDeliverable()) {
+    return res.status(503).json({
+      message: 'Email delivery is not available right now. Please try again later.',
+      code: 'MAIL_UNAVAILABLE'
+    });
+  }
+  next();
+};
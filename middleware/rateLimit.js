@@ -0,0 +1,51 @@
+import { consumeRateLimit, getRateLimitConfig } from '../services/rateLimit/index.js';
+
+// Who a request counts against, per bucket type
+const IDENTITIES = {
+  ip: (req) => req.ip,
+  account: (req) => req.user?.id || (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  device: (req) => req.device?.deviceId,
+};
+
+// Apply the rate-limit policy `policyName` (services/rateLimit). `by` limits it to some
+// bucket types, for routes where an identity is only known after authentication, e.g.
+//   router.post('/iot', rateLimit('iotAlert', { by: ['ip'] }), authenticateDevice,
+//     rateLimit('iotAlert', { by: ['device'] }), createIoTAlert);
+// Over the limit the request gets 429 with Retry-After; RateLimit-* headers describe the
+// bucket closest to its limit.
+export const rateLimit = (policyName, { by } = {}) => async (req, res, next) => {
+  const { enabled, policies } = getRateLimitConfig();
+  const policy = policies[policyName];
+  if (!enabled || !policy) return next();
+
+  try {
+    const identities = {};
+    for (const type of by || Object.keys(IDENTITIES)) {
+      identities[type] = IDENTITIES[type](req);
+    }
+
+    const state = await consumeRateLimit(policyName, policy, identities);
+    if (!state) return next();
+
+    const resetSec = Math.max(Math.ceil((state.resetAt.getTime() - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Limit': String(state.limit),
+      'RateLimit-Remaining': String(state.remaining),
+      'RateLimit-Reset': String(resetSec),
+    });
+
+    if (state.limited) {
+      res.set('Retry-After', String(resetSec));
+      return res.status(429).json({
+        message: 'Too many requests, please try again later',
+        code: 'RATE_LIMITED',
+        retryAfter: resetSec,
+      });
+    }
+    next();
+  } catch (error) {
+    // A broken store must not take sign-in or alerting down with it
+    console.error(`Rate limit error (${policyName}):`, error);
+    next();
+  }
+};
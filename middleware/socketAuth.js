@@ -0,0 +1,142 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getUserFromToken } from './auth.js';
+import { getRealtime, publish, rooms } from '../services/realtime/index.js';
+
+// Socket.IO authentication. Clients connect with the same JWT used for the REST API:
+//   io(url, { auth: { token } })   (or an `Authorization: Bearer <token>` header)
+// The verified user is stored on `socket.data.user`; client-sent ids are never trusted.
+// Every socket joins its own user room, its role room and the room of its sign-in session
+// (so signing out that session disconnects it). A socket is disconnected when its
+// token expires (unless it re-authenticates first) or when its account stops being active.
+
+// setTimeout cannot wait longer than this; longer-lived tokens rely on the periodic check
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const socketError = (message, code) => {
+  const err = new Error(message);
+  err.data = { code };
+  return err;
+};
+
+const getHandshakeToken = (handshake) =>
+  handshake.auth?.token || handshake.headers?.authorization?.split(' ')[1];
+
+// Verify `token` and work out when it expires; throws a socket error on failure
+const verifySocketToken = async (token) => {
+  if (!token) throw socketError('No token provided', 'NO_TOKEN');
+
+  let user;
+  try {
+    user = await getUserFromToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw socketError('Token expired', 'TOKEN_EXPIRED');
+    if (error.name === 'TokenRevokedError') throw socketError('Session revoked', 'SESSION_REVOKED');
+    throw socketError('Invalid token', 'INVALID_TOKEN');
+  }
+  if (!user) throw socketError('Account is suspended or inactive', 'ACCOUNT_INACTIVE');
+
+  const { exp } = jwt.decode(token) || {};
+  return { user, expiresAt: exp ? exp * 1000 : null };
+};
+
+// Every socket is in a Socket.IO room named after its id, so this reaches just that socket
+const endSession = (socket, reason, code) => {
+  publish('session.ended', { reason, code }, { to: socket.id });
+  socket.disconnect(true);
+};
+
+const scheduleExpiry = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  const { tokenExpiresAt } = socket.data;
+  if (!tokenExpiresAt) return;
+
+  const delay = tokenExpiresAt - Date.now();
+  if (delay > MAX_TIMER_MS) return;
+  socket.data.expiryTimer = setTimeout(() => endSession(socket, 'Token expired', 'TOKEN_EXPIRED'), Math.max(delay, 0));
+};
+
+// io.use() middleware: reject handshakes without a valid token for an active account
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const { user, expiresAt } = await verifySocketToken(getHandshakeToken(socket.handshake));
+    socket.data.user = user;
+    socket.data.tokenExpiresAt = expiresAt;
+    next();
+  } catch (error) {
+    if (!error.data) console.error('Socket authentication error:', error);
+    next(error.data ? error : socketError('Authentication failed', 'AUTH_FAILED'));
+  }
+};
+
+// Per-connection setup: user and role rooms, expiry timer, and `reauthenticate` so clients
+// can swap in a fresh token before the old one runs out. Call from io.on('connection').
+export const attachSocketSession = (socket) => {
+  const { user } = socket.data;
+  socket.join([rooms.user(user.id), rooms.role(user.userType)]);
+  if (user.sessionId) socket.join(rooms.session(user.sessionId));
+  scheduleExpiry(socket);
+
+  socket.on('reauthenticate', async (token, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const verified = await verifySocketToken(token);
+      if (verified.user.id !== user.id) {
+        return reply({ ok: false, message: 'Token belongs to another user' });
+      }
+      const previousSession = socket.data.user.sessionId;
+      if (previousSession && previousSession !== verified.user.sessionId) socket.leave(rooms.session(previousSession));
+      if (verified.user.sessionId) socket.join(rooms.session(verified.user.sessionId));
+      socket.data.user = verified.user;
+      socket.data.tokenExpiresAt = verified.expiresAt;
+      scheduleExpiry(socket);
+      reply({ ok: true, expiresAt: verified.expiresAt });
+    } catch (error) {
+      reply({ ok: false, message: error.data ? error.message : 'Authentication failed' });
+    }
+  });
+
+  socket.on('disconnect', () => clearTimeout(socket.data.expiryTimer));
+};
+
+// Disconnect every socket of a user on every instance (e.g. right after an admin suspends the account)
+export const disconnectUserSockets = (userId, reason = 'Account is suspended or inactive') => {
+  publish('session.ended', { reason, code: 'ACCOUNT_INACTIVE' }, { to: rooms.user(userId) });
+  getRealtime().disconnect(rooms.user(userId));
+};
+
+// Periodically re-check connected sockets: expired tokens the timer could not cover, and
+// accounts deactivated outside updateUserStatus. Interval from SOCKET_SESSION_CHECK_SEC.
+// Returns a function that stops the check.
+export const startSocketSessionMonitor = (io) => {
+  const intervalMs = (parseInt(process.env.SOCKET_SESSION_CHECK_SEC, 10) || 300) * 1000;
+
+  const check = async () => {
+    const sockets = await io.fetchSockets();
+    const now = Date.now();
+    const live = [];
+    for (const socket of sockets) {
+      if (socket.data.tokenExpiresAt && socket.data.tokenExpiresAt <= now) {
+        endSession(socket, 'Token expired', 'TOKEN_EXPIRED');
+      } else if (socket.data.user) {
+        live.push(socket);
+      }
+    }
+    if (!live.length) return;
+
+    const inactive = await User.find({
+      _id: { $in: [...new Set(live.map(s => s.data.user.id))] },
+      status: { $ne: 'active' },
+    }).select('_id').lean();
+    const inactiveIds = new Set(inactive.map(u => u._id.toString()));
+    live
+      .filter(s => inactiveIds.has(s.data.user.id))
+      .forEach(s => endSession(s, 'Account is suspended or inactive', 'ACCOUNT_INACTIVE'));
+  };
+
+  const timer = setInterval(() => {
+    check().catch(err => console.error('Socket session check error:', err));
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
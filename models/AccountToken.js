@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Single-use links sent by email (services/accountTokens.js). Only the hash of the token
+// is stored; a token is spent by setting `usedAt`, and the TTL index removes it once it
+// expires.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true
+  },
+  // SHA-256 of the token in the link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ALERT_STATUSES, OFFER_STATUSES, SERVICE_STATUSES, SERVICE_TYPES } from '../services/alertStateMachine.js';
 
 const alertSchema = new mongoose.Schema({
   title: {
@@ -18,7 +19,7 @@ const alertSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'active', 'responded', 'resolved', 'cancelled'],
+    enum: ALERT_STATUSES,
     default: 'pending'
   },
   priority: {
@@ -31,6 +32,20 @@ const alertSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Structured address from reverse geocoding (services/geocoding)
+    barangay: {
+      type: String,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    province: {
+      type: String,
+      trim: true
+    },
+    geocodeSource: String,
     coordinates: {
       type: {
         type: String,
@@ -52,10 +67,84 @@ const alertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
+  // Agencies this alert needs, each with its own assignment and progress.
+  // `type` above is the primary service; the alert resolves once every service is closed.
+  services: [{
+    type: {
+      type: String,
+      enum: SERVICE_TYPES,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: SERVICE_STATUSES,
+      default: 'pending'
+    },
+    responder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Station whose jurisdiction contains the alert (services/stations.js)
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Station'
+    },
+    // Vehicles dispatched for this service (services/units.js); kept after they leave
+    units: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit'
+    }],
+    responseTime: Date,
+    resolvedTime: Date,
+    notes: {
+      type: String,
+      trim: true
+    }
+  }],
+  // Responders who have been notified about this alert by dispatch
+  dispatchedTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   assignedTo: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Dispatch offers made to individual responders (services/dispatchOffers.js).
+  // Entries are never removed, so this doubles as the after-action history.
+  offers: [{
+    service: {
+      type: String,
+      enum: SERVICE_TYPES,
+      required: true
+    },
+    responder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: OFFER_STATUSES,
+      default: 'offered'
+    },
+    distance: Number, // meters from the alert when offered
+    offeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date,
+    respondedAt: Date,
+    releasedAt: Date,
+    reason: {
+      type: String,
+      trim: true
+    }
+  }],
   notes: {
     type: String,
     trim: true
@@ -63,6 +152,15 @@ const alertSchema = new mongoose.Schema({
   images: [{
     type: String // URLs to images
   }],
+  // Progress through the escalation policy (services/escalation.js).
+  // No defaults on purpose: a missing level means the alert has not been evaluated yet.
+  escalation: {
+    // Policy key the run follows, pinned at the first evaluation
+    policy: String,
+    level: Number,
+    nextAt: Date,
+    lastEscalatedAt: Date
+  },
   responseTime: {
     type: Date
   },
@@ -79,7 +177,10 @@ const alertSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    notes: String
+    notes: String,
+    service: String,
+    fromStatus: String,
+    toStatus: String
   }],
   createdAt: {
     type: Date,
@@ -93,6 +194,12 @@ const alertSchema = new mongoose.Schema({
 
 // Create geospatial index for location-based queries
 alertSchema.index({ 'location.coordinates': '2dsphere' });
+alertSchema.index({ status: 1, 'escalation.nextAt': 1 });
+alertSchema.index({ 'services.type': 1, 'services.status': 1 });
+alertSchema.index({ 'services.responder': 1 });
+alertSchema.index({ 'services.station': 1, createdAt: -1 });
+alertSchema.index({ 'offers.status': 1, 'offers.expiresAt': 1 });
+alertSchema.index({ 'offers.responder': 1, 'offers.status': 1 });
 
 // Update the updatedAt timestamp before saving
 alertSchema.pre('save', function(next) {
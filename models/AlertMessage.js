@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One message in an alert's chat thread (reporter, assigned responders, family, admins)
+const alertMessageSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  // Read receipts; the sender is never listed here
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+alertMessageSchema.index({ alert: 1, createdAt: -1 });
+
+const AlertMessage = mongoose.model('AlertMessage', alertMessageSchema);
+
+export default AlertMessage;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Record of an administrative decision (services/auditLog.js). Entries are never updated.
+const auditLogSchema = new mongoose.Schema({
+  // Who acted; empty for decisions the server made by itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // e.g. responder_application.approved
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  target: mongoose.Schema.Types.ObjectId,
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A signed-in device (services/authSessions.js). Holds the hash of the current refresh
+// token only; presenting an older one of the same session means it was stolen, and the
+// whole session is revoked. Sessions are removed by the TTL index once they expire.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Number of times the refresh token was rotated
+  generation: {
+    type: Number,
+    default: 0
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'token_reuse', 'account_inactive']
+  }
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// An area the public is warned about ("fire on Panganiban Drive, avoid") until it
+// expires or is lifted. Warnings and shape rules are in services/dangerZones.js.
+const dangerZoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high'
+  },
+  // What was drawn: a circle (center + radius) or a polygon
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    required: true
+  },
+  center: {
+    type: [Number], // [longitude, latitude], circles only
+    default: undefined
+  },
+  radius: {
+    type: Number, // meters, circles only
+    min: 1
+  },
+  // Area tested against user locations; circles are stored as a polygon approximating them
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  // Alert the zone was drawn for, if any
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dangerZoneSchema.index({ geometry: '2dsphere' });
+dangerZoneSchema.index({ liftedAt: 1, expiresAt: 1 });
+dangerZoneSchema.index({ alert: 1 });
+
+dangerZoneSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const DangerZone = mongoose.model('DangerZone', dangerZoneSchema);
+
+export default DangerZone;
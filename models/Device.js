@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Shared HMAC key; only returned to the admin when registering or rotating
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Device owner is required']
+  },
+  defaultAlertType: {
+    type: String,
+    enum: ['police', 'hospital', 'fire', 'family'],
+    default: 'police'
+  },
+  homeLocation: {
+    address: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      }
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  secretRotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  // Latest values reported through POST /api/devices/heartbeat
+  health: {
+    batteryLevel: {
+      type: Number, // percent
+      min: 0,
+      max: 100
+    },
+    signalStrength: {
+      type: Number // RSSI in dBm
+    },
+    firmwareVersion: {
+      type: String,
+      trim: true
+    },
+    lastHeartbeatAt: {
+      type: Date
+    }
+  },
+  connectivity: {
+    type: String,
+    enum: ['unknown', 'online', 'offline'],
+    default: 'unknown'
+  },
+  offlineSince: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deviceSchema.index({ owner: 1 });
+deviceSchema.index({ status: 1, connectivity: 1, 'health.lastHeartbeatAt': 1 });
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Nonces already used by a device. Kept just long enough to cover the
+// accepted timestamp window, after which the timestamp check rejects replays.
+const deviceNonceSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+deviceNonceSchema.index({ device: 1, nonce: 1 }, { unique: true });
+deviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DeviceNonce = mongoose.model('DeviceNonce', deviceNonceSchema);
+
+export default DeviceNonce;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Breadcrumb trail of a responder while assigned to an alert (services/locationTracks.js).
+// One document per recorded point; old points are removed by the TTL index on `expiresAt`.
+const locationTrackSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  responder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Service the responder holds on the alert (police, hospital, fire)
+  service: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+locationTrackSchema.index({ alert: 1, responder: 1, recordedAt: 1 });
+locationTrackSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LocationTrack = mongoose.model('LocationTrack', locationTrackSchema);
+
+export default LocationTrack;
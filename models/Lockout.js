@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Failed sign-in attempts of one account or IP and the lock they earned
+// (services/rateLimit). `_id` is the key, e.g. `account:jane@example.com` or `ip:1.2.3.4`.
+// Removed by the TTL index once the failures are old enough to be forgotten.
+const lockoutSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+lockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+lockoutSchema.index({ lockedUntil: -1 });
+
+const Lockout = mongoose.model('Lockout', lockoutSchema);
+
+export default Lockout;
@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['alert', 'response', 'system', 'update', 'alert_responded', 'alert_resolved'],
+    enum: ['alert', 'response', 'system', 'update', 'alert_responded', 'alert_resolved', 'family_alert', 'device_offline', 'device_online', 'alert_escalated', 'alert_offer', 'alert_message', 'account', 'danger_zone'],
     required: true
   },
   title: {
@@ -25,6 +25,10 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Alert'
   },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DangerZone'
+  },
   read: {
     type: Boolean,
     default: false
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Online sessions shared by all server instances (services/realtime/adapters/mongo.js).
+// One document per connected socket (`_id` is the socket id); a user is online while any
+// of theirs exists. The owning instance keeps pushing `expiresAt` forward while the socket
+// is connected, so sessions of a crashed instance are removed by the TTL index.
+const presenceSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  userType: String,
+  name: String,
+  // Device the session runs on, as reported by the client
+  label: String,
+  platform: String,
+  location: mongoose.Schema.Types.Mixed,
+  connectedAt: Date,
+  lastUpdate: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+presenceSchema.index({ userId: 1 });
+presenceSchema.index({ instanceId: 1 });
+
+const Presence = mongoose.model('Presence', presenceSchema);
+
+export default Presence;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Request count of one rate-limit bucket in its current window
+// (services/rateLimit/stores/mongo.js). `_id` is the bucket key, e.g. `login:ip:1.2.3.4`.
+const rateLimitBucketSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+export default RateLimitBucket;
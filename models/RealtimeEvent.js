@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Log of published real-time events, kept so reconnecting clients can replay what
+// they missed (services/realtime/eventLog.js). One document per event; `rooms` holds
+// the per-room sequence number it was given in every room it was sent to.
+const realtimeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  rooms: [{
+    _id: false,
+    room: String,
+    seq: Number
+  }],
+  // The envelope exactly as it was sent
+  envelope: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Rooms the event skipped when sent; replay skips them too
+  except: {
+    type: [String],
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+realtimeEventSchema.index({ 'rooms.room': 1, 'rooms.seq': 1 });
+realtimeEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+
+export default RealtimeEvent;
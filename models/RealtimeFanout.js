@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Capped collection carrying real-time fan-out between server instances: each instance
+// inserts what it emits and tails the collection for everyone else's messages
+// (services/realtime/adapters/mongo.js). Old messages fall off once the cap is reached.
+const realtimeFanoutSchema = new mongoose.Schema({
+  origin: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 20000 }
+});
+
+const RealtimeFanout = mongoose.model('RealtimeFanout', realtimeFanoutSchema);
+
+export default RealtimeFanout;
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Last sequence number handed out per real-time room (`_id` is the room name)
+const realtimeSequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+const RealtimeSequence = mongoose.model('RealtimeSequence', realtimeSequenceSchema);
+
+export default RealtimeSequence;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A scheduled duty period of one station member. Responders on a roster are only
+// available for dispatch during their shifts (services/availability.js).
+const shiftSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Responder is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Shift start is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Shift end is required']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set by the shift sweeper once it has applied the start / end to the responder
+  startedAt: Date,
+  endedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shiftSchema.index({ user: 1, startsAt: 1, endsAt: 1 });
+shiftSchema.index({ station: 1, startsAt: 1 });
+shiftSchema.index({ startsAt: 1, startedAt: 1 });
+shiftSchema.index({ endsAt: 1, endedAt: 1 });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+export default Shift;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// A police station, hospital or fire station. New alerts needing its agency are routed
+// to the station whose jurisdiction contains the alert (services/stations.js).
+const stationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true
+  },
+  agency: {
+    type: String,
+    enum: ['police', 'hospital', 'fire'],
+    required: [true, 'Agency is required']
+  },
+  // Parent organization, e.g. "PNP Naga City Police Office"
+  organization: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  contactNumber: {
+    type: String,
+    trim: true
+  },
+  // GeoJSON area the station covers; coordinates are rings of [longitude, latitude]
+  jurisdiction: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: Array,
+      required: [true, 'Jurisdiction coordinates are required']
+    }
+  },
+  // Responders of the station's agency; a responder belongs to at most one station
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Members who see and reassign every alert routed to the station
+  supervisors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stationSchema.index({ jurisdiction: '2dsphere' });
+stationSchema.index({ agency: 1, active: 1 });
+stationSchema.index({ members: 1 });
+stationSchema.index({ supervisors: 1 });
+
+stationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Station = mongoose.model('Station', stationSchema);
+
+export default Station;
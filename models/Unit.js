@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// A vehicle or team dispatched as one: ambulance, fire truck, patrol car, ...
+// Statuses and dispatch rules are in services/units.js.
+const unitSchema = new mongoose.Schema({
+  callSign: {
+    type: String,
+    required: [true, 'Call sign is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['ambulance', 'fire_truck', 'rescue', 'patrol_car', 'motorcycle'],
+    required: [true, 'Unit type is required']
+  },
+  agency: {
+    type: String,
+    enum: ['police', 'hospital', 'fire'],
+    required: [true, 'Agency is required']
+  },
+  // Seats, or patients for ambulances
+  capacity: {
+    type: Number,
+    min: 0
+  },
+  plateNumber: {
+    type: String,
+    trim: true
+  },
+  homeStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  // Responders riding with the unit; their live locations move it
+  crew: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['available', 'dispatched', 'en_route', 'on_scene', 'transporting', 'returning', 'out_of_service'],
+    default: 'available'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Alert the unit is currently dispatched to
+  currentAlert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  // Unset until the unit (or its crew) first reports a position
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  locationUpdatedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+unitSchema.index({ location: '2dsphere' });
+unitSchema.index({ agency: 1, type: 1, status: 1 });
+unitSchema.index({ crew: 1 });
+unitSchema.index({ currentAlert: 1 });
+unitSchema.index({ homeStation: 1 });
+
+unitSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Unit = mongoose.model('Unit', unitSchema);
+
+export default Unit;
@@ -43,9 +43,10 @@ const userSchema = new mongoose.Schema({
       default: [123.1816, 13.6218] // Naga City default
     }
   },
+  // `pending` / `rejected`: responder sign-ups awaiting or refused admin approval
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended'],
+    enum: ['active', 'inactive', 'suspended', 'pending', 'rejected'],
     default: 'active'
   },
   isVerified: {
@@ -68,11 +69,69 @@ const userSchema = new mongoose.Schema({
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  // Access tokens issued before this are rejected (logout everywhere, password change)
+  sessionsRevokedAt: Date,
+  // Duty state of police/hospital/fire accounts (services/availability.js). `busy` and
+  // `en_route` follow their alert assignments; unset counts as available.
+  availability: {
+    status: {
+      type: String,
+      enum: ['off_duty', 'available', 'busy', 'en_route', 'out_of_service']
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    changedAt: Date
+  },
+  // Credentials a police/hospital/fire sign-up submitted, and the admin's decision
+  responderApplication: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    agency: {
+      type: String,
+      trim: true
+    },
+    badgeNumber: {
+      type: String,
+      trim: true
+    },
+    station: {
+      type: String,
+      trim: true
+    },
+    // Links to ID cards or appointment papers stored elsewhere
+    documents: {
+      type: [{
+        name: String,
+        url: String
+      }],
+      default: undefined
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewNote: String
   }
 });
 
 // Create geospatial index for location-based queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ 'responderApplication.status': 1, 'responderApplication.submittedAt': 1 });
+userSchema.index({ userType: 1, 'availability.status': 1 });
+
+// Fields one user may see of another, as allow-lists so fields added to the schema later
+// (credentials, duty state, session markers) stay private by default. Anyone signed in can
+// search, so search results only identify the person; contact details and location are
+// for the family members a user added.
+export const SEARCH_USER_FIELDS = 'name userType';
+export const FAMILY_MEMBER_FIELDS = 'name email userType contactNumber location';
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Warning state of one user for one danger zone, shared by all server instances
+// (services/dangerZones.js): whether their last position was inside it and when they were
+// last warned about it. Kept until the zone expires and the re-warn window has passed,
+// then removed by the TTL index; lifting a zone deletes its entries.
+const zoneWarningSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DangerZone',
+    required: true
+  },
+  inside: {
+    type: Boolean,
+    default: false
+  },
+  warnedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+zoneWarningSchema.index({ user: 1, zone: 1 }, { unique: true });
+zoneWarningSchema.index({ zone: 1 });
+zoneWarningSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ZoneWarning = mongoose.model('ZoneWarning', zoneWarningSchema);
+
+export default ZoneWarning;
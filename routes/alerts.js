@@ -1,5 +1,7 @@
 import express from 'express';
-import { authenticate, authorizeRoles } from '../middleware/auth.js';
+import { authenticate, authorize, requireVerified } from '../middleware/auth.js';
+import { authenticateDevice } from '../middleware/deviceAuth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import {
   getAlerts,
   getAlertById,
@@ -10,8 +12,22 @@ import {
   cancelAlert,
   getNearbyAlerts,
   deleteAlert,
-  createIoTAlert
+  createIoTAlert,
+  getAlertTransitions,
+  updateAlertStatus,
+  getMyOffers,
+  acceptAlertOffer,
+  declineAlertOffer,
+  releaseAlert,
+  reassignAlert,
+  assignUnitToAlert
 } from '../controllers/alertController.js';
+import {
+  getAlertMessages,
+  sendAlertMessage,
+  markAlertMessagesAsRead
+} from '../controllers/alertMessageController.js';
+import { getAlertTrack } from '../controllers/alertTrackController.js';
 
 const router = express.Router();
 
@@ -25,36 +41,118 @@ router.get('/', authenticate, getAlerts);
 // @access  Private
 router.get('/nearby/:type', authenticate, getNearbyAlerts);
 
+// @route   GET /api/alerts/offers
+// @desc    Get open dispatch offers for the current responder
+// @access  Private
+router.get(
+  '/offers',
+  authenticate,
+  authorize('alert.offer.answer'),
+  getMyOffers
+);
+
 // @route   GET /api/alerts/:id
 // @desc    Get alert by ID
 // @access  Private
 router.get('/:id', authenticate, getAlertById);
 
+// @route   GET /api/alerts/:id/transitions
+// @desc    Get statuses the current user may move this alert to
+// @access  Private
+router.get('/:id/transitions', authenticate, getAlertTransitions);
+
+// @route   GET /api/alerts/:id/messages
+// @desc    Get the alert's chat messages (paginated, newest first)
+// @access  Private
+router.get('/:id/messages', authenticate, getAlertMessages);
+
+// @route   POST /api/alerts/:id/messages
+// @desc    Post a message to the alert's chat
+// @access  Private
+router.post('/:id/messages', authenticate, requireVerified('chat'), sendAlertMessage);
+
+// @route   PUT /api/alerts/:id/messages/read
+// @desc    Mark the alert's chat messages as read
+// @access  Private
+router.put('/:id/messages/read', authenticate, markAlertMessagesAsRead);
+
+// @route   GET /api/alerts/:id/track
+// @desc    Get responders' breadcrumb trails and ETAs (?responder=<id>&since=<ISO date>)
+// @access  Private
+router.get('/:id/track', authenticate, getAlertTrack);
+
 // @route   POST /api/alerts
 // @desc    Create new alert (web app, requires JWT)
 // @access  Private
-router.post('/', authenticate, createAlert);
+router.post('/', authenticate, requireVerified('alerts'), rateLimit('alertCreate'), createAlert);
 
 // @route   POST /api/alerts/iot
-// @desc    Create new alert (ESP32, no JWT)
-// @access  Public
-router.post('/iot', createIoTAlert);
+// @desc    Create new alert (ESP32, signed with the device secret instead of a JWT)
+// @access  Device
+// Per-IP before the signature check, per-device once the device is known
+router.post(
+  '/iot',
+  rateLimit('iotAlert', { by: ['ip'] }),
+  authenticateDevice,
+  rateLimit('iotAlert', { by: ['device'] }),
+  createIoTAlert
+);
 
 // @route   PUT /api/alerts/:id
 // @desc    Update alert
 // @access  Private
 router.put('/:id', authenticate, updateAlert);
 
+// @route   PUT /api/alerts/:id/status
+// @desc    Move alert through its lifecycle (en_route, on_scene, transporting, ...)
+// @access  Private
+router.put('/:id/status', authenticate, updateAlertStatus);
+
 // @route   PUT /api/alerts/:id/respond
 // @desc    Respond to alert (Responders only)
 // @access  Private
 router.put(
   '/:id/respond',
   authenticate,
-  authorizeRoles('police', 'hospital', 'fire', 'admin'),
+  authorize('alert.respond'),
   respondToAlert
 );
 
+// @route   PUT /api/alerts/:id/offers/:offerId/accept
+// @desc    Accept a dispatch offer
+// @access  Private
+router.put(
+  '/:id/offers/:offerId/accept',
+  authenticate,
+  authorize('alert.offer.answer'),
+  acceptAlertOffer
+);
+
+// @route   PUT /api/alerts/:id/offers/:offerId/decline
+// @desc    Decline a dispatch offer with a reason
+// @access  Private
+router.put(
+  '/:id/offers/:offerId/decline',
+  authenticate,
+  authorize('alert.offer.answer'),
+  declineAlertOffer
+);
+
+// @route   PUT /api/alerts/:id/release
+// @desc    Release a claimed alert back to the pool
+// @access  Private
+router.put('/:id/release', authenticate, releaseAlert);
+
+// @route   PUT /api/alerts/:id/reassign
+// @desc    Hand a service to another responder (station supervisors, admins)
+// @access  Private
+router.put('/:id/reassign', authenticate, reassignAlert);
+
+// @route   PUT /api/alerts/:id/units
+// @desc    Dispatch a unit to a service of the alert (station supervisors, admins)
+// @access  Private
+router.put('/:id/units', authenticate, assignUnitToAlert);
+
 // @route   PUT /api/alerts/:id/resolve
 // @desc    Resolve alert
 // @access  Private
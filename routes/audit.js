@@ -0,0 +1,12 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getAuditLog } from '../controllers/auditLogController.js';
+
+const router = express.Router();
+
+// @route   GET /api/audit-log
+// @desc    Get audit log entries (Admin only)
+// @access  Private/Admin
+router.get('/', authenticate, authorize('audit.view'), getAuditLog);
+
+export default router;
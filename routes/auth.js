@@ -1,7 +1,23 @@
 import express from 'express';
 import { body } from 'express-validator';
-import { authenticate } from '../middleware/auth.js';
-import { register, login, getCurrentUser } from '../controllers/authController.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { requireMail } from '../middleware/mail.js';
+import { APPLICATION_USER_TYPES } from '../services/responderApplications.js';
+import {
+  register,
+  login,
+  getCurrentUser,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeOwnSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} from '../controllers/authController.js';
 
 const router = express.Router();
 
@@ -10,12 +26,23 @@ const router = express.Router();
 // @access  Public
 router.post(
   '/register',
+  rateLimit('register'),
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
     body('contactNumber').optional().trim(),
     body('userType').optional().isIn(['citizen', 'police', 'hospital', 'fire', 'family']),
+    // Credentials of police/hospital/fire applicants, reviewed by an admin
+    body('badgeNumber')
+      .if(body('userType').isIn(APPLICATION_USER_TYPES))
+      .trim().notEmpty().withMessage('Badge or ID number is required for responder accounts'),
+    body('station')
+      .if(body('userType').isIn(APPLICATION_USER_TYPES))
+      .trim().notEmpty().withMessage('Station is required for responder accounts'),
+    body('agency').optional().trim(),
+    body('documents').optional().isArray({ max: 5 }).withMessage('Up to 5 documents can be attached'),
+    body('documents.*.url').optional().isURL().withMessage('Document links must be valid URLs'),
   ],
   register
 );
@@ -23,11 +50,70 @@ router.post(
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', login);
+router.post('/login', rateLimit('login'), login);
 
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
 router.get('/me', authenticate, getCurrentUser);
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new tokens
+// @access  Public (requires a refresh token)
+router.post('/refresh', rateLimit('refresh'), refreshToken);
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post('/logout', authenticate, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of every session on every device
+// @access  Private
+router.post('/logout-all', authenticate, logoutAll);
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, getSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticate, revokeOwnSession);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address
+// @access  Public (requires a verification token)
+router.post('/verify-email', rateLimit('accountToken'), verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', requireMail, optionalAuthenticate, rateLimit('accountEmail'), resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  requireMail,
+  rateLimit('accountEmail'),
+  [body('email').isEmail().withMessage('Please provide a valid email')],
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public (requires a reset token)
+router.post(
+  '/reset-password',
+  rateLimit('accountToken'),
+  [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  resetPassword
+);
+
 export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  liftZone,
+} from '../controllers/dangerZoneController.js';
+
+const router = express.Router();
+
+// @route   GET /api/zones
+// @desc    Get active danger zones (?bounds=, ?near=lng,lat, ?severity=, ?format=geojson)
+// @access  Private
+router.get('/', authenticate, getZones);
+
+// @route   POST /api/zones
+// @desc    Draw a danger zone (circle or polygon) with a severity and expiry
+// @access  Private (Responders, Admin)
+router.post('/', authenticate, authorize('zone.create'), createZone);
+
+// @route   GET /api/zones/:id
+// @desc    Get danger zone by ID
+// @access  Private
+router.get('/:id', authenticate, getZoneById);
+
+// @route   PUT /api/zones/:id
+// @desc    Update title, message, severity or expiry
+// @access  Private (Responder who drew it, Admin)
+router.put('/:id', authenticate, authorize('zone.create'), updateZone);
+
+// @route   PUT /api/zones/:id/lift
+// @desc    Lift a danger zone before it expires
+// @access  Private (Responder who drew it, Admin)
+router.put('/:id/lift', authenticate, authorize('zone.create'), liftZone);
+
+export default router;
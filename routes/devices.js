@@ -0,0 +1,57 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticateDevice } from '../middleware/deviceAuth.js';
+import {
+  getDevices,
+  getDeviceHealth,
+  recordHeartbeat,
+  getDeviceById,
+  registerDevice,
+  updateDevice,
+  rotateDeviceSecret,
+  revokeDevice,
+} from '../controllers/deviceController.js';
+
+const router = express.Router();
+
+// @route   GET /api/devices
+// @desc    Get all registered IoT devices (Admin only)
+// @access  Private/Admin
+router.get('/', authenticate, authorize('device.manage'), getDevices);
+
+// @route   POST /api/devices
+// @desc    Register a new IoT device (Admin only)
+// @access  Private/Admin
+router.post('/', authenticate, authorize('device.manage'), registerDevice);
+
+// @route   POST /api/devices/heartbeat
+// @desc    Periodic device check-in with battery, signal and firmware
+// @access  Device
+router.post('/heartbeat', authenticateDevice, recordHeartbeat);
+
+// @route   GET /api/devices/health
+// @desc    Device health overview (Admin only)
+// @access  Private/Admin
+router.get('/health', authenticate, authorize('device.manage'), getDeviceHealth);
+
+// @route   GET /api/devices/:id
+// @desc    Get device by ID (Admin only)
+// @access  Private/Admin
+router.get('/:id', authenticate, authorize('device.manage'), getDeviceById);
+
+// @route   PUT /api/devices/:id
+// @desc    Update device details (Admin only)
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('device.manage'), updateDevice);
+
+// @route   POST /api/devices/:id/rotate
+// @desc    Rotate device secret (Admin only)
+// @access  Private/Admin
+router.post('/:id/rotate', authenticate, authorize('device.manage'), rotateDeviceSecret);
+
+// @route   PUT /api/devices/:id/revoke
+// @desc    Revoke device (Admin only)
+// @access  Private/Admin
+router.put('/:id/revoke', authenticate, authorize('device.manage'), revokeDevice);
+
+export default router;
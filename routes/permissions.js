@@ -0,0 +1,17 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getPermissions, getMyPermissions } from '../controllers/permissionController.js';
+
+const router = express.Router();
+
+// @route   GET /api/permissions
+// @desc    Every permission and each role's effective permissions (Admin only)
+// @access  Private/Admin
+router.get('/', authenticate, authorize('permission.view'), getPermissions);
+
+// @route   GET /api/permissions/me
+// @desc    The current user's permissions
+// @access  Private
+router.get('/me', authenticate, getMyPermissions);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getLockouts, removeLockout, getRateLimitPolicies } from '../controllers/rateLimitController.js';
+
+const router = express.Router();
+
+// @route   GET /api/rate-limits/policies
+// @desc    Rate-limit policies in effect (Admin only)
+// @access  Private/Admin
+router.get('/policies', authenticate, authorize('ratelimit.manage'), getRateLimitPolicies);
+
+// @route   GET /api/rate-limits/lockouts
+// @desc    Accounts and IPs with failed sign-ins (Admin only)
+// @access  Private/Admin
+router.get('/lockouts', authenticate, authorize('ratelimit.manage'), getLockouts);
+
+// @route   DELETE /api/rate-limits/lockouts/:key
+// @desc    Clear a lockout (Admin only)
+// @access  Private/Admin
+router.delete('/lockouts/:key', authenticate, authorize('ratelimit.manage'), removeLockout);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getShifts,
+  getMyShifts,
+  createShift,
+  deleteShift,
+} from '../controllers/shiftController.js';
+
+const router = express.Router();
+
+// @route   GET /api/shifts
+// @desc    Get shifts (?station=&user=&from=&to=) (Admin only)
+// @access  Private/Admin
+router.get('/', authenticate, authorize('shift.manage'), getShifts);
+
+// @route   POST /api/shifts
+// @desc    Schedule a shift for a station member (Admin only)
+// @access  Private/Admin
+router.post('/', authenticate, authorize('shift.manage'), createShift);
+
+// @route   GET /api/shifts/mine
+// @desc    Get the current user's current and upcoming shifts
+// @access  Private
+router.get('/mine', authenticate, getMyShifts);
+
+// @route   DELETE /api/shifts/:id
+// @desc    Cancel a shift (Admin only)
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('shift.manage'), deleteShift);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getStations,
+  getMyStation,
+  getStationById,
+  createStation,
+  updateStation,
+  updateStationMembers,
+} from '../controllers/stationController.js';
+
+const router = express.Router();
+
+// @route   GET /api/stations
+// @desc    Get stations (?agency=, ?active=, ?near=lng,lat)
+// @access  Private (responders, admins)
+router.get('/', authenticate, authorize('station.view'), getStations);
+
+// @route   POST /api/stations
+// @desc    Create a station with its jurisdiction (Admin only)
+// @access  Private/Admin
+router.post('/', authenticate, authorize('station.manage'), createStation);
+
+// @route   GET /api/stations/mine
+// @desc    Get the current user's station
+// @access  Private
+router.get('/mine', authenticate, getMyStation);
+
+// @route   GET /api/stations/:id
+// @desc    Get station by ID
+// @access  Private (responders, admins)
+router.get('/:id', authenticate, authorize('station.view'), getStationById);
+
+// @route   PUT /api/stations/:id
+// @desc    Update station details, jurisdiction or active flag (Admin only)
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('station.manage'), updateStation);
+
+// @route   PUT /api/stations/:id/members
+// @desc    Replace members and/or supervisors (Admin only)
+// @access  Private/Admin
+router.put('/:id/members', authenticate, authorize('station.manage'), updateStationMembers);
+
+export default router;
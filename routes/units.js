@@ -0,0 +1,56 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getUnits,
+  getNearestUnits,
+  getMyUnit,
+  getUnitById,
+  createUnit,
+  updateUnit,
+  updateUnitStatus,
+  updateUnitLocation,
+} from '../controllers/unitController.js';
+
+const router = express.Router();
+
+// @route   GET /api/units
+// @desc    Get units (?agency=, ?type=, ?status=, ?station=, ?active=)
+// @access  Private (responders, admins)
+router.get('/', authenticate, authorize('unit.view'), getUnits);
+
+// @route   POST /api/units
+// @desc    Register a unit with its crew (Admin only)
+// @access  Private/Admin
+router.post('/', authenticate, authorize('unit.manage'), createUnit);
+
+// @route   GET /api/units/nearest
+// @desc    Nearest available units (?lng=&lat=&type=&agency=&limit=&maxDistanceKm=)
+// @access  Private (responders, admins)
+router.get('/nearest', authenticate, authorize('unit.view'), getNearestUnits);
+
+// @route   GET /api/units/mine
+// @desc    Get the unit the current user is crewing
+// @access  Private
+router.get('/mine', authenticate, getMyUnit);
+
+// @route   GET /api/units/:id
+// @desc    Get unit by ID
+// @access  Private (responders, admins)
+router.get('/:id', authenticate, authorize('unit.view'), getUnitById);
+
+// @route   PUT /api/units/:id
+// @desc    Update unit details, crew, home station or active flag (Admin only)
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('unit.manage'), updateUnit);
+
+// @route   PUT /api/units/:id/status
+// @desc    Report the unit's status
+// @access  Private (crew, admins)
+router.put('/:id/status', authenticate, updateUnitStatus);
+
+// @route   PUT /api/units/:id/location
+// @desc    Report the unit's position
+// @access  Private (crew, admins)
+router.put('/:id/location', authenticate, updateUnitLocation);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import { authenticate, authorize, requireVerified } from '../middleware/auth.js';
 import {
   getProfile,
   updateProfile,
@@ -14,6 +14,16 @@ import {
   getFamilyMembers,
   updateFamilyMember,
 } from '../controllers/userController.js';
+import {
+  getResponderApplications,
+  approveResponderApplication,
+  rejectResponderApplication,
+} from '../controllers/responderApplicationController.js';
+import {
+  updateMyAvailability,
+  setUserAvailability,
+  getRoster,
+} from '../controllers/availabilityController.js';
 
 const router = express.Router();
 
@@ -38,7 +48,7 @@ router.put('/change-password', authenticate, changePassword);
 router.put('/location', authenticate, updateLocation);
 
 // @route   GET /api/users/stats
-// @desc    Get dashboard statistics
+// @desc    Get dashboard statistics (?station=<id> for one station)
 // @access  Private
 router.get('/stats', authenticate, getStats);
 
@@ -49,27 +59,57 @@ router.get('/search', authenticate, searchUsers);
 router.get('/family', authenticate, getFamilyMembers);
 
 // Add/remove family member
-router.put('/family', authenticate, updateFamilyMember);
+router.put('/family', authenticate, requireVerified('family'), updateFamilyMember);
+
+// @route   PUT /api/users/availability
+// @desc    Go off duty, available or out of service (Responders)
+// @access  Private
+router.put('/availability', authenticate, authorize('availability.set'), updateMyAvailability);
 
 // Admin routes
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private/Admin
-router.get('/', authenticate, authorizeAdmin, getAllUsers);
+router.get('/', authenticate, authorize('user.view.any'), getAllUsers);
+
+// @route   GET /api/users/roster
+// @desc    Responders with availability, presence, shift and assignments (Admin only)
+// @access  Private/Admin
+router.get('/roster', authenticate, authorize('roster.view'), getRoster);
+
+// @route   GET /api/users/applications
+// @desc    Responder sign-ups awaiting review (Admin only)
+// @access  Private/Admin
+router.get('/applications', authenticate, authorize('user.application.review'), getResponderApplications);
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID (Admin only)
 // @access  Private/Admin
-router.get('/:id', authenticate, authorizeAdmin, getUserById);
+router.get('/:id', authenticate, authorize('user.view.any'), getUserById);
 
 // @route   PUT /api/users/:id/status
 // @desc    Update user status (Admin only)
 // @access  Private/Admin
-router.put('/:id/status', authenticate, authorizeAdmin, updateUserStatus);
+router.put('/:id/status', authenticate, authorize('user.suspend'), updateUserStatus);
+
+// @route   PUT /api/users/:id/availability
+// @desc    Set a responder's availability (Admin only)
+// @access  Private/Admin
+router.put('/:id/availability', authenticate, authorize('availability.manage'), setUserAvailability);
+
+// @route   PUT /api/users/:id/application/approve
+// @desc    Approve a responder application (Admin only)
+// @access  Private/Admin
+router.put('/:id/application/approve', authenticate, authorize('user.application.review'), approveResponderApplication);
+
+// @route   PUT /api/users/:id/application/reject
+// @desc    Reject a responder application (Admin only)
+// @access  Private/Admin
+router.put('/:id/application/reject', authenticate, authorize('user.application.review'), rejectResponderApplication);
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin only)
 // @access  Private/Admin
-router.delete('/:id', authenticate, authorizeAdmin, deleteUser);
+router.delete('/:id', authenticate, authorize('user.delete'), deleteUser);
 
 export default router;
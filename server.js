@@ -10,14 +10,57 @@ import authRoutes from './routes/auth.js';
 import alertRoutes from './routes/alerts.js';
 import userRoutes from './routes/users.js';
 import notificationRoutes from './routes/notifications.js';
+import deviceRoutes from './routes/devices.js';
+import auditRoutes from './routes/audit.js';
+import rateLimitRoutes from './routes/rateLimits.js';
+import permissionRoutes from './routes/permissions.js';
+import stationRoutes from './routes/stations.js';
+import shiftRoutes from './routes/shifts.js';
+import unitRoutes from './routes/units.js';
+import dangerZoneRoutes from './routes/dangerZones.js';
+import { startDeviceMonitor } from './services/deviceMonitor.js';
+import { startEscalationScheduler } from './services/escalation.js';
+import { startOfferScheduler } from './services/dispatchOffers.js';
+import { startShiftScheduler } from './services/availability.js';
+import { joinAlertChat } from './services/alertChat.js';
+import { GEOHASH_PATTERN, geohashesInBounds } from './services/realtime/geohash.js';
+import {
+  createRealtime,
+  getAreaPrecision,
+  getRealtime,
+  publish,
+  rooms,
+  setRealtime,
+} from './services/realtime/index.js';
+import { createMongoEventLog } from './services/realtime/eventLog.js';
+import { createAdapterFromEnv } from './services/realtime/adapters/index.js';
+import { describePresence } from './services/realtime/presence.js';
+import { createLocationFeed } from './services/realtime/locationFeed.js';
+import { hasPermission, rolesWith } from './services/permissions.js';
+import { recordResponderPositions } from './services/locationTracks.js';
+import { recordUnitPositions } from './services/units.js';
+import { checkDangerZones, leaveDangerZones } from './services/dangerZones.js';
+import { attachSocketSession, authenticateSocket, startSocketSessionMonitor } from './middleware/socketAuth.js';
+import { authenticate, authorize } from './middleware/auth.js';
+import { checkMailConfig } from './services/mail/index.js';
 
 // Load environment variables
 dotenv.config();
 
+// Report loudly when account emails cannot be delivered (the API runs either way)
+checkMailConfig();
+
 // Create Express app
 const app = express();
 const httpServer = createServer(app);
 
+// Behind a reverse proxy set TRUST_PROXY (true, a hop count or a subnet list) so req.ip is
+// the client's address; rate limits and sign-in lockouts are keyed on it
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Socket.IO setup
 // Allow multiple origins via FRONTEND_URL env (comma-separated), fallback to localhost
 const rawFrontend = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -48,7 +91,9 @@ const corsOptions = {
     if (allowedOrigins.includes(origin)) return callback(null, true);
     return callback(new Error('CORS policy: Origin not allowed'), false);
   },
-  credentials: true
+  credentials: true,
+  // Let browser clients read when to retry after a 429
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 };
 
 app.use((req, res, next) => {
@@ -64,8 +109,12 @@ app.use((req, res, next) => {
 });
 
 // JSON body parsing
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around so IoT device signatures can be verified
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Friendly handler for malformed JSON payloads produced by body-parser
 app.use((err, req, res, next) => {
@@ -76,82 +125,219 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// Track online users
-const onlineUsers = new Map(); // userId -> { socketId, location, userType, name, lastUpdate }
+// Presence and fan-out to sockets on other instances go through the realtime adapter
+// (REALTIME_ADAPTER, see services/realtime/adapters)
+const adapter = createAdapterFromEnv();
+
+// All server-to-client events go through the realtime bus (services/realtime).
+// Events are logged for replay after reconnects unless REALTIME_REPLAY=false.
+setRealtime(createRealtime({
+  transport: adapter.createTransport(io),
+  eventLog: process.env.REALTIME_REPLAY === 'false' ? null : createMongoEventLog(),
+}));
+
+// Track online users: one session per connected socket, see services/realtime/presence.js
+const onlineUsers = adapter.presence;
+
+// Live locations go out in batched, audience-scoped diffs (services/realtime/locationFeed.js);
+// assigned responders' positions are also kept as alert trails (services/locationTracks.js)
+// and move the units they crew (services/units.js); everyone entering a danger zone is
+// warned (services/dangerZones.js)
+const locationFeed = createLocationFeed({
+  presence: onlineUsers,
+  onLocations: (updates) => Promise.all([
+    recordResponderPositions(updates)
+      .catch(err => console.error('Location track error:', err)),
+    recordUnitPositions(updates)
+      .catch(err => console.error('Unit location error:', err)),
+    checkDangerZones(updates)
+      .catch(err => console.error('Danger zone check error:', err)),
+  ]),
+});
+
+// The online list goes to roles that may watch locations (responders and admins), at most
+// once per feed interval. Admins see every session of every user; responders get one entry
+// per user.
+let presenceTimer = null;
+const publishPresence = () => {
+  if (presenceTimer) return;
+  presenceTimer = setTimeout(() => {
+    presenceTimer = null;
+    const detailedRoles = rolesWith('presence.view.detailed');
+    const summaryRoles = rolesWith('location.watch').filter(role => !detailedRoles.includes(role));
+    publish('presence.updated', { users: describePresence(onlineUsers) }, { to: summaryRoles.map(rooms.role) });
+    publish('presence.updated', { users: describePresence(onlineUsers, { detailed: true }) }, { to: detailedRoles.map(rooms.role) });
+  }, locationFeed.config.intervalMs);
+};
+
+// Device a session runs on: sent with `user-online` or in the handshake (`auth.device`),
+// falling back to the browser's user agent
+const describeDevice = (socket, device = {}) => {
+  const clean = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+  const reported = { ...socket.handshake.auth?.device, ...device };
+  return {
+    label: clean(reported.label, 60) || clean(socket.handshake.headers['user-agent'], 120),
+    platform: clean(reported.platform, 30),
+  };
+};
+
+// Area subscriptions are geohash cells; cap how many one socket may follow
+// (separately for alert areas and watched location cells)
+const MAX_AREA_SUBSCRIPTIONS = 50;
+
+const joinedCells = (socket, roomOf) => Array.from(socket.rooms).filter(room => room.startsWith(roomOf('')));
+
+// Every socket must present a valid JWT (see middleware/socketAuth.js)
+io.use(authenticateSocket);
 
 // Socket.IO connection handler
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+  attachSocketSession(socket);
 
-  // User goes online
-  socket.on('user-online', (userData) => {
-    const { userId, location, userType, name } = userData;
-    onlineUsers.set(userId, {
-      socketId: socket.id,
-      location,
-      userType,
-      name,
-      lastUpdate: new Date()
-    });
-    console.log(`User ${name} (${userType}) is now online at`, location);
-    
-    // Broadcast updated online users to all clients
-    io.emit('online-users-update', Array.from(onlineUsers.entries()).map(([id, data]) => ({
-      userId: id,
-      location: data.location,
-      userType: data.userType,
-      name: data.name,
-      lastUpdate: data.lastUpdate
-    })));
-  });
-
-  // User updates location
-  socket.on('update-location', (data) => {
-    const { userId, location } = data;
-    const user = onlineUsers.get(userId);
-    if (user) {
-      user.location = location;
-      user.lastUpdate = new Date();
-      onlineUsers.set(userId, user);
-      
-      // Broadcast updated location to all clients
-      io.emit('user-location-update',  {
+  // Identity always comes from the verified token, never from the client payload
+  const { id: userId, userType, name } = socket.data.user;
+
+  // User goes online on this socket (one session per device)
+  socket.on('user-online', async (userData = {}) => {
+    const { location } = userData;
+    try {
+      const { cameOnline } = await onlineUsers.setSession({
+        sessionId: socket.id,
         userId,
+        userType,
+        name,
+        ...describeDevice(socket, userData.device),
         location,
-        userType: user.userType,
-        name: user.name
+        connectedAt: new Date(socket.handshake.issued),
+        lastUpdate: new Date()
       });
+      console.log(`User ${name} (${userType}) is now ${cameOnline ? 'online' : 'also online on another device'} at`, location);
+    } catch (err) {
+      console.error('Presence update error:', err);
     }
+    if (location) locationFeed.report(socket.data.user, socket.id, location);
+    
+    // Let responders and admins know who is online
+    publishPresence();
   });
 
-  socket.on('join-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined their room`);
+  // User updates location (only their own); rate-limited per session and sent out in the
+  // next batch to whoever may see this user
+  socket.on('update-location', (data = {}) => {
+    const { location } = data;
+    if (data.userId && String(data.userId) !== userId) {
+      console.warn(`Socket ${socket.id} (${userId}) tried to move user ${data.userId}`);
+      return;
+    }
+    if (location) locationFeed.report(socket.data.user, socket.id, location);
   });
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    
-    // Remove user from online users
-    let disconnectedUserId = null;
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userData.socketId === socket.id) {
-        disconnectedUserId = userId;
-        onlineUsers.delete(userId);
-        break;
+  // Live responder positions: responders and admins watch geohash cells, or the cells
+  // covering a map viewport. Clients send { cells } or { bounds: [[west, south], [east, north]] }.
+  socket.on('watch-locations', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!hasPermission(socket.data.user, 'location.watch')) {
+      return reply({ ok: false, message: 'Only responders and admins can watch live locations' });
+    }
+
+    const cells = data.bounds
+      ? geohashesInBounds(data.bounds, getAreaPrecision(), MAX_AREA_SUBSCRIPTIONS)
+      : [].concat(data.cells || []).filter(cell => typeof cell === 'string' && GEOHASH_PATTERN.test(cell));
+    if (!cells) return reply({ ok: false, message: 'Viewport too large, zoom in' });
+
+    // A viewport replaces the previous one; explicit cells are added up to the cap
+    if (data.bounds) socket.leave(joinedCells(socket, rooms.locations));
+    const current = joinedCells(socket, rooms.locations);
+    const wanted = cells.slice(0, Math.max(MAX_AREA_SUBSCRIPTIONS - current.length, 0));
+    socket.join(wanted.map(rooms.locations));
+    reply({ ok: true, cells: wanted });
+  });
+
+  socket.on('unwatch-locations', (cells) => {
+    const watched = joinedCells(socket, rooms.locations);
+    (cells ? [].concat(cells).map(rooms.locations) : watched).forEach(room => socket.leave(room));
+  });
+
+  // Sockets join their own room on connect; kept for older clients, other users' rooms are refused
+  socket.on('join-room', (roomUserId) => {
+    if (String(roomUserId) !== userId) {
+      console.warn(`Socket ${socket.id} (${userId}) tried to join room of user ${roomUserId}`);
+      return;
+    }
+    socket.join(rooms.user(userId));
+  });
+
+  // Alert chat: clients send { alertId } and get { ok, message } back
+  socket.on('join-alert', async (data, ack) => {
+    const result = await joinAlertChat(socket, data).catch((err) => {
+      console.error('Join alert chat error:', err);
+      return { ok: false, message: 'Server error' };
+    });
+    if (typeof ack === 'function') ack(result);
+  });
+
+  socket.on('leave-alert', (alertId) => {
+    socket.leave(rooms.alert(alertId));
+  });
+
+  // Area rooms: clients follow the geohash cells their map shows
+  socket.on('join-area', (cells = []) => {
+    const current = joinedCells(socket, rooms.area);
+    const wanted = [].concat(cells)
+      .filter(cell => typeof cell === 'string' && GEOHASH_PATTERN.test(cell))
+      .slice(0, Math.max(MAX_AREA_SUBSCRIPTIONS - current.length, 0));
+    socket.join(wanted.map(rooms.area));
+  });
+
+  socket.on('leave-area', (cells = []) => {
+    [].concat(cells).forEach(cell => socket.leave(rooms.area(cell)));
+  });
+
+  // Missed events after a reconnect: clients first re-join their alert/area rooms, then send
+  // { since: { [room]: lastSeq } } and get { ok, rooms: { [room]: { latestSeq, events } } }.
+  // Rooms whose gap cannot be replayed answer { resyncRequired, reason } instead and also
+  // get a `sync.resync_required` event. Events the socket was excepted from (its own
+  // actions) are not replayed, so a replay may skip sequence numbers.
+  socket.on('resync', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const since = {};
+    for (const [room, seq] of Object.entries(data.since || {})) {
+      const lastSeq = Number(seq);
+      if ((socket.rooms.has(room) || room === rooms.broadcast) && Number.isInteger(lastSeq) && lastSeq >= 0) {
+        since[room] = lastSeq;
       }
     }
+
+    try {
+      const result = await getRealtime().replay(since, { memberOf: [...socket.rooms] });
+      for (const [room, { resyncRequired, latestSeq, reason }] of Object.entries(result)) {
+        if (resyncRequired) publish('sync.resync_required', { room, latestSeq, reason }, { to: socket.id });
+      }
+      reply({ ok: true, rooms: result });
+    } catch (err) {
+      console.error('Realtime resync error:', err);
+      reply({ ok: false, message: 'Server error' });
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    console.log('Client disconnected:', socket.id);
+    
+    // End this session; the user stays online while another device is connected
+    const { removed, wentOffline } = await onlineUsers.deleteSession(userId, socket.id).catch((err) => {
+      console.error('Presence update error:', err);
+      return {};
+    });
     
-    if (disconnectedUserId) {
-      console.log(`User ${disconnectedUserId} went offline`);
+    locationFeed.endSession(userId, socket.id, { wentOffline });
+    if (wentOffline) {
+      leaveDangerZones(userId).catch(err => console.error('Danger zone update error:', err));
+    }
+    if (removed) {
+      if (wentOffline) console.log(`User ${userId} went offline`);
       // Broadcast updated online users
-      io.emit('online-users-update', Array.from(onlineUsers.entries()).map(([id, data]) => ({
-        userId: id,
-        location: data.location,
-        userType: data.userType,
-        name: data.name,
-        lastUpdate: data.lastUpdate
-      })));
+      publishPresence();
     }
   });
 });
@@ -170,6 +356,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/audit-log', auditRoutes);
+app.use('/api/rate-limits', rateLimitRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/units', unitRoutes);
+app.use('/api/zones', dangerZoneRoutes);
 
 // Debug endpoints (temporary)
 app.get('/api/debug/origins', (req, res) => {
@@ -177,24 +371,26 @@ app.get('/api/debug/origins', (req, res) => {
 });
 
 // Emit a test alert event to all connected clients. POST body may include `alert` object.
-app.post('/api/debug/emit-test', (req, res) => {
-  const ioInstance = req.app.get('io');
-  const payload = req.body && Object.keys(req.body).length ? req.body : {
-    id: `test-${Date.now()}`,
-    title: 'Test Alert',
-    message: 'This is a test alert emitted from /api/debug/emit-test',
-    location: { type: 'Point', coordinates: [121.0, 14.6] },
-    createdAt: new Date()
-  };
+// Development only, for admins; the event is not logged, so it never shows up in replays.
+if (process.env.NODE_ENV !== 'production') {
+  app.post('/api/debug/emit-test', authenticate, authorize('realtime.test'), (req, res) => {
+    const payload = req.body && Object.keys(req.body).length ? req.body : {
+      id: `test-${Date.now()}`,
+      title: 'Test Alert',
+      message: 'This is a test alert emitted from /api/debug/emit-test',
+      location: { type: 'Point', coordinates: [121.0, 14.6] },
+      createdAt: new Date()
+    };
 
-  try {
-    ioInstance.emit('new-alert', payload);
-    return res.json({ ok: true, emitted: payload });
-  } catch (err) {
-    console.error('Emit test failed', err);
-    return res.status(500).json({ ok: false, error: err.message });
-  }
-});
+    try {
+      publish('alert.created', { alert: payload }, { broadcast: true, replay: false });
+      return res.json({ ok: true, emitted: payload });
+    } catch (err) {
+      console.error('Emit test failed', err);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -205,16 +401,10 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Get online users endpoint
-app.get('/api/online-users', (req, res) => {
-  const onlineUsers = req.app.get('onlineUsers');
-  const users = Array.from(onlineUsers.entries()).map(([id, data]) => ({
-    userId: id,
-    location: data.location,
-    userType: data.userType,
-    name: data.name,
-    lastUpdate: data.lastUpdate
-  }));
+// Get online users endpoint. Only for those who may watch locations (responders and
+// admins): citizens never see anyone else. Admins also get every session of each user.
+app.get('/api/online-users', authenticate, authorize('location.watch'), (req, res) => {
+  const users = describePresence(req.app.get('onlineUsers'), { detailed: hasPermission(req.user, 'presence.view.detailed') });
   res.json({ users, count: users.length });
 });
 
@@ -237,6 +427,16 @@ const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Socket.IO server ready`);
+  startDeviceMonitor();
+  startEscalationScheduler({ onlineUsers });
+  startOfferScheduler({ onlineUsers });
+  startShiftScheduler();
+  startSocketSessionMonitor(io);
+  locationFeed.start();
+  adapter.start({
+    isLocalSocket: (socketId) => io.sockets.sockets.has(socketId),
+    onChange: publishPresence,
+  });
 });
 
 export default app;
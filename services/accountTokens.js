@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import { sendMail } from './mail/index.js';
+
+// Email verification and password reset links. Each link carries a random token that can
+// be used once before it expires; only its hash is stored, and sending a new link of the
+// same kind invalidates the previous one.
+
+// Token and verification settings, overridable through environment variables:
+//   EMAIL_VERIFICATION_TTL_HOURS  how long a verification link works
+//   PASSWORD_RESET_TTL_MIN        how long a password reset link works
+//   APP_URL                       where links point (falls back to FRONTEND_URL)
+//   UNVERIFIED_RESTRICTIONS       what unverified accounts may not do (see below)
+export const getAccountTokenConfig = () => ({
+  verifyTtlMs: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  resetTtlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MIN, 10) || 60) * 60 * 1000,
+  appUrl: (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+});
+
+// Restrictions that can be placed on unverified accounts:
+//   login   they cannot sign in (nor refresh an existing session)
+//   alerts  they cannot create alerts
+//   chat    they cannot post in alert chats
+//   family  they cannot link family members
+export const UNVERIFIED_RESTRICTION_TYPES = ['login', 'alerts', 'chat', 'family'];
+
+// Comma-separated UNVERIFIED_RESTRICTIONS ('none' for no restrictions); admins are exempt
+export const getUnverifiedRestrictions = () => {
+  const value = process.env.UNVERIFIED_RESTRICTIONS ?? 'family';
+  return value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => UNVERIFIED_RESTRICTION_TYPES.includes(name));
+};
+
+// Whether `user` ({ userType, isVerified }) is kept from `restriction`
+export const isRestrictedByVerification = (user, restriction, restrictions = getUnverifiedRestrictions()) =>
+  !user.isVerified && user.userType !== 'admin' && restrictions.includes(restriction);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for `user` and drop their unused ones of the same purpose
+export const issueAccountToken = async (user, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Spend a token. Returns the id of its user, or null when it is unknown, expired or used.
+export const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!record) return null;
+  // Spending one link retires any other still open for the same purpose
+  await AccountToken.deleteMany({ user: record.user, purpose, usedAt: null });
+  return record.user;
+};
+
+export const sendVerificationEmail = async (user, config = getAccountTokenConfig()) => {
+  const token = await issueAccountToken(user, 'verify_email', config.verifyTtlMs);
+  await sendMail('verifyEmail', user.email, {
+    name: user.name,
+    url: `${config.appUrl}/verify-email?token=${token}`,
+    expiresInHours: Math.round(config.verifyTtlMs / (60 * 60 * 1000)),
+  });
+};
+
+export const sendPasswordResetEmail = async (user, config = getAccountTokenConfig()) => {
+  const token = await issueAccountToken(user, 'reset_password', config.resetTtlMs);
+  await sendMail('passwordReset', user.email, {
+    name: user.name,
+    url: `${config.appUrl}/reset-password?token=${token}`,
+    expiresInMinutes: Math.round(config.resetTtlMs / (60 * 1000)),
+  });
+};
@@ -0,0 +1,95 @@
+import Alert from '../models/Alert.js';
+import AlertMessage from '../models/AlertMessage.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { can } from './permissions.js';
+import { publish, rooms } from './realtime/index.js';
+
+// Chat thread per alert. Messages are delivered live to the alert's room (rooms.alert),
+// which clients join with `join-alert`; participants who are not online get a Notification.
+// Access: the reporter, responders assigned to the alert (or one of its services),
+// the reporter's family members, and admins.
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+// Users taking part in the alert's thread (admins may read and write but are not listed)
+export const getChatParticipantIds = async (alert) => {
+  const ids = new Set([
+    idOf(alert.reporter),
+    idOf(alert.responder),
+    ...(alert.assignedTo || []).map(idOf),
+    ...(alert.services || []).map(s => idOf(s.responder)),
+  ]);
+
+  if (alert.reporter) {
+    const reporter = await User.findById(idOf(alert.reporter)).select('familyMembers').lean();
+    (reporter?.familyMembers || []).forEach(id => ids.add(idOf(id)));
+  }
+
+  ids.delete(null);
+  return Array.from(ids);
+};
+
+// alert.chat.* permissions: admins everywhere, otherwise the participants above
+export const canAccessAlertChat = (alert, user) => can(user, 'alert.chat', alert);
+
+// Store a message, push it to the alert room and notify participants who are offline
+export const postAlertMessage = async ({ onlineUsers, alert, user, body }) => {
+  const message = await AlertMessage.create({ alert: alert._id, sender: user.id, body });
+  await message.populate('sender', 'name userType');
+
+  publish('alert.message', { alertId: alert._id, message }, { to: rooms.alert(alert._id) });
+
+  const participants = await getChatParticipantIds(alert);
+  const offline = participants.filter(id => id !== user.id && !(onlineUsers && onlineUsers.has(id)));
+  for (const recipient of offline) {
+    await Notification.create({
+      user: recipient,
+      alert: alert._id,
+      type: 'alert_message',
+      title: `New message from ${user.name}`,
+      message: body.length > 120 ? `${body.slice(0, 117)}...` : body,
+    }).catch(err => console.error('Error creating message notification:', err));
+  }
+
+  return message;
+};
+
+// Mark every message from others in the thread (up to `before`, if given) as read by `user`
+export const markAlertMessagesRead = async ({ alert, user, before }) => {
+  const readAt = new Date();
+  const filter = {
+    alert: alert._id,
+    sender: { $ne: user.id },
+    'readBy.user': { $ne: user.id },
+  };
+  if (before) filter.createdAt = { $lte: before };
+
+  const result = await AlertMessage.updateMany(filter, { $push: { readBy: { user: user.id, readAt } } });
+
+  if (result.modifiedCount) {
+    publish('alert.messages_read', {
+      alertId: alert._id,
+      userId: user.id,
+      readAt,
+      before: before || readAt,
+    }, { to: rooms.alert(alert._id) });
+  }
+  return result.modifiedCount;
+};
+
+// Socket handler for `join-alert`: check the socket user's access, then join the room.
+// Resolves to { ok, message } for the client's acknowledgement callback.
+export const joinAlertChat = async (socket, { alertId } = {}) => {
+  const { user } = socket.data;
+  if (!user) return { ok: false, message: 'Authentication required' };
+
+  const alert = alertId ? await Alert.findById(alertId).catch(() => null) : null;
+  if (!alert) return { ok: false, message: 'Alert not found' };
+  if (!(await canAccessAlertChat(alert, user))) {
+    return { ok: false, message: 'Not authorized to join this alert chat' };
+  }
+
+  socket.join(rooms.alert(alert._id));
+  return { ok: true, room: rooms.alert(alert._id) };
+};
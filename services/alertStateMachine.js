@@ -0,0 +1,488 @@
+import { hasPermission } from './permissions.js';
+
+// Central alert lifecycle. Every status change goes through `applyStatusChange`
+// (or `transitionAlert` / `transitionService` directly), which checks the transition
+// table below and records a timeline entry.
+//
+// An alert may require several agencies (`alert.services`). Each service moves through
+// the same table on its own; the alert-level status is derived from its services.
+
+export const ALERT_STATUSES = [
+  'pending',
+  'active',
+  'responded',
+  'en_route',
+  'on_scene',
+  'transporting',
+  'resolved',
+  'cancelled',
+];
+
+// Statuses where a responder has claimed the alert but it is not closed yet
+export const IN_PROGRESS_STATUSES = ['responded', 'en_route', 'on_scene', 'transporting'];
+
+// Statuses that still need attention (shown as "active" on dashboards)
+export const OPEN_STATUSES = ['pending', 'active', ...IN_PROGRESS_STATUSES];
+
+export const CLOSED_STATUSES = ['resolved', 'cancelled'];
+
+// Agencies an alert can require; each gets its own entry in `alert.services`
+export const SERVICE_TYPES = ['police', 'hospital', 'fire'];
+
+// Statuses a single service can be in (a service is never "active", only the alert is)
+export const SERVICE_STATUSES = ALERT_STATUSES.filter(s => s !== 'active');
+
+// Lifecycle of a dispatch offer to one responder (see services/dispatchOffers.js):
+// offered -> accepted | declined | expired | withdrawn (someone else took the service),
+// and accepted -> released when the responder hands the service back.
+export const OFFER_STATUSES = ['offered', 'accepted', 'declined', 'expired', 'withdrawn', 'released'];
+
+// Actor roles, relative to a specific alert:
+//   reporter  - the user who created the alert
+//   responder - any responder whose userType matches the alert (or service) type
+//   assigned  - the responder currently assigned to the alert (or service)
+//   admin     - any admin user
+//   system    - server-side automation (no user)
+//
+// from -> to -> roles allowed to make that move
+export const TRANSITIONS = {
+  pending: {
+    active: ['admin', 'system'],
+    responded: ['responder', 'admin'],
+    resolved: ['admin'],
+    cancelled: ['reporter', 'admin', 'system'],
+  },
+  active: {
+    responded: ['responder', 'admin'],
+    resolved: ['admin'],
+    cancelled: ['reporter', 'admin', 'system'],
+  },
+  responded: {
+    pending: ['assigned', 'admin'],
+    en_route: ['assigned', 'admin'],
+    on_scene: ['assigned', 'admin'],
+    resolved: ['assigned', 'admin'],
+    cancelled: ['admin'],
+  },
+  en_route: {
+    pending: ['assigned', 'admin'],
+    on_scene: ['assigned', 'admin'],
+    resolved: ['assigned', 'admin'],
+    cancelled: ['admin'],
+  },
+  on_scene: {
+    transporting: ['assigned', 'admin'],
+    resolved: ['assigned', 'admin'],
+    cancelled: ['admin'],
+  },
+  transporting: {
+    resolved: ['assigned', 'admin'],
+  },
+  resolved: {},
+  cancelled: {},
+};
+
+// Default timeline text for each target status
+const TRANSITION_ACTIONS = {
+  pending: 'Responder released the alert',
+  active: 'Alert activated',
+  responded: 'Responder assigned',
+  en_route: 'Responder en route',
+  on_scene: 'Responder on scene',
+  transporting: 'Transporting to facility',
+  resolved: 'Alert resolved',
+  cancelled: 'Alert cancelled',
+};
+
+export class AlertTransitionError extends Error {
+  constructor(message, { status = 409, code = 'INVALID_TRANSITION', from, to, allowed = [] } = {}) {
+    super(message);
+    this.name = 'AlertTransitionError';
+    this.status = status;
+    this.code = code;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      code: this.code,
+      from: this.from,
+      to: this.to,
+      allowed: this.allowed,
+    };
+  }
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+const SERVICE_LABELS = { police: 'Police', hospital: 'Medical', fire: 'Fire' };
+
+// Roles the given user holds on this alert. `user` is `req.user`, or null for the system.
+// When `service` is given, responder/assigned are judged against that service entry instead
+// of the alert as a whole.
+export const getActorRoles = (alert, user, service = null) => {
+  if (!user) return ['system'];
+
+  const subject = service || alert;
+  const roles = [];
+  if (hasPermission(user, 'alert.status.override')) roles.push('admin');
+  if (idOf(alert.reporter) === user.id) roles.push('reporter');
+  if (idOf(subject.responder) === user.id) roles.push('assigned');
+  if (user.userType === subject.type && hasPermission(user, 'alert.respond')) {
+    roles.push('responder');
+  }
+  return roles;
+};
+
+// Target statuses this user may move the alert (or one of its services) to right now
+export const getAllowedTransitions = (alert, user, service = null) => {
+  const roles = getActorRoles(alert, user, service);
+  const targets = TRANSITIONS[(service || alert).status] || {};
+  return Object.keys(targets).filter(to => targets[to].some(role => roles.includes(role)));
+};
+
+// Throws AlertTransitionError if `user` may not move `alert` (or `service`) to `to`
+export const assertTransition = (alert, to, user, service = null) => {
+  const from = (service || alert).status;
+  const subject = service ? `${service.type} service` : 'alert';
+  const details = { from, to, allowed: getAllowedTransitions(alert, user, service) };
+
+  if (!ALERT_STATUSES.includes(to)) {
+    throw new AlertTransitionError(`Unknown alert status: ${to}`, {
+      status: 400,
+      code: 'UNKNOWN_STATUS',
+      ...details,
+    });
+  }
+
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    throw new AlertTransitionError(`Cannot move ${subject} from ${from} to ${to}`, details);
+  }
+
+  const roles = getActorRoles(alert, user, service);
+  if (!allowedRoles.some(role => roles.includes(role))) {
+    throw new AlertTransitionError(`Not authorized to move ${subject} from ${from} to ${to}`, {
+      status: 403,
+      code: 'TRANSITION_FORBIDDEN',
+      ...details,
+    });
+  }
+};
+
+// Service entries for a new alert. `types` may include any of SERVICE_TYPES.
+export const buildServices = (types = []) =>
+  [...new Set(types)].filter(t => SERVICE_TYPES.includes(t)).map(type => ({ type, status: 'pending' }));
+
+// Alerts created before multi-agency support have no `services`; derive the single
+// service entry from the alert-level fields so both kinds can be handled the same way.
+export const ensureServices = (alert) => {
+  if ((alert.services && alert.services.length) || !SERVICE_TYPES.includes(alert.type)) return alert;
+
+  alert.services = [{
+    type: alert.type,
+    status: alert.status === 'active' ? 'pending' : alert.status,
+    responder: alert.responder,
+    responseTime: alert.responseTime,
+    resolvedTime: alert.resolvedTime,
+  }];
+  return alert;
+};
+
+// Alert-level status implied by its services:
+//   every service closed          -> resolved (or cancelled if none was resolved)
+//   some service being worked     -> the furthest progress among open services
+//   some service already closed   -> responded (the rest are still waiting)
+//   every service released        -> active again
+//   otherwise                     -> unchanged (pending / active)
+const deriveStatusFromServices = (alert) => {
+  const services = alert.services || [];
+  if (!services.length) return alert.status;
+
+  const open = services.filter(s => !CLOSED_STATUSES.includes(s.status));
+  if (!open.length) {
+    return services.some(s => s.status === 'resolved') ? 'resolved' : 'cancelled';
+  }
+
+  const progress = open
+    .map(s => IN_PROGRESS_STATUSES.indexOf(s.status))
+    .reduce((max, idx) => Math.max(max, idx), -1);
+  if (progress >= 0) return IN_PROGRESS_STATUSES[progress];
+  if (open.length < services.length) return 'responded';
+  if (IN_PROGRESS_STATUSES.includes(alert.status)) return 'active';
+  return alert.status;
+};
+
+// Recompute alert-level status and timestamps after a service changed
+const syncAlertWithServices = (alert, user, now) => {
+  const services = alert.services || [];
+
+  const responseTimes = services.map(s => s.responseTime).filter(Boolean).map(t => new Date(t).getTime());
+  if (responseTimes.length) alert.responseTime = new Date(Math.min(...responseTimes));
+
+  const from = alert.status;
+  const to = deriveStatusFromServices(alert);
+  if (to === from) return;
+
+  if (to === 'resolved') alert.resolvedTime = now;
+  alert.status = to;
+  alert.timeline.push({
+    action: to === 'resolved' ? 'All services closed, alert resolved' : TRANSITION_ACTIONS[to],
+    user: user ? user.id : undefined,
+    timestamp: now,
+    fromStatus: from,
+    toStatus: to,
+  });
+};
+
+// Validate and apply a status change to one service of an alert (not saved).
+// The alert's own status is then derived from all of its services.
+export const transitionService = (alert, serviceType, to, { user = null, notes, action } = {}) => {
+  ensureServices(alert);
+
+  const service = (alert.services || []).find(s => s.type === serviceType);
+  if (!service) {
+    throw new AlertTransitionError(`This alert does not require ${serviceType}`, {
+      status: 403,
+      code: 'SERVICE_NOT_REQUIRED',
+      to,
+      allowed: [],
+    });
+  }
+  if (CLOSED_STATUSES.includes(alert.status)) {
+    throw new AlertTransitionError(`Cannot change a ${alert.status} alert`, {
+      from: alert.status,
+      to,
+      allowed: [],
+    });
+  }
+
+  assertTransition(alert, to, user, service);
+
+  const from = service.status;
+  const now = new Date();
+
+  if (to === 'responded') {
+    if (user) {
+      service.responder = user.id;
+      if (!alert.responder) alert.responder = user.id;
+      if (!alert.assignedTo.some(id => idOf(id) === user.id)) alert.assignedTo.push(user.id);
+    }
+    service.responseTime = now;
+  }
+  if (to === 'resolved') service.resolvedTime = now;
+  if (to === 'pending') {
+    // Released back to the pool: drop the assignment so the service can be offered again
+    const releasedId = idOf(service.responder);
+    service.responder = undefined;
+    service.responseTime = undefined;
+    const stillAssigned = alert.services.some(s => s !== service && idOf(s.responder) === releasedId);
+    if (!stillAssigned) {
+      alert.assignedTo = alert.assignedTo.filter(id => idOf(id) !== releasedId);
+    }
+    if (idOf(alert.responder) === releasedId) {
+      alert.responder = alert.services.find(s => s.responder)?.responder;
+    }
+  }
+
+  service.status = to;
+  if (notes) service.notes = notes;
+  alert.timeline.push({
+    action: `${SERVICE_LABELS[serviceType]}: ${action || TRANSITION_ACTIONS[to] || `Status changed to ${to}`}`,
+    user: user ? user.id : undefined,
+    timestamp: now,
+    notes,
+    service: serviceType,
+    fromStatus: from,
+    toStatus: to,
+  });
+
+  syncAlertWithServices(alert, user, now);
+  return alert;
+};
+
+// Hand one open service of an alert to `responder` ({ _id, name }) without the transition
+// rules: the caller has already checked the user may reassign it. The service restarts at
+// `responded` under its new responder (not saved).
+export const assignService = (alert, serviceType, responder, { user = null, notes } = {}) => {
+  ensureServices(alert);
+
+  const service = (alert.services || []).find(s => s.type === serviceType);
+  if (!service) {
+    throw new AlertTransitionError(`This alert does not require ${serviceType}`, {
+      status: 400,
+      code: 'SERVICE_NOT_REQUIRED',
+      to: 'responded',
+      allowed: alert.services.map(s => s.type),
+    });
+  }
+  if (CLOSED_STATUSES.includes(alert.status) || CLOSED_STATUSES.includes(service.status)) {
+    throw new AlertTransitionError(`Cannot reassign a ${service.status} service`, {
+      from: service.status,
+      to: 'responded',
+      allowed: [],
+    });
+  }
+
+  const from = service.status;
+  const now = new Date();
+  const previousId = idOf(service.responder);
+  const responderId = idOf(responder._id);
+
+  service.responder = responderId;
+  service.status = 'responded';
+  if (!service.responseTime) service.responseTime = now;
+  if (notes) service.notes = notes;
+
+  // The previous responder stays assigned only through another service
+  if (previousId && !alert.services.some(s => idOf(s.responder) === previousId)) {
+    alert.assignedTo = alert.assignedTo.filter(id => idOf(id) !== previousId);
+  }
+  if (!alert.assignedTo.some(id => idOf(id) === responderId)) alert.assignedTo.push(responderId);
+  if (!alert.responder || idOf(alert.responder) === previousId) {
+    alert.responder = alert.services.find(s => s.responder)?.responder;
+  }
+
+  alert.timeline.push({
+    action: `${SERVICE_LABELS[serviceType]}: Reassigned to ${responder.name}`,
+    user: user ? user.id : undefined,
+    timestamp: now,
+    notes,
+    service: serviceType,
+    fromStatus: from,
+    toStatus: 'responded',
+  });
+
+  syncAlertWithServices(alert, user, now);
+  return alert;
+};
+
+// Add a dispatched unit ({ _id, callSign, crew }) to one open service of an alert (not saved).
+// A service nobody had answered counts as responded, with the unit's first crew member as
+// its responder when it has one; the crew are assigned to the alert so they can follow it.
+export const assignUnitToService = (alert, serviceType, unit, { user = null, notes } = {}) => {
+  ensureServices(alert);
+
+  const service = (alert.services || []).find(s => s.type === serviceType);
+  if (!service) {
+    throw new AlertTransitionError(`This alert does not require ${serviceType}`, {
+      status: 400,
+      code: 'SERVICE_NOT_REQUIRED',
+      to: 'responded',
+      allowed: alert.services.map(s => s.type),
+    });
+  }
+  if (CLOSED_STATUSES.includes(alert.status) || CLOSED_STATUSES.includes(service.status)) {
+    throw new AlertTransitionError(`Cannot dispatch a unit to a ${service.status} service`, {
+      from: service.status,
+      to: 'responded',
+      allowed: [],
+    });
+  }
+
+  const from = service.status;
+  const now = new Date();
+  const crew = (unit.crew || []).map(idOf);
+
+  if (!service.units.some(id => idOf(id) === idOf(unit._id))) service.units.push(unit._id);
+  crew.forEach(id => {
+    if (!alert.assignedTo.some(a => idOf(a) === id)) alert.assignedTo.push(id);
+  });
+  if (service.status === 'pending') {
+    service.status = 'responded';
+    service.responseTime = now;
+    if (!service.responder && crew.length) service.responder = crew[0];
+    if (!alert.responder && service.responder) alert.responder = service.responder;
+  }
+  if (notes) service.notes = notes;
+
+  alert.timeline.push({
+    action: `${SERVICE_LABELS[serviceType]}: Unit ${unit.callSign} dispatched`,
+    user: user ? user.id : undefined,
+    timestamp: now,
+    notes,
+    service: serviceType,
+    fromStatus: from,
+    toStatus: service.status,
+  });
+
+  syncAlertWithServices(alert, user, now);
+  return alert;
+};
+
+// Validate and apply a status change to the alert as a whole (not saved).
+// Sets responder/responseTime/resolvedTime as the target status implies and
+// appends a timeline entry. Resolving or cancelling closes every open service.
+// Returns the alert for chaining.
+export const transitionAlert = (alert, to, { user = null, notes, action } = {}) => {
+  assertTransition(alert, to, user);
+
+  const from = alert.status;
+  const now = new Date();
+
+  if (to === 'responded') {
+    if (user) alert.responder = user.id;
+    if (!alert.responseTime) alert.responseTime = now;
+  }
+  if (to === 'resolved') alert.resolvedTime = now;
+
+  if (CLOSED_STATUSES.includes(to)) {
+    (alert.services || []).forEach(service => {
+      if (CLOSED_STATUSES.includes(service.status)) return;
+      service.status = to;
+      if (to === 'resolved') service.resolvedTime = now;
+    });
+  }
+
+  alert.status = to;
+  alert.timeline.push({
+    action: action || TRANSITION_ACTIONS[to] || `Status changed to ${to}`,
+    user: user ? user.id : undefined,
+    timestamp: now,
+    notes,
+    fromStatus: from,
+    toStatus: to,
+  });
+
+  return alert;
+};
+
+// Statuses that belong to a single service rather than the whole alert
+// ('pending' here means a responder releasing their service back to the pool)
+const SERVICE_LEVEL_STATUSES = ['pending', ...IN_PROGRESS_STATUSES, 'resolved'];
+
+// Which service a status change by this user refers to, if it can be inferred
+const inferServiceType = (alert, user) => {
+  const types = (alert.services || []).map(s => s.type);
+  if (user && types.includes(user.userType)) return user.userType;
+  if (types.length === 1) return types[0];
+  return null;
+};
+
+// Entry point for controllers: applies `to` to the right service when the alert has
+// services (responders act on their own agency's service), otherwise to the alert itself.
+export const applyStatusChange = (alert, to, { user = null, service, notes, action } = {}) => {
+  ensureServices(alert);
+
+  if (alert.services && alert.services.length && SERVICE_LEVEL_STATUSES.includes(to)) {
+    const serviceType = service || inferServiceType(alert, user);
+    if (serviceType) {
+      return transitionService(alert, serviceType, to, { user, notes, action });
+    }
+    // Only an admin resolving the whole alert may skip naming the service
+    if (to !== 'resolved') {
+      throw new AlertTransitionError('Specify which service this status applies to', {
+        status: 400,
+        code: 'SERVICE_REQUIRED',
+        from: alert.status,
+        to,
+        allowed: alert.services.map(s => s.type),
+      });
+    }
+  }
+
+  return transitionAlert(alert, to, { user, notes, action });
+};
@@ -0,0 +1,21 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Audit trail of administrative decisions. Recording never fails the request that made the
+// decision; a lost entry is logged instead.
+
+// `req` (optional) supplies the acting user and their IP
+export const recordAudit = async ({ req, actor, action, targetType, target, details }) => {
+  try {
+    return await AuditLog.create({
+      actor: actor ?? req?.user?.id,
+      action,
+      targetType,
+      target,
+      details,
+      ip: req?.ip,
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action} on ${targetType} ${target}):`, error);
+    return null;
+  }
+};
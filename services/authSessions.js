@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import { isRestrictedByVerification } from './accountTokens.js';
+import { getRealtime, publish, rooms } from './realtime/index.js';
+
+// Sign-in sessions: a short-lived JWT access token plus a rotating refresh token per
+// device. Refresh tokens look like `<sessionId>.<secret>`; only the hash of the current
+// secret is stored and every refresh replaces it. Presenting an already-used refresh
+// token means it leaked, so the whole session is revoked.
+//
+// Access tokens carry the session id (`sid`), and middleware/auth.js rejects them as soon
+// as their session is revoked or `User.sessionsRevokedAt` is after they were issued.
+
+// Session settings, overridable through environment variables:
+//   ACCESS_TOKEN_TTL        access token lifetime (jsonwebtoken syntax, e.g. 15m)
+//   REFRESH_TOKEN_TTL_DAYS  how long an unused session stays valid (extended on every refresh)
+export const getAuthConfig = () => ({
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTtlMs: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+});
+
+export class AuthSessionError extends Error {
+  constructor(message, { status = 401, code = 'INVALID_REFRESH_TOKEN' } = {}) {
+    super(message);
+    this.name = 'AuthSessionError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Request details stored with a session so users can recognise their devices
+export const clientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 200) || undefined,
+  ip: req.ip,
+});
+
+const issueTokens = (user, session, secret, config) => {
+  const token = jwt.sign(
+    { id: user._id, userType: user.userType, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: config.accessTokenTtl }
+  );
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
+  };
+};
+
+// End the socket connections opened with a session's access tokens
+const endSessionSockets = (targets, reason) => {
+  publish('session.ended', { reason, code: 'SESSION_REVOKED' }, { to: targets });
+  getRealtime().disconnect(targets);
+};
+
+// Start a session for a user who just proved who they are (login, register, password change)
+export const createSession = async (user, client = {}, config = getAuthConfig()) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    userAgent: client.userAgent,
+    ip: client.ip,
+    expiresAt: new Date(Date.now() + config.refreshTtlMs),
+  });
+  return issueTokens(user, session, secret, config);
+};
+
+const revoke = (filter, reason) => AuthSession.updateMany(
+  { ...filter, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Exchange a refresh token for new tokens. Throws AuthSessionError when the token is
+// unknown, expired, revoked or already used (which revokes the session).
+export const refreshSession = async (refreshToken, client = {}, config = getAuthConfig()) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    throw new AuthSessionError('Invalid refresh token');
+  }
+
+  const session = await AuthSession.findById(sessionId);
+  if (!session) throw new AuthSessionError('Invalid refresh token');
+  if (session.revokedAt) throw new AuthSessionError('Session has been revoked', { code: 'SESSION_REVOKED' });
+  if (session.expiresAt <= new Date()) throw new AuthSessionError('Refresh token expired', { code: 'REFRESH_TOKEN_EXPIRED' });
+
+  const reused = async () => {
+    await revoke({ _id: session._id }, 'token_reuse');
+    endSessionSockets(rooms.session(session._id), 'Session revoked');
+    console.warn(`Refresh token reuse on session ${session._id} of user ${session.user}; session revoked`);
+    return new AuthSessionError('Refresh token was already used; the session has been revoked', { code: 'REFRESH_TOKEN_REUSED' });
+  };
+  if (hashSecret(secret) !== session.tokenHash) throw await reused();
+
+  const user = await User.findById(session.user);
+  if (!user || user.status !== 'active') {
+    await revoke({ _id: session._id }, 'account_inactive');
+    throw new AuthSessionError('Account is suspended or inactive', { status: 403, code: 'ACCOUNT_INACTIVE' });
+  }
+  if (isRestrictedByVerification(user, 'login')) {
+    throw new AuthSessionError('Please verify your email address first', { status: 403, code: 'EMAIL_NOT_VERIFIED' });
+  }
+
+  // Rotate only if nobody else rotated this token in the meantime
+  const nextSecret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      tokenHash: hashSecret(nextSecret),
+      $inc: { generation: 1 },
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + config.refreshTtlMs),
+      ...(client.userAgent && { userAgent: client.userAgent }),
+      ...(client.ip && { ip: client.ip }),
+    },
+    { new: true }
+  );
+  if (!rotated) throw await reused();
+
+  user.lastActive = Date.now();
+  await user.save();
+  return { user, ...issueTokens(user, rotated, nextSecret, config) };
+};
+
+// Whether access tokens of this session are still accepted
+export const isSessionActive = async (sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return Boolean(await AuthSession.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Revoke one session of a user; returns false if there was no such active session
+export const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const { modifiedCount } = await revoke({ _id: sessionId, user: userId }, reason);
+  if (modifiedCount) endSessionSockets(rooms.session(sessionId), 'Signed out');
+  return modifiedCount > 0;
+};
+
+// Revoke every session of a user, including access tokens issued without one. Pass
+// `endSockets: false` when the caller disconnects the user's sockets itself.
+export const revokeAllSessions = async (userId, reason = 'logout_all', { endSockets = true } = {}) => {
+  const { modifiedCount } = await revoke({ user: userId }, reason);
+  await User.updateOne({ _id: userId }, { sessionsRevokedAt: new Date() });
+  if (endSockets) endSessionSockets(rooms.user(userId), 'Signed out on all devices');
+  return modifiedCount;
+};
+
+// Active sessions of a user, most recently used first; `current` marks the caller's own
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 }).select('userAgent ip createdAt lastUsedAt expiresAt').lean();
+
+  return sessions.map(({ _id, ...session }) => ({
+    id: _id,
+    ...session,
+    current: _id.toString() === currentSessionId,
+  }));
+};
@@ -0,0 +1,250 @@
+import Alert from '../models/Alert.js';
+import Shift from '../models/Shift.js';
+import User from '../models/User.js';
+import { CLOSED_STATUSES, IN_PROGRESS_STATUSES, SERVICE_TYPES } from './alertStateMachine.js';
+import { rolesWith } from './permissions.js';
+import { publish, rooms } from './realtime/index.js';
+
+// Responder availability. Police, hospital and fire accounts are:
+//   off_duty        outside their shift (or signed off by hand)
+//   available       on duty and free; the only state dispatch offers alerts to
+//   busy            working an alert they were assigned to
+//   en_route        on their way to an alert
+//   out_of_service  unavailable on duty (vehicle trouble, training, ...)
+//
+// `busy` and `en_route` follow the responder's open alert services and are never set by
+// hand; when the last one closes the responder is available again, or off duty when their
+// shift has ended. Responders on a roster (with shifts at stations) become available when
+// a shift starts and off duty when it ends; responders without shifts and accounts that
+// never set an availability count as available.
+
+export const AVAILABILITY_STATUSES = ['off_duty', 'available', 'busy', 'en_route', 'out_of_service'];
+
+// What responders may switch to themselves
+export const MANUAL_AVAILABILITY_STATUSES = ['off_duty', 'available', 'out_of_service'];
+
+// Query fragment matching responders dispatch may offer alerts to
+export const dispatchableFilter = () => ({ 'availability.status': { $in: [null, 'available'] } });
+
+// Shift settings, overridable through environment variables:
+//   SHIFT_SWEEP_INTERVAL_SEC  how often shift starts and ends are applied
+//   SHIFT_MAX_HOURS           longest shift that can be scheduled
+//   SHIFT_ROSTER_DAYS         responders with a shift ending within this many days are "on a
+//                             roster" and must be on shift to make themselves available
+export const getShiftConfig = () => ({
+  sweepIntervalMs: (parseInt(process.env.SHIFT_SWEEP_INTERVAL_SEC, 10) || 60) * 1000,
+  maxShiftMs: (parseInt(process.env.SHIFT_MAX_HOURS, 10) || 24) * 60 * 60 * 1000,
+  rosterWindowMs: (parseInt(process.env.SHIFT_ROSTER_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+});
+
+export class AvailabilityError extends Error {
+  constructor(message, { status = 409, code = 'RESPONDER_UNAVAILABLE' } = {}) {
+    super(message);
+    this.name = 'AvailabilityError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+export const availabilityOf = (user) => user?.availability?.status || 'available';
+
+// The shift `userId` is on at `at`, or null
+export const currentShift = (userId, at = new Date()) => Shift.findOne({
+  user: userId,
+  startsAt: { $lte: at },
+  endsAt: { $gt: at },
+}).lean();
+
+// Whether the responder has shifts recently or coming up, i.e. is scheduled through a roster
+const isRostered = async (userId, config = getShiftConfig()) => Boolean(await Shift.exists({
+  user: userId,
+  endsAt: { $gt: new Date(Date.now() - config.rosterWindowMs) },
+}));
+
+// Availability a responder returns to once they have no open alert services
+const idleStatus = async (userId) => {
+  if (await currentShift(userId)) return 'available';
+  return (await isRostered(userId)) ? 'off_duty' : 'available';
+};
+
+// Open alert services assigned to the responder
+export const openAssignments = async (userId) => {
+  const alerts = await Alert.find({
+    status: { $nin: CLOSED_STATUSES },
+    services: { $elemMatch: { responder: userId, status: { $in: IN_PROGRESS_STATUSES } } },
+  })
+    .select('title type priority status services')
+    .lean();
+
+  return alerts.flatMap(alert => alert.services
+    .filter(s => idOf(s.responder) === idOf(userId) && IN_PROGRESS_STATUSES.includes(s.status))
+    .map(s => ({ alertId: alert._id, title: alert.title, priority: alert.priority, service: s.type, status: s.status })));
+};
+
+// Tell the responder and everyone watching the roster
+const publishAvailability = (user) => {
+  publish('responder.availability_changed', {
+    userId: user._id,
+    name: user.name,
+    userType: user.userType,
+    availability: user.availability,
+  }, { to: [rooms.user(user._id), ...rolesWith('roster.view').map(rooms.role)] });
+};
+
+// Store a new availability for the responder and publish it. No-op when unchanged.
+// Returns the updated user (name, userType, availability), or null when nothing changed.
+export const setAvailability = async (userId, status, { reason } = {}) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, userType: { $in: SERVICE_TYPES }, 'availability.status': { $ne: status } },
+    { availability: { status, reason, changedAt: new Date() } },
+    { new: true }
+  ).select('name userType availability');
+  if (!user) return null;
+
+  publishAvailability(user);
+  return user;
+};
+
+// Bring each responder's availability in line with their open alert services: `en_route`
+// while heading to any of them, `busy` while working one, and back to idle (available or off
+// duty) when none are left. Off-duty and out-of-service responders only change when they
+// get an assignment.
+export const syncResponderAvailability = async (userIds) => {
+  for (const userId of new Set(userIds.map(idOf).filter(Boolean))) {
+    const user = await User.findById(userId).select('userType availability').lean();
+    if (!user || !SERVICE_TYPES.includes(user.userType)) continue;
+
+    const assignments = await openAssignments(userId);
+    const current = availabilityOf(user);
+    let next = current;
+    if (assignments.some(a => a.status === 'en_route')) next = 'en_route';
+    else if (assignments.length) next = 'busy';
+    else if (['busy', 'en_route'].includes(current)) next = await idleStatus(userId);
+
+    if (next !== current) {
+      await setAvailability(userId, next, {
+        reason: assignments.length ? `Assigned to ${assignments[0].title || 'an alert'}` : 'Assignments closed',
+      });
+    }
+  }
+};
+
+// Every responder an alert touches: assigned to it or one of its services, or recorded in
+// its offers as having accepted or released it
+export const alertResponderIds = (alert) => [
+  alert.responder,
+  ...(alert.assignedTo || []),
+  ...(alert.services || []).map(s => s.responder),
+  ...(alert.offers || []).filter(o => ['accepted', 'released'].includes(o.status)).map(o => o.responder),
+].filter(Boolean);
+
+// Sync the responders of an alert after it changed. Never throws.
+export const syncAlertResponders = (alert, extraIds = []) =>
+  syncResponderAvailability([...alertResponderIds(alert), ...extraIds])
+    .catch(err => console.error(`Error syncing responder availability for alert ${alert._id}:`, err));
+
+// Throws AvailabilityError unless the responder may take on an alert right now.
+// Only police/hospital/fire accounts are checked; admins acting on their behalf pass.
+export const assertAvailableForAlert = async (userId) => {
+  const user = await User.findById(userId).select('userType availability').lean();
+  if (!user || !SERVICE_TYPES.includes(user.userType)) return;
+
+  const status = availabilityOf(user);
+  if (status === 'available') return;
+  const reasons = {
+    off_duty: 'is off duty',
+    busy: 'is busy with another alert',
+    en_route: 'is on the way to another alert',
+    out_of_service: 'is out of service',
+  };
+  throw new AvailabilityError(`The responder ${reasons[status]}`, { code: 'RESPONDER_UNAVAILABLE' });
+};
+
+// Move an available responder to `busy` with one conditional write, so an accept racing
+// another accept or an availability change cannot both get through. Throws AvailabilityError
+// like assertAvailableForAlert when the responder is not available; other accounts pass.
+// Returns the updated user, or null when nothing was reserved. A reservation that is not
+// followed by an assignment is handed back with syncResponderAvailability.
+export const reserveForAlert = async (userId, { reason } = {}) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, userType: { $in: SERVICE_TYPES }, ...dispatchableFilter() },
+    { availability: { status: 'busy', reason, changedAt: new Date() } },
+    { new: true }
+  ).select('name userType availability');
+  if (!user) {
+    await assertAvailableForAlert(userId);
+    return null;
+  }
+
+  publishAvailability(user);
+  return user;
+};
+
+// A responder switching their own availability (off_duty, available, out_of_service)
+export const changeOwnAvailability = async (userId, status, reason) => {
+  if (!MANUAL_AVAILABILITY_STATUSES.includes(status)) {
+    throw new AvailabilityError(`Availability must be one of: ${MANUAL_AVAILABILITY_STATUSES.join(', ')}`, {
+      status: 400,
+      code: 'INVALID_AVAILABILITY',
+    });
+  }
+
+  const assignments = await openAssignments(userId);
+  if (assignments.length && status !== 'out_of_service') {
+    throw new AvailabilityError('Resolve or release your open alerts first', { code: 'HAS_ASSIGNMENTS' });
+  }
+  if (status === 'available' && !(await currentShift(userId)) && await isRostered(userId)) {
+    throw new AvailabilityError('You can only go available during your shift', { code: 'NOT_ON_SHIFT' });
+  }
+
+  await setAvailability(userId, status, { reason });
+  return User.findById(userId).select('availability').lean();
+};
+
+// Apply shift starts and ends that are due: starting responders who are off duty become
+// available, ending ones who are still available go off duty (busy ones follow once their
+// alerts close). The startedAt / endedAt markers make this safe to run from more than one process.
+export const sweepShiftBoundaries = async () => {
+  const now = new Date();
+  let applied = 0;
+
+  const starting = await Shift.find({ startsAt: { $lte: now }, endsAt: { $gt: now }, startedAt: null }).select('_id');
+  for (const { _id } of starting) {
+    const shift = await Shift.findOneAndUpdate({ _id, startedAt: null }, { startedAt: now }, { new: true });
+    if (!shift) continue;
+    applied += 1;
+
+    const user = await User.findById(shift.user).select('availability').lean();
+    if (user && ['off_duty', 'available'].includes(availabilityOf(user))) {
+      await setAvailability(shift.user, 'available', { reason: 'Shift started' });
+    }
+  }
+
+  const ending = await Shift.find({ endsAt: { $lte: now }, endedAt: null }).select('_id');
+  for (const { _id } of ending) {
+    const shift = await Shift.findOneAndUpdate({ _id, endedAt: null }, { endedAt: now }, { new: true });
+    if (!shift) continue;
+    applied += 1;
+
+    const user = await User.findById(shift.user).select('availability').lean();
+    if (user && availabilityOf(user) === 'available' && !(await currentShift(shift.user, now))) {
+      await setAvailability(shift.user, 'off_duty', { reason: 'Shift ended' });
+    }
+  }
+  return applied;
+};
+
+// Start the periodic shift sweeper. Returns a function that stops it.
+export const startShiftScheduler = (config = getShiftConfig()) => {
+  const timer = setInterval(() => {
+    sweepShiftBoundaries().catch(err => console.error('Shift sweep error:', err));
+  }, config.sweepIntervalMs);
+
+  return () => clearInterval(timer);
+};
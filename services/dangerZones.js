@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import DangerZone from '../models/DangerZone.js';
+import Notification from '../models/Notification.js';
+import ZoneWarning from '../models/ZoneWarning.js';
+import { haversineDistance, toLngLat } from './geo.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+import { parseJurisdiction } from './stations.js';
+
+// Danger zones warn the public about an area ("fire on Panganiban Drive, avoid"). Admins and
+// responders draw a circle or polygon with a severity; it is active until it expires or is
+// lifted. Every live position (`update-location`, PUT /api/users/location) is checked against
+// the active zones, and a user who enters one gets a `zone.warning` event and a Notification.
+// Users already inside a new zone are warned when it is drawn. A user is warned about a zone
+// again only after leaving it (or going offline) and coming back, and not sooner than
+// DANGER_ZONE_REWARN_MIN. That state lives in ZoneWarning, so it holds across instances.
+
+export const ZONE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export const ZONE_SHAPES = ['circle', 'polygon'];
+
+// Zone settings, overridable through environment variables:
+//   DANGER_ZONE_DEFAULT_HOURS   lifetime of a zone drawn without expiresAt
+//   DANGER_ZONE_MAX_HOURS       longest a zone may stay active
+//   DANGER_ZONE_MAX_RADIUS_KM   largest circle
+//   DANGER_ZONE_REWARN_MIN      least time between two warnings of one user about one zone
+export const getDangerZoneConfig = () => ({
+  defaultDurationMs: (parseFloat(process.env.DANGER_ZONE_DEFAULT_HOURS) || 6) * 60 * 60 * 1000,
+  maxDurationMs: (parseFloat(process.env.DANGER_ZONE_MAX_HOURS) || 72) * 60 * 60 * 1000,
+  maxRadiusM: (parseFloat(process.env.DANGER_ZONE_MAX_RADIUS_KM) || 20) * 1000,
+  rewarnMs: (parseInt(process.env.DANGER_ZONE_REWARN_MIN, 10) || 30) * 60 * 1000,
+});
+
+export class DangerZoneError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_ZONE' } = {}) {
+    super(message);
+    this.name = 'DangerZoneError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+// Query fragment matching zones that are in force
+export const activeZoneFilter = (now = new Date()) => ({ liftedAt: null, expiresAt: { $gt: now } });
+
+export const isZoneActive = (zone, now = new Date()) => !zone.liftedAt && new Date(zone.expiresAt) > now;
+
+// Polygon ring approximating a circle of `radius` meters around [lng, lat]
+export const circleToPolygon = ([lng, lat], radius, steps = 64) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const toDeg = rad => (rad * 180) / Math.PI;
+  const angular = radius / 6371000;
+  const lat1 = toRad(lat);
+  const lng1 = toRad(lng);
+
+  const ring = [];
+  for (let i = 0; i < steps; i += 1) {
+    const bearing = (2 * Math.PI * i) / steps;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([toDeg(lng2), toDeg(lat2)]);
+  }
+  ring.push(ring[0]);
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Validate what was drawn and build the fields to store: { shape, center, radius, geometry }.
+// Circles take `center` ([lng, lat]) and `radius` (meters); polygons a GeoJSON `polygon`.
+export const buildZoneShape = ({ shape, center, radius, polygon }, config = getDangerZoneConfig()) => {
+  if (shape === 'circle') {
+    const point = toLngLat(center);
+    const meters = Number(radius);
+    if (!point || Math.abs(point[0]) > 180 || Math.abs(point[1]) > 90) {
+      throw new DangerZoneError('center must be [longitude, latitude]');
+    }
+    if (!Number.isFinite(meters) || meters < 1 || meters > config.maxRadiusM) {
+      throw new DangerZoneError(`radius must be between 1 and ${config.maxRadiusM} meters`);
+    }
+    return { shape, center: point, radius: meters, geometry: circleToPolygon(point, meters) };
+  }
+
+  if (shape === 'polygon') {
+    const geometry = parseJurisdiction(polygon);
+    if (!geometry || geometry.type !== 'Polygon') {
+      throw new DangerZoneError('polygon must be a GeoJSON Polygon of closed [longitude, latitude] rings');
+    }
+    return { shape, center: undefined, radius: undefined, geometry };
+  }
+
+  throw new DangerZoneError(`shape must be one of: ${ZONE_SHAPES.join(', ')}`);
+};
+
+// Expiry of a zone from `expiresAt` or `durationMinutes` (default DANGER_ZONE_DEFAULT_HOURS)
+export const resolveExpiry = ({ expiresAt, durationMinutes }, config = getDangerZoneConfig(), now = new Date()) => {
+  let expiry;
+  if (expiresAt !== undefined) {
+    expiry = new Date(expiresAt);
+  } else if (durationMinutes !== undefined) {
+    expiry = new Date(now.getTime() + Number(durationMinutes) * 60 * 1000);
+  } else {
+    expiry = new Date(now.getTime() + config.defaultDurationMs);
+  }
+
+  if (Number.isNaN(expiry.getTime()) || expiry <= now) {
+    throw new DangerZoneError('The zone must expire in the future');
+  }
+  if (expiry - now > config.maxDurationMs) {
+    throw new DangerZoneError('The zone would last longer than DANGER_ZONE_MAX_HOURS allows');
+  }
+  return expiry;
+};
+
+// Check the alert a zone is drawn for (throws DangerZoneError)
+export const assertZoneAlert = async (alertId) => {
+  if (!alertId) return;
+  if (!mongoose.isValidObjectId(alertId) || !(await Alert.exists({ _id: alertId }))) {
+    throw new DangerZoneError('Alert not found', { status: 404, code: 'ALERT_NOT_FOUND' });
+  }
+};
+
+// Ray casting: whether [lng, lat] lies inside a linear ring
+const inRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Whether [lng, lat] lies inside the zone (circles by distance, polygons minus their holes)
+export const zoneContains = (zone, lngLat) => {
+  if (zone.shape === 'circle') return haversineDistance(zone.center, lngLat) <= zone.radius;
+  const [outer, ...holes] = zone.geometry.coordinates;
+  return inRing(lngLat, outer) && !holes.some(hole => inRing(lngLat, hole));
+};
+
+// A zone as clients see it (events, map overlays)
+export const describeZone = (zone) => ({
+  id: zone._id,
+  title: zone.title,
+  message: zone.message,
+  severity: zone.severity,
+  shape: zone.shape,
+  center: zone.center,
+  radius: zone.radius,
+  geometry: zone.geometry,
+  alert: zone.alert || null,
+  expiresAt: zone.expiresAt,
+  liftedAt: zone.liftedAt || null,
+  createdAt: zone.createdAt,
+});
+
+// Map clients follow zones as they are drawn, changed and lifted
+export const publishZone = (event, zone) => {
+  publish(event, { zone: describeZone(zone) }, { broadcast: true });
+};
+
+const isDuplicateKey = (err) => err && err.code === 11000;
+
+// Claim the warning of one user about a zone they are in. Succeeds for one caller across all
+// instances, and only when the user was not inside the zone already and was not warned about
+// it within rewarnMs; otherwise it just records that the user is inside.
+const claimWarning = async (userId, zone, config, now = new Date()) => {
+  const key = { user: userId, zone: zone._id };
+  // Kept while the zone is in force and while a new warning would be too soon
+  const expiresAt = new Date(Math.max(new Date(zone.expiresAt).getTime(), now.getTime() + config.rewarnMs));
+  try {
+    await ZoneWarning.updateOne(
+      {
+        ...key,
+        inside: { $ne: true },
+        $or: [{ warnedAt: null }, { warnedAt: { $lte: new Date(now.getTime() - config.rewarnMs) } }],
+      },
+      { $set: { inside: true, warnedAt: now }, $max: { expiresAt } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // The entry exists and did not match: already inside, or warned too recently
+    if (!isDuplicateKey(err)) throw err;
+    await ZoneWarning.updateOne(key, { $set: { inside: true }, $max: { expiresAt } });
+    return false;
+  }
+};
+
+const warningText = (zone) => zone.message ||
+  `You are in a ${zone.severity} danger zone. Avoid the area until ${new Date(zone.expiresAt).toLocaleString()}.`;
+
+// Warn one user about a zone they entered (event + Notification), at most once per rewarnMs
+export const warnUser = async (userId, zone, config = getDangerZoneConfig()) => {
+  if (!(await claimWarning(userId, zone, config))) return false;
+
+  const message = warningText(zone);
+  publish('zone.warning', { zone: describeZone(zone), message }, { to: rooms.user(userId) });
+
+  const notification = await Notification.create({
+    user: userId,
+    zone: zone._id,
+    alert: zone.alert || undefined,
+    type: 'danger_zone',
+    title: `Danger zone: ${zone.title}`,
+    message,
+  }).catch(err => { console.error('Error creating danger zone notification:', err); return null; });
+  publishNotification(notification);
+  return true;
+};
+
+// Check live positions against the active zones and warn users who entered one.
+// `positions` are [{ userId, location }] (the location feed's stored updates).
+// Returns how many warnings went out.
+export const checkDangerZones = async (positions, config = getDangerZoneConfig()) => {
+  const located = positions
+    .map(p => ({ userId: String(p.userId), lngLat: toLngLat(p.location) }))
+    .filter(p => p.lngLat && mongoose.isValidObjectId(p.userId));
+  if (!located.length) return 0;
+
+  const [zones, insideNow] = await Promise.all([
+    DangerZone.find(activeZoneFilter()).lean(),
+    ZoneWarning.find({ user: { $in: [...new Set(located.map(p => p.userId))] }, inside: true })
+      .select('user zone')
+      .lean(),
+  ]);
+  const previous = new Map();
+  for (const entry of insideNow) {
+    const userId = idOf(entry.user);
+    if (!previous.has(userId)) previous.set(userId, new Set());
+    previous.get(userId).add(idOf(entry.zone));
+  }
+
+  let warned = 0;
+  for (const { userId, lngLat } of located) {
+    const before = previous.get(userId) || new Set();
+    const current = zones.filter(zone => zoneContains(zone, lngLat));
+    const currentIds = current.map(z => idOf(z._id));
+
+    for (const zone of current.filter(z => !before.has(idOf(z._id)))) {
+      if (await warnUser(userId, zone, config)) warned += 1;
+    }
+    if ([...before].some(id => !currentIds.includes(id))) {
+      await ZoneWarning.updateMany(
+        { user: userId, inside: true, zone: { $nin: currentIds } },
+        { $set: { inside: false } }
+      );
+    }
+    // A later position of the same user in this batch starts from this one
+    previous.set(userId, new Set(currentIds));
+  }
+  return warned;
+};
+
+// Warn online users (presence) who are already inside a zone that was just drawn.
+// Returns how many were warned.
+export const warnUsersInside = async (zone, presence, config = getDangerZoneConfig()) => {
+  if (!presence || !isZoneActive(zone)) return 0;
+
+  let warned = 0;
+  for (const [userId, user] of presence.entries()) {
+    const lngLat = toLngLat(user.location);
+    if (!lngLat || !zoneContains(zone, lngLat)) continue;
+    if (await warnUser(String(userId), zone, config)) warned += 1;
+  }
+  return warned;
+};
+
+// A user who went offline is no longer inside any zone; coming back inside one warns them
+// again (subject to DANGER_ZONE_REWARN_MIN)
+export const leaveDangerZones = (userId) =>
+  ZoneWarning.updateMany({ user: userId, inside: true }, { $set: { inside: false } });
+
+// Forget the warnings of a lifted zone (expired ones are removed by the TTL index)
+export const clearZoneWarnings = (zoneId) => ZoneWarning.deleteMany({ zone: zoneId });
@@ -0,0 +1,79 @@
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+import { rolesWith } from './permissions.js';
+
+// Monitor settings, overridable through environment variables:
+//   DEVICE_OFFLINE_AFTER_SEC    silence after which a device is marked offline
+//   DEVICE_SWEEP_INTERVAL_SEC   how often the sweeper runs
+//   DEVICE_LOW_BATTERY_PERCENT  battery level flagged as low in the health listing
+export const getDeviceMonitorConfig = () => ({
+  offlineAfterMs: (parseInt(process.env.DEVICE_OFFLINE_AFTER_SEC, 10) || 900) * 1000,
+  sweepIntervalMs: (parseInt(process.env.DEVICE_SWEEP_INTERVAL_SEC, 10) || 60) * 1000,
+  lowBatteryPercent: parseInt(process.env.DEVICE_LOW_BATTERY_PERCENT, 10) || 15,
+});
+
+// Tell the device owner and every admin that a device went offline or came back
+export const notifyDeviceConnectivity = async (device, connectivity) => {
+  const label = device.name || device.deviceId;
+  const offline = connectivity === 'offline';
+  const title = offline ? 'Device offline' : 'Device back online';
+  const message = offline
+    ? `IoT device ${label} has not checked in since ${device.health?.lastHeartbeatAt?.toISOString() || 'registration'}`
+    : `IoT device ${label} is reporting again`;
+
+  const admins = await User.find({ userType: { $in: rolesWith('device.manage') }, status: 'active' }).select('_id').lean();
+  const recipients = new Set([device.owner.toString(), ...admins.map(a => a._id.toString())]);
+
+  for (const userId of recipients) {
+    const notification = await Notification.create({
+      user: userId,
+      type: offline ? 'device_offline' : 'device_online',
+      title,
+      message,
+    }).catch(err => { console.error('Error creating device notification:', err); return null; });
+
+    publishNotification(notification);
+    publish('device.status_changed', {
+      deviceId: device.deviceId,
+      connectivity,
+      health: device.health,
+    }, { to: rooms.user(userId) });
+  }
+};
+
+// Mark devices that stopped sending heartbeats as offline and notify about each one.
+// The status filter in the update makes this safe to run from more than one process.
+export const sweepOfflineDevices = async (config = getDeviceMonitorConfig()) => {
+  const cutoff = new Date(Date.now() - config.offlineAfterMs);
+  const candidates = await Device.find({
+    status: 'active',
+    connectivity: { $ne: 'offline' },
+    'health.lastHeartbeatAt': { $lt: cutoff },
+  }).select('_id');
+
+  let marked = 0;
+  for (const { _id } of candidates) {
+    const device = await Device.findOneAndUpdate(
+      { _id, connectivity: { $ne: 'offline' }, 'health.lastHeartbeatAt': { $lt: cutoff } },
+      { connectivity: 'offline', offlineSince: new Date() },
+      { new: true }
+    );
+    if (!device) continue;
+
+    marked += 1;
+    console.warn(`IoT device ${device.deviceId} marked offline`);
+    await notifyDeviceConnectivity(device, 'offline');
+  }
+  return marked;
+};
+
+// Start the periodic sweeper. Returns a function that stops it.
+export const startDeviceMonitor = (config = getDeviceMonitorConfig()) => {
+  const timer = setInterval(() => {
+    sweepOfflineDevices(config).catch(err => console.error('Device sweep error:', err));
+  }, config.sweepIntervalMs);
+
+  return () => clearInterval(timer);
+};
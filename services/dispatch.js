@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { SERVICE_TYPES } from './alertStateMachine.js';
+import { publish, rooms } from './realtime/index.js';
+import { dispatchableFilter } from './availability.js';
+import { haversineDistance, toLngLat } from './geo.js';
+
+const DEFAULT_RADIUS_STEPS_KM = [2, 5, 10, 25, 50];
+
+// Dispatch settings, overridable through environment variables:
+//   DISPATCH_RADIUS_STEPS_KM   comma-separated search rings in km (e.g. "2,5,10,25,50")
+//   DISPATCH_MIN_RESPONDERS    stop expanding once this many responders are found
+//   DISPATCH_MAX_RESPONDERS    never notify more than this many responders
+//   DISPATCH_LIVE_MAX_AGE_SEC  how old a live socket location may be to count as fresh
+export const getDispatchConfig = () => {
+  const steps = (process.env.DISPATCH_RADIUS_STEPS_KM || '')
+    .split(',')
+    .map(s => parseFloat(s))
+    .filter(n => Number.isFinite(n) && n > 0)
+    .sort((a, b) => a - b);
+
+  return {
+    radiusStepsKm: steps.length ? steps : DEFAULT_RADIUS_STEPS_KM,
+    minResponders: parseInt(process.env.DISPATCH_MIN_RESPONDERS, 10) || 3,
+    maxResponders: parseInt(process.env.DISPATCH_MAX_RESPONDERS, 10) || 20,
+    liveMaxAgeMs: (parseInt(process.env.DISPATCH_LIVE_MAX_AGE_SEC, 10) || 120) * 1000,
+  };
+};
+
+// Online responders of the given type whose live location is recent enough to trust
+const getLiveCandidates = (onlineUsers, type, origin, maxAgeMs) => {
+  const now = Date.now();
+  const live = [];
+  if (!onlineUsers) return live;
+
+  for (const [userId, data] of onlineUsers.entries()) {
+    if (data.userType !== type) continue;
+    if (!data.lastUpdate || now - new Date(data.lastUpdate).getTime() > maxAgeMs) continue;
+    const coords = toLngLat(data.location);
+    if (!coords) continue;
+    live.push({ userId: String(userId), coordinates: coords, distance: haversineDistance(origin, coords) });
+  }
+  return live;
+};
+
+// Available responders ranked by their stored User.location using the 2dsphere index
+const getStoredCandidates = (type, origin, maxDistance, limit, excludeIds) => User.aggregate([
+  {
+    $geoNear: {
+      near: { type: 'Point', coordinates: origin },
+      distanceField: 'distance',
+      maxDistance,
+      spherical: true,
+      query: { userType: type, status: 'active', _id: { $nin: excludeIds }, ...dispatchableFilter() },
+    },
+  },
+  { $limit: limit },
+  { $project: { name: 1, userType: 1, distance: 1 } },
+]);
+
+// Find the responders to notify for a new alert: active accounts of the alert's type that are
+// available (services/availability.js). Searches outward in rings until `minResponders` are
+// found (or the last ring is reached).
+// Members of the station the alert was routed to (`preferredIds`) come first, then responders
+// with a fresh live location from Socket.IO ahead of those known only by their stored profile
+// location. A fresh live position always wins over the stored one: a responder whose live
+// position is outside the ring is not picked for it even if their stored location is inside.
+// `excludeIds` skips responders already notified.
+// Returns [{ user: { _id, name, userType }, distance, live }] sorted by preference, distance in meters.
+export const findRespondersForAlert = async ({
+  type,
+  coordinates,
+  onlineUsers,
+  excludeIds = [],
+  preferredIds = [],
+  config = getDispatchConfig(),
+}) => {
+  if (!SERVICE_TYPES.includes(type)) return [];
+  const origin = toLngLat(coordinates);
+  if (!origin) return [];
+
+  const { radiusStepsKm, minResponders, maxResponders, liveMaxAgeMs } = config;
+  const excluded = new Set(excludeIds.map(String));
+  const preferred = new Set(preferredIds.map(String));
+  const liveAll = getLiveCandidates(onlineUsers, type, origin, liveMaxAgeMs)
+    .filter(c => !excluded.has(c.userId));
+
+  // Live entries only carry what the client claimed; confirm they are active responders
+  const liveIds = liveAll.map(c => c.userId);
+  const liveUsers = liveIds.length
+    ? await User.find({ _id: { $in: liveIds }, userType: type, status: 'active', ...dispatchableFilter() })
+      .select('name userType')
+      .lean()
+    : [];
+  const liveUserMap = new Map(liveUsers.map(u => [u._id.toString(), u]));
+
+  let selected = [];
+  for (const radiusKm of radiusStepsKm) {
+    const maxDistance = radiusKm * 1000;
+    const candidates = new Map();
+
+    for (const c of liveAll) {
+      const user = liveUserMap.get(c.userId);
+      if (user && c.distance <= maxDistance) {
+        candidates.set(c.userId, { user, distance: c.distance, live: true });
+      }
+    }
+
+    const stored = await getStoredCandidates(
+      type, origin, maxDistance, maxResponders, Array.from(excluded, id => new mongoose.Types.ObjectId(id))
+    );
+    for (const doc of stored) {
+      const id = doc._id.toString();
+      // A fresh live position supersedes the stored profile location, also when it puts the
+      // responder outside this ring (they have moved away; a wider ring may still pick them)
+      if (liveUserMap.has(id)) continue;
+      candidates.set(id, {
+        user: { _id: doc._id, name: doc.name, userType: doc.userType },
+        distance: doc.distance,
+        live: false,
+      });
+    }
+
+    selected = Array.from(candidates.values())
+      .sort((a, b) => {
+        const aPreferred = preferred.has(a.user._id.toString());
+        const bPreferred = preferred.has(b.user._id.toString());
+        if (aPreferred !== bPreferred) return aPreferred ? -1 : 1;
+        return a.live === b.live ? a.distance - b.distance : a.live ? -1 : 1;
+      })
+      .slice(0, maxResponders);
+
+    if (selected.length >= minResponders) break;
+  }
+
+  return selected;
+};
+
+// Publish `alert.dispatched` to each selected responder, create their notifications and
+// remember them on the alert so later re-dispatches can skip them.
+export const notifyResponders = async (alert, populatedAlert, responders, { escalated = false } = {}) => {
+  if (responders.length === 0) return;
+
+  responders.forEach(({ user: responder, distance }) => {
+    const km = (distance / 1000).toFixed(1);
+    publish('alert.dispatched', {
+      alert: populatedAlert,
+      distance: Math.round(distance),
+      escalated,
+      message: escalated
+        ? `Unanswered ${alert.type} alert ${km} km from you needs a responder`
+        : `New ${alert.type} alert ${km} km from you`,
+    }, { to: rooms.user(responder._id) });
+
+    // Create notification in database
+    Notification.create({
+      user: responder._id,
+      alert: alert._id,
+      type: 'alert',
+      title: escalated ? `Escalated ${alert.type} alert` : `New ${alert.type} alert`,
+      message: `${escalated ? 'Still unanswered' : `New ${alert.type} alert`}: ${alert.title}`,
+    }).catch(err => console.error('Error creating notification:', err));
+  });
+
+  await Alert.updateOne(
+    { _id: alert._id },
+    { $addToSet: { dispatchedTo: { $each: responders.map(r => r.user._id) } } }
+  );
+};
@@ -0,0 +1,437 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { findRespondersForAlert } from './dispatch.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+import { stationMemberIds } from './stations.js';
+import { assertAvailableForAlert, reserveForAlert, syncResponderAvailability } from './availability.js';
+import {
+  AlertTransitionError,
+  CLOSED_STATUSES,
+  assignService,
+  ensureServices,
+  transitionService,
+} from './alertStateMachine.js';
+
+// Dispatch offers: each pending service of an alert is offered to one responder at a time,
+// best candidate first. The responder accepts (claiming the service), declines with a reason,
+// or lets the offer expire; declined and expired offers roll over to the next-best candidate.
+// A responder who accepted can later release the service back to the pool, which also rolls over.
+//
+// Offers are kept on `alert.offers` and never removed, so the alert carries the full
+// history of who was asked, when, and what they answered. Responders can still claim an
+// alert directly (PUT /api/alerts/:id/respond); any outstanding offer is then settled.
+
+// Offer settings, overridable through environment variables:
+//   DISPATCH_OFFER_TIMEOUT_SEC         how long a responder has to answer an offer
+//   DISPATCH_OFFER_SWEEP_INTERVAL_SEC  how often expired offers are rolled over
+export const getOfferConfig = () => ({
+  timeoutMs: (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SEC, 10) || 60) * 1000,
+  sweepIntervalMs: (parseInt(process.env.DISPATCH_OFFER_SWEEP_INTERVAL_SEC, 10) || 10) * 1000,
+});
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+const offerError = (message, status, code) =>
+  new AlertTransitionError(message, { status, code, allowed: [] });
+
+// Responders already asked about this service (whatever they answered) are not asked again
+const previouslyOffered = (alert, serviceType) =>
+  (alert.offers || []).filter(o => o.service === serviceType).map(o => idOf(o.responder));
+
+const notifyOffer = async (alert, offer, responder) => {
+  const populatedAlert = await Alert.findById(alert._id)
+    .populate('reporter', 'name email contactNumber userType');
+  const seconds = Math.round((new Date(offer.expiresAt).getTime() - Date.now()) / 1000);
+
+  const notification = await Notification.create({
+    user: responder._id,
+    alert: alert._id,
+    type: 'alert_offer',
+    title: `${alert.type} alert offered to you`,
+    message: `Accept or decline within ${seconds}s: ${alert.title}`,
+  }).catch(err => { console.error('Error creating offer notification:', err); return null; });
+
+  publish('alert.offered', {
+    alert: populatedAlert,
+    offer,
+    distance: offer.distance,
+    expiresAt: offer.expiresAt,
+  }, { to: rooms.user(responder._id) });
+  publishNotification(notification);
+};
+
+// Offer one pending service of an alert to the best responder not yet asked.
+// `candidates` (from findRespondersForAlert) can be passed to skip the search when the
+// caller has just ranked responders anyway. Returns the new offer, or null when the
+// service is no longer pending, already has an open offer, or nobody is left to ask.
+export const offerService = async ({ onlineUsers, alert, serviceType, candidates, config = getOfferConfig() }) => {
+  ensureServices(alert);
+  const service = (alert.services || []).find(s => s.type === serviceType);
+  if (!service || service.status !== 'pending' || CLOSED_STATUSES.includes(alert.status)) return null;
+
+  const excluded = previouslyOffered(alert, serviceType);
+  const ranked = candidates || await findRespondersForAlert({
+    type: serviceType,
+    coordinates: alert.location?.coordinates?.coordinates,
+    onlineUsers,
+    excludeIds: excluded,
+    preferredIds: await stationMemberIds(service.station),
+  });
+  const next = ranked.find(c => c.user.userType === serviceType && !excluded.includes(idOf(c.user._id)));
+
+  if (!next) {
+    await Alert.updateOne(
+      { _id: alert._id },
+      {
+        $push: {
+          timeline: {
+            action: `No more ${serviceType} responders to offer this alert to`,
+            timestamp: new Date(),
+            service: serviceType,
+          },
+        },
+      }
+    );
+    return null;
+  }
+
+  const now = new Date();
+  const offer = {
+    service: serviceType,
+    responder: next.user._id,
+    status: 'offered',
+    distance: Math.round(next.distance),
+    offeredAt: now,
+    expiresAt: new Date(now.getTime() + config.timeoutMs),
+  };
+
+  // Only one open offer per service; losing this race means another process already offered it
+  const updated = await Alert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      status: { $nin: CLOSED_STATUSES },
+      services: { $elemMatch: { type: serviceType, status: 'pending' } },
+      offers: { $not: { $elemMatch: { service: serviceType, status: 'offered' } } },
+    },
+    {
+      $push: {
+        offers: offer,
+        timeline: {
+          action: `Offered ${serviceType} service to ${next.user.name}`,
+          timestamp: now,
+          service: serviceType,
+        },
+      },
+      $addToSet: { dispatchedTo: next.user._id },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const saved = updated.offers[updated.offers.length - 1];
+  await notifyOffer(updated, saved, next.user)
+    .catch(err => console.error('Error notifying offer:', err));
+  return saved;
+};
+
+// Offer every pending service of the alert that has no open offer yet.
+// `candidatesByType` optionally maps service type -> ranked candidates.
+export const offerPendingServices = async ({ onlineUsers, alert, candidatesByType = {} }) => {
+  ensureServices(alert);
+  const offers = [];
+  for (const service of alert.services || []) {
+    if (service.status !== 'pending') continue;
+    if ((alert.offers || []).some(o => o.service === service.type && o.status === 'offered')) continue;
+    try {
+      const offer = await offerService({
+        onlineUsers,
+        alert,
+        serviceType: service.type,
+        candidates: candidatesByType[service.type],
+      });
+      if (offer) offers.push(offer);
+    } catch (err) {
+      console.error(`Error offering ${service.type} service of alert ${alert._id}:`, err);
+    }
+  }
+  return offers;
+};
+
+// Bring offers in line with the alert's services after any status change (call before saving):
+// open offers whose service was claimed directly, resolved or cancelled are closed, and
+// accepted offers whose service went back to pending are marked released.
+export const settleOffers = (alert) => {
+  const now = new Date();
+  for (const offer of alert.offers || []) {
+    const service = (alert.services || []).find(s => s.type === offer.service);
+
+    if (offer.status === 'offered') {
+      if (service && service.status === 'pending' && !CLOSED_STATUSES.includes(alert.status)) continue;
+      offer.status = service && idOf(service.responder) === idOf(offer.responder) ? 'accepted' : 'withdrawn';
+      offer.respondedAt = now;
+    } else if (offer.status === 'accepted' && service && service.status === 'pending') {
+      offer.status = 'released';
+      offer.releasedAt = now;
+    }
+  }
+  return alert;
+};
+
+// The open offer `offerId` made to `user`; throws AlertTransitionError otherwise
+const findOpenOffer = (alert, offerId, user) => {
+  const offer = alert.offers.id(offerId);
+  if (!offer) throw offerError('Offer not found', 404, 'OFFER_NOT_FOUND');
+  if (idOf(offer.responder) !== user.id) {
+    throw offerError('This offer was made to another responder', 403, 'OFFER_FORBIDDEN');
+  }
+  if (offer.status !== 'offered') {
+    throw offerError(`Offer is already ${offer.status}`, 409, 'OFFER_CLOSED');
+  }
+  if (offer.expiresAt && new Date(offer.expiresAt) <= new Date()) {
+    throw offerError('Offer has expired', 409, 'OFFER_EXPIRED');
+  }
+  return offer;
+};
+
+// Accept an offer: the responder claims the offered service. Saves the alert.
+// Throws AvailabilityError when the responder went off duty or busy since the offer.
+// The responder is reserved and the offer claimed with conditional writes, so of two
+// accepts racing (or an accept and an availability change) only one gets through.
+export const acceptOffer = async (alert, offerId, user) => {
+  const offer = findOpenOffer(alert, offerId, user);
+  transitionService(alert, offer.service, 'responded', { user, action: 'Offer accepted' });
+
+  const reserved = await reserveForAlert(user.id, { reason: `Accepted ${alert.title || 'an alert'}` });
+  const now = new Date();
+  const claimed = await Alert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      status: { $nin: CLOSED_STATUSES },
+      services: { $elemMatch: { type: offer.service, status: 'pending' } },
+      offers: { $elemMatch: { _id: offer._id, status: 'offered', expiresAt: { $gt: now } } },
+    },
+    { $set: { 'offers.$[offer].status': 'accepted', 'offers.$[offer].respondedAt': now } },
+    { arrayFilters: [{ 'offer._id': offer._id }], projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    // Hand the reservation back; the responder returns to whatever their alerts call for
+    if (reserved) await syncResponderAvailability([user.id]);
+    throw offerError('Offer is no longer open', 409, 'OFFER_CLOSED');
+  }
+
+  offer.status = 'accepted';
+  offer.respondedAt = now;
+  settleOffers(alert);
+
+  await alert.save();
+  return offer;
+};
+
+// Decline an offer with a reason, then offer the service to the next candidate
+export const declineOffer = async (alert, offerId, user, reason, { onlineUsers } = {}) => {
+  if (!reason || !String(reason).trim()) {
+    throw offerError('A reason is required to decline an offer', 400, 'REASON_REQUIRED');
+  }
+  const offer = findOpenOffer(alert, offerId, user);
+
+  const now = new Date();
+  offer.status = 'declined';
+  offer.respondedAt = now;
+  offer.reason = reason;
+  alert.timeline.push({
+    action: `${user.name} declined the ${offer.service} offer`,
+    user: user.id,
+    timestamp: now,
+    notes: reason,
+    service: offer.service,
+  });
+  await alert.save();
+
+  const next = await offerService({ onlineUsers, alert, serviceType: offer.service });
+  return { offer, next };
+};
+
+// Hand a claimed service back to the pool. Responders release their own service;
+// admins name the service (or not, when the alert has only one). Saves the alert and
+// offers the service to the next candidate.
+export const releaseService = async (alert, user, { service, reason, onlineUsers } = {}) => {
+  ensureServices(alert);
+  const entry = service
+    ? alert.services.find(s => s.type === service)
+    : alert.services.find(s => idOf(s.responder) === user.id) ||
+      (alert.services.length === 1 ? alert.services[0] : null);
+  if (!entry) {
+    throw new AlertTransitionError('Specify which service to release', {
+      status: 400,
+      code: 'SERVICE_REQUIRED',
+      from: alert.status,
+      to: 'pending',
+      allowed: alert.services.filter(s => s.responder).map(s => s.type),
+    });
+  }
+
+  const releasedResponder = entry.responder;
+  const claimedAt = entry.responseTime;
+  const accepted = alert.offers
+    .filter(o => o.service === entry.type && o.status === 'accepted' && idOf(o.responder) === idOf(releasedResponder))
+    .pop();
+  transitionService(alert, entry.type, 'pending', { user, notes: reason });
+
+  // settleOffers marks the accepted offer released; a responder who claimed the alert
+  // directly had no offer, so record the release as a new history entry
+  const now = new Date();
+  settleOffers(alert);
+  if (accepted) {
+    accepted.reason = reason;
+  } else if (releasedResponder) {
+    alert.offers.push({
+      service: entry.type,
+      responder: releasedResponder,
+      status: 'released',
+      offeredAt: claimedAt || now,
+      respondedAt: claimedAt || now,
+      releasedAt: now,
+      reason,
+    });
+  }
+  await alert.save();
+
+  const next = await offerService({ onlineUsers, alert, serviceType: entry.type });
+  return { service: entry.type, next };
+};
+
+// Hand a service to another, available responder (supervisors and admins, see the alert controller).
+// The previous responder's claim is recorded as released and open offers for the service are
+// withdrawn; the new responder gets an accepted offer entry so the history shows who chose
+// them. Saves the alert. Returns { service, responder, previousResponder }.
+export const reassignService = async (alert, user, { service, responderId, reason } = {}) => {
+  ensureServices(alert);
+  const entry = service
+    ? alert.services.find(s => s.type === service)
+    : (alert.services.length === 1 ? alert.services[0] : null);
+  if (!entry) {
+    throw new AlertTransitionError('Specify which service to reassign', {
+      status: 400,
+      code: 'SERVICE_REQUIRED',
+      to: 'responded',
+      allowed: alert.services.map(s => s.type),
+    });
+  }
+
+  const responder = mongoose.isValidObjectId(responderId)
+    ? await User.findOne({ _id: responderId, status: 'active' }).select('name userType').lean()
+    : null;
+  if (!responder || responder.userType !== entry.type) {
+    throw offerError(`Choose an active ${entry.type} responder`, 400, 'INVALID_RESPONDER');
+  }
+  const previousResponder = entry.responder;
+  if (idOf(previousResponder) === idOf(responder._id)) {
+    throw offerError('The service is already assigned to this responder', 409, 'ALREADY_ASSIGNED');
+  }
+  await assertAvailableForAlert(responder._id);
+
+  const now = new Date();
+  const claimedAt = entry.responseTime;
+  const accepted = alert.offers
+    .filter(o => o.service === entry.type && o.status === 'accepted' && idOf(o.responder) === idOf(previousResponder))
+    .pop();
+
+  assignService(alert, entry.type, responder, { user, notes: reason });
+
+  if (accepted) {
+    accepted.status = 'released';
+    accepted.releasedAt = now;
+    accepted.reason = reason;
+  } else if (previousResponder) {
+    alert.offers.push({
+      service: entry.type,
+      responder: previousResponder,
+      status: 'released',
+      offeredAt: claimedAt || now,
+      respondedAt: claimedAt || now,
+      releasedAt: now,
+      reason,
+    });
+  }
+  alert.offers.push({
+    service: entry.type,
+    responder: responder._id,
+    status: 'accepted',
+    offeredAt: now,
+    respondedAt: now,
+    reason: reason || `Assigned by ${user.name}`,
+  });
+  if (!alert.dispatchedTo.some(id => idOf(id) === idOf(responder._id))) alert.dispatchedTo.push(responder._id);
+  settleOffers(alert);
+
+  await alert.save();
+  return { service: entry.type, responder, previousResponder };
+};
+
+// Open offers made to this responder, newest first
+export const getOpenOffersFor = async (userId) => {
+  const alerts = await Alert.find({
+    status: { $nin: CLOSED_STATUSES },
+    offers: { $elemMatch: { responder: userId, status: 'offered', expiresAt: { $gt: new Date() } } },
+  })
+    .populate('reporter', 'name email contactNumber userType')
+    .sort({ createdAt: -1 });
+
+  return alerts.map(alert => ({
+    offer: alert.offers.find(o => idOf(o.responder) === idOf(userId) && o.status === 'offered'),
+    alert,
+  }));
+};
+
+// Expire offers past their deadline and roll each over to the next candidate.
+export const sweepExpiredOffers = async ({ onlineUsers, config = getOfferConfig() } = {}) => {
+  const now = new Date();
+  const alerts = await Alert.find({
+    status: { $nin: CLOSED_STATUSES },
+    offers: { $elemMatch: { status: 'offered', expiresAt: { $lte: now } } },
+  }).select('offers');
+
+  let expired = 0;
+  for (const { _id, offers } of alerts) {
+    for (const offer of offers) {
+      if (offer.status !== 'offered' || new Date(offer.expiresAt) > now) continue;
+
+      // Claim the expiry atomically so only one process rolls this offer over
+      const result = await Alert.updateOne(
+        { _id, offers: { $elemMatch: { _id: offer._id, status: 'offered' } } },
+        {
+          $set: { 'offers.$.status': 'expired', 'offers.$.respondedAt': now },
+          $push: {
+            timeline: {
+              action: `${offer.service} offer expired without an answer`,
+              timestamp: now,
+              service: offer.service,
+            },
+          },
+        }
+      );
+      if (!result.modifiedCount) continue;
+      expired += 1;
+
+      try {
+        publish('alert.offer_expired', { alertId: _id, offerId: offer._id }, { to: rooms.user(offer.responder) });
+        const alert = await Alert.findById(_id);
+        await offerService({ onlineUsers, alert, serviceType: offer.service, config });
+      } catch (err) {
+        console.error(`Rolling over offer on alert ${_id} failed:`, err);
+      }
+    }
+  }
+  return expired;
+};
+
+// Start the periodic offer expiry sweep. Returns a function that stops it.
+export const startOfferScheduler = ({ onlineUsers, config = getOfferConfig() }) => {
+  const timer = setInterval(() => {
+    sweepExpiredOffers({ onlineUsers, config }).catch(err => console.error('Offer sweep error:', err));
+  }, config.sweepIntervalMs);
+
+  return () => clearInterval(timer);
+};
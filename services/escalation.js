@@ -0,0 +1,276 @@
+import fs from 'fs';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { findRespondersForAlert, getDispatchConfig, notifyResponders } from './dispatch.js';
+import { CLOSED_STATUSES } from './alertStateMachine.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+
+// Escalation for alerts nobody has responded to (or, for multi-agency alerts,
+// where some required service has not been claimed yet).
+//
+// All state lives on the alert (`escalation.policy`, `escalation.level`, `escalation.nextAt`),
+// so a restart simply picks up where the last sweep left off. Each step's `afterSec` counts from the
+// alert's createdAt. Available actions:
+//   widen_dispatch   re-dispatch with the search rings multiplied by `radiusMultiplier`
+//   notify_agencies  notify every responder of `agencyTypes` within `agencyRadiusKm`
+//   raise_priority   bump priority one level (low -> medium -> high -> critical)
+//   notify_admins    Notification + socket event for every admin
+//   rebroadcast      re-publish the alert to all clients (`alert.rebroadcast`)
+//
+// Policies are looked up by `${type}:${priority}`, then `${type}`, then `${priority}`, then `default`,
+// once: the key is stored on the alert at its first evaluation and the whole run follows that
+// policy, even after `raise_priority` moved the alert to a priority with a different one.
+export const DEFAULT_ESCALATION_POLICIES = {
+  default: {
+    steps: [
+      { afterSec: 120, actions: ['widen_dispatch'], radiusMultiplier: 2 },
+      { afterSec: 300, actions: ['raise_priority', 'notify_agencies', 'notify_admins', 'rebroadcast'], agencyRadiusKm: 50 },
+      { afterSec: 600, actions: ['raise_priority', 'notify_admins', 'rebroadcast'] },
+    ],
+  },
+  critical: {
+    steps: [
+      { afterSec: 60, actions: ['widen_dispatch'], radiusMultiplier: 2 },
+      { afterSec: 180, actions: ['notify_agencies', 'notify_admins', 'rebroadcast'], agencyRadiusKm: 50 },
+      { afterSec: 300, actions: ['notify_admins', 'rebroadcast'] },
+    ],
+  },
+  // Family alerts have no agency to dispatch to; only make sure an admin sees them
+  family: {
+    steps: [
+      { afterSec: 300, actions: ['notify_admins'] },
+    ],
+  },
+};
+
+export const ESCALATING_STATUSES = ['pending', 'active'];
+
+// Unanswered alerts, plus multi-agency alerts where some required service is still unclaimed
+const escalatingFilter = () => ({
+  $or: [
+    { status: { $in: ESCALATING_STATUSES } },
+    { status: { $nin: CLOSED_STATUSES }, 'services.status': 'pending' },
+  ],
+});
+
+// Service types still waiting for a responder (legacy alerts fall back to their type)
+const pendingServiceTypes = (alert) => (
+  alert.services && alert.services.length
+    ? alert.services.filter(s => s.status === 'pending').map(s => s.type)
+    : [alert.type]
+);
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const ACTION_LABELS = {
+  widen_dispatch: 'widened dispatch radius',
+  notify_agencies: 'notified neighbouring agencies',
+  raise_priority: 'raised priority',
+  notify_admins: 'notified admins',
+  rebroadcast: 're-broadcast alert',
+};
+
+// Escalation settings, overridable through environment variables:
+//   ESCALATION_SWEEP_INTERVAL_SEC  how often unanswered alerts are checked
+//   ESCALATION_POLICIES_FILE       JSON file replacing DEFAULT_ESCALATION_POLICIES
+export const getEscalationConfig = () => {
+  let policies = DEFAULT_ESCALATION_POLICIES;
+  const file = process.env.ESCALATION_POLICIES_FILE;
+  if (file) {
+    try {
+      policies = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`Could not load escalation policies from ${file}, using defaults:`, err.message);
+    }
+  }
+
+  return {
+    policies,
+    sweepIntervalMs: (parseInt(process.env.ESCALATION_SWEEP_INTERVAL_SEC, 10) || 30) * 1000,
+  };
+};
+
+// Key of the policy an alert's escalation follows: the one pinned on the alert, or the best
+// match for its type and current priority. null when no policy applies.
+export const getEscalationPolicyKey = (alert, policies) => {
+  const pinned = alert.escalation?.policy;
+  if (pinned && policies[pinned]) return pinned;
+  return [`${alert.type}:${alert.priority}`, alert.type, alert.priority, 'default']
+    .find(key => policies[key]) || null;
+};
+
+export const getEscalationPolicy = (alert, policies) =>
+  policies[getEscalationPolicyKey(alert, policies)] || { steps: [] };
+
+const notifyAdmins = async (alert, populatedAlert, level) => {
+  const admins = await User.find({ userType: 'admin', status: 'active' }).select('_id').lean();
+  for (const admin of admins) {
+    const notification = await Notification.create({
+      user: admin._id,
+      alert: alert._id,
+      type: 'alert_escalated',
+      title: 'Alert escalated',
+      message: `No response yet to ${alert.priority} ${alert.type} alert: ${alert.title} (level ${level})`,
+    }).catch(err => { console.error('Error creating escalation notification:', err); return null; });
+
+    publishNotification(notification);
+  }
+  publish('alert.escalated', { alert: populatedAlert, level }, { to: rooms.role('admin') });
+};
+
+// Run one policy step's actions against an alert that has already been claimed for this level
+const runStep = async (alert, step, level, { onlineUsers }) => {
+  const done = [];
+
+  if (step.actions.includes('raise_priority')) {
+    const idx = PRIORITY_ORDER.indexOf(alert.priority);
+    if (idx >= 0 && idx < PRIORITY_ORDER.length - 1) {
+      alert.priority = PRIORITY_ORDER[idx + 1];
+      await Alert.updateOne({ _id: alert._id }, { priority: alert.priority });
+      done.push(`raised priority to ${alert.priority}`);
+    }
+  }
+
+  const populatedAlert = await Alert.findById(alert._id)
+    .populate('reporter', 'name email contactNumber userType');
+  const coordinates = alert.location?.coordinates?.coordinates;
+
+  if (step.actions.includes('widen_dispatch')) {
+    const base = getDispatchConfig();
+    const multiplier = step.radiusMultiplier || 2;
+    let count = 0;
+    for (const type of pendingServiceTypes(alert)) {
+      const responders = await findRespondersForAlert({
+        type,
+        coordinates,
+        onlineUsers,
+        excludeIds: alert.dispatchedTo || [],
+        config: { ...base, radiusStepsKm: base.radiusStepsKm.map(r => r * multiplier) },
+      });
+      await notifyResponders(alert, populatedAlert, responders, { escalated: true });
+      alert.dispatchedTo.push(...responders.map(r => r.user._id));
+      count += responders.length;
+    }
+    done.push(`${ACTION_LABELS.widen_dispatch} (${count} more responders)`);
+  }
+
+  if (step.actions.includes('notify_agencies')) {
+    const base = getDispatchConfig();
+    const types = step.agencyTypes || pendingServiceTypes(alert);
+    let count = 0;
+    for (const type of types) {
+      const responders = await findRespondersForAlert({
+        type,
+        coordinates,
+        onlineUsers,
+        excludeIds: alert.dispatchedTo || [],
+        config: {
+          ...base,
+          radiusStepsKm: [step.agencyRadiusKm || 50],
+          minResponders: Infinity,
+          maxResponders: step.maxAgencies || 50,
+        },
+      });
+      await notifyResponders(alert, populatedAlert, responders, { escalated: true });
+      alert.dispatchedTo.push(...responders.map(r => r.user._id));
+      count += responders.length;
+    }
+    done.push(`${ACTION_LABELS.notify_agencies} (${count})`);
+  }
+
+  if (step.actions.includes('notify_admins')) {
+    await notifyAdmins(alert, populatedAlert, level);
+    done.push(ACTION_LABELS.notify_admins);
+  }
+
+  if (step.actions.includes('rebroadcast')) {
+    publish('alert.rebroadcast', { alert: populatedAlert, escalationLevel: level }, { broadcast: true });
+    done.push(ACTION_LABELS.rebroadcast);
+  }
+
+  return done;
+};
+
+// Check every unanswered alert once and run any escalation steps that are due.
+export const sweepEscalations = async ({ onlineUsers, config = getEscalationConfig() } = {}) => {
+  const now = new Date();
+  const alerts = await Alert.find({
+    $and: [
+      escalatingFilter(),
+      {
+        $or: [
+          { 'escalation.nextAt': { $lte: now } },
+          { 'escalation.nextAt': { $exists: false } },
+        ],
+      },
+    ],
+  });
+
+  let escalated = 0;
+  for (const alert of alerts) {
+    const level = alert.escalation?.level || 0;
+    const policyKey = getEscalationPolicyKey(alert, config.policies);
+    const { steps = [] } = getEscalationPolicy(alert, config.policies);
+    const step = steps[level];
+    // Pin the policy at the first evaluation (or when the pinned one left the configuration)
+    const pin = policyKey && policyKey !== alert.escalation?.policy ? { 'escalation.policy': policyKey } : {};
+
+    // No more steps: park the alert so the sweep stops picking it up
+    if (!step) {
+      await Alert.updateOne({ _id: alert._id }, { 'escalation.nextAt': null, ...pin });
+      continue;
+    }
+
+    const dueAt = new Date(new Date(alert.createdAt).getTime() + step.afterSec * 1000);
+    if (dueAt > now) {
+      await Alert.updateOne({ _id: alert._id }, { 'escalation.nextAt': dueAt, ...pin });
+      continue;
+    }
+
+    // Claim this level atomically so only one process runs the step
+    const claimed = await Alert.findOneAndUpdate(
+      {
+        _id: alert._id,
+        ...escalatingFilter(),
+        'escalation.level': alert.escalation?.level ?? { $exists: false },
+      },
+      { 'escalation.level': level + 1, 'escalation.lastEscalatedAt': now, ...pin },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const done = await runStep(claimed, step, level + 1, { onlineUsers });
+      const next = steps[level + 1];
+      await Alert.updateOne(
+        { _id: alert._id },
+        {
+          'escalation.nextAt': next
+            ? new Date(new Date(alert.createdAt).getTime() + next.afterSec * 1000)
+            : null,
+          $push: {
+            timeline: {
+              action: `Escalation level ${level + 1}: ${done.join(', ') || 'no action taken'}`,
+              timestamp: new Date(),
+              notes: `No response after ${Math.round(step.afterSec / 60)} min`,
+            },
+          },
+        }
+      );
+      escalated += 1;
+    } catch (err) {
+      console.error(`Escalation of alert ${alert._id} failed:`, err);
+    }
+  }
+  return escalated;
+};
+
+// Start the periodic escalation sweep. Returns a function that stops it.
+export const startEscalationScheduler = ({ onlineUsers, config = getEscalationConfig() }) => {
+  const timer = setInterval(() => {
+    sweepEscalations({ onlineUsers, config }).catch(err => console.error('Escalation sweep error:', err));
+  }, config.sweepIntervalMs);
+
+  return () => clearInterval(timer);
+};
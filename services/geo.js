@@ -0,0 +1,30 @@
+// Coordinate helpers shared by dispatch, tracking, danger zones and geocoding
+
+// Great-circle distance between two [lng, lat] pairs, in meters
+export const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Socket clients send locations in a few shapes; normalize to [lng, lat] or null
+export const toLngLat = (location) => {
+  if (!location) return null;
+  let pair = null;
+  if (Array.isArray(location)) {
+    pair = location;
+  } else if (Array.isArray(location.coordinates)) {
+    pair = location.coordinates;
+  } else if (location.lat != null && location.lng != null) {
+    pair = [location.lng, location.lat];
+  } else if (location.latitude != null && location.longitude != null) {
+    pair = [location.longitude, location.latitude];
+  }
+  if (!pair || pair.length !== 2) return null;
+  const [lng, lat] = pair.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return null;
+  return [lng, lat];
+};
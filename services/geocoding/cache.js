@@ -0,0 +1,38 @@
+// In-memory cache of reverse geocoding results keyed by rounded coordinates.
+// 4 decimal places is roughly 11 m, close enough to share a street address.
+export const createGeocodeCache = ({ ttlMs, precision = 4, maxEntries = 5000 }) => {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const keyFor = (lat, lng) => `${Number(lat).toFixed(precision)},${Number(lng).toFixed(precision)}`;
+
+  return {
+    get(lat, lng) {
+      const key = keyFor(lat, lng);
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(lat, lng, value) {
+      const key = keyFor(lat, lng);
+      entries.delete(key);
+      // Map keeps insertion order, so the first key is the oldest
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+};
@@ -0,0 +1,107 @@
+import { createGeocodeCache } from './cache.js';
+import { createLocationIQProvider } from './providers/locationiq.js';
+import { createNominatimProvider } from './providers/nominatim.js';
+import { createGazetteerProvider } from './providers/gazetteer.js';
+
+// A provider is { name, isAvailable(), reverse(lat, lng) } where reverse resolves to
+// { displayName, barangay, city, province, country, postcode, source } or null.
+
+const DEFAULT_GAZETTEER_FILE = new URL('../../data/naga-barangays.json', import.meta.url);
+
+// Geocoder settings, overridable through environment variables:
+//   GEOCODER_PROVIDERS       comma-separated provider order (locationiq, nominatim, gazetteer)
+//   GEOCODER_CACHE_TTL_SEC   how long a result is reused for nearby coordinates
+//   GEOCODER_CACHE_PRECISION decimal places coordinates are rounded to for the cache key
+//   GEOCODER_TIMEOUT_MS      per-request timeout for network providers
+//   GEOCODER_GAZETTEER_FILE  barangay centroid file for the offline provider
+//   LOCATIONIQ_KEY, NOMINATIM_URL, NOMINATIM_USER_AGENT
+const buildProvidersFromEnv = () => {
+  const timeoutMs = parseInt(process.env.GEOCODER_TIMEOUT_MS, 10) || 5000;
+  const factories = {
+    locationiq: () => createLocationIQProvider({ apiKey: process.env.LOCATIONIQ_KEY, timeoutMs }),
+    nominatim: () => createNominatimProvider({
+      baseUrl: process.env.NOMINATIM_URL || undefined,
+      userAgent: process.env.NOMINATIM_USER_AGENT || undefined,
+      timeoutMs,
+    }),
+    gazetteer: () => createGazetteerProvider({
+      file: process.env.GEOCODER_GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE,
+    }),
+  };
+
+  return (process.env.GEOCODER_PROVIDERS || 'locationiq,gazetteer')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!factories[name]) console.warn(`Unknown geocoding provider ignored: ${name}`);
+      return Boolean(factories[name]);
+    })
+    .map(name => factories[name]());
+};
+
+// Tries each provider in order and caches the first hit
+export const createGeocoder = ({ providers, cache }) => ({
+  providers,
+  cache,
+  reverse: async (lat, lng) => {
+    const latNum = Number(lat);
+    const lngNum = Number(lng);
+    if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) return null;
+
+    const cached = cache && cache.get(latNum, lngNum);
+    if (cached) return cached;
+
+    for (const provider of providers) {
+      if (!provider.isAvailable()) continue;
+      try {
+        const result = await provider.reverse(latNum, lngNum);
+        if (result) {
+          if (cache) cache.set(latNum, lngNum, result);
+          return result;
+        }
+      } catch (err) {
+        console.error(`Geocoding provider ${provider.name} failed:`, err.message);
+      }
+    }
+    return null;
+  },
+});
+
+let defaultGeocoder = null;
+
+export const getGeocoder = () => {
+  if (!defaultGeocoder) {
+    defaultGeocoder = createGeocoder({
+      providers: buildProvidersFromEnv(),
+      cache: createGeocodeCache({
+        ttlMs: (parseInt(process.env.GEOCODER_CACHE_TTL_SEC, 10) || 86400) * 1000,
+        precision: parseInt(process.env.GEOCODER_CACHE_PRECISION, 10) || 4,
+      }),
+    });
+  }
+  return defaultGeocoder;
+};
+
+// Swap the geocoder used by reverseGeocode (e.g. gazetteer-only in tests)
+export const setGeocoder = (geocoder) => {
+  defaultGeocoder = geocoder;
+};
+
+export const reverseGeocode = (lat, lng) => getGeocoder().reverse(lat, lng);
+
+// Fields stored on Alert.location from a geocoding result.
+// Falls back to a plain coordinate string when every provider failed.
+export const toAlertLocationFields = (result, lat, lng, fallbackSuffix = '') => {
+  if (!result) {
+    return {
+      address: `Lat: ${Number(lat).toFixed(5)}, Lon: ${Number(lng).toFixed(5)}${fallbackSuffix}`,
+    };
+  }
+  return {
+    address: result.displayName,
+    barangay: result.barangay,
+    city: result.city,
+    province: result.province,
+    geocodeSource: result.source,
+  };
+};
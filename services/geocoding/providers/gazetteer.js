@@ -0,0 +1,39 @@
+import fs from 'fs';
+import { haversineDistance } from '../../geo.js';
+
+// Offline provider: snaps a point to the nearest barangay centroid from a local JSON file
+// (see data/naga-barangays.json). Points farther than `maxDistanceKm` from every centroid are not matched.
+export const createGazetteerProvider = ({ file, maxDistanceKm = 5 }) => {
+  let gazetteer = null;
+
+  const load = () => {
+    if (!gazetteer) {
+      gazetteer = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return gazetteer;
+  };
+
+  return {
+    name: 'gazetteer',
+    isAvailable: () => fs.existsSync(file),
+    reverse: async (lat, lng) => {
+      const { city, province, country, barangays = [] } = load();
+
+      let nearest = null;
+      for (const brgy of barangays) {
+        const distance = haversineDistance([lng, lat], brgy.coordinates);
+        if (!nearest || distance < nearest.distance) nearest = { brgy, distance };
+      }
+      if (!nearest || nearest.distance > maxDistanceKm * 1000) return null;
+
+      return {
+        displayName: `Barangay ${nearest.brgy.name}, ${city}, ${province}`,
+        barangay: nearest.brgy.name,
+        city,
+        province,
+        country,
+        source: 'gazetteer',
+      };
+    },
+  };
+};
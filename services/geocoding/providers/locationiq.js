@@ -0,0 +1,11 @@
+import { fetchJson, parseOsmResult } from './osm.js';
+
+export const createLocationIQProvider = ({ apiKey, baseUrl = 'https://us1.locationiq.com/v1', timeoutMs = 5000 }) => ({
+  name: 'locationiq',
+  isAvailable: () => Boolean(apiKey),
+  reverse: async (lat, lng) => {
+    const params = new URLSearchParams({ key: apiKey, lat, lon: lng, format: 'json', addressdetails: 1 });
+    const data = await fetchJson('LocationIQ', `${baseUrl}/reverse?${params}`, { timeoutMs });
+    return parseOsmResult(data, 'locationiq');
+  },
+});
@@ -0,0 +1,20 @@
+import { fetchJson, parseOsmResult } from './osm.js';
+
+// The public Nominatim server requires an identifying User-Agent and at most 1 request/second;
+// point NOMINATIM_URL at a self-hosted instance for anything beyond light use.
+export const createNominatimProvider = ({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  userAgent = 'AlertoDePin/1.0',
+  timeoutMs = 5000,
+}) => ({
+  name: 'nominatim',
+  isAvailable: () => true,
+  reverse: async (lat, lng) => {
+    const params = new URLSearchParams({ lat, lon: lng, format: 'jsonv2', addressdetails: 1 });
+    const data = await fetchJson('Nominatim', `${baseUrl}/reverse?${params}`, {
+      timeoutMs,
+      headers: { 'User-Agent': userAgent },
+    });
+    return parseOsmResult(data, 'nominatim');
+  },
+});
@@ -0,0 +1,36 @@
+import fetch from 'node-fetch';
+
+// LocationIQ and Nominatim both return OpenStreetMap-style `address` objects.
+// In the Philippines the barangay shows up under one of several keys depending on how it was mapped.
+export const parseOsmResult = (data, source) => {
+  if (!data || !data.display_name) return null;
+  const a = data.address || {};
+  return {
+    displayName: data.display_name,
+    barangay: a.quarter || a.suburb || a.village || a.neighbourhood || a.hamlet || undefined,
+    city: a.city || a.town || a.municipality || undefined,
+    province: a.province || a.state || a.county || undefined,
+    country: a.country || undefined,
+    postcode: a.postcode || undefined,
+    source,
+  };
+};
+
+// GET a JSON document with a timeout. Logs the provider and status only, never the URL (it may carry a key).
+export const fetchJson = async (providerName, url, { timeoutMs, headers } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { headers, signal: controller.signal });
+    if (!res.ok) {
+      console.error(`${providerName} reverse geocode HTTP error:`, res.status);
+      return null;
+    }
+    return await res.json();
+  } catch (err) {
+    console.error(`${providerName} reverse geocode error:`, err.name === 'AbortError' ? 'timeout' : err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,182 @@
+import Alert from '../models/Alert.js';
+import LocationTrack from '../models/LocationTrack.js';
+import User from '../models/User.js';
+import { CLOSED_STATUSES, SERVICE_TYPES } from './alertStateMachine.js';
+import { haversineDistance, toLngLat } from './geo.js';
+import { publish, rooms } from './realtime/index.js';
+
+// Location trails of responders while they are assigned to an open alert, and the
+// distance/ETA estimate pushed to the alert's reporter and family (`alert.eta`).
+//
+// Positions come from live socket updates (batched by the location feed) and from
+// PUT /api/users/location. At most one point per responder is stored every
+// `minIntervalMs`; the ETA uses the speed over the last `etaWindowMs` of the trail and
+// falls back to `defaultSpeedKmh` while the responder has not moved enough to measure.
+
+// Track settings, overridable through environment variables:
+//   LOCATION_TRACK_TTL_HOURS         how long trail points are kept
+//   LOCATION_TRACK_MIN_INTERVAL_SEC  minimum time between stored points of one responder
+//   LOCATION_ETA_WINDOW_SEC          how much recent trail the speed is measured over
+//   LOCATION_ETA_DEFAULT_SPEED_KMH   speed assumed until one can be measured
+export const getTrackConfig = () => ({
+  ttlMs: (parseInt(process.env.LOCATION_TRACK_TTL_HOURS, 10) || 72) * 60 * 60 * 1000,
+  minIntervalMs: (parseInt(process.env.LOCATION_TRACK_MIN_INTERVAL_SEC, 10) || 10) * 1000,
+  etaWindowMs: (parseInt(process.env.LOCATION_ETA_WINDOW_SEC, 10) || 300) * 1000,
+  defaultSpeedKmh: parseFloat(process.env.LOCATION_ETA_DEFAULT_SPEED_KMH) || 30,
+});
+
+// Below these a measured speed is mostly GPS noise
+const MIN_MEASURED_DISTANCE_M = 50;
+const MIN_MEASURED_TIME_MS = 20 * 1000;
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+// When each assigned responder's last point was stored, to enforce minIntervalMs.
+// Entries are dropped once they are older than that, so the map only holds responders
+// who stored a point within the last interval.
+const lastRecorded = new Map();
+
+// Open alerts `responderIds` are assigned to (as the responder, in assignedTo, or on a service)
+const findAssignedAlerts = (responderIds) => Alert.find({
+  status: { $nin: CLOSED_STATUSES },
+  $or: [
+    { responder: { $in: responderIds } },
+    { assignedTo: { $in: responderIds } },
+    { 'services.responder': { $in: responderIds } },
+  ],
+}).select('type reporter responder assignedTo services location').lean();
+
+const isAssigned = (alert, responderId) =>
+  idOf(alert.responder) === responderId ||
+  (alert.assignedTo || []).some(id => idOf(id) === responderId) ||
+  (alert.services || []).some(s => idOf(s.responder) === responderId);
+
+const serviceOf = (alert, responderId) =>
+  (alert.services || []).find(s => idOf(s.responder) === responderId)?.type || alert.type;
+
+// Distance from the last point to `target` and the time to cover it. `points` are
+// { coordinates: [lng, lat], recordedAt } oldest first.
+// Returns { distance (m), speedKmh, etaSeconds, speedSource: 'measured' | 'default' } or null.
+export const estimateEta = (points, target, config = getTrackConfig()) => {
+  if (!points.length || !target) return null;
+  const last = points[points.length - 1];
+  const windowStart = new Date(last.recordedAt).getTime() - config.etaWindowMs;
+  const recent = points.filter(p => new Date(p.recordedAt).getTime() >= windowStart);
+
+  let travelled = 0;
+  for (let i = 1; i < recent.length; i += 1) {
+    travelled += haversineDistance(recent[i - 1].coordinates, recent[i].coordinates);
+  }
+  const elapsedMs = new Date(last.recordedAt) - new Date(recent[0].recordedAt);
+  const measured = travelled >= MIN_MEASURED_DISTANCE_M && elapsedMs >= MIN_MEASURED_TIME_MS;
+
+  const speedKmh = measured ? (travelled / (elapsedMs / 1000)) * 3.6 : config.defaultSpeedKmh;
+  const distance = haversineDistance(last.coordinates, target);
+  return {
+    distance: Math.round(distance),
+    speedKmh: Math.round(speedKmh * 10) / 10,
+    etaSeconds: Math.round(distance / (speedKmh / 3.6)),
+    speedSource: measured ? 'measured' : 'default',
+  };
+};
+
+// Trail points of one responder on one alert, oldest first
+const loadTrail = async (alertId, responderId, since) => {
+  const points = await LocationTrack.find({
+    alert: alertId,
+    responder: responderId,
+    ...(since && { recordedAt: { $gte: since } }),
+  }).sort({ recordedAt: 1 }).select('location recordedAt').lean();
+  return points.map(p => ({ coordinates: p.location.coordinates, recordedAt: p.recordedAt }));
+};
+
+// ETA of one assigned responder for an alert, from their stored trail
+export const getResponderEta = async (alert, responderId, config = getTrackConfig()) => {
+  const trail = await loadTrail(alert._id, responderId, new Date(Date.now() - config.etaWindowMs));
+  return estimateEta(trail, alert.location?.coordinates?.coordinates, config);
+};
+
+// The reporter and their family members
+const reporterAudience = async (alert) => {
+  const reporterId = idOf(alert.reporter);
+  const reporter = await User.findById(reporterId).select('familyMembers').lean();
+  return [reporterId, ...(reporter?.familyMembers || []).map(idOf)].map(rooms.user);
+};
+
+// Store positions of assigned responders and push fresh ETAs to their alerts' reporters.
+// `positions` are [{ userId, userType, location, at }]; other users are ignored.
+// Returns the number of points stored.
+export const recordResponderPositions = async (positions, config = getTrackConfig()) => {
+  const now = Date.now();
+  for (const [responderId, at] of lastRecorded) {
+    if (now - at >= config.minIntervalMs) lastRecorded.delete(responderId);
+  }
+  const due = positions
+    .filter(p => SERVICE_TYPES.includes(p.userType) && toLngLat(p.location))
+    .filter(p => !lastRecorded.has(String(p.userId)));
+  if (!due.length) return 0;
+
+  const alerts = await findAssignedAlerts(due.map(p => String(p.userId)));
+  if (!alerts.length) return 0;
+
+  const points = [];
+  for (const position of due) {
+    const responderId = String(position.userId);
+    const recordedAt = position.at ? new Date(position.at) : new Date();
+    // Responders without an open assignment are not throttled (nor remembered)
+    const assigned = alerts.filter(a => isAssigned(a, responderId));
+    if (!assigned.length) continue;
+    for (const alert of assigned) {
+      points.push({
+        alert: alert._id,
+        responder: responderId,
+        service: serviceOf(alert, responderId),
+        location: { type: 'Point', coordinates: toLngLat(position.location) },
+        recordedAt,
+        expiresAt: new Date(recordedAt.getTime() + config.ttlMs),
+      });
+    }
+    lastRecorded.set(responderId, now);
+  }
+  if (!points.length) return 0;
+  await LocationTrack.insertMany(points);
+
+  for (const point of points) {
+    const alert = alerts.find(a => a._id.equals(point.alert));
+    const eta = await getResponderEta(alert, point.responder, config);
+    if (!eta) continue;
+    publish('alert.eta', {
+      alertId: alert._id,
+      responderId: point.responder,
+      service: point.service,
+      location: point.location,
+      at: point.recordedAt,
+      ...eta,
+    }, { to: await reporterAudience(alert) });
+  }
+  return points.length;
+};
+
+// Breadcrumb trails of an alert, one per responder, each with its current ETA
+export const getAlertTracks = async (alert, { responder, since } = {}, config = getTrackConfig()) => {
+  const responderIds = responder
+    ? [String(responder)]
+    : (await LocationTrack.distinct('responder', { alert: alert._id })).map(String);
+
+  const responders = await User.find({ _id: { $in: responderIds } }).select('name userType').lean();
+  const tracks = [];
+  for (const responderId of responderIds) {
+    const points = await loadTrail(alert._id, responderId, since);
+    if (!points.length) continue;
+    tracks.push({
+      responder: responders.find(r => r._id.toString() === responderId) || { _id: responderId },
+      service: serviceOf(alert, responderId),
+      assigned: isAssigned(alert, responderId),
+      points,
+      eta: isAssigned(alert, responderId) && !CLOSED_STATUSES.includes(alert.status)
+        ? estimateEta(points, alert.location?.coordinates?.coordinates, config)
+        : null,
+    });
+  }
+  return tracks;
+};
@@ -0,0 +1,62 @@
+import { renderTemplate } from './templates.js';
+import { createTransportFromEnv } from './transports.js';
+
+// Templated email. Callers name a template (templates.js) and pass its data; the mailer
+// renders it and hands it to the configured transport (transports.js), so tests and
+// offline development can swap SMTP for the json or file transport.
+
+export const createMailer = ({ transport, from }) => ({
+  transport,
+  from,
+  // Resolves to the transport's result
+  send: (template, to, data) => {
+    const { subject, text, html } = renderTemplate(template, data);
+    return transport.sendMail({ from, to, subject, text, html });
+  },
+});
+
+let defaultMailer = null;
+
+// Sender address from MAIL_FROM
+export const getMailer = () => {
+  if (!defaultMailer) {
+    defaultMailer = createMailer({
+      transport: createTransportFromEnv(),
+      from: process.env.MAIL_FROM || 'ALERTO DE PIN <no-reply@alertodepin.local>',
+    });
+  }
+  return defaultMailer;
+};
+
+// Swap the mailer used by sendMail (e.g. a json transport in tests)
+export const setMailer = (mailer) => {
+  defaultMailer = mailer;
+};
+
+export const sendMail = (template, to, data) => getMailer().send(template, to, data);
+
+// Whether account emails reach anyone: any configured transport outside production, only
+// SMTP in production
+export const isMailDeliverable = (transport = getMailer().transport) => {
+  if (transport.name === 'none') return false;
+  return process.env.NODE_ENV !== 'production' || transport.name === 'smtp';
+};
+
+// Run at startup: without real delivery (SMTP) verification and reset links never reach
+// anyone. Logs an error in production and a warning elsewhere, but never stops the server;
+// the routes that only send email answer 503 meanwhile (middleware/mail.js).
+// Returns whether mail is deliverable.
+export const checkMailConfig = () => {
+  const { transport } = getMailer();
+  if (transport.name === 'smtp') return true;
+
+  const detail = transport.name === 'none'
+    ? transport.reason
+    : `MAIL_TRANSPORT=${transport.name} does not deliver email`;
+  if (process.env.NODE_ENV === 'production') {
+    console.error(`❌ MAIL: ${detail}. Verification and password reset are unavailable (503) until SMTP is configured.`);
+    return false;
+  }
+  console.warn(`⚠️  MAIL: ${detail}. Verification and password reset emails are NOT delivered.`);
+  return isMailDeliverable(transport);
+};
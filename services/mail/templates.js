@@ -0,0 +1,91 @@
+// Email templates. Each takes the template data and returns { subject, text, html };
+// values are escaped for the HTML part.
+
+const APP_NAME = 'ALERTO DE PIN';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// One paragraph per line plus an optional call-to-action link
+const layout = ({ greeting, lines, action, footer }) => ({
+  text: [
+    greeting, '', ...lines, '',
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    ...(footer ? [footer, ''] : []),
+    APP_NAME,
+  ].join('\n'),
+  html: [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    ...(footer ? [`<p style="color:#666;font-size:12px">${escapeHtml(footer)}</p>`] : []),
+    `<p>${APP_NAME}</p>`,
+  ].join('\n'),
+});
+
+const templates = {
+  // { name, url, expiresInHours }
+  verifyEmail: ({ name, url, expiresInHours }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      lines: [
+        `Please confirm this email address to finish setting up your ${APP_NAME} account.`,
+        `The link expires in ${expiresInHours} hours.`,
+      ],
+      action: { label: 'Verify email address', url },
+      footer: 'If you did not create an account, you can ignore this email.',
+    }),
+  }),
+
+  // { name, url, expiresInMinutes }
+  passwordReset: ({ name, url, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      lines: [
+        'We received a request to reset your password.',
+        `The link can be used once and expires in ${expiresInMinutes} minutes.`,
+      ],
+      action: { label: 'Choose a new password', url },
+      footer: 'If you did not ask for this, ignore this email; your password stays the same.',
+    }),
+  }),
+
+  // { name, userType, url, note }
+  responderApproved: ({ name, userType, url, note }) => ({
+    subject: `Your ${APP_NAME} ${userType} account has been approved`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      lines: [
+        `An administrator reviewed your credentials and approved your ${userType} responder account.`,
+        'You can now sign in and receive alerts.',
+        ...(note ? [`Note from the reviewer: ${note}`] : []),
+      ],
+      action: { label: 'Sign in', url },
+    }),
+  }),
+
+  // { name, userType, reason }
+  responderRejected: ({ name, userType, reason }) => ({
+    subject: `Your ${APP_NAME} ${userType} account application`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      lines: [
+        `An administrator reviewed your ${userType} responder application and could not approve it.`,
+        `Reason: ${reason}`,
+      ],
+      footer: 'If you believe this is a mistake, contact your agency or the system administrator.',
+    }),
+  }),
+};
+
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+};
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Nodemailer transports by name:
+//   smtp  real delivery (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   json  nothing is sent; messages are kept in memory (`outbox`) and only their recipient
+//         and subject are logged. For tests and offline development.
+//   file  every message is written as an .eml file to MAIL_OUTBOX_DIR
+//   none  mail is not configured; every send fails, so callers report it as not sent
+// A transport is { name, sendMail(message) } plus `outbox` for json.
+//
+// Message bodies carry live verification and reset links: never log them.
+
+// How many sent messages the json transport remembers
+const OUTBOX_LIMIT = 50;
+
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+  return { name: 'smtp', sendMail: (message) => transporter.sendMail(message) };
+};
+
+export const createJsonTransport = ({ log = true } = {}) => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  const outbox = [];
+  return {
+    name: 'json',
+    outbox,
+    sendMail: async (message) => {
+      const info = await transporter.sendMail(message);
+      outbox.push(JSON.parse(info.message));
+      if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+      if (log) console.log(`📧 [mail:json] to ${message.to}: ${message.subject}`);
+      return info;
+    },
+  };
+};
+
+export const createFileTransport = ({ dir }) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    name: 'file',
+    dir,
+    sendMail: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.writeFile(file, info.message);
+      return { ...info, file };
+    },
+  };
+};
+
+export const createDisabledTransport = ({ reason = 'No mail transport is configured' } = {}) => ({
+  name: 'none',
+  reason,
+  sendMail: async () => {
+    throw new Error(reason);
+  },
+});
+
+// MAIL_TRANSPORT picks the transport; without it SMTP is used when SMTP_HOST is set and mail
+// is disabled otherwise. The json and file transports are only used when asked for by name.
+export const createTransportFromEnv = () => {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')).toLowerCase();
+  switch (name) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        return createDisabledTransport({ reason: 'MAIL_TRANSPORT=smtp needs SMTP_HOST' });
+      }
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case 'file':
+      return createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox' });
+    case 'json':
+      return createJsonTransport();
+    case 'none':
+      return createDisabledTransport({ reason: 'No mail transport is configured (set SMTP_HOST or MAIL_TRANSPORT)' });
+    default:
+      return createDisabledTransport({ reason: `Unknown MAIL_TRANSPORT "${name}"` });
+  }
+};
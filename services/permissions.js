@@ -0,0 +1,216 @@
+import User from '../models/User.js';
+import Station from '../models/Station.js';
+
+// Central permission registry. Roles (User.userType) map to named permissions, and
+// `can(user, action, resource)` decides whether a user may do something.
+//
+// Permissions on a resource are named `<action>.<scope>`: `alert.delete.any` allows it on
+// every alert, `alert.delete.own` only where an ownership rule (SCOPES) holds for the user,
+// e.g. they reported the alert. `can(user, 'alert.delete', alert)` passes when any scoped
+// permission the role holds applies. Permissions without a scope (`user.suspend`) are
+// plain capabilities.
+
+export const PERMISSIONS = {
+  'alert.create': 'Raise an alert',
+  'alert.view.any': 'See every alert',
+  'alert.view.own': 'See alerts they reported',
+  'alert.view.family': 'See alerts of users who listed them as family',
+  'alert.view.service': "See alerts that need their agency's service",
+  'alert.view.assigned': 'See alerts they are assigned to',
+  'alert.view.station': 'See alerts routed to a station they supervise',
+  'alert.update.any': 'Edit any alert',
+  'alert.update.own': 'Edit alerts they reported',
+  'alert.update.assigned': 'Edit alerts they are assigned to',
+  'alert.delete.any': 'Delete any alert',
+  'alert.delete.own': 'Delete alerts they reported',
+  'alert.reassign.any': 'Hand any service of any alert to another responder',
+  'alert.reassign.station': 'Hand services routed to a station they supervise to another of its members',
+  'alert.chat.any': 'Read and post in every alert chat',
+  'alert.chat.own': 'Chat on alerts they reported',
+  'alert.chat.family': 'Chat on alerts of users who listed them as family',
+  'alert.chat.assigned': 'Chat on alerts they are assigned to',
+  'alert.respond': "Claim alerts for their agency's service",
+  'alert.offer.answer': 'Receive, accept and decline dispatch offers',
+  'alert.status.override': 'Make any alert status change the transition table allows an admin',
+  'location.watch': 'Watch live responder positions and see online users with locations',
+  'presence.view.detailed': 'See every session of online users',
+  'stats.view.any': 'See system-wide statistics',
+  'stats.view.service': 'See statistics of their own responses',
+  'stats.view.station': 'See statistics of a station they supervise',
+  'station.view': 'List stations and their jurisdictions',
+  'availability.set': 'Go off duty, available or out of service',
+  'availability.manage': "Set any responder's availability",
+  'roster.view': 'See every responder with their availability, shift and assignments',
+  'shift.manage': 'Schedule and cancel station shifts',
+  'station.manage': 'Create stations and manage their members and supervisors',
+  'unit.view': 'List units (vehicles) with their crew, status and position',
+  'unit.manage': "Register units, assign their crew and change any unit's status",
+  'unit.dispatch.any': 'Dispatch any unit to any alert',
+  'unit.dispatch.station': 'Dispatch units of a station they supervise to services routed to it',
+  'zone.create': 'Draw danger zones and change or lift the ones they drew',
+  'zone.manage': 'Change or lift any danger zone',
+  'user.view.any': 'List and view user accounts',
+  'user.suspend': 'Suspend or reactivate accounts',
+  'user.delete': 'Delete accounts',
+  'user.application.review': 'Approve or reject responder sign-ups',
+  'device.manage': 'Register and manage IoT devices',
+  'audit.view': 'Read the audit log',
+  'ratelimit.manage': 'See rate-limit policies and clear sign-in lockouts',
+  'permission.view': "See every role's permissions",
+  'realtime.test': 'Emit test real-time events (development only)',
+};
+
+const CIVILIAN = [
+  'alert.create',
+  'alert.view.own',
+  'alert.view.family',
+  'alert.update.own',
+  'alert.delete.own',
+  'alert.chat.own',
+  'alert.chat.family',
+];
+
+const RESPONDER = [
+  'alert.create',
+  'alert.view.own',
+  'alert.view.service',
+  'alert.view.assigned',
+  'alert.view.station',
+  'alert.update.own',
+  'alert.update.assigned',
+  'alert.delete.own',
+  'alert.reassign.station',
+  'alert.chat.own',
+  'alert.chat.assigned',
+  'alert.respond',
+  'alert.offer.answer',
+  'location.watch',
+  'stats.view.service',
+  'stats.view.station',
+  'station.view',
+  'availability.set',
+  'unit.view',
+  'unit.dispatch.station',
+  'zone.create',
+];
+
+export const ROLE_PERMISSIONS = {
+  citizen: CIVILIAN,
+  family: CIVILIAN,
+  police: RESPONDER,
+  hospital: RESPONDER,
+  fire: RESPONDER,
+  admin: Object.keys(PERMISSIONS),
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+const isAssigned = (user, alert) =>
+  idOf(alert.responder) === user.id ||
+  (alert.assignedTo || []).some(id => idOf(id) === user.id) ||
+  (alert.services || []).some(s => idOf(s.responder) === user.id);
+
+// Ids of users who listed `userId` as a family member
+const familyReporterIds = async (userId) =>
+  (await User.find({ familyMembers: userId }).select('_id').lean()).map(u => u._id.toString());
+
+// Ids of the active stations `userId` supervises
+export const supervisedStationIds = async (userId) =>
+  (await Station.find({ supervisors: userId, active: true }).select('_id').lean()).map(s => s._id.toString());
+
+// Ownership rules for scoped permissions on alerts. `test(user, alert)` checks one alert;
+// `filter(user)` builds the matching MongoDB query for listing them.
+const SCOPES = {
+  own: {
+    test: (user, alert) => idOf(alert.reporter) === user.id,
+    filter: (user) => ({ reporter: user.id }),
+  },
+  family: {
+    test: async (user, alert) => {
+      if (!alert.reporter) return false;
+      const reporter = alert.reporter.familyMembers
+        ? alert.reporter
+        : await User.findById(idOf(alert.reporter)).select('familyMembers').lean();
+      return (reporter?.familyMembers || []).some(id => idOf(id) === user.id);
+    },
+    filter: async (user) => ({ reporter: { $in: await familyReporterIds(user.id) } }),
+  },
+  assigned: {
+    test: (user, alert) => isAssigned(user, alert),
+    filter: (user) => ({
+      $or: [{ responder: user.id }, { assignedTo: user.id }, { 'services.responder': user.id }],
+    }),
+  },
+  service: {
+    test: (user, alert) =>
+      alert.type === user.userType || (alert.services || []).some(s => s.type === user.userType),
+    filter: (user) => ({ $or: [{ type: user.userType }, { 'services.type': user.userType }] }),
+  },
+  // A service of the alert was routed to a station the user supervises
+  station: {
+    test: async (user, alert) => {
+      const routed = (alert.services || []).map(s => idOf(s.station)).filter(Boolean);
+      if (!routed.length) return false;
+      const supervised = await supervisedStationIds(user.id);
+      return routed.some(id => supervised.includes(id));
+    },
+    filter: async (user) => ({ 'services.station': { $in: await supervisedStationIds(user.id) } }),
+  },
+};
+
+// Effective permissions of a role
+export const permissionsOf = (userType) => ROLE_PERMISSIONS[userType] || [];
+
+// Whether the user's role holds `permission` itself (no ownership rules)
+export const hasPermission = (user, permission) =>
+  Boolean(user) && permissionsOf(user.userType).includes(permission);
+
+// Roles holding `permission`, e.g. to address their role rooms
+export const rolesWith = (permission) =>
+  Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+// Scopes of `action` the user holds ('any', 'own', ...)
+const scopesOf = (user, action) =>
+  permissionsOf(user?.userType)
+    .filter(p => p.startsWith(`${action}.`))
+    .map(p => p.slice(action.length + 1));
+
+// May `user` (req.user) perform `action` on `resource`? `action` is a plain permission
+// (`user.suspend`) or a scoped one without its scope (`alert.delete`).
+export const can = async (user, action, resource) => {
+  if (!user) return false;
+  if (hasPermission(user, action)) return true;
+
+  const scopes = scopesOf(user, action);
+  if (scopes.includes('any')) return true;
+  if (!resource) return false;
+  for (const scope of scopes) {
+    if (SCOPES[scope] && await SCOPES[scope].test(user, resource)) return true;
+  }
+  return false;
+};
+
+// MongoDB filter for the alerts `user` may `action` (default alert.view): {} for all of
+// them, a filter that matches nothing when they hold no scope
+export const scopeFilter = async (user, action = 'alert.view') => {
+  if (hasPermission(user, action)) return {};
+  const scopes = scopesOf(user, action);
+  if (scopes.includes('any')) return {};
+
+  const clauses = [];
+  for (const scope of scopes) {
+    if (SCOPES[scope]) clauses.push(await SCOPES[scope].filter(user));
+  }
+  if (!clauses.length) return { _id: null };
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Registry as admins see it: every permission with its description, and each role's
+// effective permissions
+export const describePermissions = () => ({
+  permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  roles: Object.fromEntries(
+    Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, [...permissions]])
+  ),
+  scopes: Object.keys(SCOPES),
+});
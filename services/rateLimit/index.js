@@ -0,0 +1,158 @@
+import { createMemoryRateLimitStore } from './stores/memory.js';
+import { createMongoRateLimitStore } from './stores/mongo.js';
+
+export { createMemoryRateLimitStore } from './stores/memory.js';
+export { createMongoRateLimitStore } from './stores/mongo.js';
+
+// Request limits per route and progressive lockout after failed sign-ins.
+//
+// A policy caps requests per window for each kind of bucket it lists: `ip` (client
+// address), `account` (signed-in user, or the email a public form is about) and `device`
+// (authenticated IoT device). middleware/rateLimit.js applies them to routes.
+//
+// A store is { name, hit(key, windowMs) -> { count, resetAt },
+//   getLockout(key), recordFailure(key, { forgetAfterMs, lockFor }), clearLockout(key),
+//   listLockouts() } where a lockout is { key, failures, lastFailureAt, lockedUntil, expiresAt }.
+
+// Requests allowed per window; alert creation is generous since these are emergencies
+export const DEFAULT_RATE_LIMIT_POLICIES = {
+  login: { windowSec: 15 * 60, ip: 100, account: 20 },
+  register: { windowSec: 60 * 60, ip: 20 },
+  refresh: { windowSec: 15 * 60, ip: 300 },
+  // forgot-password and resend-verification
+  accountEmail: { windowSec: 60 * 60, ip: 20, account: 5 },
+  // verify-email and reset-password
+  accountToken: { windowSec: 15 * 60, ip: 30 },
+  alertCreate: { windowSec: 10 * 60, ip: 120, account: 15 },
+  iotAlert: { windowSec: 60, ip: 120, device: 10 },
+};
+
+export const RATE_LIMIT_TYPES = ['ip', 'account', 'device'];
+
+// Rate-limit settings, overridable through environment variables:
+//   RATE_LIMIT_ENABLED   false turns request limits off (lockouts stay on)
+//   RATE_LIMIT_POLICIES  JSON merged over the defaults, e.g. {"login":{"ip":50,"windowSec":600}}
+export const getRateLimitConfig = () => {
+  let overrides = {};
+  if (process.env.RATE_LIMIT_POLICIES) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+    } catch (err) {
+      console.warn('Invalid RATE_LIMIT_POLICIES ignored:', err.message);
+    }
+  }
+  const policies = {};
+  for (const [name, policy] of Object.entries(DEFAULT_RATE_LIMIT_POLICIES)) {
+    policies[name] = { ...policy, ...overrides[name] };
+  }
+  return { enabled: process.env.RATE_LIMIT_ENABLED !== 'false', policies };
+};
+
+// Lockout settings, overridable through environment variables:
+//   LOGIN_LOCKOUT_THRESHOLD     failed sign-ins for one account before it is locked
+//   LOGIN_LOCKOUT_IP_THRESHOLD  failed sign-ins from one IP before it is locked
+//   LOGIN_LOCKOUT_BASE_SEC      first lock; every further failure doubles it
+//   LOGIN_LOCKOUT_MAX_SEC       longest lock
+//   LOGIN_LOCKOUT_FORGET_SEC    failures are forgotten after this long without a new one
+export const getLockoutConfig = () => ({
+  accountThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+  ipThreshold: parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD, 10) || 25,
+  baseMs: (parseInt(process.env.LOGIN_LOCKOUT_BASE_SEC, 10) || 30) * 1000,
+  maxMs: (parseInt(process.env.LOGIN_LOCKOUT_MAX_SEC, 10) || 3600) * 1000,
+  forgetAfterMs: (parseInt(process.env.LOGIN_LOCKOUT_FORGET_SEC, 10) || 24 * 3600) * 1000,
+});
+
+let defaultStore = null;
+
+// RATE_LIMIT_STORE memory or mongo; defaults to mongo when REALTIME_ADAPTER=mongo, since
+// several instances need shared counters
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    const name = (process.env.RATE_LIMIT_STORE
+      || (process.env.REALTIME_ADAPTER === 'mongo' ? 'mongo' : 'memory')).toLowerCase();
+    if (name !== 'mongo' && name !== 'memory') console.warn(`Unknown rate-limit store ${name}, using memory`);
+    defaultStore = name === 'mongo' ? createMongoRateLimitStore() : createMemoryRateLimitStore();
+  }
+  return defaultStore;
+};
+
+// Swap the store (e.g. a fresh memory store in tests)
+export const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+// Count one request against `policy` for each { type: value } in `identities`.
+// Returns { limited, limit, remaining, resetAt } for the bucket closest to its limit
+// (null when no bucket applies).
+export const consumeRateLimit = async (policyName, policy, identities, store = getRateLimitStore()) => {
+  const windowMs = policy.windowSec * 1000;
+  let tightest = null;
+  for (const [type, value] of Object.entries(identities)) {
+    const limit = policy[type];
+    if (!limit || !value) continue;
+    const { count, resetAt } = await store.hit(`${policyName}:${type}:${value}`, windowMs);
+    const state = { type, limited: count > limit, limit, remaining: Math.max(limit - count, 0), resetAt };
+    if (!tightest || state.limited > tightest.limited || (state.limited === tightest.limited && state.remaining < tightest.remaining)) {
+      tightest = state;
+    }
+  }
+  return tightest;
+};
+
+// Lockout keys of a sign-in attempt, each with the failures it tolerates
+const loginKeys = (email, ip, config) => [
+  email && { key: `account:${String(email).trim().toLowerCase()}`, threshold: config.accountThreshold },
+  ip && { key: `ip:${ip}`, threshold: config.ipThreshold },
+].filter(Boolean);
+
+// Lock duration after `failures` failed attempts: none below the threshold, then
+// baseMs, 2 x baseMs, 4 x baseMs ... up to maxMs
+export const lockDuration = (failures, threshold, config = getLockoutConfig()) =>
+  failures < threshold ? 0 : Math.min(config.baseMs * 2 ** (failures - threshold), config.maxMs);
+
+// The lock that blocks a sign-in for `email` from `ip`, or null.
+// Returns { key, lockedUntil, retryAfterSec }.
+export const checkLoginLockout = async (email, ip, config = getLockoutConfig(), store = getRateLimitStore()) => {
+  const now = Date.now();
+  let blocking = null;
+  for (const { key } of loginKeys(email, ip, config)) {
+    const lockout = await store.getLockout(key);
+    if (lockout?.lockedUntil && lockout.lockedUntil.getTime() > now
+      && (!blocking || lockout.lockedUntil > blocking.lockedUntil)) {
+      blocking = lockout;
+    }
+  }
+  if (!blocking) return null;
+  return {
+    key: blocking.key,
+    lockedUntil: blocking.lockedUntil,
+    retryAfterSec: Math.ceil((blocking.lockedUntil.getTime() - now) / 1000),
+  };
+};
+
+// Count a failed sign-in; returns the lock it caused (as checkLoginLockout) or null
+export const recordLoginFailure = async (email, ip, config = getLockoutConfig(), store = getRateLimitStore()) => {
+  for (const { key, threshold } of loginKeys(email, ip, config)) {
+    await store.recordFailure(key, {
+      forgetAfterMs: config.forgetAfterMs,
+      lockFor: (failures) => lockDuration(failures, threshold, config),
+    });
+  }
+  return checkLoginLockout(email, ip, config, store);
+};
+
+// A successful sign-in forgets the account's failures (the IP's are kept, so one valid
+// account cannot be used to reset a guessing run from that address)
+export const clearLoginFailures = (email, store = getRateLimitStore()) =>
+  store.clearLockout(`account:${String(email).trim().toLowerCase()}`);
+
+// Every tracked account/IP with failures, locked ones first
+export const listLockouts = async (store = getRateLimitStore()) => {
+  const now = Date.now();
+  const lockouts = await store.listLockouts();
+  return lockouts
+    .map(lockout => ({ ...lockout, locked: Boolean(lockout.lockedUntil && lockout.lockedUntil.getTime() > now) }))
+    .sort((a, b) => (b.locked - a.locked) || (b.lastFailureAt - a.lastFailureAt));
+};
+
+export const clearLockout = (key, store = getRateLimitStore()) => store.clearLockout(key);
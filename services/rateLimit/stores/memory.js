@@ -0,0 +1,79 @@
+// Rate-limit store kept in this process: fine for a single instance, counters are lost on
+// restart and not shared between instances (use the mongo store for that).
+
+// Expired entries are swept once a map grows past this
+const SWEEP_SIZE = 10000;
+
+const sweep = (map, field, now) => {
+  if (map.size < SWEEP_SIZE) return;
+  for (const [key, entry] of map) {
+    if (entry[field] <= now) map.delete(key);
+  }
+};
+
+const toLockout = (key, entry) => ({
+  key,
+  failures: entry.failures,
+  lastFailureAt: new Date(entry.lastFailureAt),
+  lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil) : null,
+  expiresAt: new Date(entry.expiresAt),
+});
+
+export const createMemoryRateLimitStore = () => {
+  const buckets = new Map(); // key -> { count, resetAt }
+  const lockouts = new Map(); // key -> { failures, lastFailureAt, lockedUntil, expiresAt }
+
+  const liveLockout = (key, now = Date.now()) => {
+    const entry = lockouts.get(key);
+    if (entry && entry.expiresAt > now) return entry;
+    lockouts.delete(key);
+    return null;
+  };
+
+  return {
+    name: 'memory',
+
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(buckets, 'resetAt', now);
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+
+    getLockout: async (key) => {
+      const entry = liveLockout(key);
+      return entry ? toLockout(key, entry) : null;
+    },
+
+    recordFailure: async (key, { forgetAfterMs, lockFor }) => {
+      const now = Date.now();
+      sweep(lockouts, 'expiresAt', now);
+      const previous = liveLockout(key, now);
+      const failures = (previous?.failures || 0) + 1;
+      const lockMs = lockFor(failures);
+      const lockedUntil = Math.max(previous?.lockedUntil || 0, lockMs ? now + lockMs : 0) || null;
+      const entry = {
+        failures,
+        lastFailureAt: now,
+        lockedUntil,
+        expiresAt: Math.max(now + forgetAfterMs, lockedUntil || 0),
+      };
+      lockouts.set(key, entry);
+      return toLockout(key, entry);
+    },
+
+    clearLockout: async (key) => lockouts.delete(key),
+
+    listLockouts: async () => {
+      const now = Date.now();
+      return [...lockouts.keys()]
+        .map(key => liveLockout(key, now) && toLockout(key, lockouts.get(key)))
+        .filter(Boolean);
+    },
+  };
+};
@@ -0,0 +1,80 @@
+import Lockout from '../../../models/Lockout.js';
+import RateLimitBucket from '../../../models/RateLimitBucket.js';
+
+// Rate-limit store in MongoDB, shared by every server instance. Counters are updated with
+// single atomic upserts; expired documents are removed by TTL indexes.
+
+const toLockout = (doc) => ({
+  key: doc._id,
+  failures: doc.failures,
+  lastFailureAt: doc.lastFailureAt,
+  lockedUntil: doc.lockedUntil || null,
+  expiresAt: doc.expiresAt,
+});
+
+export const createMongoRateLimitStore = () => ({
+  name: 'mongo',
+
+  // A new window starts once `resetAt` has passed (the TTL monitor may not have run yet)
+  hit: async (key, windowMs) => {
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] },
+        },
+      }],
+      { upsert: true, new: true }
+    ).lean();
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  },
+
+  getLockout: async (key) => {
+    const doc = await Lockout.findOne({ _id: key, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? toLockout(doc) : null;
+  },
+
+  recordFailure: async (key, { forgetAfterMs, lockFor }) => {
+    const now = new Date();
+    const current = { $gt: ['$expiresAt', now] };
+    const counted = await Lockout.findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          failures: { $cond: [current, { $add: ['$failures', 1] }, 1] },
+          lockedUntil: { $cond: [current, '$lockedUntil', null] },
+          lastFailureAt: now,
+          expiresAt: { $cond: [current, '$expiresAt', new Date(now.getTime() + forgetAfterMs)] },
+        },
+      }],
+      { upsert: true, new: true }
+    ).lean();
+
+    // The lock only ever grows, so concurrent failures cannot shorten it
+    const lockMs = lockFor(counted.failures);
+    const lockedUntil = lockMs ? new Date(now.getTime() + lockMs) : null;
+    const forgetAt = new Date(Math.max(now.getTime() + forgetAfterMs, lockedUntil?.getTime() || 0));
+    const doc = await Lockout.findOneAndUpdate(
+      { _id: key },
+      { $max: { expiresAt: forgetAt, ...(lockedUntil && { lockedUntil }) } },
+      { new: true }
+    ).lean();
+    return toLockout(doc || counted);
+  },
+
+  clearLockout: async (key) => {
+    const { deletedCount } = await Lockout.deleteOne({ _id: key });
+    return deletedCount > 0;
+  },
+
+  listLockouts: async () => {
+    const docs = await Lockout.find({ expiresAt: { $gt: new Date() } })
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .limit(500)
+      .lean();
+    return docs.map(toLockout);
+  },
+});
@@ -0,0 +1,23 @@
+// Cross-instance fan-out shared by the adapters. Every emit/disconnect is applied to this
+// instance's sockets and handed to `send`, which carries it to the other instances;
+// they apply it to theirs with deliverLocally. Messages are plain JSON:
+//   { kind: 'emit', targets, name, payload, except }   { kind: 'disconnect', targets }
+
+export const createFanoutTransport = (local, send) => ({
+  emit: (targets, name, payload, except = []) => {
+    local.emit(targets, name, payload, except);
+    send({ kind: 'emit', targets, name, payload, except });
+  },
+  disconnect: (targets) => {
+    local.disconnect(targets);
+    send({ kind: 'disconnect', targets });
+  },
+});
+
+// Apply a message from another instance; returns false for kinds that are not fan-out
+export const deliverLocally = (local, message) => {
+  if (message.kind === 'emit') local.emit(message.targets, message.name, message.payload, message.except);
+  else if (message.kind === 'disconnect') local.disconnect(message.targets);
+  else return false;
+  return true;
+};
@@ -0,0 +1,23 @@
+import os from 'os';
+import { createMemoryAdapter } from './memory.js';
+import { createMongoAdapter } from './mongo.js';
+
+export { createMemoryAdapter, createMemoryHub } from './memory.js';
+export { createMongoAdapter } from './mongo.js';
+
+// An adapter holds presence and carries socket fan-out between server instances:
+//   { name, instanceId, presence, createTransport(io) -> transport, start({ isLocalSocket, onChange }) -> stop }
+// `presence` is the store from presence.js; the transport goes to createRealtime.
+
+// Adapter settings, overridable through environment variables:
+//   REALTIME_ADAPTER   memory (single instance, default) or mongo (several instances)
+//   INSTANCE_ID        name of this instance in presence entries (default host-pid)
+//   PRESENCE_TTL_SEC   how long a presence entry lives without a heartbeat
+export const createAdapterFromEnv = () => {
+  const instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+  const name = (process.env.REALTIME_ADAPTER || 'memory').toLowerCase();
+
+  if (name === 'mongo') return createMongoAdapter({ instanceId });
+  if (name !== 'memory') console.warn(`Unknown realtime adapter ${name}, using memory`);
+  return createMemoryAdapter({ instanceId });
+};
@@ -0,0 +1,61 @@
+import { createSocketTransport } from '../index.js';
+import { createPresenceStore, getPresenceTtlMs } from '../presence.js';
+import { createFanoutTransport, deliverLocally } from './fanout.js';
+
+// In-process adapter. Presence and fan-out live in a hub: one hub per process is the
+// classic single-node setup; adapters sharing a hub behave like separate server
+// instances, which lets tests run two of them in one process:
+//   const hub = createMemoryHub();
+//   const a = createMemoryAdapter({ hub, instanceId: 'a' });
+//   const b = createMemoryAdapter({ hub, instanceId: 'b' });
+export const createMemoryHub = () => ({
+  presence: new Map(), // userId -> Map(sessionId -> session)
+  nodes: new Map(), // instanceId -> receive(message)
+});
+
+export const createMemoryAdapter = ({
+  hub = createMemoryHub(),
+  instanceId = 'local',
+  presenceTtlMs = getPresenceTtlMs(),
+} = {}) => {
+  const presence = createPresenceStore({ users: hub.presence, instanceId, ttlMs: presenceTtlMs });
+
+  // Copied the way a network hop would, so no instance shares objects with another
+  const send = (message) => {
+    const copy = JSON.parse(JSON.stringify(message));
+    for (const [id, receive] of hub.nodes) {
+      if (id !== instanceId) receive(copy);
+    }
+  };
+
+  return {
+    name: 'memory',
+    instanceId,
+    presence,
+
+    createTransport: (io) => {
+      const local = createSocketTransport(io);
+      hub.nodes.set(instanceId, (message) => deliverLocally(local, message));
+      return createFanoutTransport(local, send);
+    },
+
+    // Heartbeat own presence sessions and drop expired ones; `onChange` runs when
+    // sessions ended that way. Returns a function that stops it.
+    start: ({ isLocalSocket, onChange = () => {} }) => {
+      const timer = setInterval(async () => {
+        try {
+          const gone = await presence.refresh(isLocalSocket);
+          const expired = presence.sweep();
+          if (gone.length || expired.length) onChange();
+        } catch (err) {
+          console.error('Presence refresh error:', err);
+        }
+      }, Math.max(Math.floor(presenceTtlMs / 3), 1000));
+
+      return () => {
+        clearInterval(timer);
+        hub.nodes.delete(instanceId);
+      };
+    },
+  };
+};
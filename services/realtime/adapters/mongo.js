@@ -0,0 +1,158 @@
+import Presence from '../../../models/Presence.js';
+import RealtimeFanout from '../../../models/RealtimeFanout.js';
+import { createSocketTransport } from '../index.js';
+import { createPresenceStore, getPresenceTtlMs } from '../presence.js';
+import { createFanoutTransport, deliverLocally } from './fanout.js';
+
+// Adapter for several server instances sharing one MongoDB.
+//   presence  the Presence collection (one document per session, TTL index) is the shared
+//             truth; each instance keeps a local copy for synchronous reads, patched live
+//             from fan-out messages and reloaded on every heartbeat.
+//   fan-out   every instance inserts what it emits into the capped RealtimeFanout
+//             collection and tails it (tailable cursor) for the other instances' messages.
+// Both work on a standalone server; no replica set is needed.
+
+const RETRY_MS = 1000;
+
+export const createMongoAdapter = ({
+  instanceId,
+  presenceTtlMs = getPresenceTtlMs(),
+}) => {
+  const mirror = new Map();
+  let local = null;
+  let stopped = false;
+
+  const send = (message) => {
+    RealtimeFanout.create({ origin: instanceId, message: JSON.parse(JSON.stringify(message)) })
+      .catch(err => console.error('Realtime fan-out error:', err));
+  };
+
+  const persist = async (op, details) => {
+    if (op === 'set') {
+      const { sessionId, expiresAt, ...rest } = details;
+      await Presence.replaceOne(
+        { _id: sessionId },
+        { ...rest, expiresAt: new Date(expiresAt) },
+        { upsert: true }
+      );
+      send({ kind: 'presence', op, session: details });
+    } else if (op === 'delete') {
+      await Presence.deleteOne({ _id: details.sessionId });
+      send({ kind: 'presence', op, session: details });
+    } else if (op === 'refresh') {
+      if (details.kept.length) {
+        await Presence.updateMany(
+          { _id: { $in: details.kept }, instanceId },
+          { expiresAt: new Date(details.expiresAt) }
+        );
+      }
+      if (details.gone.length) {
+        await Presence.deleteMany({ _id: { $in: details.gone }, instanceId });
+      }
+    }
+  };
+
+  const presence = createPresenceStore({ users: mirror, instanceId, ttlMs: presenceTtlMs, persist });
+
+  // Replace other instances' sessions with what is stored; this instance's own sessions
+  // are authoritative locally (a write may still be on its way to the database)
+  const reload = async () => {
+    const docs = await Presence.find({ expiresAt: { $gt: new Date() } }).lean();
+    for (const [userId, sessions] of mirror) {
+      for (const [sessionId, session] of sessions) {
+        if (session.instanceId !== instanceId) sessions.delete(sessionId);
+      }
+      if (!sessions.size) mirror.delete(userId);
+    }
+    for (const { _id, __v, ...session } of docs) {
+      if (session.instanceId !== instanceId) presence.apply('set', { ...session, sessionId: _id });
+    }
+  };
+
+  const receive = (message) => {
+    if (message.kind === 'presence') presence.apply(message.op, message.session);
+    else if (local) deliverLocally(local, message);
+  };
+
+  // Follow messages inserted after `afterId`; reopens the cursor if it dies
+  const tail = (afterId) => {
+    let lastId = afterId;
+    let retry = null;
+    let cursor = null;
+
+    const open = () => {
+      if (stopped) return;
+      cursor = RealtimeFanout.find({ _id: { $gt: lastId } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+      cursor.on('data', (doc) => {
+        lastId = doc._id;
+        if (doc.origin !== instanceId) receive(doc.message);
+      });
+      // A dead cursor ends, errors or closes (possibly more than one); reopen once
+      const current = cursor;
+      const reopen = () => {
+        if (stopped || cursor !== current) return;
+        cursor = null;
+        retry = setTimeout(open, RETRY_MS);
+      };
+      cursor.on('error', (err) => {
+        console.error('Realtime fan-out cursor error:', err.message);
+        reopen();
+      });
+      cursor.on('end', reopen);
+      cursor.on('close', reopen);
+    };
+    open();
+
+    return () => {
+      clearTimeout(retry);
+      if (cursor) cursor.close().catch(() => {});
+    };
+  };
+
+  return {
+    name: 'mongo',
+    instanceId,
+    presence,
+
+    createTransport: (io) => {
+      local = createSocketTransport(io);
+      return createFanoutTransport(local, send);
+    },
+
+    // Load presence, start tailing fan-out, and heartbeat own presence sessions; `onChange`
+    // runs when sessions ended without a disconnect. Returns a function that stops it.
+    start: ({ isLocalSocket, onChange = () => {} }) => {
+      let stopTail = () => {};
+
+      // A tailable cursor on an empty capped collection dies at once, so always leave a
+      // marker; it is also where this instance starts reading
+      RealtimeFanout.create({ origin: instanceId, message: { kind: 'hello' } })
+        .then(async (marker) => {
+          if (stopped) return;
+          stopTail = tail(marker._id);
+          await reload();
+        })
+        .catch(err => console.error('Realtime adapter start error:', err));
+
+      const timer = setInterval(async () => {
+        try {
+          const gone = await presence.refresh(isLocalSocket);
+          await reload();
+          const expired = presence.sweep();
+          if (gone.length || expired.length) onChange();
+        } catch (err) {
+          console.error('Presence refresh error:', err);
+        }
+      }, Math.max(Math.floor(presenceTtlMs / 3), 1000));
+
+      return () => {
+        stopped = true;
+        clearInterval(timer);
+        stopTail();
+      };
+    },
+  };
+};
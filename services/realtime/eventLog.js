@@ -0,0 +1,119 @@
+import RealtimeEvent from '../../models/RealtimeEvent.js';
+import RealtimeSequence from '../../models/RealtimeSequence.js';
+
+// Event log behind missed-event replay. Every logged event gets the next sequence
+// number of each room it is sent to; a reconnecting client sends the last number it saw
+// per room and gets the gap back in order, or `resyncRequired` when the gap can no
+// longer be filled (events expired, or too many to replay) and it must re-fetch over REST.
+//
+// A log is { append(rooms, envelope, except) -> { [room]: seq }, latest(room),
+// since(room, afterSeq, limit) -> [{ envelope, except }] }. `except` lists the rooms the
+// event skipped when it was sent (e.g. the sender's own user room); replay skips them too.
+
+// Replay settings, overridable through environment variables:
+//   REALTIME_EVENT_LOG_TTL_SEC   how long events are kept for replay
+//   REALTIME_REPLAY_MAX_EVENTS   most events replayed per room; larger gaps need a resync
+export const getEventLogConfig = () => ({
+  ttlMs: (parseInt(process.env.REALTIME_EVENT_LOG_TTL_SEC, 10) || 3600) * 1000,
+  maxReplayEvents: parseInt(process.env.REALTIME_REPLAY_MAX_EVENTS, 10) || 200,
+});
+
+// Mongoose documents and dates become plain JSON, exactly as clients received them
+const toStored = (envelope) => JSON.parse(JSON.stringify(envelope));
+
+// Sequences live in MongoDB so they keep increasing across restarts and processes
+export const createMongoEventLog = (config = getEventLogConfig()) => ({
+  config,
+
+  append: async (rooms, envelope, except = []) => {
+    const seq = {};
+    for (const room of rooms) {
+      const counter = await RealtimeSequence.findOneAndUpdate(
+        { _id: room },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      ).lean();
+      seq[room] = counter.seq;
+    }
+
+    await RealtimeEvent.create({
+      eventId: envelope.id,
+      event: envelope.event,
+      rooms: Object.entries(seq).map(([room, n]) => ({ room, seq: n })),
+      envelope: toStored({ ...envelope, seq }),
+      except,
+      expiresAt: new Date(Date.now() + config.ttlMs),
+    });
+    return seq;
+  },
+
+  latest: async (room) => {
+    const counter = await RealtimeSequence.findById(room).lean();
+    return counter ? counter.seq : 0;
+  },
+
+  since: async (room, afterSeq, limit) => {
+    const docs = await RealtimeEvent.aggregate([
+      { $match: { rooms: { $elemMatch: { room, seq: { $gt: afterSeq } } } } },
+      { $unwind: '$rooms' },
+      { $match: { 'rooms.room': room } },
+      { $sort: { 'rooms.seq': 1 } },
+      { $limit: limit },
+    ]);
+    return docs.map(doc => ({ envelope: doc.envelope, except: doc.except || [] }));
+  },
+});
+
+// Keeps the last `maxEvents` events in memory (single process, or tests)
+export const createMemoryEventLog = ({ maxEvents = 1000, config = getEventLogConfig() } = {}) => {
+  const counters = new Map();
+  const events = [];
+
+  return {
+    config,
+    events,
+
+    append: async (rooms, envelope, except = []) => {
+      const seq = {};
+      for (const room of rooms) {
+        seq[room] = (counters.get(room) || 0) + 1;
+        counters.set(room, seq[room]);
+      }
+      events.push({ envelope: toStored({ ...envelope, seq }), except: [...except] });
+      if (events.length > maxEvents) events.shift();
+      return seq;
+    },
+
+    latest: async (room) => counters.get(room) || 0,
+
+    since: async (room, afterSeq, limit) => events
+      .filter(e => e.envelope.seq[room] > afterSeq)
+      .sort((a, b) => a.envelope.seq[room] - b.envelope.seq[room])
+      .slice(0, limit),
+  };
+};
+
+// Events of `room` after `afterSeq`, oldest first. Returns { latestSeq, events }, or
+// { latestSeq, resyncRequired, reason } when the client cannot be brought up to date.
+// `memberOf` (the asking socket's rooms) drops events sent with one of them in `except`,
+// which the socket did not get live either; their sequence numbers are still spent.
+export const replayRoom = async (log, room, afterSeq, memberOf = new Set()) => {
+  const { maxReplayEvents } = log.config || getEventLogConfig();
+  const latestSeq = await log.latest(room);
+
+  if (afterSeq === latestSeq) return { latestSeq, events: [] };
+  // Client is ahead of the server: the log was reset, so nothing it holds can be trusted
+  if (afterSeq > latestSeq) return { latestSeq, resyncRequired: true, reason: 'unknown_sequence' };
+  if (latestSeq - afterSeq > maxReplayEvents) return { latestSeq, resyncRequired: true, reason: 'too_many_events' };
+
+  const entries = await log.since(room, afterSeq, maxReplayEvents);
+  if (!entries.length || entries[0].envelope.seq[room] !== afterSeq + 1) {
+    return { latestSeq, resyncRequired: true, reason: 'expired' };
+  }
+  return {
+    latestSeq,
+    events: entries
+      .filter(({ except = [] }) => !except.some(skipped => memberOf.has(skipped)))
+      .map(({ envelope }) => envelope),
+  };
+};
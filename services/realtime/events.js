@@ -0,0 +1,167 @@
+// Catalog of every real-time event the server sends. Nothing may be published
+// unless it is listed here.
+//
+// Each event goes out under its domain name with a versioned envelope:
+//   { event, version, id, at, data }
+// `version` is bumped whenever the shape of `data` changes incompatibly.
+//
+// Older clients listen for the pre-catalog names. While legacy events are enabled
+// (REALTIME_LEGACY_EVENTS, on by default) each event is also sent under `legacy`,
+// with the old payload that `legacyPayload` rebuilds from `data`.
+//
+// Events are logged for replay after a reconnect unless marked `replay: false`
+// (transient state that is re-sent anyway, or that only concerns one socket).
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+export const EVENT_CATALOG = {
+  'alert.created': {
+    version: 1,
+    description: 'A new alert was raised. data: { alert }',
+    legacy: 'new-alert',
+    legacyPayload: ({ alert }) => alert,
+  },
+  'alert.rebroadcast': {
+    version: 1,
+    description: 'An unanswered alert was sent out again by escalation. data: { alert, escalationLevel }',
+    legacy: 'new-alert',
+    legacyPayload: ({ alert, escalationLevel }) => ({ ...plain(alert), escalationLevel }),
+  },
+  'alert.dispatched': {
+    version: 1,
+    description: 'A nearby responder is told about an alert. data: { alert, distance, escalated, message }',
+    legacy: 'newAlert',
+  },
+  'alert.routed': {
+    version: 1,
+    description: "A service of a new alert was routed to a station (its supervisors). data: { alert, service, station: { id, name } }",
+  },
+  'alert.reassigned': {
+    version: 1,
+    description: 'A supervisor or admin handed a service to another responder (both responders). data: { alert, service, responderId, previousResponderId, message }',
+  },
+  'alert.offered': {
+    version: 1,
+    description: 'A service of an alert is offered to one responder. data: { alert, offer, distance, expiresAt }',
+    legacy: 'alertOffered',
+  },
+  'alert.offer_expired': {
+    version: 1,
+    description: 'An offer ran out before the responder answered. data: { alertId, offerId }',
+    legacy: 'alertOfferExpired',
+  },
+  'alert.updated': {
+    version: 1,
+    description: 'An alert changed (status, details, release). data: { alert, message }',
+    legacy: 'alertUpdated',
+  },
+  'alert.responded': {
+    version: 1,
+    description: 'A responder took the alert. data: { alert, message }',
+    legacy: 'alertResponded',
+  },
+  'alert.resolved': {
+    version: 1,
+    description: 'The alert, or one of its services, was resolved. data: { alert, message }',
+    legacy: 'alertResolved',
+  },
+  'alert.cancelled': {
+    version: 1,
+    description: 'The alert was cancelled. data: { alert, message }',
+  },
+  'alert.escalated': {
+    version: 1,
+    description: 'An unanswered alert reached a new escalation level. data: { alert, level }',
+    legacy: 'alertEscalated',
+  },
+  'alert.eta': {
+    version: 1,
+    description: 'Distance and arrival estimate of an assigned responder. data: { alertId, responderId, service, location, at, distance, speedKmh, etaSeconds, speedSource }',
+    replay: false,
+  },
+  'alert.message': {
+    version: 1,
+    description: 'New message in an alert chat. data: { alertId, message }',
+    legacy: 'alertMessage',
+  },
+  'alert.messages_read': {
+    version: 1,
+    description: 'Read receipt for an alert chat. data: { alertId, userId, readAt, before }',
+    legacy: 'alertMessagesRead',
+  },
+  'notification.created': {
+    version: 1,
+    description: 'A Notification record was stored for the user. data: { notification }',
+    legacy: 'newNotification',
+    legacyPayload: ({ notification }) => notification,
+  },
+  'device.status_changed': {
+    version: 1,
+    description: 'An IoT device went offline or came back. data: { deviceId, connectivity, health }',
+    legacy: 'deviceStatusUpdated',
+  },
+  'responder.availability_changed': {
+    version: 1,
+    description: 'A responder went off duty, available, busy, en route or out of service (the responder, roster viewers). data: { userId, name, userType, availability }',
+  },
+  'unit.dispatched': {
+    version: 1,
+    description: 'A unit was sent to an alert (its crew). data: { unit: { id, callSign, type }, alert, service }',
+  },
+  'unit.status_changed': {
+    version: 1,
+    description: 'A unit changed status (unit managers, its crew, the alert it works). data: { unit: { id, callSign, type, agency, status, statusChangedAt, currentAlert } }',
+  },
+  'unit.location': {
+    version: 1,
+    description: "A unit's position changed (watchers of its cell, the alert it works and its reporter). data: { unitId, callSign, type, agency, status, alertId, location, at }",
+    replay: false,
+  },
+  'zone.created': {
+    version: 1,
+    description: 'A danger zone was drawn (everyone, for map overlays). data: { zone }',
+  },
+  'zone.updated': {
+    version: 1,
+    description: "A danger zone's title, message, severity or expiry changed (everyone). data: { zone }",
+  },
+  'zone.lifted': {
+    version: 1,
+    description: 'A danger zone was lifted before it expired (everyone). data: { zone }',
+  },
+  'zone.warning': {
+    version: 1,
+    description: 'The user is inside a danger zone they just entered, or that was just drawn around them. data: { zone, message }',
+  },
+  'application.submitted': {
+    version: 1,
+    description: 'A responder signed up and awaits review (admins). data: { application }',
+  },
+  'application.reviewed': {
+    version: 1,
+    description: 'An admin approved or rejected a responder application (admins). data: { application }',
+  },
+  'presence.updated': {
+    version: 1,
+    description: 'The list of online users changed. data: { users } (admins also get users[].sessions)',
+    legacy: 'online-users-update',
+    legacyPayload: ({ users }) => users,
+    replay: false,
+  },
+  'user.locations': {
+    version: 1,
+    description: 'Batched position changes for one audience (watched cell or shared alert). data: { updates: [{ userId, sessionId, userType, name, location, at }], removed: [userId] }',
+    replay: false,
+  },
+  'session.ended': {
+    version: 1,
+    description: 'The server is about to disconnect this socket. data: { reason, code }',
+    legacy: 'session-ended',
+    replay: false,
+  },
+  'sync.resync_required': {
+    version: 1,
+    description: 'Missed events of a room can no longer be replayed; re-fetch its state over REST. data: { room, latestSeq, reason }',
+    replay: false,
+  },
+};
@@ -0,0 +1,68 @@
+// Minimal geohash encoding, used to name area rooms (`area-<geohash>`, `locations-<geohash>`)
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const GEOHASH_PATTERN = /^[0123456789bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+
+// Geohash of a [lng, lat] pair at the given precision (characters)
+export const encodeGeohash = ([lng, lat], precision = 5) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coord = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    if (evenBit) lngRange = range; else latRange = range;
+    evenBit = !evenBit;
+
+    bits += 1;
+    if (bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+// Size in degrees of one cell at the given precision
+const cellSize = (precision) => {
+  const bits = precision * 5;
+  return {
+    lng: 360 / 2 ** Math.ceil(bits / 2),
+    lat: 180 / 2 ** Math.floor(bits / 2),
+  };
+};
+
+// Geohashes of every cell overlapping a [[west, south], [east, north]] box, or null when
+// that would be more than `maxCells` (the caller should zoom in or use coarser cells)
+export const geohashesInBounds = ([[west, south], [east, north]], precision = 5, maxCells = 50) => {
+  const size = cellSize(precision);
+  const startLng = Math.floor((west + 180) / size.lng) * size.lng - 180;
+  const startLat = Math.floor((south + 90) / size.lat) * size.lat - 90;
+  const columns = Math.ceil((east - startLng) / size.lng);
+  const rowCount = Math.ceil((north - startLat) / size.lat);
+  if (columns < 1 || rowCount < 1 || columns * rowCount > maxCells) return null;
+
+  const cells = [];
+  for (let row = 0; row < rowCount; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const lng = Math.min(startLng + (column + 0.5) * size.lng, 180);
+      const lat = Math.min(startLat + (row + 0.5) * size.lat, 90);
+      cells.push(encodeGeohash([lng, lat], precision));
+    }
+  }
+  return cells;
+};
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { EVENT_CATALOG } from './events.js';
+import { encodeGeohash } from './geohash.js';
+import { replayRoom } from './eventLog.js';
+
+// Single entry point for everything the server pushes to clients. Controllers and
+// services publish domain events from events.js; the bus wraps them in a versioned
+// envelope and hands them to a transport. Rooms are always named through `rooms`.
+//
+// A transport is { emit(targets, name, payload, except), disconnect(targets) } where
+// `targets` is a list of room names, or null to address every connected client, and
+// `except` (optional) lists rooms whose sockets are skipped. Which sockets
+// that reaches across server instances is up to the adapter (adapters/).
+//
+// With an event log (eventLog.js) every replayable event also carries `seq`, its
+// sequence number in each room it went to ({ [room]: n }; broadcasts count in the
+// `broadcast` room), so reconnecting clients can ask for what they missed.
+
+export const rooms = {
+  user: (userId) => `user-${userId}`,
+  role: (userType) => `role-${userType}`,
+  // Sockets opened with one sign-in session's access tokens (services/authSessions.js)
+  session: (sessionId) => `session-${sessionId}`,
+  alert: (alertId) => `alert-${alertId}`,
+  area: (geohash) => `area-${geohash}`,
+  // Live positions of responders in a cell (see locationFeed.js)
+  locations: (geohash) => `locations-${geohash}`,
+  // Sequence room of events sent to everyone
+  broadcast: 'broadcast',
+};
+
+// Geohash length of area rooms (5 = cells of roughly 5 x 5 km), from REALTIME_AREA_PRECISION
+export const getAreaPrecision = () => parseInt(process.env.REALTIME_AREA_PRECISION, 10) || 5;
+
+// Area room for a [lng, lat] pair, or null when there are no usable coordinates
+export const areaRoomFor = (lngLat, precision = getAreaPrecision()) => {
+  if (!Array.isArray(lngLat) || lngLat.length !== 2) return null;
+  const [lng, lat] = lngLat.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return null;
+  return rooms.area(encodeGeohash([lng, lat], precision));
+};
+
+// Delivers through a Socket.IO server (this instance's sockets only)
+export const createSocketTransport = (io) => ({
+  emit: (targets, name, payload, except = []) => {
+    let operator = targets === null ? io : io.to(targets);
+    if (except.length) operator = operator.except(except);
+    operator.emit(name, payload);
+  },
+  disconnect: (targets) => {
+    if (targets === null) io.disconnectSockets(true);
+    else io.in(targets).disconnectSockets(true);
+  },
+});
+
+// Records every emit instead of sending it, for tests:
+//   const transport = createMemoryTransport();
+//   setRealtime(createRealtime({ transport }));
+//   ... transport.events -> [{ targets, name, payload, except }], transport.disconnects -> [targets]
+export const createMemoryTransport = () => {
+  const events = [];
+  const disconnects = [];
+  return {
+    events,
+    disconnects,
+    emit: (targets, name, payload, except = []) => events.push({ targets, name, payload, except }),
+    disconnect: (targets) => disconnects.push(targets),
+    clear: () => {
+      events.splice(0, events.length);
+      disconnects.splice(0, disconnects.length);
+    },
+  };
+};
+
+export const createRealtime = ({
+  transport,
+  catalog = EVENT_CATALOG,
+  legacy = process.env.REALTIME_LEGACY_EVENTS !== 'false',
+  eventLog = null,
+}) => {
+  // Pending append per room: events of a room are logged and sent in sequence order,
+  // while a slow write in one room does not hold up the others
+  const logQueues = new Map();
+
+  const send = (targets, except, event, definition, envelope, data) => {
+    transport.emit(targets, event, envelope, except);
+    if (legacy && definition.legacy) {
+      transport.emit(targets, definition.legacy, definition.legacyPayload ? definition.legacyPayload(data) : data, except);
+    }
+  };
+
+  const toRoomList = (value) => [...new Set([].concat(value).filter(Boolean).map(String))];
+
+  return {
+    catalog,
+    eventLog,
+
+    // Publish `event` to the given rooms (`to`: a room name or list), or to everyone
+    // with `broadcast: true`, skipping sockets in the `except` rooms. `replay: false` keeps a
+    // replayable event out of the log (test events). Returns the envelope that was sent; when the event is
+    // logged, a promise of it that resolves once it has been sent (it never rejects).
+    publish: (event, data, { to = [], broadcast = false, except = [], replay = true } = {}) => {
+      const definition = catalog[event];
+      if (!definition) throw new Error(`Unknown realtime event: ${event}`);
+
+      const envelope = {
+        event,
+        version: definition.version,
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        data,
+      };
+
+      const targets = broadcast ? null : toRoomList(to);
+      if (targets && !targets.length) return envelope;
+      const skipped = toRoomList(except);
+
+      if (!eventLog || definition.replay === false || !replay) {
+        send(targets, skipped, event, definition, envelope, data);
+        return envelope;
+      }
+
+      const logRooms = targets || [rooms.broadcast];
+      const logged = Promise.all(logRooms.map(room => logQueues.get(room)))
+        .then(() => eventLog.append(logRooms, envelope, skipped))
+        .then(seq => { envelope.seq = seq; })
+        // Better delivered without a sequence number than not at all
+        .catch(err => console.error(`Could not log realtime event ${event}:`, err))
+        .then(() => {
+          send(targets, skipped, event, definition, envelope, data);
+          return envelope;
+        });
+      for (const room of logRooms) logQueues.set(room, logged);
+      logged.then(() => {
+        for (const room of logRooms) {
+          if (logQueues.get(room) === logged) logQueues.delete(room);
+        }
+      });
+      return logged;
+    },
+
+    // Disconnect every socket in the given rooms, wherever it is connected
+    disconnect: (to) => {
+      const targets = toRoomList(to);
+      if (targets.length && transport.disconnect) transport.disconnect(targets);
+    },
+
+    // Missed events per room. `since` maps room names to the last seq the client saw;
+    // each room answers { latestSeq, events } or { latestSeq, resyncRequired, reason }.
+    // `memberOf` lists the client's rooms: events that excepted one of them are left out.
+    replay: async (since, { memberOf = [] } = {}) => {
+      const result = {};
+      const member = new Set(memberOf);
+      for (const [room, lastSeq] of Object.entries(since)) {
+        result[room] = eventLog
+          ? await replayRoom(eventLog, room, lastSeq, member)
+          : { latestSeq: null, resyncRequired: true, reason: 'replay_disabled' };
+      }
+      return result;
+    },
+  };
+};
+
+// Until setRealtime is called (server.js does so at startup) events are dropped
+let defaultRealtime = createRealtime({ transport: { emit: () => {} } });
+
+export const getRealtime = () => defaultRealtime;
+
+// Swap the bus used by publish (server.js wires Socket.IO; tests use a memory transport)
+export const setRealtime = (realtime) => {
+  defaultRealtime = realtime;
+};
+
+export const publish = (event, data, options) => defaultRealtime.publish(event, data, options);
+
+// Push a freshly stored Notification to its user
+export const publishNotification = (notification) => {
+  if (!notification) return;
+  publish('notification.created', { notification }, { to: rooms.user(notification.user) });
+};
@@ -0,0 +1,171 @@
+import Alert from '../../models/Alert.js';
+import { CLOSED_STATUSES } from '../alertStateMachine.js';
+import { toLngLat } from '../geo.js';
+import { hasPermission } from '../permissions.js';
+import { getAreaPrecision, publish, rooms } from './index.js';
+import { encodeGeohash } from './geohash.js';
+
+// Live locations of online users, coalesced into periodic diffs instead of one broadcast
+// per `update-location`. Every `intervalMs` each audience room gets one `user.locations`
+// event: { updates: [{ userId, sessionId, userType, name, location, at }], removed: [userId] }
+// where `removed` lists users it will no longer hear about (offline, moved away, or no
+// longer assigned).
+//
+// Who sees whom:
+//   responders/admins  positions of responders and admins in the geohash cells they watch
+//                      (`locations-<geohash>` rooms, `watch-locations`); both sides are
+//                      whoever holds the `location.watch` permission
+//   reporters          the responders assigned to their open alerts, and those responders
+//                      see the reporter; citizens never see anyone else
+
+// Feed settings, overridable through environment variables:
+//   LOCATION_BROADCAST_INTERVAL_MS  how often batched diffs (and presence lists) go out
+//   LOCATION_MIN_INTERVAL_MS        updates from one session arriving sooner are dropped
+export const getLocationFeedConfig = () => ({
+  intervalMs: parseInt(process.env.LOCATION_BROADCAST_INTERVAL_MS, 10) || 2000,
+  minIntervalMs: parseInt(process.env.LOCATION_MIN_INTERVAL_MS, 10) || 1000,
+});
+
+// Rooms of the people each user shares an open alert with: reporter <-> assigned responders.
+// Returns Map(userId -> [room]).
+export const findAlertAudiences = async (userIds) => {
+  const audiences = new Map();
+  if (!userIds.length) return audiences;
+
+  const alerts = await Alert.find({
+    status: { $nin: CLOSED_STATUSES },
+    $or: [
+      { reporter: { $in: userIds } },
+      { responder: { $in: userIds } },
+      { assignedTo: { $in: userIds } },
+      { 'services.responder': { $in: userIds } },
+    ],
+  }).select('reporter responder assignedTo services.responder').lean();
+
+  const add = (userId, room) => {
+    if (!audiences.has(userId)) audiences.set(userId, []);
+    audiences.get(userId).push(room);
+  };
+  for (const alert of alerts) {
+    const reporter = String(alert.reporter);
+    const responders = new Set(
+      [alert.responder, ...(alert.assignedTo || []), ...(alert.services || []).map(s => s.responder)]
+        .filter(Boolean)
+        .map(String)
+    );
+    for (const userId of userIds) {
+      if (responders.has(userId)) add(userId, rooms.user(reporter));
+      if (userId === reporter) responders.forEach(id => add(userId, rooms.user(id)));
+    }
+  }
+  return audiences;
+};
+
+// `onLocations(updates)` runs after every flush with the positions that were stored
+export const createLocationFeed = ({
+  presence,
+  config = getLocationFeedConfig(),
+  findAudiences = findAlertAudiences,
+  onLocations = async () => {},
+}) => {
+  const pending = new Map(); // userId -> latest update
+  const lastAccepted = new Map(); // sessionId -> time of the last accepted update
+  const visibleIn = new Map(); // userId -> Set of rooms that last got their position
+  const gone = new Set(); // users to remove everywhere at the next flush
+
+  // Store queued locations in presence and publish one diff per audience room
+  const flush = async () => {
+    const updates = [...pending.values()];
+    pending.clear();
+    const removed = [...gone];
+    gone.clear();
+    if (!updates.length && !removed.length) return 0;
+
+    const batches = new Map(); // room -> { updates, removed }
+    const batch = (room) => {
+      if (!batches.has(room)) batches.set(room, { updates: [], removed: [] });
+      return batches.get(room);
+    };
+
+    for (const userId of removed) {
+      (visibleIn.get(userId) || []).forEach(room => batch(room).removed.push(userId));
+      visibleIn.delete(userId);
+    }
+
+    const stored = [];
+    for (const update of updates) {
+      const session = await presence.updateSession(update.userId, update.sessionId, {
+        location: update.location,
+        lastUpdate: new Date(update.at),
+      });
+      if (session) stored.push(update);
+    }
+
+    const audiences = await findAudiences(stored.map(u => u.userId));
+    for (const update of stored) {
+      const targets = new Set(audiences.get(update.userId) || []);
+      const lngLat = toLngLat(update.location);
+      if (hasPermission(update, 'location.watch') && lngLat) {
+        targets.add(rooms.locations(encodeGeohash(lngLat, getAreaPrecision())));
+      }
+
+      for (const room of visibleIn.get(update.userId) || []) {
+        if (!targets.has(room)) batch(room).removed.push(update.userId);
+      }
+      targets.forEach(room => batch(room).updates.push(update));
+      visibleIn.set(update.userId, targets);
+    }
+
+    for (const [room, diff] of batches) {
+      publish('user.locations', diff, { to: room });
+    }
+    if (stored.length) await onLocations(stored);
+    return batches.size;
+  };
+
+  return {
+    config,
+
+    // Queue a location from one of `user`'s sessions. Returns false when the session
+    // sent one less than `minIntervalMs` ago (the update is dropped).
+    report: (user, sessionId, location) => {
+      const now = Date.now();
+      if (now - (lastAccepted.get(sessionId) || 0) < config.minIntervalMs) return false;
+      lastAccepted.set(sessionId, now);
+
+      gone.delete(user.id);
+      pending.set(user.id, {
+        userId: user.id,
+        sessionId,
+        userType: user.userType,
+        name: user.name,
+        location,
+        at: new Date(now).toISOString(),
+      });
+      return true;
+    },
+
+    // A session closed; with `wentOffline` the user disappears from every audience
+    endSession: (userId, sessionId, { wentOffline = false } = {}) => {
+      lastAccepted.delete(sessionId);
+      if (wentOffline) {
+        pending.delete(userId);
+        gone.add(userId);
+      }
+    },
+
+    flush,
+
+    // Flush every `intervalMs`. Returns a function that stops it.
+    start: () => {
+      let running = false;
+      const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        await flush().catch(err => console.error('Location feed error:', err));
+        running = false;
+      }, config.intervalMs);
+      return () => clearInterval(timer);
+    },
+  };
+};
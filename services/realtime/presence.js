@@ -0,0 +1,185 @@
+// Presence: who is online, shared by every server instance through the realtime adapter
+// (adapters/). Every connected socket is a session of its user (phone, tablet, ...); a
+// user is online while at least one session is. Reads are synchronous and Map-like over
+// users (has, get, entries) so dispatch and chat can use them inline; writes are async
+// because they may have to reach other instances.
+//
+// Sessions expire `ttlMs` after they were last refreshed. Every instance keeps refreshing
+// the sessions of its own connected sockets (`refresh`), so users of an instance that died
+// drop off by themselves instead of depending on a `disconnect` handler that never ran.
+//
+// A session is { sessionId (the socket id), userId, userType, name, label, platform,
+// location, connectedAt, lastUpdate, instanceId, expiresAt }.
+
+// Presence TTL from PRESENCE_TTL_SEC
+export const getPresenceTtlMs = () => (parseInt(process.env.PRESENCE_TTL_SEC, 10) || 90) * 1000;
+
+const time = (value) => (value ? new Date(value).getTime() : 0);
+
+// One user as seen by readers: the most recently located session gives the location
+// and `lastUpdate`
+export const toPresenceUser = (userId, sessions) => {
+  const byRecency = [...sessions].sort((a, b) => time(b.lastUpdate) - time(a.lastUpdate));
+  const current = byRecency.find(s => s.location) || byRecency[0];
+  return {
+    userId,
+    userType: current.userType,
+    name: current.name,
+    location: current.location,
+    lastUpdate: current.lastUpdate,
+    sessions: byRecency,
+  };
+};
+
+// Online users for clients; `detailed` (admins) adds every session
+export const describePresence = (presence, { detailed = false } = {}) =>
+  Array.from(presence.entries()).map(([userId, user]) => ({
+    userId,
+    location: user.location,
+    userType: user.userType,
+    name: user.name,
+    lastUpdate: user.lastUpdate,
+    sessionCount: user.sessions.length,
+    ...(detailed && {
+      sessions: user.sessions.map(s => ({
+        sessionId: s.sessionId,
+        label: s.label,
+        platform: s.platform,
+        location: s.location,
+        connectedAt: s.connectedAt,
+        lastUpdate: s.lastUpdate,
+        instanceId: s.instanceId,
+      })),
+    }),
+  }));
+
+// `users` is the backing Map (userId -> Map(sessionId -> session)); `persist(op, details)`
+// tells the adapter about local writes ('set', 'delete') and heartbeats ('refresh').
+export const createPresenceStore = ({
+  users = new Map(),
+  instanceId,
+  ttlMs = getPresenceTtlMs(),
+  persist = async () => {},
+}) => {
+  const live = (session, now = Date.now()) => session.expiresAt > now;
+
+  const liveSessions = (userId, now = Date.now()) => {
+    const sessions = users.get(String(userId));
+    return sessions ? [...sessions.values()].filter(s => live(s, now)) : [];
+  };
+
+  const put = (session) => {
+    const userId = String(session.userId);
+    if (!users.has(userId)) users.set(userId, new Map());
+    users.get(userId).set(session.sessionId, session);
+  };
+
+  // Remove one session; true when it was the user's last one
+  const remove = (userId, sessionId) => {
+    const sessions = users.get(String(userId));
+    if (!sessions || !sessions.delete(sessionId)) return false;
+    if (sessions.size) return false;
+    users.delete(String(userId));
+    return true;
+  };
+
+  return {
+    instanceId,
+    ttlMs,
+
+    has: (userId) => liveSessions(userId).length > 0,
+    get: (userId) => {
+      const sessions = liveSessions(userId);
+      return sessions.length ? toPresenceUser(String(userId), sessions) : undefined;
+    },
+    *[Symbol.iterator]() {
+      const now = Date.now();
+      for (const userId of users.keys()) {
+        const sessions = liveSessions(userId, now);
+        if (sessions.length) yield [userId, toPresenceUser(userId, sessions)];
+      }
+    },
+    entries() {
+      return this[Symbol.iterator]();
+    },
+
+    sessions: (userId) => liveSessions(userId),
+
+    // Add or replace a session of this instance. Returns it with `cameOnline` set when it
+    // is the user's only live session.
+    setSession: async (data) => {
+      const session = {
+        ...data,
+        userId: String(data.userId),
+        instanceId,
+        expiresAt: Date.now() + ttlMs,
+      };
+      const cameOnline = liveSessions(session.userId).every(s => s.sessionId === session.sessionId);
+      put(session);
+      await persist('set', session);
+      return { session, cameOnline };
+    },
+
+    // Merge `patch` into a live session; null when there is no such session
+    updateSession: async (userId, sessionId, patch) => {
+      const current = users.get(String(userId))?.get(sessionId);
+      if (!current || !live(current)) return null;
+      const session = { ...current, ...patch, expiresAt: Date.now() + ttlMs };
+      put(session);
+      await persist('set', session);
+      return session;
+    },
+
+    // Returns { removed, wentOffline }; the user stays online while other sessions remain
+    deleteSession: async (userId, sessionId) => {
+      const current = users.get(String(userId))?.get(sessionId);
+      if (!current) return { removed: false, wentOffline: false };
+      const wentOffline = remove(userId, sessionId);
+      await persist('delete', current);
+      return { removed: true, wentOffline: wentOffline || !liveSessions(userId).length };
+    },
+
+    // Apply a write made by another instance
+    apply: (op, session) => {
+      if (op === 'set') put({ ...session, expiresAt: time(session.expiresAt) });
+      else if (op === 'delete') remove(session.userId, session.sessionId);
+    },
+
+    // Heartbeat for this instance's sessions: extend those whose socket is still connected
+    // here, drop the rest. Returns the sessions that were dropped.
+    refresh: async (isLocalSocket) => {
+      const expiresAt = Date.now() + ttlMs;
+      const kept = [];
+      const gone = [];
+      for (const sessions of [...users.values()]) {
+        for (const session of [...sessions.values()]) {
+          if (session.instanceId !== instanceId) continue;
+          if (isLocalSocket(session.sessionId)) {
+            session.expiresAt = expiresAt;
+            kept.push(session.sessionId);
+          } else {
+            remove(session.userId, session.sessionId);
+            gone.push(session);
+          }
+        }
+      }
+      await persist('refresh', { kept, gone: gone.map(s => s.sessionId), expiresAt });
+      return gone;
+    },
+
+    // Forget expired sessions. Returns the sessions that were removed.
+    sweep: () => {
+      const now = Date.now();
+      const expired = [];
+      for (const sessions of [...users.values()]) {
+        for (const session of [...sessions.values()]) {
+          if (!live(session, now)) {
+            remove(session.userId, session.sessionId);
+            expired.push(session);
+          }
+        }
+      }
+      return expired;
+    },
+  };
+};
@@ -0,0 +1,140 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { SERVICE_TYPES } from './alertStateMachine.js';
+import { recordAudit } from './auditLog.js';
+import { getAccountTokenConfig } from './accountTokens.js';
+import { sendMail } from './mail/index.js';
+import { rolesWith } from './permissions.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+
+// Police, hospital and fire sign-ups are applications: the account is created with status
+// `pending` (no sign-in, no dispatch, no responder routes) and submitted credentials, and
+// only becomes `active` once an admin approves it. Rejected accounts keep status
+// `rejected`. Every submission and decision goes to the audit log.
+
+// User types that need an admin's approval before the account can be used
+export const APPLICATION_USER_TYPES = SERVICE_TYPES;
+
+export class ApplicationReviewError extends Error {
+  constructor(message, { status = 409, code = 'INVALID_APPLICATION_STATE' } = {}) {
+    super(message);
+    this.name = 'ApplicationReviewError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+// What the review queue shows about an applicant
+export const summarizeApplication = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  contactNumber: user.contactNumber,
+  userType: user.userType,
+  status: user.status,
+  isVerified: user.isVerified,
+  createdAt: user.createdAt,
+  application: user.responderApplication,
+});
+
+// Fields for a new applicant's User document, from the registration body
+export const buildApplication = ({ agency, badgeNumber, station, documents }) => ({
+  status: 'pending',
+  agency,
+  badgeNumber,
+  station,
+  documents: Array.isArray(documents)
+    ? documents.map(({ name, url }) => ({ name, url }))
+    : undefined,
+  submittedAt: new Date(),
+});
+
+// Rooms of everyone who may review applications
+const reviewerRooms = () => rolesWith('user.application.review').map(rooms.role);
+
+// Log a new application and tell online admins about it
+export const recordApplicationSubmitted = async (user, req) => {
+  await recordAudit({
+    req,
+    actor: user._id,
+    action: 'responder_application.submitted',
+    targetType: 'User',
+    target: user._id,
+    details: { userType: user.userType, badgeNumber: user.responderApplication.badgeNumber },
+  });
+  publish('application.submitted', { application: summarizeApplication(user) }, { to: reviewerRooms() });
+};
+
+// Tell the applicant; a failed email does not undo the decision
+const notifyApplicant = async (user, decision, note) => {
+  if (decision === 'approved') {
+    const notification = await Notification.create({
+      user: user._id,
+      type: 'account',
+      title: 'Account approved',
+      message: `Your ${user.userType} responder account has been approved`,
+    }).catch(err => { console.error('Error creating approval notification', err); return null; });
+    publishNotification(notification);
+  }
+
+  const template = decision === 'approved' ? 'responderApproved' : 'responderRejected';
+  await sendMail(template, user.email, {
+    name: user.name,
+    userType: user.userType,
+    url: `${getAccountTokenConfig().appUrl}/login`,
+    note,
+    reason: note,
+  }).catch(err => console.error(`Error emailing ${decision} applicant ${user._id}:`, err));
+};
+
+// Approve or reject a pending application. `req.user` is the reviewing admin; `note` is
+// required when rejecting. Throws ApplicationReviewError; returns the updated user.
+export const reviewApplication = async (userId, decision, note, req) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new ApplicationReviewError('Invalid decision', { status: 400, code: 'INVALID_DECISION' });
+  }
+  if (decision === 'rejected' && !note?.trim()) {
+    throw new ApplicationReviewError('A reason is required to reject an application', { status: 400, code: 'REASON_REQUIRED' });
+  }
+
+  const reviewNote = note?.trim() || undefined;
+
+  // Only one admin can decide a given application
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'responderApplication.status': 'pending' },
+    {
+      status: decision === 'approved' ? 'active' : 'rejected',
+      'responderApplication.status': decision,
+      'responderApplication.reviewedAt': new Date(),
+      'responderApplication.reviewedBy': req.user.id,
+      ...(reviewNote && { 'responderApplication.reviewNote': reviewNote }),
+    },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    const exists = await User.findById(userId).select('responderApplication.status').lean();
+    if (!exists) throw new ApplicationReviewError('User not found', { status: 404, code: 'NOT_FOUND' });
+    throw new ApplicationReviewError(
+      exists.responderApplication?.status
+        ? `Application has already been ${exists.responderApplication.status}`
+        : 'This user has no responder application'
+    );
+  }
+
+  await recordAudit({
+    req,
+    action: `responder_application.${decision}`,
+    targetType: 'User',
+    target: user._id,
+    details: { userType: user.userType, note: reviewNote },
+  });
+  publish('application.reviewed', { application: summarizeApplication(user) }, { to: reviewerRooms() });
+  await notifyApplicant(user, decision, reviewNote);
+
+  return user;
+};
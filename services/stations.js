@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import Station from '../models/Station.js';
+import User from '../models/User.js';
+import { publish, publishNotification, rooms } from './realtime/index.js';
+
+// Stations own a GeoJSON jurisdiction. Every service of a new alert is routed to the active
+// station of that agency whose jurisdiction contains the alert point (`services[].station`);
+// the station's members are dispatched ahead of other responders, and its supervisors are
+// told about the alert and may see and reassign everything routed to the station.
+
+export class StationError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_STATION' } = {}) {
+    super(message);
+    this.name = 'StationError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+const isPosition = (p) =>
+  Array.isArray(p) && p.length === 2 &&
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+// A closed ring of at least four positions (the first repeated as the last)
+const isRing = (ring) =>
+  Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+// Validate a GeoJSON Polygon or MultiPolygon ({ type, coordinates }); returns the
+// jurisdiction to store, or null when it is not a usable shape
+export const parseJurisdiction = (input) => {
+  if (!input || typeof input !== 'object') return null;
+  const type = input.type || 'Polygon';
+  const { coordinates } = input;
+
+  if (type === 'Polygon' && isPolygon(coordinates)) return { type, coordinates };
+  if (type === 'MultiPolygon' && Array.isArray(coordinates) && coordinates.length && coordinates.every(isPolygon)) {
+    return { type, coordinates };
+  }
+  return null;
+};
+
+// The active station of `agency` whose jurisdiction contains [lng, lat], or null.
+// Overlapping jurisdictions go to the oldest station.
+export const findStationFor = (agency, lngLat) => Station.findOne({
+  agency,
+  active: true,
+  jurisdiction: { $geoIntersects: { $geometry: { type: 'Point', coordinates: lngLat } } },
+})
+  .sort({ createdAt: 1 })
+  .select('name agency members supervisors')
+  .lean();
+
+// Member ids of an active station (empty when it is gone or deactivated), to rank them first
+export const stationMemberIds = async (stationId) => {
+  if (!stationId) return [];
+  const station = await Station.findOne({ _id: stationId, active: true }).select('members').lean();
+  return (station?.members || []).map(idOf);
+};
+
+// Active station of the user (as a member or supervisor), or null
+export const findStationOf = (userId) => Station.findOne({
+  active: true,
+  $or: [{ members: userId }, { supervisors: userId }],
+})
+  .select('name agency members supervisors')
+  .lean();
+
+// Set `services[].station` on a new alert (in memory and stored).
+// Returns { [serviceType]: station } for the services that found a station.
+export const routeAlertToStations = async (alert) => {
+  const lngLat = alert.location?.coordinates?.coordinates;
+  const routed = {};
+  if (!Array.isArray(lngLat) || lngLat.length !== 2) return routed;
+
+  for (const service of alert.services || []) {
+    if (service.station) continue;
+    const station = await findStationFor(service.type, lngLat);
+    if (!station) continue;
+
+    service.station = station._id;
+    routed[service.type] = station;
+    await Alert.updateOne(
+      { _id: alert._id },
+      {
+        $set: { 'services.$[s].station': station._id },
+        $push: {
+          timeline: {
+            action: `Routed to ${station.name}`,
+            timestamp: new Date(),
+            service: service.type,
+          },
+        },
+      },
+      { arrayFilters: [{ 's.type': service.type }] }
+    );
+  }
+  return routed;
+};
+
+// Tell the supervisors of each station an alert was routed to
+export const notifyStationSupervisors = async (alert, populatedAlert, routed) => {
+  for (const [service, station] of Object.entries(routed)) {
+    const supervisors = (station.supervisors || []).map(idOf);
+    if (!supervisors.length) continue;
+
+    publish('alert.routed', {
+      alert: populatedAlert,
+      service,
+      station: { id: station._id, name: station.name },
+    }, { to: supervisors.map(rooms.user) });
+
+    for (const supervisor of supervisors) {
+      const notification = await Notification.create({
+        user: supervisor,
+        alert: alert._id,
+        type: 'alert',
+        title: `New ${service} alert for ${station.name}`,
+        message: `Routed to your station: ${alert.title}`,
+      }).catch(err => { console.error('Error creating station notification:', err); return null; });
+      publishNotification(notification);
+    }
+  }
+};
+
+// Check that every user in `ids` is an active responder of `agency`
+const assertResponders = async (agency, ids) => {
+  if (!ids.length) return;
+  const found = await User.countDocuments({ _id: { $in: ids }, userType: agency, status: 'active' });
+  if (found !== ids.length) {
+    throw new StationError(`Members must be active ${agency} responders`, { code: 'INVALID_MEMBER' });
+  }
+};
+
+// Replace a station's members and/or supervisors (not saved). Supervisors are always
+// members too, and responders joining this station leave any other station.
+export const setStationMembers = async (station, { members, supervisors }) => {
+  const toIds = (list, field) => {
+    if (list === undefined) return null;
+    const ids = Array.isArray(list) ? [...new Set(list.map(String))] : null;
+    if (!ids || !ids.every(id => mongoose.isValidObjectId(id))) {
+      throw new StationError(`${field} must be a list of user ids`, { code: 'INVALID_MEMBER' });
+    }
+    return ids;
+  };
+
+  const supervisorIds = toIds(supervisors, 'supervisors') ?? station.supervisors.map(idOf);
+  const memberIds = [...new Set([
+    ...(toIds(members, 'members') ?? station.members.map(idOf)),
+    ...supervisorIds,
+  ])];
+
+  await assertResponders(station.agency, memberIds);
+
+  station.members = memberIds;
+  station.supervisors = supervisorIds;
+
+  if (memberIds.length) {
+    await Station.updateMany(
+      { _id: { $ne: station._id }, $or: [{ members: { $in: memberIds } }, { supervisors: { $in: memberIds } }] },
+      { $pull: { members: { $in: memberIds }, supervisors: { $in: memberIds } } }
+    );
+  }
+  return station;
+};
@@ -0,0 +1,321 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import Station from '../models/Station.js';
+import Unit from '../models/Unit.js';
+import User from '../models/User.js';
+import { CLOSED_STATUSES, assignUnitToService, ensureServices } from './alertStateMachine.js';
+import { toLngLat } from './geo.js';
+import { rolesWith } from './permissions.js';
+import { getAreaPrecision, publish, publishNotification, rooms } from './realtime/index.js';
+import { encodeGeohash } from './realtime/geohash.js';
+
+// Units are vehicles (ambulances, fire trucks, patrol cars) dispatched to alert services
+// alongside or instead of individual responders. Their lifecycle:
+//
+//   available -> dispatched -> en_route -> on_scene -> (transporting) -> returning -> available
+//
+// plus out_of_service at any time. Dispatch takes available or returning units only;
+// returning, available and out_of_service free the unit from its alert, and closing
+// the unit's service (or the whole alert) sends it home (returning). A unit moves with its crew: positions
+// from their `update-location` / PUT /api/users/location become the unit's location.
+
+export const UNIT_TYPES = ['ambulance', 'fire_truck', 'rescue', 'patrol_car', 'motorcycle'];
+
+// Agencies that run each type of unit
+export const UNIT_TYPE_AGENCIES = {
+  ambulance: ['hospital'],
+  fire_truck: ['fire'],
+  rescue: ['police', 'hospital', 'fire'],
+  patrol_car: ['police'],
+  motorcycle: ['police', 'hospital', 'fire'],
+};
+
+export const UNIT_STATUSES = ['available', 'dispatched', 'en_route', 'on_scene', 'transporting', 'returning', 'out_of_service'];
+
+// Units that may be sent to a new alert
+export const DISPATCHABLE_UNIT_STATUSES = ['available', 'returning'];
+
+// Statuses a crew (or admin) reports; `dispatched` is only set by dispatch
+export const REPORTED_UNIT_STATUSES = UNIT_STATUSES.filter(s => s !== 'dispatched');
+
+// Statuses that release the unit from its alert
+const FREE_UNIT_STATUSES = ['available', 'returning', 'out_of_service'];
+
+export class UnitError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_UNIT' } = {}) {
+    super(message);
+    this.name = 'UnitError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { message: this.message, code: this.code };
+  }
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+export const isCrewMember = (unit, userId) => (unit.crew || []).some(id => idOf(id) === String(userId));
+
+// Who hears about a unit: admins, its crew, and the alert it is working
+const unitAudience = (unit, alertId = unit.currentAlert) => [
+  ...rolesWith('unit.manage').map(rooms.role),
+  ...(unit.crew || []).map(id => rooms.user(idOf(id))),
+  alertId ? rooms.alert(idOf(alertId)) : null,
+];
+
+const publishUnitStatus = (unit, alertId) => {
+  publish('unit.status_changed', {
+    unit: {
+      id: unit._id,
+      callSign: unit.callSign,
+      type: unit.type,
+      agency: unit.agency,
+      status: unit.status,
+      statusChangedAt: unit.statusChangedAt,
+      currentAlert: unit.currentAlert || null,
+    },
+  }, { to: unitAudience(unit, alertId) });
+};
+
+// Check a unit's type, agency and home station fit together (throws UnitError)
+export const assertUnitSetup = async ({ type, agency, homeStation }) => {
+  if (!UNIT_TYPE_AGENCIES[type]?.includes(agency)) {
+    throw new UnitError(`A ${agency} agency cannot run a ${String(type).replace('_', ' ')} unit`, { code: 'INVALID_UNIT_TYPE' });
+  }
+  if (homeStation) {
+    const station = mongoose.isValidObjectId(homeStation)
+      ? await Station.findById(homeStation).select('agency').lean()
+      : null;
+    if (!station || station.agency !== agency) {
+      throw new UnitError(`homeStation must be a ${agency} station`, { code: 'INVALID_STATION' });
+    }
+  }
+};
+
+// Check that every crew member is an active responder of the unit's agency
+const assertCrew = async (agency, ids) => {
+  if (!ids.length) return;
+  const found = await User.countDocuments({ _id: { $in: ids }, userType: agency, status: 'active' });
+  if (found !== ids.length) {
+    throw new UnitError(`Crew must be active ${agency} responders`, { code: 'INVALID_CREW' });
+  }
+};
+
+// Replace a unit's crew (not saved). Responders ride with one unit at a time, so they
+// leave any other unit's crew.
+export const setUnitCrew = async (unit, crew) => {
+  const ids = Array.isArray(crew) ? [...new Set(crew.map(String))] : null;
+  if (!ids || !ids.every(id => mongoose.isValidObjectId(id))) {
+    throw new UnitError('crew must be a list of user ids', { code: 'INVALID_CREW' });
+  }
+  await assertCrew(unit.agency, ids);
+
+  unit.crew = ids;
+  if (ids.length) {
+    await Unit.updateMany({ _id: { $ne: unit._id }, crew: { $in: ids } }, { $pull: { crew: { $in: ids } } });
+  }
+  return unit;
+};
+
+// Move a unit to `status` as reported by its crew or an admin. Saves and publishes.
+export const setUnitStatus = async (unit, status) => {
+  if (!REPORTED_UNIT_STATUSES.includes(status)) {
+    throw new UnitError(`status must be one of: ${REPORTED_UNIT_STATUSES.join(', ')}`, { code: 'INVALID_STATUS' });
+  }
+  if (['en_route', 'on_scene', 'transporting'].includes(status) && !unit.currentAlert) {
+    throw new UnitError(`A unit must be dispatched before it is ${status.replace('_', ' ')}`, {
+      status: 409,
+      code: 'NOT_DISPATCHED',
+    });
+  }
+
+  const alertId = unit.currentAlert;
+  unit.status = status;
+  unit.statusChangedAt = new Date();
+  if (FREE_UNIT_STATUSES.includes(status)) unit.currentAlert = undefined;
+  await unit.save();
+
+  publishUnitStatus(unit, alertId);
+  return unit;
+};
+
+// Send a unit to one service of an alert (the alert's only service when `service` is
+// omitted). Claims the unit atomically, then saves the alert and tells the crew.
+// Returns { service, unit }.
+export const dispatchUnit = async (alert, unitId, { service, user, notes } = {}) => {
+  ensureServices(alert);
+  const entry = service
+    ? alert.services.find(s => s.type === service)
+    : (alert.services.length === 1 ? alert.services[0] : null);
+  if (!entry) {
+    throw service
+      ? new UnitError(`This alert does not require ${service}`, { code: 'SERVICE_NOT_REQUIRED' })
+      : new UnitError('Specify which service the unit is for', { code: 'SERVICE_REQUIRED' });
+  }
+  if (CLOSED_STATUSES.includes(alert.status) || CLOSED_STATUSES.includes(entry.status)) {
+    throw new UnitError(`Cannot dispatch a unit to a ${entry.status} service`, { status: 409, code: 'SERVICE_CLOSED' });
+  }
+
+  const candidate = mongoose.isValidObjectId(unitId) ? await Unit.findById(unitId).lean() : null;
+  if (!candidate || !candidate.active) {
+    throw new UnitError('Unit not found', { status: 404, code: 'UNIT_NOT_FOUND' });
+  }
+  if (candidate.agency !== entry.type) {
+    throw new UnitError(`A ${candidate.agency} unit cannot answer the ${entry.type} service`, { code: 'WRONG_AGENCY' });
+  }
+
+  const now = new Date();
+  const unit = await Unit.findOneAndUpdate(
+    { _id: candidate._id, active: true, status: { $in: DISPATCHABLE_UNIT_STATUSES } },
+    { status: 'dispatched', statusChangedAt: now, currentAlert: alert._id },
+    { new: true }
+  );
+  if (!unit) {
+    throw new UnitError(`Unit ${candidate.callSign} is ${candidate.status.replace('_', ' ')}`, {
+      status: 409,
+      code: 'UNIT_UNAVAILABLE',
+    });
+  }
+
+  try {
+    assignUnitToService(alert, entry.type, unit, { user, notes });
+    await alert.save();
+  } catch (err) {
+    // Hand the unit back rather than leave it dispatched to nothing
+    await Unit.updateOne(
+      { _id: unit._id, currentAlert: alert._id },
+      { status: candidate.status, statusChangedAt: candidate.statusChangedAt, $unset: { currentAlert: 1 } }
+    );
+    throw err;
+  }
+
+  publishUnitStatus(unit);
+  const populatedAlert = await Alert.findById(alert._id).populate('reporter', 'name email contactNumber userType');
+  publish('unit.dispatched', {
+    unit: { id: unit._id, callSign: unit.callSign, type: unit.type },
+    alert: populatedAlert,
+    service: entry.type,
+  }, { to: unit.crew.map(id => rooms.user(idOf(id))) });
+
+  for (const member of unit.crew) {
+    const notification = await Notification.create({
+      user: member,
+      alert: alert._id,
+      type: 'alert',
+      title: `Unit ${unit.callSign} dispatched`,
+      message: `Your unit was sent to a ${alert.type} alert: ${alert.title}`,
+    }).catch(err => { console.error('Error creating unit notification:', err); return null; });
+    publishNotification(notification);
+  }
+
+  return { service: entry.type, unit };
+};
+
+// Send units still working an alert home (returning), e.g. once it was deleted. With
+// `unitIds` only those units go.
+export const releaseAlertUnits = async (alertId, unitIds = null) => {
+  const query = { currentAlert: alertId, status: { $nin: FREE_UNIT_STATUSES } };
+  if (unitIds) query._id = { $in: unitIds };
+
+  const units = await Unit.find(query);
+  for (const unit of units) {
+    unit.status = 'returning';
+    unit.statusChangedAt = new Date();
+    unit.currentAlert = undefined;
+    await unit.save();
+    publishUnitStatus(unit, alertId);
+  }
+  return units.length;
+};
+
+// Release the units of an alert's closed services (all of them once the alert closed).
+// Never throws.
+export const syncAlertUnits = (alert) => {
+  const closed = CLOSED_STATUSES.includes(alert.status)
+    ? alert.services || []
+    : (alert.services || []).filter(s => CLOSED_STATUSES.includes(s.status));
+  const unitIds = closed.flatMap(s => s.units || []);
+  if (!unitIds.length) return Promise.resolve(0);
+
+  return releaseAlertUnits(alert._id, unitIds)
+    .catch(err => { console.error(`Error releasing units of alert ${alert._id}:`, err); return 0; });
+};
+
+// Store a unit's position and publish it to map watchers of its cell and to the alert it is
+// working (participants and reporter)
+export const moveUnit = async (unit, coordinates, at = new Date()) => {
+  await Unit.updateOne(
+    { _id: unit._id },
+    { location: { type: 'Point', coordinates }, locationUpdatedAt: at }
+  );
+
+  const targets = [rooms.locations(encodeGeohash(coordinates, getAreaPrecision()))];
+  if (unit.currentAlert) {
+    const alert = await Alert.findById(unit.currentAlert).select('reporter').lean();
+    if (alert) {
+      targets.push(rooms.alert(alert._id), rooms.user(idOf(alert.reporter)));
+    }
+  }
+
+  publish('unit.location', {
+    unitId: unit._id,
+    callSign: unit.callSign,
+    type: unit.type,
+    agency: unit.agency,
+    status: unit.status,
+    alertId: unit.currentAlert || null,
+    location: { type: 'Point', coordinates },
+    at,
+  }, { to: targets });
+};
+
+// Move units with their crew. `positions` are [{ userId, location, at }] (the location feed's
+// stored updates); the newest position of any crew member wins. Returns the units moved.
+export const recordUnitPositions = async (positions) => {
+  const latest = new Map(); // userId -> { coordinates, at }
+  for (const position of positions) {
+    const coordinates = toLngLat(position.location);
+    if (coordinates) latest.set(String(position.userId), { coordinates, at: new Date(position.at || Date.now()) });
+  }
+  if (!latest.size) return 0;
+
+  const units = await Unit.find({
+    active: true,
+    status: { $ne: 'out_of_service' },
+    crew: { $in: [...latest.keys()] },
+  }).select('callSign type agency status crew currentAlert').lean();
+
+  for (const unit of units) {
+    const position = unit.crew
+      .map(id => latest.get(idOf(id)))
+      .filter(Boolean)
+      .sort((a, b) => b.at - a.at)[0];
+    await moveUnit(unit, position.coordinates, position.at);
+  }
+  return units.length;
+};
+
+// Nearest dispatchable units to [lng, lat], using the 2dsphere index.
+// Returns units with `distance` in meters, closest first.
+export const findNearestUnits = ({ coordinates, type, agency, maxDistanceKm = 50, limit = 5 }) => {
+  const query = { active: true, status: { $in: DISPATCHABLE_UNIT_STATUSES } };
+  if (type) query.type = type;
+  if (agency) query.agency = agency;
+
+  return Unit.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        maxDistance: maxDistanceKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: 'crew', foreignField: '_id', as: 'crew', pipeline: [{ $project: { name: 1, userType: 1, contactNumber: 1 } }] } },
+  ]);
+};
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import { getAlertTransitions, updateAlert } from '../controllers/alertController.js';
+
+const REPORTER = '64b000000000000000000001';
+const STRANGER = '64b000000000000000000002';
+const ADMIN = '64b000000000000000000003';
+
+const makeAlert = (fields = {}) => ({
+  _id: '64b0000000000000000000a1',
+  title: 'Fire on Panganiban Drive',
+  status: 'pending',
+  // Populated with its family list, so the family rule needs no lookup
+  reporter: { _id: REPORTER, familyMembers: [] },
+  services: [],
+  saved: false,
+  async save() { this.saved = true; return this; },
+  ...fields,
+});
+
+// Alert.findById(...) is awaited directly or after .populate(...)
+const stubFindById = (alert) => {
+  Alert.findById = () => ({
+    populate() { return this; },
+    then: (resolve, reject) => Promise.resolve(alert).then(resolve, reject),
+  });
+};
+
+const mockRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+const request = (user, body = {}) => ({
+  params: { id: '64b0000000000000000000a1' },
+  user,
+  body,
+  app: { get: () => null },
+});
+
+const originalFindById = Alert.findById;
+afterEach(() => { Alert.findById = originalFindById; });
+
+test('getAlertTransitions refuses users who may not view the alert', async () => {
+  stubFindById(makeAlert());
+
+  const res = mockRes();
+  await getAlertTransitions(request({ id: STRANGER, userType: 'citizen' }), res);
+
+  assert.equal(res.statusCode, 403);
+});
+
+test('getAlertTransitions answers the reporter', async () => {
+  stubFindById(makeAlert());
+
+  const res = mockRes();
+  await getAlertTransitions(request({ id: REPORTER, userType: 'citizen' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'pending');
+});
+
+for (const status of ['resolved', 'cancelled']) {
+  test(`updateAlert refuses edits of a ${status} alert`, async () => {
+    const alert = makeAlert({ status });
+    stubFindById(alert);
+
+    const res = mockRes();
+    await updateAlert(request({ id: REPORTER, userType: 'citizen' }, { title: 'Changed' }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'ALERT_CLOSED');
+    assert.equal(alert.title, 'Fire on Panganiban Drive');
+    assert.equal(alert.saved, false);
+  });
+}
+
+test('updateAlert refuses admin edits of a closed alert beyond notes', async () => {
+  const alert = makeAlert({ status: 'resolved' });
+  stubFindById(alert);
+
+  const res = mockRes();
+  await updateAlert(request({ id: ADMIN, userType: 'admin' }, { notes: 'Follow-up', priority: 'low' }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(alert.saved, false);
+});
+
+test('updateAlert lets admins add notes to a closed alert', async () => {
+  const alert = makeAlert({ status: 'resolved' });
+  stubFindById(alert);
+
+  const res = mockRes();
+  await updateAlert(request({ id: ADMIN, userType: 'admin' }, { notes: 'Follow-up call made' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(alert.notes, 'Follow-up call made');
+  assert.equal(alert.saved, true);
+});
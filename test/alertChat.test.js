@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import AlertMessage from '../models/AlertMessage.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendAlertMessage } from '../controllers/alertMessageController.js';
+import { joinAlertChat, markAlertMessagesRead, postAlertMessage } from '../services/alertChat.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const ALERT = '64b0000000000000000000a1';
+const reporter = { id: '64b000000000000000000001', name: 'Ana', userType: 'citizen' };
+const police = { id: '64b000000000000000000002', name: 'Officer Cruz', userType: 'police' };
+const medic = { id: '64b000000000000000000003', name: 'Nurse Reyes', userType: 'hospital' };
+const family = { id: '64b000000000000000000004', name: 'Ben', userType: 'family' };
+const stranger = { id: '64b000000000000000000005', name: 'Carl', userType: 'citizen' };
+
+const alert = {
+  _id: ALERT,
+  type: 'police',
+  status: 'responded',
+  reporter: reporter.id,
+  responder: police.id,
+  assignedTo: [police.id],
+  services: [{ type: 'police', responder: police.id }, { type: 'hospital', responder: medic.id }],
+};
+
+let created;
+let notifications;
+let transport;
+let savedRealtime;
+const originals = {
+  create: AlertMessage.create,
+  updateMany: AlertMessage.updateMany,
+  findById: Alert.findById,
+  userFindById: User.findById,
+  notificationCreate: Notification.create,
+};
+
+beforeEach(() => {
+  created = [];
+  notifications = [];
+  AlertMessage.create = async (doc) => {
+    const message = { _id: `m${created.length + 1}`, ...doc, populate: async () => message };
+    created.push(message);
+    return message;
+  };
+  Alert.findById = async (id) => (id === ALERT ? alert : null);
+  User.findById = () => ({ select: () => ({ lean: async () => ({ familyMembers: [family.id] }) }) });
+  Notification.create = async (doc) => { notifications.push(doc); return doc; };
+
+  savedRealtime = getRealtime();
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport, legacy: false }));
+});
+
+afterEach(() => {
+  AlertMessage.create = originals.create;
+  AlertMessage.updateMany = originals.updateMany;
+  Alert.findById = originals.findById;
+  User.findById = originals.userFindById;
+  Notification.create = originals.notificationCreate;
+  setRealtime(savedRealtime);
+});
+
+test('a message goes to the alert room and offline participants are notified', async () => {
+  const onlineUsers = new Set([medic.id]);
+  const body = 'x'.repeat(130);
+
+  const message = await postAlertMessage({ onlineUsers, alert, user: police, body });
+
+  assert.equal(created.length, 1);
+  assert.equal(message.sender, police.id);
+  const [live] = transport.events;
+  assert.equal(live.name, 'alert.message');
+  assert.deepEqual(live.targets, [`alert-${ALERT}`]);
+
+  // Not the sender, nor the medic who is online and gets it live
+  assert.deepEqual(notifications.map(n => n.user).sort(), [reporter.id, family.id].sort());
+  assert.equal(notifications[0].title, 'New message from Officer Cruz');
+  assert.equal(notifications[0].message, `${'x'.repeat(117)}...`);
+});
+
+test('marking messages read skips own messages and announces the receipt', async () => {
+  let filter;
+  AlertMessage.updateMany = async (f) => { filter = f; return { modifiedCount: 2 }; };
+  const before = new Date('2026-01-01T08:00:00Z');
+
+  assert.equal(await markAlertMessagesRead({ alert, user: reporter, before }), 2);
+
+  assert.deepEqual(filter.sender, { $ne: reporter.id });
+  assert.deepEqual(filter['readBy.user'], { $ne: reporter.id });
+  assert.deepEqual(filter.createdAt, { $lte: before });
+  const [receipt] = transport.events;
+  assert.equal(receipt.name, 'alert.messages_read');
+  assert.equal(receipt.payload.data.userId, reporter.id);
+  assert.equal(receipt.payload.data.before, before);
+});
+
+test('nothing is announced when there was nothing left to mark', async () => {
+  AlertMessage.updateMany = async () => ({ modifiedCount: 0 });
+
+  assert.equal(await markAlertMessagesRead({ alert, user: reporter }), 0);
+  assert.equal(transport.events.length, 0);
+});
+
+test('participants join the alert room, everyone else is turned away', async () => {
+  const cases = [
+    [reporter, true],
+    [police, true],
+    [medic, true],
+    [family, true],
+    [stranger, false],
+    [{ id: '64b000000000000000000006', name: 'Other cop', userType: 'police' }, false],
+  ];
+  for (const [user, allowed] of cases) {
+    const joined = [];
+    const socket = { data: { user }, join: (room) => joined.push(room) };
+
+    const result = await joinAlertChat(socket, { alertId: ALERT });
+
+    assert.equal(result.ok, allowed, user.name);
+    assert.deepEqual(joined, allowed ? [`alert-${ALERT}`] : [], user.name);
+  }
+});
+
+test('joining needs an authenticated socket and an existing alert', async () => {
+  const socket = { data: {}, join: () => assert.fail('should not join') };
+  assert.deepEqual(await joinAlertChat(socket, { alertId: ALERT }), { ok: false, message: 'Authentication required' });
+
+  socket.data.user = reporter;
+  assert.deepEqual(await joinAlertChat(socket, { alertId: '64b0000000000000000000ff' }), { ok: false, message: 'Alert not found' });
+});
+
+test('posting needs a non-empty body and access to the chat', async () => {
+  const res = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  });
+  const app = { get: () => null };
+
+  const empty = res();
+  await sendAlertMessage({ params: { id: ALERT }, body: { body: '   ' }, user: reporter, app }, empty);
+  assert.equal(empty.statusCode, 400);
+
+  const forbidden = res();
+  await sendAlertMessage({ params: { id: ALERT }, body: { body: 'Hello' }, user: stranger, app }, forbidden);
+  assert.equal(forbidden.statusCode, 403);
+
+  const sent = res();
+  await sendAlertMessage({ params: { id: ALERT }, body: { body: '  On my way  ' }, user: police, app }, sent);
+  assert.equal(sent.statusCode, 201);
+  assert.equal(created.at(-1).body, 'On my way');
+  assert.equal(created.length, 1);
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, test } from 'node:test';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import { createSession, isSessionActive, refreshSession } from '../services/authSessions.js';
+import { createMemoryTransport, createRealtime, getRealtime, rooms, setRealtime } from '../services/realtime/index.js';
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  userType: 'citizen',
+  status: 'active',
+  isVerified: true,
+  async save() { return this; },
+};
+
+// AuthSession documents as MongoDB would keep them
+let sessions;
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === 'expiresAt') return doc.expiresAt > value.$gt;
+  if (value === null) return doc[key] == null;
+  return String(doc[key]) === String(value);
+});
+const fakeSessions = {
+  create: async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), generation: 0, revokedAt: null, ...fields };
+    sessions.set(String(doc._id), doc);
+    return { ...doc };
+  },
+  findById: async (id) => (sessions.has(String(id)) ? { ...sessions.get(String(id)) } : null),
+  findOneAndUpdate: async (filter, { $inc, ...set }) => {
+    const doc = [...sessions.values()].find(d => matches(d, filter));
+    if (!doc) return null;
+    Object.assign(doc, set);
+    doc.generation += $inc.generation;
+    return { ...doc };
+  },
+  updateMany: async (filter, set) => {
+    const hits = [...sessions.values()].filter(d => matches(d, filter));
+    hits.forEach(d => Object.assign(d, set));
+    return { modifiedCount: hits.length };
+  },
+  exists: async (filter) => [...sessions.values()].some(d => matches(d, filter)),
+};
+
+const originals = { session: { ...AuthSession }, findById: User.findById };
+let savedSecret;
+let savedRealtime;
+let transport;
+
+before(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'session-test-secret';
+  savedRealtime = getRealtime();
+});
+
+after(() => {
+  if (savedSecret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = savedSecret;
+  setRealtime(savedRealtime);
+});
+
+beforeEach(() => {
+  sessions = new Map();
+  Object.assign(AuthSession, fakeSessions);
+  User.findById = async () => user;
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport }));
+});
+
+afterEach(() => {
+  for (const name of Object.keys(fakeSessions)) AuthSession[name] = originals.session[name];
+  User.findById = originals.findById;
+});
+
+const config = { accessTokenTtl: '15m', refreshTtlMs: 24 * 60 * 60 * 1000 };
+
+test('a refresh rotates the refresh token and keeps the session', async () => {
+  const first = await createSession(user, {}, config);
+  const second = await refreshSession(first.refreshToken, {}, config);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(String(second.sessionId), String(first.sessionId));
+  assert.equal(sessions.get(String(first.sessionId)).generation, 1);
+  assert.equal(await isSessionActive(String(first.sessionId)), true);
+
+  // The new token works in turn
+  const third = await refreshSession(second.refreshToken, {}, config);
+  assert.equal(sessions.get(String(first.sessionId)).generation, 2);
+  assert.ok(third.token);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async () => {
+  const first = await createSession(user, {}, config);
+  const second = await refreshSession(first.refreshToken, {}, config);
+
+  await assert.rejects(refreshSession(first.refreshToken, {}, config), { code: 'REFRESH_TOKEN_REUSED' });
+
+  const session = sessions.get(String(first.sessionId));
+  assert.ok(session.revokedAt);
+  assert.equal(session.revokedReason, 'token_reuse');
+  assert.equal(await isSessionActive(String(first.sessionId)), false);
+  // The legitimate holder's newer token dies with it
+  await assert.rejects(refreshSession(second.refreshToken, {}, config), { code: 'SESSION_REVOKED' });
+  // Sockets opened with the session's access tokens are disconnected
+  assert.deepEqual(transport.disconnects, [[rooms.session(first.sessionId)]]);
+});
+
+test('two refreshes racing with the same token: the loser revokes the session', async () => {
+  const first = await createSession(user, {}, config);
+
+  const results = await Promise.allSettled([
+    refreshSession(first.refreshToken, {}, config),
+    refreshSession(first.refreshToken, {}, config),
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(r => r.status === 'rejected').reason.code, 'REFRESH_TOKEN_REUSED');
+  assert.ok(sessions.get(String(first.sessionId)).revokedAt);
+});
+
+test('malformed and unknown refresh tokens are refused', async () => {
+  await assert.rejects(refreshSession('garbage', {}, config), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(refreshSession(`${new mongoose.Types.ObjectId()}.secret`, {}, config), { code: 'INVALID_REFRESH_TOKEN' });
+});
@@ -0,0 +1,254 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import Shift from '../models/Shift.js';
+import User from '../models/User.js';
+import {
+  changeOwnAvailability,
+  reserveForAlert,
+  sweepShiftBoundaries,
+  syncResponderAvailability,
+} from '../services/availability.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const POLICE = '64b000000000000000000001';
+const CITIZEN = '64b000000000000000000002';
+const HOUR = 60 * 60 * 1000;
+
+// Users, shifts and alert assignments as MongoDB would hold them
+let users;
+let shifts;
+let assignments;
+
+const userStub = (id) => {
+  const user = users.get(String(id));
+  return user && { _id: id, ...user, availability: { ...user.availability } };
+};
+const inRange = (value, { $lte, $gt } = {}) =>
+  ($lte === undefined || value <= $lte) && ($gt === undefined || value > $gt);
+
+const originals = {
+  userFindOneAndUpdate: User.findOneAndUpdate,
+  userFindById: User.findById,
+  alertFind: Alert.find,
+  shiftFind: Shift.find,
+  shiftFindOne: Shift.findOne,
+  shiftFindOneAndUpdate: Shift.findOneAndUpdate,
+  shiftExists: Shift.exists,
+};
+let transport;
+let savedRealtime;
+
+beforeEach(() => {
+  users = new Map([
+    [POLICE, { name: 'Officer Cruz', userType: 'police', availability: { status: 'available' } }],
+    [CITIZEN, { name: 'Ana', userType: 'citizen', availability: {} }],
+  ]);
+  shifts = [];
+  assignments = [];
+
+  User.findOneAndUpdate = (filter, update) => ({
+    select: async () => {
+      const user = users.get(String(filter._id));
+      if (!user || !filter.userType.$in.includes(user.userType)) return null;
+      const { $in, $ne } = filter['availability.status'];
+      const current = user.availability.status ?? null;
+      if ($in && !$in.includes(current)) return null;
+      if ($ne !== undefined && $ne === current) return null;
+      user.availability = update.availability;
+      return userStub(filter._id);
+    },
+  });
+  User.findById = (id) => ({ select: () => ({ lean: async () => userStub(id) }) });
+  Alert.find = (filter) => ({
+    select: () => ({
+      lean: async () => assignments
+        .filter(a => a.responder === filter.services.$elemMatch.responder)
+        .map(a => ({ _id: a.alertId, title: 'Break-in', services: [{ type: 'police', responder: a.responder, status: a.status }] })),
+    }),
+  });
+  Shift.findOne = (filter) => ({
+    lean: async () => shifts.find(s => s.user === filter.user &&
+      inRange(s.startsAt, filter.startsAt) && inRange(s.endsAt, filter.endsAt)) || null,
+  });
+  Shift.exists = async (filter) => shifts.some(s => s.user === filter.user && inRange(s.endsAt, filter.endsAt)) || null;
+  Shift.find = (filter) => ({
+    select: async () => shifts.filter(s => inRange(s.startsAt, filter.startsAt) && inRange(s.endsAt, filter.endsAt) &&
+      ('startedAt' in filter ? !s.startedAt : !s.endedAt)),
+  });
+  Shift.findOneAndUpdate = async (filter, update) => {
+    const shift = shifts.find(s => s._id === filter._id);
+    const marker = 'startedAt' in filter ? 'startedAt' : 'endedAt';
+    if (!shift || shift[marker]) return null;
+    Object.assign(shift, update);
+    return shift;
+  };
+
+  savedRealtime = getRealtime();
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport, legacy: false }));
+});
+
+afterEach(() => {
+  User.findOneAndUpdate = originals.userFindOneAndUpdate;
+  User.findById = originals.userFindById;
+  Alert.find = originals.alertFind;
+  Shift.find = originals.shiftFind;
+  Shift.findOne = originals.shiftFindOne;
+  Shift.findOneAndUpdate = originals.shiftFindOneAndUpdate;
+  Shift.exists = originals.shiftExists;
+  setRealtime(savedRealtime);
+});
+
+const availability = (id = POLICE) => users.get(id).availability.status;
+const addShift = (startOffset, endOffset, extra = {}) => {
+  const shift = {
+    _id: `shift-${shifts.length + 1}`,
+    user: POLICE,
+    startsAt: new Date(Date.now() + startOffset),
+    endsAt: new Date(Date.now() + endOffset),
+    startedAt: null,
+    endedAt: null,
+    ...extra,
+  };
+  shifts.push(shift);
+  return shift;
+};
+
+describe('reserveForAlert', () => {
+  test('only one of two concurrent reservations gets the responder', async () => {
+    const results = await Promise.allSettled([
+      reserveForAlert(POLICE, { reason: 'first' }),
+      reserveForAlert(POLICE, { reason: 'second' }),
+    ]);
+
+    assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.code, 'RESPONDER_UNAVAILABLE');
+    assert.equal(availability(), 'busy');
+    assert.equal(users.get(POLICE).availability.reason, 'first');
+
+    const [changed] = transport.events;
+    assert.equal(changed.name, 'responder.availability_changed');
+    assert.ok(changed.targets.includes(`user-${POLICE}`));
+  });
+
+  test('responders who never set an availability count as available', async () => {
+    users.get(POLICE).availability = {};
+
+    assert.ok(await reserveForAlert(POLICE));
+    assert.equal(availability(), 'busy');
+  });
+
+  test('unavailable responders are refused with the reason', async () => {
+    users.get(POLICE).availability = { status: 'out_of_service' };
+
+    await assert.rejects(reserveForAlert(POLICE), { status: 409, code: 'RESPONDER_UNAVAILABLE', message: 'The responder is out of service' });
+    assert.equal(availability(), 'out_of_service');
+  });
+
+  test('accounts that are not responders pass without a reservation', async () => {
+    assert.equal(await reserveForAlert(CITIZEN), null);
+    assert.equal(transport.events.length, 0);
+  });
+});
+
+describe('syncResponderAvailability', () => {
+  test('follows open assignments: en_route wins over busy', async () => {
+    assignments.push({ alertId: 'a1', responder: POLICE, status: 'responded' });
+    await syncResponderAvailability([POLICE]);
+    assert.equal(availability(), 'busy');
+
+    assignments.push({ alertId: 'a2', responder: POLICE, status: 'en_route' });
+    await syncResponderAvailability([POLICE]);
+    assert.equal(availability(), 'en_route');
+  });
+
+  test('back to available once the last assignment closed, for responders without a roster', async () => {
+    users.get(POLICE).availability = { status: 'busy' };
+
+    await syncResponderAvailability([POLICE]);
+
+    assert.equal(availability(), 'available');
+  });
+
+  test('rostered responders whose shift ended go off duty instead', async () => {
+    users.get(POLICE).availability = { status: 'busy' };
+    addShift(-10 * HOUR, -HOUR);
+
+    await syncResponderAvailability([POLICE]);
+
+    assert.equal(availability(), 'off_duty');
+  });
+
+  test('off-duty responders without assignments are left alone', async () => {
+    users.get(POLICE).availability = { status: 'off_duty' };
+
+    await syncResponderAvailability([POLICE, CITIZEN]);
+
+    assert.equal(availability(), 'off_duty');
+    assert.equal(transport.events.length, 0);
+  });
+});
+
+describe('changeOwnAvailability', () => {
+  test('rejects statuses responders cannot set themselves', async () => {
+    await assert.rejects(changeOwnAvailability(POLICE, 'busy'), { status: 400, code: 'INVALID_AVAILABILITY' });
+  });
+
+  test('open assignments must be closed first, except to go out of service', async () => {
+    assignments.push({ alertId: 'a1', responder: POLICE, status: 'responded' });
+
+    await assert.rejects(changeOwnAvailability(POLICE, 'off_duty'), { code: 'HAS_ASSIGNMENTS' });
+    const result = await changeOwnAvailability(POLICE, 'out_of_service', 'Flat tyre');
+    assert.equal(result.availability.status, 'out_of_service');
+    assert.equal(result.availability.reason, 'Flat tyre');
+  });
+
+  test('rostered responders can only go available during a shift', async () => {
+    users.get(POLICE).availability = { status: 'off_duty' };
+    addShift(2 * HOUR, 10 * HOUR);
+
+    await assert.rejects(changeOwnAvailability(POLICE, 'available'), { code: 'NOT_ON_SHIFT' });
+
+    addShift(-HOUR, HOUR);
+    await changeOwnAvailability(POLICE, 'available');
+    assert.equal(availability(), 'available');
+  });
+});
+
+describe('sweepShiftBoundaries', () => {
+  test('a starting shift makes an off-duty responder available, once', async () => {
+    users.get(POLICE).availability = { status: 'off_duty' };
+    addShift(-60 * 1000, 8 * HOUR);
+
+    assert.equal(await sweepShiftBoundaries(), 1);
+    assert.equal(availability(), 'available');
+    assert.equal(users.get(POLICE).availability.reason, 'Shift started');
+
+    assert.equal(await sweepShiftBoundaries(), 0);
+  });
+
+  test('a starting shift leaves a busy responder busy', async () => {
+    users.get(POLICE).availability = { status: 'busy' };
+    addShift(-60 * 1000, 8 * HOUR);
+
+    assert.equal(await sweepShiftBoundaries(), 1);
+    assert.equal(availability(), 'busy');
+  });
+
+  test('an ending shift sends an available responder off duty', async () => {
+    addShift(-8 * HOUR, -60 * 1000, { startedAt: new Date() });
+
+    assert.equal(await sweepShiftBoundaries(), 1);
+    assert.equal(availability(), 'off_duty');
+  });
+
+  test('an ending shift followed by another one keeps the responder available', async () => {
+    addShift(-8 * HOUR, -60 * 1000, { startedAt: new Date() });
+    addShift(-60 * 1000, 8 * HOUR, { startedAt: new Date() });
+
+    await sweepShiftBoundaries();
+
+    assert.equal(availability(), 'available');
+  });
+});
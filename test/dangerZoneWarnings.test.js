@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import DangerZone from '../models/DangerZone.js';
+import Notification from '../models/Notification.js';
+import ZoneWarning from '../models/ZoneWarning.js';
+import { checkDangerZones, clearZoneWarnings, leaveDangerZones } from '../services/dangerZones.js';
+
+const USER = '64b000000000000000000001';
+const ZONE = '64b0000000000000000000f1';
+const config = { rewarnMs: 30 * 60 * 1000 };
+
+const zone = {
+  _id: ZONE,
+  title: 'Fire on Panganiban Drive',
+  severity: 'high',
+  shape: 'circle',
+  center: [123.19, 13.62],
+  radius: 500,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+};
+const INSIDE = { userId: USER, location: { type: 'Point', coordinates: [123.19, 13.62] } };
+const OUTSIDE = { userId: USER, location: { type: 'Point', coordinates: [123.25, 13.62] } };
+
+// ZoneWarning entries as MongoDB would keep them: one per user and zone, and an upsert whose
+// filter does not match an existing entry fails with a duplicate key error
+let store;
+const keyOf = (filter) => `${filter.user}:${filter.zone}`;
+const matches = (doc, filter) => {
+  if (filter.inside?.$ne !== undefined && doc.inside === filter.inside.$ne) return false;
+  if (filter.inside === true && !doc.inside) return false;
+  if (filter.$or) {
+    const cutoff = filter.$or[1].warnedAt.$lte;
+    if (doc.warnedAt && doc.warnedAt > cutoff) return false;
+  }
+  return true;
+};
+const fakeWarnings = {
+  updateOne: async (filter, update, { upsert = false } = {}) => {
+    const doc = store.get(keyOf(filter));
+    if (doc && !matches(doc, filter)) {
+      if (upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      return { matchedCount: 0 };
+    }
+    if (!doc && !upsert) return { matchedCount: 0 };
+    store.set(keyOf(filter), { user: filter.user, zone: String(filter.zone), ...doc, ...update.$set });
+    return { matchedCount: 1 };
+  },
+  updateMany: async (filter, update) => {
+    for (const doc of store.values()) {
+      if (doc.user !== String(filter.user) || !matches(doc, filter)) continue;
+      if (filter.zone?.$nin?.includes(doc.zone)) continue;
+      Object.assign(doc, update.$set);
+    }
+  },
+  find: (filter) => ({
+    select() { return this; },
+    lean: async () => [...store.values()].filter(doc => filter.user.$in.includes(doc.user) && doc.inside),
+  }),
+  deleteMany: async (filter) => {
+    for (const [key, doc] of store) if (doc.zone === String(filter.zone)) store.delete(key);
+  },
+};
+
+const originals = {
+  warnings: { ...ZoneWarning },
+  zoneFind: DangerZone.find,
+  notificationCreate: Notification.create,
+};
+
+beforeEach(() => {
+  store = new Map();
+  Object.assign(ZoneWarning, fakeWarnings);
+  DangerZone.find = () => ({ lean: async () => [zone] });
+  Notification.create = async () => null;
+});
+
+afterEach(() => {
+  for (const name of Object.keys(fakeWarnings)) ZoneWarning[name] = originals.warnings[name];
+  DangerZone.find = originals.zoneFind;
+  Notification.create = originals.notificationCreate;
+});
+
+test('a user entering a zone is warned once while they stay inside', async () => {
+  assert.equal(await checkDangerZones([INSIDE], config), 1);
+  assert.equal(await checkDangerZones([INSIDE], config), 0);
+});
+
+test('the warning state is shared, so a second instance does not warn again', async () => {
+  // Two instances see the same position (e.g. the socket and PUT /api/users/location)
+  const results = await Promise.all([checkDangerZones([INSIDE], config), checkDangerZones([INSIDE], config)]);
+  assert.deepEqual(results.sort(), [0, 1]);
+});
+
+test('leaving and re-entering within the re-warn window does not warn again', async () => {
+  await checkDangerZones([INSIDE], config);
+  await checkDangerZones([OUTSIDE], config);
+  assert.equal(store.get(`${USER}:${ZONE}`).inside, false);
+
+  assert.equal(await checkDangerZones([INSIDE], config), 0);
+  assert.equal(store.get(`${USER}:${ZONE}`).inside, true);
+});
+
+test('re-entering after the re-warn window warns again', async () => {
+  await checkDangerZones([INSIDE], config);
+  await checkDangerZones([OUTSIDE], config);
+  store.get(`${USER}:${ZONE}`).warnedAt = new Date(Date.now() - config.rewarnMs - 1000);
+
+  assert.equal(await checkDangerZones([INSIDE], config), 1);
+});
+
+test('going offline counts as leaving the zone', async () => {
+  await checkDangerZones([INSIDE], config);
+  await leaveDangerZones(USER);
+  store.get(`${USER}:${ZONE}`).warnedAt = new Date(Date.now() - config.rewarnMs - 1000);
+
+  assert.equal(await checkDangerZones([INSIDE], config), 1);
+});
+
+test('lifting a zone clears its warning state', async () => {
+  await checkDangerZones([INSIDE], config);
+  await clearZoneWarnings(ZONE);
+  assert.equal(store.size, 0);
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import Device from '../models/Device.js';
+import DeviceNonce from '../models/DeviceNonce.js';
+import { authenticateDevice, signDeviceRequest } from '../middleware/deviceAuth.js';
+
+const SECRET = 'a3f1c9e2b7d4';
+let device;
+let usedNonces;
+
+const originals = { findOne: Device.findOne, create: DeviceNonce.create };
+
+beforeEach(() => {
+  device = {
+    _id: '64b0000000000000000000d1',
+    deviceId: 'panic-btn-001',
+    secret: SECRET,
+    status: 'active',
+    async save() { return this; },
+  };
+  usedNonces = new Set();
+  Device.findOne = ({ deviceId }) => ({ select: async () => (deviceId === device.deviceId ? device : null) });
+  // The unique { device, nonce } index
+  DeviceNonce.create = async ({ device: id, nonce }) => {
+    const key = `${id}:${nonce}`;
+    if (usedNonces.has(key)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    usedNonces.add(key);
+  };
+});
+
+afterEach(() => {
+  Device.findOne = originals.findOne;
+  DeviceNonce.create = originals.create;
+});
+
+const signedRequest = ({ body = '{"type":"fire"}', timestamp = Math.floor(Date.now() / 1000), nonce = 'n-1', signWith = body, secret = SECRET } = {}) => {
+  const headers = {
+    'x-device-id': device.deviceId,
+    'x-timestamp': String(timestamp),
+    'x-nonce': nonce,
+    'x-signature': signDeviceRequest(secret, timestamp, nonce, signWith),
+  };
+  return { rawBody: Buffer.from(body), get: (name) => headers[name.toLowerCase()] };
+};
+
+const run = async (req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  await authenticateDevice(req, res, () => { passed = true; });
+  return { res, passed, req };
+};
+
+test('a correctly signed request is let through with the device attached', async () => {
+  const { passed, req } = await run(signedRequest());
+
+  assert.equal(passed, true);
+  assert.equal(req.device.deviceId, 'panic-btn-001');
+  assert.ok(req.device.lastSeenAt instanceof Date);
+});
+
+test('a body changed after signing is rejected', async () => {
+  const { res, passed } = await run(signedRequest({ body: '{"type":"medical"}', signWith: '{"type":"fire"}' }));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.message, /signature/);
+});
+
+test('a signature made with another secret is rejected', async () => {
+  const { res } = await run(signedRequest({ secret: 'not-the-secret' }));
+  assert.equal(res.statusCode, 401);
+});
+
+test('a timestamp outside the allowed window is rejected', async () => {
+  const stale = Math.floor(Date.now() / 1000) - 301;
+  const { res, passed } = await run(signedRequest({ timestamp: stale }));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.message, /timestamp/);
+});
+
+test('reusing a nonce is rejected as a replay', async () => {
+  const first = await run(signedRequest({ nonce: 'n-42' }));
+  const replay = await run(signedRequest({ nonce: 'n-42' }));
+
+  assert.equal(first.passed, true);
+  assert.equal(replay.passed, false);
+  assert.equal(replay.res.statusCode, 401);
+  assert.equal(replay.res.body.message, 'Replayed request');
+});
+
+test('a revoked device is refused', async () => {
+  device.status = 'revoked';
+  const { res } = await run(signedRequest());
+  assert.equal(res.statusCode, 403);
+});
+
+test('requests without the device headers are refused', async () => {
+  const { res } = await run({ get: () => undefined });
+  assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import Device from '../models/Device.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { getDeviceHealth, recordHeartbeat } from '../controllers/deviceController.js';
+import { sweepOfflineDevices } from '../services/deviceMonitor.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const OWNER = '64b000000000000000000001';
+const ADMIN = '64b0000000000000000000d1';
+const config = { offlineAfterMs: 15 * 60 * 1000, lowBatteryPercent: 15 };
+const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000);
+
+let devices;
+let notifications;
+let transport;
+let savedRealtime;
+
+const originals = {
+  find: Device.find,
+  findOneAndUpdate: Device.findOneAndUpdate,
+  userFind: User.find,
+  notificationCreate: Notification.create,
+};
+
+const makeDevice = (deviceId, fields = {}) => ({
+  _id: `id-${deviceId}`,
+  deviceId,
+  name: `Button ${deviceId}`,
+  owner: OWNER,
+  status: 'active',
+  connectivity: 'online',
+  health: { lastHeartbeatAt: minutesAgo(1) },
+  async save() { return this; },
+  ...fields,
+});
+
+beforeEach(() => {
+  devices = [];
+  notifications = [];
+
+  Device.find = () => ({
+    select: async () => devices.filter(d => d.status === 'active' && d.connectivity !== 'offline' &&
+      d.health.lastHeartbeatAt < minutesAgo(15)),
+  });
+  Device.findOneAndUpdate = async ({ _id }, update) => {
+    const device = devices.find(d => d._id === _id);
+    if (!device || device.connectivity === 'offline') return null;
+    return Object.assign(device, update);
+  };
+  User.find = () => ({ select: () => ({ lean: async () => [{ _id: ADMIN }] }) });
+  Notification.create = async (doc) => {
+    notifications.push(doc);
+    return { _id: `n${notifications.length}`, ...doc };
+  };
+
+  savedRealtime = getRealtime();
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport, legacy: false }));
+});
+
+afterEach(() => {
+  Device.find = originals.find;
+  Device.findOneAndUpdate = originals.findOneAndUpdate;
+  User.find = originals.userFind;
+  Notification.create = originals.notificationCreate;
+  setRealtime(savedRealtime);
+});
+
+const fakeRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+test('the sweep marks silent devices offline and tells the owner and admins', async () => {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  devices.push(makeDevice('silent', { health: { lastHeartbeatAt: minutesAgo(20) } }), makeDevice('chatty'));
+  try {
+    assert.equal(await sweepOfflineDevices(config), 1);
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.equal(devices[0].connectivity, 'offline');
+  assert.ok(devices[0].offlineSince instanceof Date);
+  assert.equal(devices[1].connectivity, 'online');
+
+  assert.deepEqual(notifications.map(n => [n.user, n.type]), [[OWNER, 'device_offline'], [ADMIN, 'device_offline']]);
+  const changes = transport.events.filter(e => e.name === 'device.status_changed');
+  assert.deepEqual(changes.map(e => e.targets), [[`user-${OWNER}`], [`user-${ADMIN}`]]);
+  assert.equal(changes[0].payload.data.connectivity, 'offline');
+
+  // Already offline: the next sweep leaves it alone
+  assert.equal(await sweepOfflineDevices(config), 0);
+});
+
+test('a device another process already marked offline is not notified twice', async () => {
+  devices.push(makeDevice('silent', { health: { lastHeartbeatAt: minutesAgo(20) } }));
+  const find = Device.find;
+  Device.find = () => ({
+    select: async () => {
+      const found = await find().select();
+      devices[0].connectivity = 'offline';
+      return found;
+    },
+  });
+
+  assert.equal(await sweepOfflineDevices(config), 0);
+  assert.equal(notifications.length, 0);
+});
+
+test('a heartbeat stores battery, signal and firmware and brings the device back online', async () => {
+  const device = makeDevice('btn', {
+    connectivity: 'offline',
+    offlineSince: minutesAgo(30),
+    health: { batteryLevel: 80, firmwareVersion: '1.0.0', lastHeartbeatAt: minutesAgo(30) },
+  });
+  const res = fakeRes();
+
+  await recordHeartbeat({ device, body: { batteryLevel: '42', signalStrength: -71 } }, res);
+  // The back-online notification is sent without holding up the response
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(device.connectivity, 'online');
+  assert.equal(device.offlineSince, undefined);
+  assert.equal(device.health.batteryLevel, 42);
+  assert.equal(device.health.signalStrength, -71);
+  assert.equal(device.health.firmwareVersion, '1.0.0');
+  assert.ok(Date.now() - device.health.lastHeartbeatAt < 1000);
+  assert.deepEqual(notifications.map(n => n.type), ['device_online', 'device_online']);
+});
+
+test('a heartbeat from an online device sends no notification', async () => {
+  const device = makeDevice('btn');
+
+  await recordHeartbeat({ device, body: { batteryLevel: 90 } }, fakeRes());
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(notifications.length, 0);
+});
+
+test('heartbeats with an out-of-range battery or a non-numeric signal are rejected', async () => {
+  for (const body of [{ batteryLevel: 120 }, { batteryLevel: -1 }, { signalStrength: 'strong' }]) {
+    const device = makeDevice('btn');
+    const res = fakeRes();
+
+    await recordHeartbeat({ device, body }, res);
+
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+    assert.equal(device.health.batteryLevel, undefined);
+  }
+});
+
+test('the health overview lists offline and low-battery devices first', async () => {
+  Device.find = () => ({
+    select: () => ({
+      populate: () => ({
+        lean: async () => [
+          makeDevice('fine', { health: { batteryLevel: 90, lastHeartbeatAt: minutesAgo(1) } }),
+          makeDevice('low', { health: { batteryLevel: 10, lastHeartbeatAt: minutesAgo(2) } }),
+          makeDevice('never', { connectivity: 'unknown', health: {} }),
+          makeDevice('gone', { connectivity: 'offline', health: { batteryLevel: 50, lastHeartbeatAt: minutesAgo(60) } }),
+        ],
+      }),
+    }),
+  });
+  const res = fakeRes();
+
+  await getDeviceHealth({}, res);
+
+  assert.deepEqual(res.body.devices.map(d => d.deviceId), ['gone', 'never', 'low', 'fine']);
+  assert.equal(res.body.devices.find(d => d.deviceId === 'gone').secondsSinceHeartbeat, 3600);
+  assert.equal(res.body.devices.find(d => d.deviceId === 'never').secondsSinceHeartbeat, null);
+  assert.deepEqual(res.body.summary, { total: 4, online: 2, offline: 1, unknown: 1, lowBattery: 1 });
+});
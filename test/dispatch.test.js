@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { findRespondersForAlert } from '../services/dispatch.js';
+
+const ORIGIN = [123.19, 13.62];
+const responderId = new mongoose.Types.ObjectId();
+const responder = { _id: responderId, name: 'Officer Cruz', userType: 'police' };
+
+// Stored profile location about 1 km from the alert, live position about 8 km away
+const STORED_DISTANCE = 1000;
+const livePresence = {
+  entries: () => [[responderId.toString(), {
+    userType: 'police',
+    lastUpdate: new Date(),
+    location: { lng: ORIGIN[0] + 0.074, lat: ORIGIN[1] },
+  }]].values(),
+};
+
+const config = (radiusStepsKm) => ({ radiusStepsKm, minResponders: 1, maxResponders: 20, liveMaxAgeMs: 120000 });
+
+const originals = { find: User.find, aggregate: User.aggregate };
+
+beforeEach(() => {
+  // Live entries are confirmed against the account
+  User.find = () => ({ select: () => ({ lean: async () => [responder] }) });
+  // $geoNear on stored locations: the responder is within any ring of 1 km or more
+  User.aggregate = async ([{ $geoNear }]) =>
+    ($geoNear.maxDistance >= STORED_DISTANCE ? [{ ...responder, distance: STORED_DISTANCE }] : []);
+});
+
+afterEach(() => Object.assign(User, originals));
+
+test('a fresh live position outside the ring drops a responder whose stored location is inside it', async () => {
+  const found = await findRespondersForAlert({ type: 'police', coordinates: ORIGIN, onlineUsers: livePresence, config: config([2]) });
+
+  assert.deepEqual(found, []);
+});
+
+test('a wider ring picks the responder by their live position', async () => {
+  const found = await findRespondersForAlert({ type: 'police', coordinates: ORIGIN, onlineUsers: livePresence, config: config([2, 10]) });
+
+  assert.equal(found.length, 1);
+  assert.equal(found[0].live, true);
+  assert.ok(found[0].distance > 7000 && found[0].distance < 9000);
+});
+
+test('without a live position the stored location is used', async () => {
+  const found = await findRespondersForAlert({ type: 'police', coordinates: ORIGIN, onlineUsers: null, config: config([2]) });
+
+  assert.equal(found.length, 1);
+  assert.equal(found[0].live, false);
+  assert.equal(found[0].distance, STORED_DISTANCE);
+});
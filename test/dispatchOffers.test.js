@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import Shift from '../models/Shift.js';
+import User from '../models/User.js';
+import { acceptOffer } from '../services/dispatchOffers.js';
+
+const ALERT = '64b0000000000000000000a1';
+const REPORTER = '64b000000000000000000001';
+const RESPONDER = '64b000000000000000000002';
+const OFFER = '64b0000000000000000000e1';
+
+const responder = { id: RESPONDER, _id: RESPONDER, name: 'Officer Cruz', userType: 'police' };
+
+// What MongoDB holds: the responder's availability and the offer's status. Each request loads
+// its own copy of the alert, as two concurrent HTTP requests would.
+let db;
+let saved;
+const loadAlert = () => {
+  const alert = new Alert({
+    _id: ALERT,
+    reporter: REPORTER,
+    type: 'police',
+    title: 'Break-in',
+    status: 'pending',
+    services: [{ type: 'police', status: 'pending' }],
+    offers: [{
+      _id: OFFER,
+      service: 'police',
+      responder: RESPONDER,
+      status: 'offered',
+      offeredAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    }],
+  });
+  alert.save = async () => { saved.push(alert); return alert; };
+  return alert;
+};
+
+const originals = {
+  alertFindOneAndUpdate: Alert.findOneAndUpdate,
+  alertFind: Alert.find,
+  userFindOneAndUpdate: User.findOneAndUpdate,
+  userFindById: User.findById,
+  shiftFindOne: Shift.findOne,
+  shiftExists: Shift.exists,
+};
+
+beforeEach(() => {
+  db = { availability: 'available', offerStatus: 'offered', offerClaims: 0 };
+  saved = [];
+
+  // reserveForAlert matches { $in: [null, 'available'] }, setAvailability { $ne: <new status> }
+  User.findOneAndUpdate = (filter, update) => ({
+    select: async () => {
+      const { $in, $ne } = filter['availability.status'];
+      if ($in && !$in.includes(db.availability)) return null;
+      if ($ne !== undefined && $ne === db.availability) return null;
+      db.availability = update.availability.status;
+      return { _id: RESPONDER, name: responder.name, userType: 'police', availability: update.availability };
+    },
+  });
+  User.findById = () => ({
+    select: () => ({ lean: async () => ({ _id: RESPONDER, userType: 'police', availability: { status: db.availability } }) }),
+  });
+  Alert.findOneAndUpdate = async (filter, update) => {
+    db.offerClaims += 1;
+    assert.equal(filter.offers.$elemMatch.status, 'offered');
+    if (db.offerStatus !== 'offered') return null;
+    db.offerStatus = update.$set['offers.$[offer].status'];
+    return { _id: ALERT };
+  };
+  // No open assignments and no roster: a released reservation goes back to available
+  Alert.find = () => ({ select: () => ({ lean: async () => [] }) });
+  Shift.findOne = () => ({ lean: async () => null });
+  Shift.exists = async () => null;
+});
+
+afterEach(() => {
+  Alert.findOneAndUpdate = originals.alertFindOneAndUpdate;
+  Alert.find = originals.alertFind;
+  User.findOneAndUpdate = originals.userFindOneAndUpdate;
+  User.findById = originals.userFindById;
+  Shift.findOne = originals.shiftFindOne;
+  Shift.exists = originals.shiftExists;
+});
+
+test('accepting reserves the responder and claims the offer', async () => {
+  const alert = loadAlert();
+
+  const offer = await acceptOffer(alert, OFFER, responder);
+
+  assert.equal(offer.status, 'accepted');
+  assert.equal(db.offerStatus, 'accepted');
+  assert.equal(db.availability, 'busy');
+  assert.equal(String(alert.services[0].responder), RESPONDER);
+  assert.equal(alert.services[0].status, 'responded');
+  assert.equal(saved.length, 1);
+});
+
+test('of two concurrent accepts only one gets through', async () => {
+  const results = await Promise.allSettled([
+    acceptOffer(loadAlert(), OFFER, responder),
+    acceptOffer(loadAlert(), OFFER, responder),
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  const { reason } = results.find(r => r.status === 'rejected');
+  assert.equal(reason.status, 409);
+  assert.equal(saved.length, 1);
+  assert.equal(db.offerClaims, 1);
+});
+
+test('an offer closed after it was read is not accepted and the reservation is handed back', async () => {
+  const alert = loadAlert();
+  // Expired by the offer sweep (or withdrawn by a direct claim) after this request read it
+  db.offerStatus = 'expired';
+
+  await assert.rejects(acceptOffer(alert, OFFER, responder), { status: 409, code: 'OFFER_CLOSED' });
+
+  assert.equal(db.availability, 'available');
+  assert.equal(saved.length, 0);
+});
+
+test('a responder who went off duty after the offer cannot accept it', async () => {
+  const alert = loadAlert();
+  db.availability = 'off_duty';
+
+  await assert.rejects(acceptOffer(alert, OFFER, responder), { status: 409, code: 'RESPONDER_UNAVAILABLE' });
+
+  assert.equal(db.offerClaims, 0);
+  assert.equal(db.offerStatus, 'offered');
+  assert.equal(saved.length, 0);
+});
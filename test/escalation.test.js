@@ -0,0 +1,297 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import {
+  DEFAULT_ESCALATION_POLICIES,
+  getEscalationConfig,
+  getEscalationPolicyKey,
+  sweepEscalations,
+} from '../services/escalation.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const ALERT = '64b0000000000000000000a1';
+const ADMIN = '64b0000000000000000000d1';
+const START = Date.parse('2026-01-01T08:00:00Z');
+
+// Policies without dispatch steps, so the sweep never searches for responders
+const policies = {
+  'fire:high': {
+    steps: [
+      { afterSec: 60, actions: ['raise_priority', 'rebroadcast'] },
+      { afterSec: 300, actions: ['notify_admins'] },
+    ],
+  },
+  'fire:critical': {
+    steps: [
+      { afterSec: 10, actions: ['rebroadcast'] },
+      { afterSec: 20, actions: ['rebroadcast'] },
+    ],
+  },
+};
+const config = { policies };
+
+// One alert kept in memory; updates apply their dotted keys to it like MongoDB would
+let alert;
+let calls;
+const apply = (update) => {
+  for (const [path, value] of Object.entries(update)) {
+    if (path === '$push') {
+      alert.timeline.push(value.timeline);
+      continue;
+    }
+    // $addToSet of dispatchedTo: the escalation already added the ids to its copy
+    if (path === '$addToSet') continue;
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] ??= {}), alert);
+    parent[keys.at(-1)] = value;
+  }
+};
+const copy = () => ({ ...alert, escalation: { ...alert.escalation } });
+
+const originals = {
+  find: Alert.find,
+  updateOne: Alert.updateOne,
+  findOneAndUpdate: Alert.findOneAndUpdate,
+  findById: Alert.findById,
+  userFind: User.find,
+  userAggregate: User.aggregate,
+  notificationCreate: Notification.create,
+};
+let transport;
+let savedRealtime;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  alert = {
+    _id: ALERT,
+    type: 'fire',
+    priority: 'high',
+    status: 'pending',
+    title: 'Kitchen fire',
+    createdAt: new Date(START),
+    dispatchedTo: [],
+    timeline: [],
+    escalation: {},
+  };
+  calls = { claims: 0 };
+
+  Alert.find = async () => (alert.escalation.nextAt === null ? [] : [copy()]);
+  Alert.updateOne = async (filter, update) => { apply(update); };
+  Alert.findOneAndUpdate = async (filter, update) => {
+    calls.claims += 1;
+    const expected = filter['escalation.level'];
+    const current = alert.escalation.level;
+    if (typeof expected === 'object' ? current !== undefined : current !== expected) return null;
+    apply(update);
+    return copy();
+  };
+  Alert.findById = () => ({ populate: async () => copy() });
+  User.find = () => ({ select: () => ({ lean: async () => [{ _id: ADMIN }] }) });
+  Notification.create = async (doc) => ({ _id: 'n1', ...doc });
+
+  savedRealtime = getRealtime();
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport, legacy: false }));
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  Alert.find = originals.find;
+  Alert.updateOne = originals.updateOne;
+  Alert.findOneAndUpdate = originals.findOneAndUpdate;
+  Alert.findById = originals.findById;
+  User.find = originals.userFind;
+  User.aggregate = originals.userAggregate;
+  Notification.create = originals.notificationCreate;
+  setRealtime(savedRealtime);
+});
+
+const secondsLater = (sec) => new Date(START + sec * 1000);
+
+test('before the first step is due the sweep pins the policy and schedules the step', async () => {
+  mock.timers.tick(30 * 1000);
+
+  assert.equal(await sweepEscalations({ config }), 0);
+
+  assert.equal(alert.escalation.policy, 'fire:high');
+  assert.deepEqual(alert.escalation.nextAt, secondsLater(60));
+  assert.equal(alert.escalation.level, undefined);
+  assert.equal(calls.claims, 0);
+  assert.equal(transport.events.length, 0);
+});
+
+test('a due step runs once and schedules the next one from createdAt', async () => {
+  mock.timers.tick(61 * 1000);
+
+  assert.equal(await sweepEscalations({ config }), 1);
+
+  assert.equal(alert.escalation.level, 1);
+  assert.equal(alert.priority, 'critical');
+  assert.deepEqual(alert.escalation.nextAt, secondsLater(300));
+  assert.deepEqual(alert.escalation.lastEscalatedAt, secondsLater(61));
+  assert.equal(alert.timeline[0].action, 'Escalation level 1: raised priority to critical, re-broadcast alert');
+
+  const [rebroadcast] = transport.events;
+  assert.equal(rebroadcast.name, 'alert.rebroadcast');
+  assert.equal(rebroadcast.targets, null);
+  assert.equal(rebroadcast.payload.data.escalationLevel, 1);
+
+  // Nothing new is due a moment later
+  transport.clear();
+  mock.timers.tick(1000);
+  assert.equal(await sweepEscalations({ config }), 0);
+  assert.equal(alert.escalation.level, 1);
+  assert.equal(transport.events.length, 0);
+});
+
+test('the pinned policy is kept after raise_priority changed the matching one', async () => {
+  mock.timers.tick(61 * 1000);
+  await sweepEscalations({ config });
+  assert.equal(alert.priority, 'critical');
+
+  // fire:critical's second step (20 s) is long overdue, fire:high's (300 s) is not
+  mock.timers.tick(60 * 1000);
+  assert.equal(await sweepEscalations({ config }), 0);
+  assert.equal(alert.escalation.policy, 'fire:high');
+  assert.equal(alert.escalation.level, 1);
+
+  mock.timers.tick(180 * 1000);
+  transport.clear();
+  assert.equal(await sweepEscalations({ config }), 1);
+
+  assert.equal(alert.escalation.level, 2);
+  assert.equal(alert.escalation.nextAt, null);
+  const escalated = transport.events.find(e => e.name === 'alert.escalated');
+  assert.deepEqual(escalated.targets, ['role-admin']);
+  assert.equal(escalated.payload.data.level, 2);
+  assert.ok(transport.events.some(e => e.name === 'notification.created' && e.targets[0] === `user-${ADMIN}`));
+});
+
+test('an alert with no steps left is parked', async () => {
+  alert.escalation = { policy: 'fire:high', level: 2 };
+
+  assert.equal(await sweepEscalations({ config }), 0);
+
+  assert.equal(alert.escalation.nextAt, null);
+  assert.equal(calls.claims, 0);
+});
+
+test('a pinned policy that left the configuration is replaced by the best match', async () => {
+  alert.escalation = { policy: 'removed' };
+  mock.timers.tick(30 * 1000);
+
+  await sweepEscalations({ config });
+
+  assert.equal(alert.escalation.policy, 'fire:high');
+});
+
+test('a step claimed by another process is not run again', async () => {
+  mock.timers.tick(61 * 1000);
+  const find = Alert.find;
+  // Another instance claimed level 1 between this sweep's read and its claim
+  Alert.find = async () => {
+    const stale = await find();
+    alert.escalation.level = 1;
+    return stale;
+  };
+
+  assert.equal(await sweepEscalations({ config }), 0);
+
+  assert.equal(calls.claims, 1);
+  assert.equal(alert.priority, 'high');
+  assert.equal(transport.events.length, 0);
+});
+
+describe('policy lookup', () => {
+  const available = {
+    'fire:critical': { steps: [] },
+    fire: { steps: [] },
+    high: { steps: [] },
+    default: { steps: [] },
+  };
+
+  const cases = [
+    [{ type: 'fire', priority: 'critical' }, available, 'fire:critical'],
+    [{ type: 'fire', priority: 'high' }, available, 'fire'],
+    [{ type: 'police', priority: 'high' }, available, 'high'],
+    [{ type: 'police', priority: 'low' }, available, 'default'],
+    [{ type: 'police', priority: 'low', escalation: { policy: 'fire' } }, available, 'fire'],
+    [{ type: 'police', priority: 'low', escalation: { policy: 'gone' } }, available, 'default'],
+    [{ type: 'police', priority: 'low' }, { fire: { steps: [] } }, null],
+  ];
+  for (const [subject, policies, expected] of cases) {
+    test(`${JSON.stringify(subject)} follows ${expected}`, () => {
+      assert.equal(getEscalationPolicyKey(subject, policies), expected);
+    });
+  }
+
+  test('family alerts only ever notify admins by default', () => {
+    const key = getEscalationPolicyKey({ type: 'family', priority: 'critical' }, DEFAULT_ESCALATION_POLICIES);
+
+    assert.equal(key, 'family');
+    assert.deepEqual(DEFAULT_ESCALATION_POLICIES.family.steps.flatMap(s => s.actions), ['notify_admins']);
+  });
+});
+
+describe('policies file', () => {
+  const saved = process.env.ESCALATION_POLICIES_FILE;
+  let dir;
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'escalation-')); });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (saved === undefined) delete process.env.ESCALATION_POLICIES_FILE;
+    else process.env.ESCALATION_POLICIES_FILE = saved;
+  });
+
+  test('ESCALATION_POLICIES_FILE replaces the default policies', () => {
+    const file = path.join(dir, 'policies.json');
+    fs.writeFileSync(file, JSON.stringify({ default: { steps: [{ afterSec: 30, actions: ['notify_admins'] }] } }));
+    process.env.ESCALATION_POLICIES_FILE = file;
+
+    assert.deepEqual(Object.keys(getEscalationConfig().policies), ['default']);
+  });
+
+  test('an unreadable file falls back to the defaults', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{ not json');
+    process.env.ESCALATION_POLICIES_FILE = file;
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(getEscalationConfig().policies, DEFAULT_ESCALATION_POLICIES);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+test('widen_dispatch searches multiplied rings and skips responders already notified', async () => {
+  const notified = '64b0000000000000000000b1';
+  const newcomer = { _id: '64b0000000000000000000b2', name: 'Officer Reyes', userType: 'fire' };
+  alert.dispatchedTo = [notified];
+  alert.location = { coordinates: { type: 'Point', coordinates: [123.19, 13.62] } };
+  const searches = [];
+  User.aggregate = async ([{ $geoNear }]) => {
+    searches.push($geoNear);
+    return $geoNear.maxDistance >= 10000 ? [{ ...newcomer, distance: 8000 }] : [];
+  };
+  mock.timers.tick(61 * 1000);
+
+  const widen = { policies: { default: { steps: [{ afterSec: 60, actions: ['widen_dispatch'], radiusMultiplier: 2 }] } } };
+  assert.equal(await sweepEscalations({ config: widen }), 1);
+
+  assert.deepEqual(searches.map(s => s.maxDistance), [4000, 10000, 20000, 50000, 100000]);
+  assert.deepEqual(searches[0].query._id.$nin.map(String), [notified]);
+  assert.deepEqual(alert.dispatchedTo.map(String), [notified, newcomer._id]);
+  const [dispatched] = transport.events.filter(e => e.name === 'alert.dispatched');
+  assert.deepEqual(dispatched.targets, [`user-${newcomer._id}`]);
+  assert.equal(dispatched.payload.data.escalated, true);
+  assert.equal(alert.timeline[0].action, 'Escalation level 1: widened dispatch radius (1 more responders)');
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { createGeocoder, getGeocoder, setGeocoder } from '../services/geocoding/index.js';
+import { createGeocodeCache } from '../services/geocoding/cache.js';
+import { createGazetteerProvider } from '../services/geocoding/providers/gazetteer.js';
+import { haversineDistance, toLngLat } from '../services/geo.js';
+
+const GAZETTEER_FILE = new URL('../data/naga-barangays.json', import.meta.url);
+
+const stubProvider = (name, result, { available = true } = {}) => {
+  const provider = {
+    name,
+    calls: 0,
+    isAvailable: () => available,
+    reverse: async () => {
+      provider.calls += 1;
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+  return provider;
+};
+
+describe('geo helpers', () => {
+  test('haversineDistance measures meters between [lng, lat] pairs', () => {
+    assert.equal(haversineDistance([123.19, 13.62], [123.19, 13.62]), 0);
+    // One degree of latitude is about 111 km
+    assert.ok(Math.abs(haversineDistance([123.19, 13], [123.19, 14]) - 111195) < 100);
+  });
+
+  test('toLngLat accepts the location shapes clients send', () => {
+    assert.deepEqual(toLngLat([123.19, 13.62]), [123.19, 13.62]);
+    assert.deepEqual(toLngLat({ type: 'Point', coordinates: [123.19, 13.62] }), [123.19, 13.62]);
+    assert.deepEqual(toLngLat({ lat: '13.62', lng: '123.19' }), [123.19, 13.62]);
+    assert.deepEqual(toLngLat({ latitude: 13.62, longitude: 123.19 }), [123.19, 13.62]);
+    assert.equal(toLngLat({ lat: 'x', lng: 1 }), null);
+    assert.equal(toLngLat(null), null);
+  });
+});
+
+describe('provider selection', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    for (const key of ['GEOCODER_PROVIDERS', 'LOCATIONIQ_KEY']) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    setGeocoder(null);
+  });
+
+  test('defaults to LocationIQ, then the offline gazetteer', () => {
+    delete process.env.GEOCODER_PROVIDERS;
+    setGeocoder(null);
+
+    assert.deepEqual(getGeocoder().providers.map(p => p.name), ['locationiq', 'gazetteer']);
+  });
+
+  test('follows GEOCODER_PROVIDERS and ignores unknown names', () => {
+    process.env.GEOCODER_PROVIDERS = ' Gazetteer, bogus ,nominatim';
+    setGeocoder(null);
+
+    assert.deepEqual(getGeocoder().providers.map(p => p.name), ['gazetteer', 'nominatim']);
+  });
+
+  test('LocationIQ is skipped without an API key', () => {
+    delete process.env.LOCATIONIQ_KEY;
+    process.env.GEOCODER_PROVIDERS = 'locationiq';
+    setGeocoder(null);
+
+    assert.equal(getGeocoder().providers[0].isAvailable(), false);
+  });
+
+  test('falls through unavailable, failing and empty providers to the first hit', async () => {
+    const hit = { displayName: 'Somewhere', source: 'third' };
+    const offline = stubProvider('offline', hit, { available: false });
+    const failing = stubProvider('failing', new Error('timeout'));
+    const empty = stubProvider('empty', null);
+    const third = stubProvider('third', hit);
+    const geocoder = createGeocoder({ providers: [offline, failing, empty, third] });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(await geocoder.reverse(13.62, 123.19), hit);
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepEqual([offline.calls, failing.calls, empty.calls, third.calls], [0, 1, 1, 1]);
+  });
+
+  test('reuses a cached result for nearby coordinates', async () => {
+    const provider = stubProvider('only', { displayName: 'Cached', source: 'only' });
+    const geocoder = createGeocoder({ providers: [provider], cache: createGeocodeCache({ ttlMs: 60000 }) });
+
+    await geocoder.reverse(13.62001, 123.19001);
+    const again = await geocoder.reverse('13.62002', '123.19002');
+
+    assert.equal(again.displayName, 'Cached');
+    assert.equal(provider.calls, 1);
+  });
+
+  test('returns null for coordinates that are not numbers', async () => {
+    const provider = stubProvider('only', { displayName: 'Nope' });
+    const geocoder = createGeocoder({ providers: [provider] });
+
+    assert.equal(await geocoder.reverse('abc', 123.19), null);
+    assert.equal(provider.calls, 0);
+  });
+});
+
+describe('gazetteer provider', () => {
+  const gazetteer = createGazetteerProvider({ file: GAZETTEER_FILE });
+
+  test('snaps a point to the nearest barangay centroid', async () => {
+    const result = await gazetteer.reverse(13.6266, 123.1891);
+
+    assert.deepEqual(result, {
+      displayName: 'Barangay Abella, Naga City, Camarines Sur',
+      barangay: 'Abella',
+      city: 'Naga City',
+      province: 'Camarines Sur',
+      country: 'Philippines',
+      source: 'gazetteer',
+    });
+  });
+
+  test('does not match points farther than maxDistanceKm from every barangay', async () => {
+    // Manila
+    assert.equal(await gazetteer.reverse(14.5995, 120.9842), null);
+  });
+
+  test('is unavailable when the file is missing', () => {
+    const missing = createGazetteerProvider({ file: new URL('../data/does-not-exist.json', import.meta.url) });
+
+    assert.equal(gazetteer.isAvailable(), true);
+    assert.equal(missing.isAvailable(), false);
+  });
+});
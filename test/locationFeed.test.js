@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import { createLocationFeed, findAlertAudiences } from '../services/realtime/locationFeed.js';
+import { encodeGeohash } from '../services/realtime/geohash.js';
+import {
+  createMemoryTransport,
+  createRealtime,
+  getAreaPrecision,
+  getRealtime,
+  rooms,
+  setRealtime,
+} from '../services/realtime/index.js';
+
+const REPORTER = { id: '64b000000000000000000001', userType: 'citizen', name: 'Juan Dela Cruz' };
+const RESPONDER = { id: '64b000000000000000000002', userType: 'police', name: 'Officer Cruz' };
+const POSITION = { type: 'Point', coordinates: [123.19, 13.62] };
+const CELL = rooms.locations(encodeGeohash(POSITION.coordinates, getAreaPrecision()));
+
+let transport;
+let savedRealtime;
+let audiences;
+let presence;
+
+before(() => { savedRealtime = getRealtime(); });
+after(() => setRealtime(savedRealtime));
+
+beforeEach(() => {
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport }));
+  // The reporter and the responder share an open alert
+  audiences = new Map([
+    [REPORTER.id, [rooms.user(RESPONDER.id)]],
+    [RESPONDER.id, [rooms.user(REPORTER.id)]],
+  ]);
+  // Sessions that are still connected accept the position
+  const sessions = new Set(['s-reporter', 's-responder']);
+  presence = {
+    updates: [],
+    updateSession: async (userId, sessionId, patch) => {
+      if (!sessions.has(sessionId)) return null;
+      presence.updates.push({ userId, sessionId, ...patch });
+      return { userId, sessionId, ...patch };
+    },
+    close: (sessionId) => sessions.delete(sessionId),
+  };
+});
+
+const createFeed = (onLocations) => createLocationFeed({
+  presence,
+  config: { intervalMs: 1000, minIntervalMs: 0 },
+  findAudiences: async (userIds) => new Map(userIds.filter(id => audiences.has(id)).map(id => [id, audiences.get(id)])),
+  onLocations,
+});
+
+// user.locations diffs of the last flush, by room
+const diffs = () => Object.fromEntries(
+  transport.events
+    .filter(e => e.name === 'user.locations')
+    .map(e => [e.targets[0], { updates: e.payload.data.updates.map(u => u.userId), removed: e.payload.data.removed }])
+);
+
+test('a responder is seen in their cell and by the reporter of their alert', async () => {
+  const feed = createFeed();
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+
+  assert.deepEqual(diffs(), {
+    [rooms.user(REPORTER.id)]: { updates: [RESPONDER.id], removed: [] },
+    [CELL]: { updates: [RESPONDER.id], removed: [] },
+  });
+  assert.equal(presence.updates[0].location, POSITION);
+});
+
+test('a citizen is seen only by the responders of their alert, never in a cell', async () => {
+  const feed = createFeed();
+  feed.report(REPORTER, 's-reporter', POSITION);
+  await feed.flush();
+
+  assert.deepEqual(diffs(), { [rooms.user(RESPONDER.id)]: { updates: [REPORTER.id], removed: [] } });
+});
+
+test('a citizen without an open alert is seen by nobody', async () => {
+  audiences.clear();
+  const feed = createFeed();
+  feed.report(REPORTER, 's-reporter', POSITION);
+
+  assert.equal(await feed.flush(), 0);
+  assert.deepEqual(diffs(), {});
+});
+
+test('an audience that no longer applies gets the user removed', async () => {
+  const feed = createFeed();
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+  transport.clear();
+
+  // The alert was closed
+  audiences.delete(RESPONDER.id);
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+
+  assert.deepEqual(diffs(), {
+    [rooms.user(REPORTER.id)]: { updates: [], removed: [RESPONDER.id] },
+    [CELL]: { updates: [RESPONDER.id], removed: [] },
+  });
+});
+
+test('going offline removes the user everywhere they were seen', async () => {
+  const feed = createFeed();
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+  transport.clear();
+
+  feed.endSession(RESPONDER.id, 's-responder', { wentOffline: true });
+  await feed.flush();
+
+  assert.deepEqual(diffs(), {
+    [rooms.user(REPORTER.id)]: { updates: [], removed: [RESPONDER.id] },
+    [CELL]: { updates: [], removed: [RESPONDER.id] },
+  });
+});
+
+test('closing one of several sessions keeps the user visible', async () => {
+  const feed = createFeed();
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+  transport.clear();
+
+  feed.endSession(RESPONDER.id, 's-other');
+  assert.equal(await feed.flush(), 0);
+});
+
+test('positions of sessions that already closed are not published or stored', async () => {
+  const stored = [];
+  const feed = createFeed(async (updates) => stored.push(...updates));
+  presence.close('s-responder');
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+
+  assert.deepEqual(diffs(), {});
+  assert.deepEqual(stored, []);
+});
+
+test('only the latest position per user goes out, and onLocations gets it', async () => {
+  const stored = [];
+  const feed = createFeed(async (updates) => stored.push(...updates));
+  feed.report(RESPONDER, 's-responder', { type: 'Point', coordinates: [123.18, 13.61] });
+  feed.report(RESPONDER, 's-responder', POSITION);
+  await feed.flush();
+
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].location, POSITION);
+});
+
+test('updates from one session closer together than minIntervalMs are dropped', () => {
+  const feed = createLocationFeed({ presence, config: { intervalMs: 1000, minIntervalMs: 60000 }, findAudiences: async () => new Map() });
+
+  assert.equal(feed.report(RESPONDER, 's-responder', POSITION), true);
+  assert.equal(feed.report(RESPONDER, 's-responder', POSITION), false);
+  // Another device of the same user has its own budget
+  assert.equal(feed.report(RESPONDER, 's-tablet', POSITION), true);
+});
+
+const originalFind = Alert.find;
+afterEach(() => { Alert.find = originalFind; });
+
+test('findAlertAudiences pairs reporters with the responders of their open alerts', async () => {
+  const OTHER = '64b000000000000000000003';
+  let query;
+  Alert.find = (q) => {
+    query = q;
+    return {
+      select: () => ({
+        lean: async () => [{
+          reporter: REPORTER.id,
+          responder: null,
+          assignedTo: [RESPONDER.id],
+          services: [{ responder: RESPONDER.id }, { responder: OTHER }],
+        }],
+      }),
+    };
+  };
+
+  const found = await findAlertAudiences([REPORTER.id, RESPONDER.id, OTHER]);
+
+  assert.deepEqual(query.status, { $nin: ['resolved', 'cancelled'] });
+  assert.deepEqual(found.get(REPORTER.id).sort(), [rooms.user(RESPONDER.id), rooms.user(OTHER)].sort());
+  assert.deepEqual(found.get(RESPONDER.id), [rooms.user(REPORTER.id)]);
+  assert.deepEqual(found.get(OTHER), [rooms.user(REPORTER.id)]);
+});
+
+test('findAlertAudiences skips the query for no users', async () => {
+  Alert.find = () => { throw new Error('must not query'); };
+  assert.equal((await findAlertAudiences([])).size, 0);
+});
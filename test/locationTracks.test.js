@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import LocationTrack from '../models/LocationTrack.js';
+import User from '../models/User.js';
+import { estimateEta, recordResponderPositions } from '../services/locationTracks.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const config = { ttlMs: 60 * 60 * 1000, minIntervalMs: 10 * 1000, etaWindowMs: 300 * 1000, defaultSpeedKmh: 30 };
+const T0 = Date.parse('2026-01-01T08:00:00Z');
+const at = (sec) => new Date(T0 + sec * 1000);
+// ~111 m per 0.001 degree of latitude
+const north = (meters) => [123.19, 13.62 + meters / 111195];
+
+describe('estimateEta', () => {
+  const target = north(3000);
+
+  test('uses the speed measured over the recent trail', () => {
+    // 500 m in 60 s: 30 km/h, hence ~300 s for the remaining 2500 m
+    const eta = estimateEta([
+      { coordinates: north(0), recordedAt: at(0) },
+      { coordinates: north(250), recordedAt: at(30) },
+      { coordinates: north(500), recordedAt: at(60) },
+    ], target, { ...config, defaultSpeedKmh: 5 });
+
+    assert.equal(eta.speedSource, 'measured');
+    assert.equal(eta.distance, 2500);
+    assert.equal(eta.speedKmh, 30);
+    assert.equal(eta.etaSeconds, 300);
+  });
+
+  test('only measures the speed over the last etaWindowMs', () => {
+    const eta = estimateEta([
+      // Parked for a long time before setting off
+      { coordinates: north(0), recordedAt: at(0) },
+      { coordinates: north(0), recordedAt: at(900) },
+      { coordinates: north(1000), recordedAt: at(960) },
+    ], target, config);
+
+    assert.equal(eta.speedSource, 'measured');
+    assert.equal(eta.speedKmh, 60);
+  });
+
+  test('falls back to the default speed while the responder has barely moved', () => {
+    const stationary = estimateEta([
+      { coordinates: north(0), recordedAt: at(0) },
+      { coordinates: north(20), recordedAt: at(60) },
+    ], target, config);
+    const tooSoon = estimateEta([
+      { coordinates: north(0), recordedAt: at(0) },
+      { coordinates: north(200), recordedAt: at(10) },
+    ], target, config);
+    const single = estimateEta([{ coordinates: north(0), recordedAt: at(0) }], target, config);
+
+    for (const eta of [stationary, tooSoon, single]) {
+      assert.equal(eta.speedSource, 'default');
+      assert.equal(eta.speedKmh, 30);
+    }
+    assert.equal(single.distance, 3000);
+    assert.equal(single.etaSeconds, 360);
+  });
+
+  test('is null without points or a target', () => {
+    assert.equal(estimateEta([], target, config), null);
+    assert.equal(estimateEta([{ coordinates: north(0), recordedAt: at(0) }], null, config), null);
+  });
+});
+
+describe('recordResponderPositions', () => {
+  const ALERT = new mongoose.Types.ObjectId();
+  const REPORTER = '64b0000000000000000000c1';
+  let assignedTo;
+  let stored;
+  let transport;
+  let savedRealtime;
+  const originals = { alertFind: Alert.find, insertMany: LocationTrack.insertMany, trackFind: LocationTrack.find, userFindById: User.findById };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: T0 });
+    assignedTo = [];
+    stored = [];
+
+    Alert.find = () => ({
+      select: () => ({
+        lean: async () => (assignedTo.length
+          ? [{ _id: ALERT, type: 'police', reporter: REPORTER, assignedTo, services: [], location: { coordinates: { type: 'Point', coordinates: north(3000) } } }]
+          : []),
+      }),
+    });
+    LocationTrack.insertMany = async (points) => { stored.push(...points); };
+    LocationTrack.find = (filter) => ({
+      sort: () => ({
+        select: () => ({
+          lean: async () => stored
+            .filter(p => p.responder === filter.responder)
+            .map(p => ({ location: p.location, recordedAt: p.recordedAt })),
+        }),
+      }),
+    });
+    User.findById = () => ({ select: () => ({ lean: async () => ({ familyMembers: [] }) }) });
+
+    savedRealtime = getRealtime();
+    transport = createMemoryTransport();
+    setRealtime(createRealtime({ transport, legacy: false }));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    Alert.find = originals.alertFind;
+    LocationTrack.insertMany = originals.insertMany;
+    LocationTrack.find = originals.trackFind;
+    User.findById = originals.userFindById;
+    setRealtime(savedRealtime);
+  });
+
+  // The throttle is kept per responder in the module, so each test uses its own responder
+  const position = (userId, meters) => ({ userId, userType: 'police', location: { type: 'Point', coordinates: north(meters) } });
+
+  test('stores at most one point per responder every minIntervalMs', async () => {
+    const responder = '64b0000000000000000000b1';
+    assignedTo = [responder];
+
+    assert.equal(await recordResponderPositions([position(responder, 0)], config), 1);
+    mock.timers.tick(5 * 1000);
+    assert.equal(await recordResponderPositions([position(responder, 50)], config), 0);
+    mock.timers.tick(5 * 1000);
+    assert.equal(await recordResponderPositions([position(responder, 100)], config), 1);
+
+    assert.deepEqual(stored.map(p => p.location.coordinates), [north(0), north(100)]);
+  });
+
+  test('pushes the ETA to the reporter with every stored point', async () => {
+    const responder = '64b0000000000000000000b2';
+    assignedTo = [responder];
+
+    await recordResponderPositions([position(responder, 0)], config);
+
+    const [eta] = transport.events;
+    assert.equal(eta.name, 'alert.eta');
+    assert.deepEqual(eta.targets, [`user-${REPORTER}`]);
+    assert.equal(eta.payload.data.speedSource, 'default');
+    assert.equal(eta.payload.data.distance, 3000);
+  });
+
+  test('responders without an open assignment are not throttled', async () => {
+    const responder = '64b0000000000000000000b3';
+    const colleague = '64b0000000000000000000b5';
+    assignedTo = [colleague];
+
+    assert.equal(await recordResponderPositions([position(colleague, 0), position(responder, 0)], config), 1);
+    // Assigned a moment later: the first point is stored right away
+    assignedTo = [colleague, responder];
+    mock.timers.tick(1000);
+    assert.equal(await recordResponderPositions([position(responder, 10)], config), 1);
+  });
+
+  test('ignores citizens and positions without coordinates', async () => {
+    const responder = '64b0000000000000000000b4';
+    assignedTo = [responder];
+
+    const count = await recordResponderPositions([
+      { userId: responder, userType: 'citizen', location: { type: 'Point', coordinates: north(0) } },
+      { userId: responder, userType: 'police', location: { lat: 'x', lng: 'y' } },
+    ], config);
+
+    assert.equal(count, 0);
+    assert.equal(stored.length, 0);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import AccountToken from '../models/AccountToken.js';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import { resetPassword } from '../controllers/authController.js';
+import {
+  checkLoginLockout,
+  clearLoginFailures,
+  createMemoryRateLimitStore,
+  lockDuration,
+  recordLoginFailure,
+  setRateLimitStore,
+} from '../services/rateLimit/index.js';
+
+const config = { accountThreshold: 5, ipThreshold: 25, baseMs: 30000, maxMs: 3600000, forgetAfterMs: 86400000 };
+const EMAIL = 'juan@email.com';
+let store;
+
+beforeEach(() => {
+  store = createMemoryRateLimitStore();
+  setRateLimitStore(store);
+});
+
+afterEach(() => setRateLimitStore(null));
+
+const fail = async (times, email = EMAIL, ip = '203.0.113.7') => {
+  let lock = null;
+  for (let i = 0; i < times; i += 1) lock = await recordLoginFailure(email, ip, config, store);
+  return lock;
+};
+
+test('lock durations start at the threshold and double up to the maximum', () => {
+  assert.equal(lockDuration(4, 5, config), 0);
+  assert.equal(lockDuration(5, 5, config), 30000);
+  assert.equal(lockDuration(6, 5, config), 60000);
+  assert.equal(lockDuration(8, 5, config), 240000);
+  assert.equal(lockDuration(40, 5, config), 3600000);
+});
+
+test('an account is locked only once it reaches the threshold', async () => {
+  assert.equal(await fail(4), null);
+  assert.equal(await checkLoginLockout(EMAIL, '198.51.100.1', config, store), null);
+
+  const lock = await fail(1);
+  assert.equal(lock.key, `account:${EMAIL}`);
+  assert.ok(lock.retryAfterSec > 25 && lock.retryAfterSec <= 30);
+});
+
+test('every further failure lengthens the lock', async () => {
+  const first = await fail(5);
+  const second = await fail(1);
+  assert.ok(second.lockedUntil - first.lockedUntil >= 25000);
+});
+
+test('an account lock applies from any address, and email case does not matter', async () => {
+  await fail(5);
+  const lock = await checkLoginLockout('Juan@Email.com', '198.51.100.1', config, store);
+  assert.equal(lock.key, `account:${EMAIL}`);
+});
+
+test('an address is locked after the IP threshold across accounts', async () => {
+  for (let i = 0; i < 25; i += 1) await recordLoginFailure(`user${i}@email.com`, '203.0.113.9', config, store);
+
+  const lock = await checkLoginLockout('someone@email.com', '203.0.113.9', config, store);
+  assert.equal(lock.key, 'ip:203.0.113.9');
+});
+
+test('clearing the account failures keeps the IP failures', async () => {
+  await fail(5);
+  await clearLoginFailures(EMAIL, store);
+
+  assert.equal(await checkLoginLockout(EMAIL, '198.51.100.1', config, store), null);
+  const ipEntry = await store.getLockout('ip:203.0.113.7');
+  assert.equal(ipEntry.failures, 5);
+});
+
+test('a password reset lifts the account lock', async () => {
+  const user = {
+    _id: '64b000000000000000000001',
+    email: EMAIL,
+    async save() { return this; },
+  };
+  const originals = {
+    consume: AccountToken.findOneAndUpdate,
+    deleteMany: AccountToken.deleteMany,
+    findById: User.findById,
+    updateOne: User.updateOne,
+    revoke: AuthSession.updateMany,
+  };
+  AccountToken.findOneAndUpdate = async () => ({ user: user._id });
+  AccountToken.deleteMany = async () => ({});
+  User.findById = async () => user;
+  User.updateOne = async () => ({});
+  AuthSession.updateMany = async () => ({ modifiedCount: 0 });
+
+  try {
+    await fail(6);
+    assert.ok(await checkLoginLockout(EMAIL, '198.51.100.1'));
+
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    await resetPassword({ body: { token: 'reset-token', password: 'new-password' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(await checkLoginLockout(EMAIL, '198.51.100.1'), null);
+  } finally {
+    AccountToken.findOneAndUpdate = originals.consume;
+    AccountToken.deleteMany = originals.deleteMany;
+    User.findById = originals.findById;
+    User.updateOne = originals.updateOne;
+    AuthSession.updateMany = originals.revoke;
+  }
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { requireMail } from '../middleware/mail.js';
+import { checkMailConfig, createMailer, isMailDeliverable, setMailer } from '../services/mail/index.js';
+import { createDisabledTransport, createJsonTransport, createTransportFromEnv } from '../services/mail/transports.js';
+
+const MAIL_ENV = ['MAIL_TRANSPORT', 'SMTP_HOST', 'NODE_ENV'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(MAIL_ENV.map(name => [name, process.env[name]]));
+  for (const name of MAIL_ENV) delete process.env[name];
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  setMailer(null);
+  mock.restoreAll();
+});
+
+const useTransport = (transport) => setMailer(createMailer({ transport, from: 'test@alerto.local' }));
+
+const mockRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+test('without MAIL_TRANSPORT or SMTP_HOST mail is disabled and sends fail', async () => {
+  const transport = createTransportFromEnv();
+  assert.equal(transport.name, 'none');
+  await assert.rejects(transport.sendMail({ to: 'a@b.c' }));
+});
+
+test('SMTP_HOST alone selects smtp', () => {
+  process.env.SMTP_HOST = 'smtp.example.com';
+  assert.equal(createTransportFromEnv().name, 'smtp');
+});
+
+test('MAIL_TRANSPORT picks json and file by name', () => {
+  process.env.MAIL_TRANSPORT = 'json';
+  assert.equal(createTransportFromEnv().name, 'json');
+  process.env.MAIL_TRANSPORT = 'FILE';
+  assert.equal(createTransportFromEnv().name, 'file');
+});
+
+test('smtp without SMTP_HOST and unknown transports are disabled', () => {
+  process.env.MAIL_TRANSPORT = 'smtp';
+  assert.equal(createTransportFromEnv().name, 'none');
+  process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+  const transport = createTransportFromEnv();
+  assert.equal(transport.name, 'none');
+  assert.match(transport.reason, /carrier-pigeon/);
+});
+
+test('the json transport logs the recipient and subject, never the body', async () => {
+  const log = mock.method(console, 'log', () => {});
+  const transport = createJsonTransport();
+  await transport.sendMail({ from: 'a@b.c', to: 'maria@email.com', subject: 'Reset', text: 'https://app/reset?token=secret' });
+
+  assert.equal(transport.outbox.length, 1);
+  const logged = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(logged, /maria@email.com: Reset/);
+  assert.doesNotMatch(logged, /secret/);
+});
+
+test('in production without SMTP the check logs an error instead of throwing', () => {
+  process.env.NODE_ENV = 'production';
+  const error = mock.method(console, 'error', () => {});
+  useTransport(createJsonTransport({ log: false }));
+
+  assert.equal(checkMailConfig(), false);
+  assert.equal(error.mock.callCount(), 1);
+  assert.equal(isMailDeliverable(), false);
+});
+
+test('outside production a json transport only warns and counts as deliverable', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  useTransport(createJsonTransport({ log: false }));
+
+  assert.equal(checkMailConfig(), true);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('a disabled transport is never deliverable', () => {
+  mock.method(console, 'warn', () => {});
+  useTransport(createDisabledTransport());
+  assert.equal(checkMailConfig(), false);
+});
+
+test('email-only routes answer 503 while mail is not deliverable', () => {
+  process.env.NODE_ENV = 'production';
+  useTransport(createJsonTransport({ log: false }));
+
+  const res = mockRes();
+  let passed = false;
+  requireMail({}, res, () => { passed = true; });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, 'MAIL_UNAVAILABLE');
+});
+
+test('email-only routes pass through once mail is deliverable', () => {
+  process.env.NODE_ENV = 'production';
+  useTransport({ name: 'smtp', sendMail: async () => ({}) });
+
+  let passed = false;
+  requireMail({}, mockRes(), () => { passed = true; });
+  assert.equal(passed, true);
+});
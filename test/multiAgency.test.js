@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  applyStatusChange,
+  buildServices,
+  ensureServices,
+  transitionService,
+} from '../services/alertStateMachine.js';
+
+const REPORTER = '64b000000000000000000001';
+const police = { id: '64b000000000000000000002', name: 'Officer Cruz', userType: 'police' };
+const firefighter = { id: '64b000000000000000000003', name: 'FO1 Santos', userType: 'fire' };
+const admin = { id: '64b000000000000000000004', name: 'Admin', userType: 'admin' };
+
+const multiAgencyAlert = () => ({
+  type: 'police',
+  status: 'pending',
+  reporter: REPORTER,
+  assignedTo: [],
+  timeline: [],
+  services: buildServices(['police', 'fire', 'police', 'family']),
+});
+
+const statuses = (alert) => Object.fromEntries(alert.services.map(s => [s.type, s.status]));
+
+test('buildServices keeps each agency once and drops non-agency types', () => {
+  assert.deepEqual(buildServices(['police', 'fire', 'police', 'family']), [
+    { type: 'police', status: 'pending' },
+    { type: 'fire', status: 'pending' },
+  ]);
+});
+
+test('legacy single-agency alerts get their service derived from the alert', () => {
+  const alert = ensureServices({ type: 'hospital', status: 'active', responder: police.id, services: [] });
+
+  assert.deepEqual(alert.services, [{
+    type: 'hospital',
+    status: 'pending',
+    responder: police.id,
+    responseTime: undefined,
+    resolvedTime: undefined,
+  }]);
+});
+
+test('each agency claims its own service and the alert shows the furthest progress', () => {
+  const alert = multiAgencyAlert();
+
+  applyStatusChange(alert, 'responded', { user: police });
+  assert.deepEqual(statuses(alert), { police: 'responded', fire: 'pending' });
+  assert.equal(alert.status, 'responded');
+  assert.equal(String(alert.responder), police.id);
+
+  applyStatusChange(alert, 'responded', { user: firefighter });
+  applyStatusChange(alert, 'en_route', { user: firefighter });
+  applyStatusChange(alert, 'on_scene', { user: firefighter });
+  assert.deepEqual(statuses(alert), { police: 'responded', fire: 'on_scene' });
+  assert.equal(alert.status, 'on_scene');
+  assert.deepEqual(alert.assignedTo, [police.id, firefighter.id]);
+});
+
+test('the alert resolves only once every service is closed', () => {
+  const alert = multiAgencyAlert();
+  applyStatusChange(alert, 'responded', { user: police });
+  applyStatusChange(alert, 'resolved', { user: police });
+
+  // Fire still waiting for a responder
+  assert.equal(alert.status, 'responded');
+
+  applyStatusChange(alert, 'responded', { user: firefighter });
+  applyStatusChange(alert, 'resolved', { user: firefighter });
+  assert.equal(alert.status, 'resolved');
+  assert.ok(alert.resolvedTime);
+  assert.equal(alert.timeline.at(-1).action, 'All services closed, alert resolved');
+});
+
+test('an alert whose services were all cancelled is cancelled', () => {
+  const alert = multiAgencyAlert();
+  transitionService(alert, 'police', 'cancelled', { user: admin });
+  transitionService(alert, 'fire', 'cancelled', { user: admin });
+
+  assert.equal(alert.status, 'cancelled');
+});
+
+test('responders can only claim the service of their own agency', () => {
+  const alert = multiAgencyAlert();
+
+  assert.throws(() => transitionService(alert, 'police', 'responded', { user: firefighter }), { status: 403, code: 'TRANSITION_FORBIDDEN' });
+  assert.throws(() => transitionService(alert, 'hospital', 'responded', { user: admin }), { status: 403, code: 'SERVICE_NOT_REQUIRED' });
+  assert.deepEqual(statuses(alert), { police: 'pending', fire: 'pending' });
+});
+
+test('admins must name the service on a multi-agency alert, except to resolve it all', () => {
+  const alert = multiAgencyAlert();
+
+  assert.throws(() => applyStatusChange(alert, 'en_route', { user: admin }), { status: 400, code: 'SERVICE_REQUIRED' });
+
+  applyStatusChange(alert, 'resolved', { user: admin });
+  assert.equal(alert.status, 'resolved');
+  assert.deepEqual(statuses(alert), { police: 'resolved', fire: 'resolved' });
+});
+
+test('releasing the only claimed service puts the alert back up for grabs', () => {
+  const alert = multiAgencyAlert();
+  alert.status = 'active';
+  applyStatusChange(alert, 'responded', { user: police });
+
+  applyStatusChange(alert, 'pending', { user: police, notes: 'Vehicle broke down' });
+
+  assert.deepEqual(statuses(alert), { police: 'pending', fire: 'pending' });
+  assert.equal(alert.status, 'active');
+  assert.equal(alert.responder, undefined);
+  assert.deepEqual(alert.assignedTo, []);
+  assert.equal(alert.services[0].notes, 'Vehicle broke down');
+});
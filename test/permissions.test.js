@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import Station from '../models/Station.js';
+import User from '../models/User.js';
+import { can, hasPermission, rolesWith, scopeFilter } from '../services/permissions.js';
+
+const ID = {
+  reporter: '64b000000000000000000001',
+  family: '64b000000000000000000002',
+  stranger: '64b000000000000000000003',
+  assigned: '64b000000000000000000004',
+  sameAgency: '64b000000000000000000005',
+  supervisor: '64b000000000000000000006',
+  otherAgency: '64b000000000000000000007',
+  admin: '64b000000000000000000008',
+  station: '64b0000000000000000000c1',
+};
+
+const USERS = {
+  reporter: { id: ID.reporter, userType: 'citizen' },
+  family: { id: ID.family, userType: 'family' },
+  stranger: { id: ID.stranger, userType: 'citizen' },
+  assigned: { id: ID.assigned, userType: 'police' },
+  sameAgency: { id: ID.sameAgency, userType: 'police' },
+  supervisor: { id: ID.supervisor, userType: 'fire' },
+  otherAgency: { id: ID.otherAgency, userType: 'hospital' },
+  admin: { id: ID.admin, userType: 'admin' },
+};
+
+// A police alert reported by `reporter`, who listed `family`; its police service is
+// assigned to `assigned` and routed to the station `supervisor` supervises
+const alert = {
+  _id: '64b0000000000000000000a1',
+  type: 'police',
+  reporter: { _id: ID.reporter, familyMembers: [ID.family] },
+  services: [{ type: 'police', status: 'responded', responder: ID.assigned, station: ID.station }],
+};
+
+const originals = { stationFind: Station.find, userFind: User.find };
+
+beforeEach(() => {
+  Station.find = (query) => ({
+    select: () => ({ lean: async () => (query.supervisors === ID.supervisor ? [{ _id: ID.station }] : []) }),
+  });
+  User.find = (query) => ({
+    select: () => ({ lean: async () => (query.familyMembers === ID.family ? [{ _id: ID.reporter }] : []) }),
+  });
+});
+
+afterEach(() => {
+  Station.find = originals.stationFind;
+  User.find = originals.userFind;
+});
+
+// Who may do what on the alert above (own, family, assigned, service, station, any)
+const EXPECTED = {
+  'alert.view': ['reporter', 'family', 'assigned', 'sameAgency', 'supervisor', 'admin'],
+  'alert.update': ['reporter', 'assigned', 'admin'],
+  'alert.delete': ['reporter', 'admin'],
+  'alert.chat': ['reporter', 'family', 'assigned', 'admin'],
+  'alert.reassign': ['supervisor', 'admin'],
+};
+
+describe('can on an alert', () => {
+  for (const [action, allowed] of Object.entries(EXPECTED)) {
+    for (const name of Object.keys(USERS)) {
+      const expected = allowed.includes(name);
+      test(`${action}: ${name} ${expected ? 'may' : 'may not'}`, async () => {
+        assert.equal(await can(USERS[name], action, alert), expected);
+      });
+    }
+  }
+
+  test('nobody may act without being signed in', async () => {
+    assert.equal(await can(null, 'alert.view', alert), false);
+  });
+
+  test('scoped permissions need the resource', async () => {
+    assert.equal(await can(USERS.reporter, 'alert.view'), false);
+    assert.equal(await can(USERS.admin, 'alert.view'), true);
+  });
+});
+
+describe('plain capabilities', () => {
+  const ROLES = ['citizen', 'family', 'police', 'hospital', 'fire', 'admin'];
+  const CAPABILITIES = {
+    'alert.create': ROLES,
+    'alert.respond': ['police', 'hospital', 'fire', 'admin'],
+    'location.watch': ['police', 'hospital', 'fire', 'admin'],
+    'zone.create': ['police', 'hospital', 'fire', 'admin'],
+    'zone.manage': ['admin'],
+    'user.suspend': ['admin'],
+  };
+  for (const [permission, allowed] of Object.entries(CAPABILITIES)) {
+    for (const role of ROLES) {
+      const expected = allowed.includes(role);
+      test(`${permission}: ${role} ${expected ? 'has it' : 'does not'}`, async () => {
+        const user = { id: ID.stranger, userType: role };
+        assert.equal(hasPermission(user, permission), expected);
+        assert.equal(await can(user, permission), expected);
+      });
+    }
+  }
+
+  test('unknown roles hold nothing', () => {
+    assert.equal(hasPermission({ id: ID.stranger, userType: 'intruder' }, 'alert.create'), false);
+  });
+
+  test('rolesWith lists the roles holding a permission', () => {
+    assert.deepEqual(rolesWith('location.watch'), ['police', 'hospital', 'fire', 'admin']);
+    assert.deepEqual(rolesWith('user.suspend'), ['admin']);
+  });
+});
+
+describe('scopeFilter', () => {
+  test('admins see every alert', async () => {
+    assert.deepEqual(await scopeFilter(USERS.admin), {});
+  });
+
+  test('citizens see their own alerts and those of users who listed them', async () => {
+    assert.deepEqual(await scopeFilter(USERS.reporter), {
+      $or: [{ reporter: ID.reporter }, { reporter: { $in: [] } }],
+    });
+    assert.deepEqual(await scopeFilter(USERS.family), {
+      $or: [{ reporter: ID.family }, { reporter: { $in: [ID.reporter] } }],
+    });
+  });
+
+  test('responders see their own, their agency\'s, assigned and station alerts', async () => {
+    assert.deepEqual(await scopeFilter(USERS.supervisor), {
+      $or: [
+        { reporter: ID.supervisor },
+        { $or: [{ type: 'fire' }, { 'services.type': 'fire' }] },
+        { $or: [{ responder: ID.supervisor }, { assignedTo: ID.supervisor }, { 'services.responder': ID.supervisor }] },
+        { 'services.station': { $in: [ID.station] } },
+      ],
+    });
+  });
+
+  test('a single scope is returned without $or', async () => {
+    assert.deepEqual(await scopeFilter(USERS.assigned, 'alert.delete'), { reporter: ID.assigned });
+  });
+
+  test('without any scope the filter matches nothing', async () => {
+    assert.deepEqual(await scopeFilter(USERS.reporter, 'alert.reassign'), { _id: null });
+  });
+});
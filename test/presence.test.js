@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { createPresenceStore, describePresence } from '../services/realtime/presence.js';
+
+const USER = '64b000000000000000000001';
+const OTHER = '64b000000000000000000002';
+const T0 = Date.parse('2026-01-01T08:00:00Z');
+
+let writes;
+let presence;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: T0 });
+  writes = [];
+  presence = createPresenceStore({
+    instanceId: 'api-1',
+    ttlMs: 90 * 1000,
+    persist: async (op, details) => { writes.push([op, details]); },
+  });
+});
+
+afterEach(() => mock.timers.reset());
+
+const connect = (sessionId, fields = {}) => presence.setSession({
+  sessionId,
+  userId: USER,
+  userType: 'police',
+  name: 'Officer Cruz',
+  connectedAt: new Date(),
+  ...fields,
+});
+
+test('a second device adds a session instead of replacing the first', async () => {
+  const tablet = await connect('s-tablet', { label: 'Tablet', platform: 'android' });
+  const phone = await connect('s-phone', { label: 'Phone', platform: 'ios' });
+
+  assert.equal(tablet.cameOnline, true);
+  assert.equal(phone.cameOnline, false);
+  assert.deepEqual(presence.sessions(USER).map(s => s.label).sort(), ['Phone', 'Tablet']);
+  assert.equal(presence.get(USER).sessions.length, 2);
+  assert.deepEqual(writes.map(([op, s]) => [op, s.sessionId, s.instanceId]), [
+    ['set', 's-tablet', 'api-1'],
+    ['set', 's-phone', 'api-1'],
+  ]);
+});
+
+test('the user goes offline only when the last session disconnects', async () => {
+  await connect('s-tablet');
+  await connect('s-phone');
+
+  assert.deepEqual(await presence.deleteSession(USER, 's-tablet'), { removed: true, wentOffline: false });
+  assert.equal(presence.has(USER), true);
+
+  assert.deepEqual(await presence.deleteSession(USER, 's-phone'), { removed: true, wentOffline: true });
+  assert.equal(presence.has(USER), false);
+  assert.deepEqual(await presence.deleteSession(USER, 's-phone'), { removed: false, wentOffline: false });
+});
+
+test('the most recently located session gives the user location', async () => {
+  await connect('s-tablet', { location: { lat: 13.62, lng: 123.19 }, lastUpdate: new Date(T0) });
+  await connect('s-phone', { lastUpdate: new Date(T0) });
+  mock.timers.tick(5000);
+  await presence.updateSession(USER, 's-phone', { location: { lat: 13.63, lng: 123.2 }, lastUpdate: new Date() });
+
+  const user = presence.get(USER);
+  assert.deepEqual(user.location, { lat: 13.63, lng: 123.2 });
+  assert.equal(user.sessions[0].sessionId, 's-phone');
+  assert.equal(await presence.updateSession(USER, 's-gone', { location: null }), null);
+});
+
+test('only admins get every session in the online user list', async () => {
+  await connect('s-tablet', { label: 'Tablet', platform: 'android' });
+  await connect('s-phone', { label: 'Phone', platform: 'ios' });
+
+  const [summary] = describePresence(presence);
+  assert.equal(summary.userId, USER);
+  assert.equal(summary.sessionCount, 2);
+  assert.equal(summary.sessions, undefined);
+
+  const [detailed] = describePresence(presence, { detailed: true });
+  assert.deepEqual(detailed.sessions.map(s => [s.label, s.platform, s.instanceId]).sort(), [
+    ['Phone', 'ios', 'api-1'],
+    ['Tablet', 'android', 'api-1'],
+  ]);
+});
+
+test('sessions expire unless their instance keeps refreshing them', async () => {
+  await connect('s-tablet');
+  await connect('s-phone');
+  presence.apply('set', { sessionId: 's-remote', userId: OTHER, userType: 'fire', instanceId: 'api-2', expiresAt: new Date(T0 + 90 * 1000) });
+
+  mock.timers.tick(60 * 1000);
+  // The phone's socket is gone from this instance; the tablet is still connected
+  const gone = await presence.refresh(sessionId => sessionId === 's-tablet');
+  assert.deepEqual(gone.map(s => s.sessionId), ['s-phone']);
+  assert.deepEqual(writes.at(-1), ['refresh', { kept: ['s-tablet'], gone: ['s-phone'], expiresAt: T0 + 150 * 1000 }]);
+
+  // Past the remote session's TTL: it stops counting at once and is swept away
+  mock.timers.tick(40 * 1000);
+  assert.equal(presence.has(OTHER), false);
+  assert.deepEqual([...presence.entries()].map(([userId]) => userId), [USER]);
+  assert.deepEqual(presence.sweep().map(s => s.sessionId), ['s-remote']);
+  assert.equal(presence.has(USER), true);
+});
+
+test('writes from other instances are applied without being persisted again', async () => {
+  presence.apply('set', { sessionId: 's-remote', userId: USER, userType: 'police', instanceId: 'api-2', expiresAt: new Date(T0 + 90 * 1000) });
+  assert.equal(presence.has(USER), true);
+
+  presence.apply('delete', { sessionId: 's-remote', userId: USER });
+  assert.equal(presence.has(USER), false);
+  assert.equal(writes.length, 0);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import mongoose from 'mongoose';
+import Presence from '../models/Presence.js';
+import { createMongoAdapter } from '../services/realtime/adapters/mongo.js';
+import { createRealtime, rooms } from '../services/realtime/index.js';
+
+// Two server instances on the Mongo adapter in one process, sharing one database. Needs a
+// MongoDB server: TEST_MONGODB_URI=mongodb://localhost:27017/alerto-test npm test
+// (use a database of its own; sessions written here are removed afterwards).
+const uri = process.env.TEST_MONGODB_URI;
+const skip = !uri && 'set TEST_MONGODB_URI to run against MongoDB';
+
+// Stands in for a Socket.IO server: records what would reach its sockets
+const createRecordingIo = () => {
+  const received = [];
+  const operator = (targets, except = []) => ({
+    except: (rooms) => operator(targets, rooms),
+    emit: (name, payload) => received.push({ targets, except, name, payload }),
+    disconnectSockets: () => received.push({ targets, name: 'disconnect' }),
+  });
+  return {
+    received,
+    to: (targets) => operator(targets),
+    in: (targets) => operator(targets),
+    emit: (name, payload) => received.push({ targets: null, except: [], name, payload }),
+    disconnectSockets: () => received.push({ targets: null, name: 'disconnect' }),
+  };
+};
+
+const startInstance = (instanceId) => {
+  const adapter = createMongoAdapter({ instanceId, presenceTtlMs: 3000 });
+  const io = createRecordingIo();
+  const realtime = createRealtime({ transport: adapter.createTransport(io), legacy: false });
+  const stop = adapter.start({ isLocalSocket: () => true });
+  return { adapter, io, realtime, stop };
+};
+
+const waitFor = async (check, what, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+const suffix = `${process.pid}-${Date.now()}`;
+let a;
+let b;
+
+before(async () => {
+  if (skip) return;
+  await mongoose.connect(uri);
+  a = startInstance(`test-a-${suffix}`);
+  b = startInstance(`test-b-${suffix}`);
+  // Both tail the fan-out collection once their start marker is written
+  await new Promise(resolve => setTimeout(resolve, 500));
+});
+
+after(async () => {
+  if (skip) return;
+  a.stop();
+  b.stop();
+  await Presence.deleteMany({ instanceId: { $in: [a.adapter.instanceId, b.adapter.instanceId] } });
+  await mongoose.disconnect();
+});
+
+test('a session opened on one instance is online on the other', { skip }, async () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  await a.adapter.presence.setSession({ userId, sessionId: `socket-${suffix}`, name: 'Maria Santos', userType: 'citizen' });
+  await waitFor(() => b.adapter.presence.has(userId), 'presence on instance b');
+  assert.equal(b.adapter.presence.get(userId).name, 'Maria Santos');
+
+  await a.adapter.presence.deleteSession(userId, `socket-${suffix}`);
+  await waitFor(() => !b.adapter.presence.has(userId), 'the session to end on instance b');
+});
+
+test('an event published to a room on one instance reaches that room on the other', { skip }, async () => {
+  const room = rooms.alert(new mongoose.Types.ObjectId().toString());
+
+  const envelope = a.realtime.publish('alert.updated', { alert: { title: 'Fire on Panganiban Drive' } }, { to: room });
+
+  const reached = (io) => io.received.find(e => e.name === 'alert.updated' && e.payload.id === envelope.id);
+  assert.deepEqual(reached(a.io).targets, [room]);
+  await waitFor(() => reached(b.io), 'the event on instance b');
+  assert.deepEqual(reached(b.io).targets, [room]);
+  assert.equal(reached(b.io).payload.data.alert.title, 'Fire on Panganiban Drive');
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRealtime } from '../services/realtime/index.js';
+import { createMemoryEventLog } from '../services/realtime/eventLog.js';
+
+const setup = () => {
+  const sent = [];
+  const appended = [];
+  const realtime = createRealtime({
+    transport: { emit: (targets, name, payload) => sent.push({ targets, name, payload }) },
+    legacy: false,
+    eventLog: { append: async (targets, envelope) => { appended.push(envelope); return { broadcast: appended.length }; } },
+  });
+  return { realtime, sent, appended };
+};
+
+test('replayable events are logged before they are sent', async () => {
+  const { realtime, sent, appended } = setup();
+
+  const envelope = await realtime.publish('alert.created', { alert: { id: 'a1' } }, { broadcast: true });
+
+  assert.equal(appended.length, 1);
+  assert.deepEqual(envelope.seq, { broadcast: 1 });
+  assert.equal(sent.length, 1);
+});
+
+test('replay: false sends the event without logging it', async () => {
+  const { realtime, sent, appended } = setup();
+
+  const envelope = await realtime.publish('alert.created', { alert: { id: 'test' } }, { broadcast: true, replay: false });
+
+  assert.equal(appended.length, 0);
+  assert.equal(envelope.seq, undefined);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].targets, null);
+});
+
+test('a slow append in one room does not hold up another room', async () => {
+  const sent = [];
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const log = createMemoryEventLog();
+  const realtime = createRealtime({
+    transport: { emit: (targets, name, payload) => sent.push(payload.data.alert.id) },
+    legacy: false,
+    eventLog: {
+      ...log,
+      append: async (targets, envelope, except) => {
+        if (targets.includes('user-slow')) await blocked;
+        return log.append(targets, envelope, except);
+      },
+    },
+  });
+
+  const slow = realtime.publish('alert.created', { alert: { id: 'slow' } }, { to: 'user-slow' });
+  const queued = realtime.publish('alert.created', { alert: { id: 'queued' } }, { to: 'user-slow' });
+  await realtime.publish('alert.created', { alert: { id: 'fast' } }, { to: 'user-fast' });
+  assert.deepEqual(sent, ['fast']);
+
+  release();
+  const [first, second] = await Promise.all([slow, queued]);
+  assert.deepEqual(sent, ['fast', 'slow', 'queued']);
+  assert.deepEqual([first.seq, second.seq], [{ 'user-slow': 1 }, { 'user-slow': 2 }]);
+});
+
+test('replay leaves out events the resyncing socket was excepted from', async () => {
+  const eventLog = createMemoryEventLog();
+  const realtime = createRealtime({ transport: { emit: () => {} }, legacy: false, eventLog });
+
+  await realtime.publish('alert.created', { alert: { id: 'own' } }, { to: 'alert-1', except: 'user-a' });
+  await realtime.publish('alert.created', { alert: { id: 'other' } }, { to: 'alert-1', except: 'user-b' });
+
+  const { 'alert-1': forA } = await realtime.replay({ 'alert-1': 0 }, { memberOf: ['socket-a', 'user-a', 'alert-1'] });
+  assert.equal(forA.latestSeq, 2);
+  assert.deepEqual(forA.events.map(e => e.data.alert.id), ['other']);
+
+  const { 'alert-1': forC } = await realtime.replay({ 'alert-1': 0 }, { memberOf: ['user-c', 'alert-1'] });
+  assert.deepEqual(forC.events.map(e => e.data.alert.id), ['own', 'other']);
+});
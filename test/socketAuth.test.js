@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, test } from 'node:test';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { authenticateSocket } from '../middleware/socketAuth.js';
+
+const USER_ID = '64b000000000000000000001';
+const SECRET = 'socket-test-secret';
+let account;
+let savedSecret;
+
+before(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = SECRET;
+});
+
+after(() => {
+  if (savedSecret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = savedSecret;
+});
+
+const originalFindById = User.findById;
+const useAccount = (fields) => {
+  account = fields && { _id: USER_ID, name: 'Juan Dela Cruz', email: 'juan@email.com', userType: 'citizen', status: 'active', isVerified: true, ...fields };
+  User.findById = () => ({ select: async () => account });
+};
+afterEach(() => { User.findById = originalFindById; });
+
+const sign = (payload = {}, options = { expiresIn: '15m' }, secret = SECRET) =>
+  jwt.sign({ id: USER_ID, userType: 'citizen', ...payload }, secret, options);
+
+// Runs the io.use() middleware; resolves to the error passed to next (undefined on success)
+const handshake = async (handshakeData) => {
+  const socket = { handshake: { headers: {}, ...handshakeData }, data: {} };
+  const error = await new Promise(resolve => authenticateSocket(socket, resolve));
+  return { socket, error };
+};
+
+test('a handshake without a token is rejected', async () => {
+  useAccount({});
+  const { error, socket } = await handshake({ auth: {} });
+
+  assert.equal(error.data.code, 'NO_TOKEN');
+  assert.equal(socket.data.user, undefined);
+});
+
+test('an expired token is rejected', async () => {
+  useAccount({});
+  const expired = sign({ iat: Math.floor(Date.now() / 1000) - 120 }, { expiresIn: 60 });
+  const { error } = await handshake({ auth: { token: expired } });
+
+  assert.equal(error.data.code, 'TOKEN_EXPIRED');
+});
+
+test('a token signed with another secret is rejected', async () => {
+  useAccount({});
+  const { error } = await handshake({ auth: { token: sign({}, { expiresIn: '15m' }, 'someone-else') } });
+
+  assert.equal(error.data.code, 'INVALID_TOKEN');
+});
+
+test('a deactivated account is rejected', async () => {
+  useAccount({ status: 'suspended' });
+  const { error, socket } = await handshake({ auth: { token: sign() } });
+
+  assert.equal(error.data.code, 'ACCOUNT_INACTIVE');
+  assert.equal(socket.data.user, undefined);
+});
+
+test('a deleted account is rejected', async () => {
+  useAccount(null);
+  const { error } = await handshake({ auth: { token: sign() } });
+
+  assert.equal(error.data.code, 'ACCOUNT_INACTIVE');
+});
+
+test('a valid token attaches the verified user and its expiry to the socket', async () => {
+  useAccount({});
+  const token = sign();
+  const { error, socket } = await handshake({ auth: { token } });
+
+  assert.equal(error, undefined);
+  assert.equal(socket.data.user.id, USER_ID);
+  assert.equal(socket.data.user.userType, 'citizen');
+  assert.equal(socket.data.tokenExpiresAt, jwt.decode(token).exp * 1000);
+});
+
+test('the token may come in an Authorization header', async () => {
+  useAccount({});
+  const { error, socket } = await handshake({ headers: { authorization: `Bearer ${sign()}` } });
+
+  assert.equal(error, undefined);
+  assert.equal(socket.data.user.id, USER_ID);
+});
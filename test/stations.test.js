@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import Station from '../models/Station.js';
+import User from '../models/User.js';
+import {
+  notifyStationSupervisors,
+  parseJurisdiction,
+  routeAlertToStations,
+  setStationMembers,
+} from '../services/stations.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const SQUARE = [[[123.17, 13.61], [123.21, 13.61], [123.21, 13.65], [123.17, 13.65], [123.17, 13.61]]];
+const STATION = '64b0000000000000000000c1';
+const SUPERVISOR = '64b000000000000000000001';
+const MEMBER = '64b000000000000000000002';
+const NEWCOMER = '64b000000000000000000003';
+
+const originals = {
+  findOne: Station.findOne,
+  updateMany: Station.updateMany,
+  countDocuments: User.countDocuments,
+  alertUpdateOne: Alert.updateOne,
+  notificationCreate: Notification.create,
+};
+afterEach(() => {
+  Station.findOne = originals.findOne;
+  Station.updateMany = originals.updateMany;
+  User.countDocuments = originals.countDocuments;
+  Alert.updateOne = originals.alertUpdateOne;
+  Notification.create = originals.notificationCreate;
+});
+
+describe('parseJurisdiction', () => {
+  const cases = [
+    ['a closed polygon', { type: 'Polygon', coordinates: SQUARE }, true],
+    ['a polygon without a type', { coordinates: SQUARE }, true],
+    ['a multipolygon', { type: 'MultiPolygon', coordinates: [SQUARE, SQUARE] }, true],
+    ['an open ring', { type: 'Polygon', coordinates: [SQUARE[0].slice(0, -1)] }, false],
+    ['a ring of three positions', { type: 'Polygon', coordinates: [[[123.17, 13.61], [123.21, 13.61], [123.17, 13.61]]] }, false],
+    ['a latitude out of range', { type: 'Polygon', coordinates: [[[0, 0], [1, 95], [2, 0], [0, 0]]] }, false],
+    ['string coordinates', { type: 'Polygon', coordinates: [SQUARE[0].map(p => p.map(String))] }, false],
+    ['a point', { type: 'Point', coordinates: [123.19, 13.62] }, false],
+    ['an empty multipolygon', { type: 'MultiPolygon', coordinates: [] }, false],
+    ['nothing', null, false],
+  ];
+  for (const [name, input, valid] of cases) {
+    test(`${valid ? 'accepts' : 'rejects'} ${name}`, () => {
+      const parsed = parseJurisdiction(input);
+      if (valid) assert.deepEqual(parsed, { type: input.type || 'Polygon', coordinates: input.coordinates });
+      else assert.equal(parsed, null);
+    });
+  }
+});
+
+describe('routing', () => {
+  let updates;
+  let notifications;
+  let transport;
+  let savedRealtime;
+  const policeStation = { _id: STATION, name: 'Naga Police Station 1', agency: 'police', supervisors: [SUPERVISOR] };
+
+  beforeEach(() => {
+    updates = [];
+    notifications = [];
+    Station.findOne = (filter) => ({
+      sort: () => ({ select: () => ({ lean: async () => (filter.agency === 'police' ? policeStation : null) }) }),
+    });
+    Alert.updateOne = async (filter, update, options) => { updates.push({ filter, update, options }); };
+    Notification.create = async (doc) => { notifications.push(doc); return { _id: 'n1', ...doc }; };
+
+    savedRealtime = getRealtime();
+    transport = createMemoryTransport();
+    setRealtime(createRealtime({ transport, legacy: false }));
+  });
+  afterEach(() => setRealtime(savedRealtime));
+
+  const newAlert = () => ({
+    _id: '64b0000000000000000000a1',
+    title: 'Break-in with injuries',
+    location: { coordinates: { type: 'Point', coordinates: [123.19, 13.62] } },
+    services: [{ type: 'police', status: 'pending' }, { type: 'hospital', status: 'pending' }],
+  });
+
+  test('each service goes to the station of its agency covering the alert', async () => {
+    const alert = newAlert();
+
+    const routed = await routeAlertToStations(alert);
+
+    assert.deepEqual(Object.keys(routed), ['police']);
+    assert.equal(alert.services[0].station, STATION);
+    assert.equal(alert.services[1].station, undefined);
+    assert.equal(updates.length, 1);
+    assert.deepEqual(updates[0].update.$set, { 'services.$[s].station': STATION });
+    assert.deepEqual(updates[0].options.arrayFilters, [{ 's.type': 'police' }]);
+    assert.equal(updates[0].update.$push.timeline.action, 'Routed to Naga Police Station 1');
+  });
+
+  test('services already routed and alerts without coordinates are left alone', async () => {
+    const routedBefore = newAlert();
+    routedBefore.services[0].station = 'elsewhere';
+    const nowhere = { ...newAlert(), location: { address: 'Somewhere' } };
+
+    assert.deepEqual(await routeAlertToStations(routedBefore), {});
+    assert.deepEqual(await routeAlertToStations(nowhere), {});
+    assert.equal(updates.length, 0);
+  });
+
+  test('supervisors of the station are told about the routed alert', async () => {
+    const alert = newAlert();
+    const routed = await routeAlertToStations(alert);
+
+    await notifyStationSupervisors(alert, { _id: alert._id, title: alert.title }, routed);
+
+    const [event] = transport.events.filter(e => e.name === 'alert.routed');
+    assert.deepEqual(event.targets, [`user-${SUPERVISOR}`]);
+    assert.deepEqual(event.payload.data.station, { id: STATION, name: 'Naga Police Station 1' });
+    assert.deepEqual(notifications.map(n => [n.user, n.title]), [[SUPERVISOR, 'New police alert for Naga Police Station 1']]);
+  });
+});
+
+describe('setStationMembers', () => {
+  let pulled;
+  let activeResponders;
+
+  beforeEach(() => {
+    pulled = null;
+    activeResponders = new Set([SUPERVISOR, MEMBER, NEWCOMER]);
+    User.countDocuments = async (filter) => filter._id.$in.filter(id => activeResponders.has(id)).length;
+    Station.updateMany = async (filter, update) => { pulled = { filter, update }; };
+  });
+
+  const station = () => ({ _id: STATION, agency: 'police', members: [MEMBER], supervisors: [SUPERVISOR] });
+
+  test('supervisors are always members, and joining members leave other stations', async () => {
+    const updated = await setStationMembers(station(), { members: [NEWCOMER] });
+
+    assert.deepEqual(updated.members, [NEWCOMER, SUPERVISOR]);
+    assert.deepEqual(updated.supervisors, [SUPERVISOR]);
+    assert.deepEqual(pulled.filter._id, { $ne: STATION });
+    assert.deepEqual(pulled.update.$pull.members, { $in: [NEWCOMER, SUPERVISOR] });
+  });
+
+  test('changing only the supervisors keeps the current members', async () => {
+    const updated = await setStationMembers(station(), { supervisors: [MEMBER] });
+
+    assert.deepEqual(updated.members, [MEMBER]);
+    assert.deepEqual(updated.supervisors, [MEMBER]);
+  });
+
+  test('members must be valid ids of active responders of the agency', async () => {
+    await assert.rejects(setStationMembers(station(), { members: 'not-a-list' }), { status: 400, code: 'INVALID_MEMBER' });
+    await assert.rejects(setStationMembers(station(), { members: ['nope'] }), { code: 'INVALID_MEMBER' });
+
+    activeResponders.delete(NEWCOMER);
+    await assert.rejects(setStationMembers(station(), { members: [NEWCOMER] }), {
+      code: 'INVALID_MEMBER',
+      message: 'Members must be active police responders',
+    });
+    assert.equal(pulled, null);
+  });
+});
@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import Station from '../models/Station.js';
+import Unit from '../models/Unit.js';
+import {
+  assertUnitSetup,
+  dispatchUnit,
+  recordUnitPositions,
+  setUnitStatus,
+  syncAlertUnits,
+} from '../services/units.js';
+import { createMemoryTransport, createRealtime, getRealtime, setRealtime } from '../services/realtime/index.js';
+
+const ALERT = '64b0000000000000000000a1';
+const REPORTER = '64b000000000000000000001';
+const MEDIC = '64b000000000000000000002';
+const DRIVER = '64b000000000000000000003';
+const UNIT = '64b0000000000000000000f1';
+const STATION = '64b0000000000000000000c1';
+
+const originals = {
+  unitFindById: Unit.findById,
+  unitFindOneAndUpdate: Unit.findOneAndUpdate,
+  unitUpdateOne: Unit.updateOne,
+  unitFind: Unit.find,
+  alertFindById: Alert.findById,
+  stationFindById: Station.findById,
+  notificationCreate: Notification.create,
+};
+let transport;
+let savedRealtime;
+let notifications;
+let unitWrites;
+
+beforeEach(() => {
+  notifications = [];
+  unitWrites = [];
+  Notification.create = async (doc) => { notifications.push(doc); return { _id: 'n1', ...doc }; };
+  Unit.updateOne = async (filter, update) => { unitWrites.push({ filter, update }); };
+  Alert.findById = () => ({
+    populate: async () => ({ _id: ALERT }),
+    select: () => ({ lean: async () => ({ _id: ALERT, reporter: REPORTER }) }),
+  });
+
+  savedRealtime = getRealtime();
+  transport = createMemoryTransport();
+  setRealtime(createRealtime({ transport, legacy: false }));
+});
+
+afterEach(() => {
+  Object.assign(Unit, {
+    findById: originals.unitFindById,
+    findOneAndUpdate: originals.unitFindOneAndUpdate,
+    updateOne: originals.unitUpdateOne,
+    find: originals.unitFind,
+  });
+  Alert.findById = originals.alertFindById;
+  Station.findById = originals.stationFindById;
+  Notification.create = originals.notificationCreate;
+  setRealtime(savedRealtime);
+});
+
+const events = (name) => transport.events.filter(e => e.name === name);
+
+describe('assertUnitSetup', () => {
+  test('agencies only run their own unit types', async () => {
+    await assertUnitSetup({ type: 'ambulance', agency: 'hospital' });
+    await assertUnitSetup({ type: 'rescue', agency: 'police' });
+    await assert.rejects(assertUnitSetup({ type: 'ambulance', agency: 'police' }), {
+      code: 'INVALID_UNIT_TYPE',
+      message: 'A police agency cannot run a ambulance unit',
+    });
+  });
+
+  test('the home station must belong to the same agency', async () => {
+    Station.findById = () => ({ select: () => ({ lean: async () => ({ agency: 'fire' }) }) });
+
+    await assertUnitSetup({ type: 'fire_truck', agency: 'fire', homeStation: STATION });
+    await assert.rejects(assertUnitSetup({ type: 'rescue', agency: 'police', homeStation: STATION }), { code: 'INVALID_STATION' });
+    await assert.rejects(assertUnitSetup({ type: 'rescue', agency: 'police', homeStation: 'nope' }), { code: 'INVALID_STATION' });
+  });
+});
+
+describe('setUnitStatus', () => {
+  const unit = (fields = {}) => ({
+    _id: UNIT,
+    callSign: 'AMB-1',
+    type: 'ambulance',
+    agency: 'hospital',
+    crew: [MEDIC],
+    status: 'available',
+    async save() { return this; },
+    ...fields,
+  });
+
+  test('rejects unknown statuses and dispatch-only ones', async () => {
+    await assert.rejects(setUnitStatus(unit(), 'flying'), { code: 'INVALID_STATUS' });
+    await assert.rejects(setUnitStatus(unit(), 'dispatched'), { code: 'INVALID_STATUS' });
+  });
+
+  test('a unit must be dispatched before it can be en route', async () => {
+    await assert.rejects(setUnitStatus(unit(), 'en_route'), { status: 409, code: 'NOT_DISPATCHED' });
+  });
+
+  test('returning frees the unit and tells the alert it left', async () => {
+    const working = unit({ status: 'on_scene', currentAlert: ALERT });
+
+    await setUnitStatus(working, 'returning');
+
+    assert.equal(working.currentAlert, undefined);
+    const [changed] = events('unit.status_changed');
+    assert.ok(changed.targets.includes(`alert-${ALERT}`));
+    assert.ok(changed.targets.includes(`user-${MEDIC}`));
+    assert.equal(changed.payload.data.unit.currentAlert, null);
+  });
+});
+
+describe('dispatchUnit', () => {
+  let stored;
+  let saves;
+  const candidate = { _id: UNIT, callSign: 'AMB-1', type: 'ambulance', agency: 'hospital', crew: [MEDIC, DRIVER], status: 'returning', active: true };
+
+  const alert = () => ({
+    _id: ALERT,
+    type: 'hospital',
+    title: 'Collapsed in the market',
+    status: 'pending',
+    assignedTo: [],
+    timeline: [],
+    services: [{ type: 'hospital', status: 'pending', units: [] }, { type: 'police', status: 'pending', units: [] }],
+    async save() { saves += 1; return this; },
+  });
+
+  beforeEach(() => {
+    stored = { ...candidate };
+    saves = 0;
+    Unit.findById = () => ({ lean: async () => ({ ...stored }) });
+    Unit.findOneAndUpdate = async (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return null;
+      Object.assign(stored, update);
+      return { ...stored };
+    };
+  });
+
+  test('claims the unit, answers the service with its crew and tells them', async () => {
+    const target = alert();
+
+    const { service, unit } = await dispatchUnit(target, UNIT, { service: 'hospital' });
+
+    assert.equal(service, 'hospital');
+    assert.equal(unit.status, 'dispatched');
+    assert.equal(stored.currentAlert, ALERT);
+    assert.equal(saves, 1);
+    assert.equal(target.services[0].status, 'responded');
+    assert.equal(target.services[0].responder, MEDIC);
+    assert.deepEqual(target.services[0].units, [UNIT]);
+    assert.deepEqual(target.assignedTo, [MEDIC, DRIVER]);
+
+    const [dispatched] = events('unit.dispatched');
+    assert.deepEqual(dispatched.targets, [`user-${MEDIC}`, `user-${DRIVER}`]);
+    assert.deepEqual(notifications.map(n => n.user), [MEDIC, DRIVER]);
+  });
+
+  test('a unit already taken by another dispatch is refused', async () => {
+    stored.status = 'dispatched';
+
+    await assert.rejects(dispatchUnit(alert(), UNIT, { service: 'hospital' }), { status: 409, code: 'UNIT_UNAVAILABLE' });
+    assert.equal(saves, 0);
+  });
+
+  test('units only answer services of their agency, and the service must be named', async () => {
+    await assert.rejects(dispatchUnit(alert(), UNIT, { service: 'police' }), { code: 'WRONG_AGENCY' });
+    await assert.rejects(dispatchUnit(alert(), UNIT), { code: 'SERVICE_REQUIRED' });
+    await assert.rejects(dispatchUnit(alert(), UNIT, { service: 'fire' }), { code: 'SERVICE_NOT_REQUIRED' });
+    assert.equal(stored.status, 'returning');
+  });
+
+  test('the unit is handed back when the alert cannot be saved', async () => {
+    const target = alert();
+    target.save = async () => { throw new Error('write conflict'); };
+
+    await assert.rejects(dispatchUnit(target, UNIT, { service: 'hospital' }), /write conflict/);
+
+    assert.deepEqual(unitWrites, [{
+      filter: { _id: UNIT, currentAlert: ALERT },
+      update: { status: 'returning', statusChangedAt: undefined, $unset: { currentAlert: 1 } },
+    }]);
+  });
+});
+
+describe('following the alert and the crew', () => {
+  test('units of closed services are sent home, the others keep working', async () => {
+    let query;
+    Unit.find = async (q) => { query = q; return []; };
+
+    await syncAlertUnits({
+      _id: ALERT,
+      status: 'on_scene',
+      services: [
+        { type: 'hospital', status: 'resolved', units: [UNIT] },
+        { type: 'police', status: 'on_scene', units: ['64b0000000000000000000f2'] },
+      ],
+    });
+
+    assert.deepEqual(query._id, { $in: [UNIT] });
+    assert.equal(await syncAlertUnits({ _id: ALERT, status: 'on_scene', services: [] }), 0);
+  });
+
+  test('a unit moves with the newest position of its crew', async () => {
+    Unit.find = () => ({
+      select: () => ({
+        lean: async () => [{ _id: UNIT, callSign: 'AMB-1', type: 'ambulance', agency: 'hospital', status: 'en_route', crew: [MEDIC, DRIVER], currentAlert: ALERT }],
+      }),
+    });
+
+    const moved = await recordUnitPositions([
+      { userId: MEDIC, location: { lat: 13.62, lng: 123.19 }, at: new Date('2026-01-01T08:00:00Z') },
+      { userId: DRIVER, location: { lat: 13.63, lng: 123.2 }, at: new Date('2026-01-01T08:00:05Z') },
+    ]);
+
+    assert.equal(moved, 1);
+    assert.deepEqual(unitWrites[0].update.location, { type: 'Point', coordinates: [123.2, 13.63] });
+    const [location] = events('unit.location');
+    assert.ok(location.targets.some(room => room.startsWith('locations-')));
+    assert.ok(location.targets.includes(`alert-${ALERT}`));
+    assert.ok(location.targets.includes(`user-${REPORTER}`));
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import User from '../models/User.js';
+import { getFamilyMembers, searchUsers } from '../controllers/userController.js';
+
+// Fields other users must never receive from search or the family list
+const PRIVATE_FIELDS = ['password', 'responderApplication', 'availability', 'sessionsRevokedAt', 'emergencyContacts', 'familyMembers', 'status', 'isVerified'];
+
+const otherUser = {
+  _id: '64b000000000000000000002',
+  name: 'Maria Santos',
+  email: 'maria@email.com',
+  password: '$2a$10$hash',
+  contactNumber: '09170000000',
+  userType: 'police',
+  location: { type: 'Point', coordinates: [123.19, 13.62] },
+  status: 'active',
+  isVerified: true,
+  sessionsRevokedAt: new Date(),
+  availability: { status: 'busy', reason: 'Assigned' },
+  responderApplication: { badgeNumber: 'PNP-1234', documents: [{ name: 'ID', url: 'https://files/id.png' }] },
+  emergencyContacts: [{ name: 'Mother', contactNumber: '0917' }],
+  familyMembers: ['64b000000000000000000009'],
+};
+
+// What MongoDB would return for a projection string ('a b' keeps a and b, '-a' drops a)
+const project = (doc, fields) => {
+  const names = fields.split(/\s+/).filter(Boolean);
+  if (names.every(name => name.startsWith('-'))) {
+    return Object.fromEntries(Object.entries(doc).filter(([key]) => !names.includes(`-${key}`)));
+  }
+  return Object.fromEntries(Object.entries(doc).filter(([key]) => key === '_id' || names.includes(key)));
+};
+
+const mockRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+const originals = { find: User.find, findById: User.findById };
+afterEach(() => Object.assign(User, originals));
+
+const assertPublic = (users) => {
+  assert.equal(users.length, 1);
+  for (const field of PRIVATE_FIELDS) {
+    assert.equal(field in users[0], false, `${field} must not be returned`);
+  }
+  assert.equal(users[0].name, otherUser.name);
+};
+
+test('searchUsers returns only the name and role of other users', async () => {
+  User.find = () => ({
+    select: (fields) => ({ limit: async () => [project(otherUser, fields)] }),
+  });
+
+  const res = mockRes();
+  await searchUsers({ query: { q: 'maria' }, user: { id: '64b000000000000000000001' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assertPublic(res.body.users);
+  const [found] = res.body.users;
+  for (const field of ['location', 'contactNumber', 'email']) {
+    assert.equal(field in found, false, `${field} must not be returned by search`);
+  }
+  assert.equal(found.userType, 'police');
+});
+
+test('searchUsers matches the query text literally', async () => {
+  let filter;
+  User.find = (query) => {
+    filter = query;
+    return { select: () => ({ limit: async () => [] }) };
+  };
+
+  const res = mockRes();
+  // Unbalanced and catastrophic-backtracking patterns must neither throw nor be run as such
+  await searchUsers({ query: { q: '(a+)+$[' }, user: { id: '64b000000000000000000001' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  const regex = filter.$or[0].name;
+  assert.equal(regex.test('x(a+)+$[y'), true);
+  assert.equal(regex.test('aaaa'), false);
+});
+
+test('family members keep contact details and location', async () => {
+  User.findById = () => ({
+    populate: async (path, fields) => ({ familyMembers: [project(otherUser, fields)] }),
+  });
+
+  const res = mockRes();
+  await getFamilyMembers({ user: { id: '64b000000000000000000001' } }, res);
+
+  const [member] = res.body.family;
+  assert.equal(member.contactNumber, otherUser.contactNumber);
+  assert.deepEqual(member.location, otherUser.location);
+});
+
+test('getFamilyMembers returns only public fields of family members', async () => {
+  User.findById = () => ({
+    populate: async (path, fields) => ({ familyMembers: [project(otherUser, fields)] }),
+  });
+
+  const res = mockRes();
+  await getFamilyMembers({ user: { id: '64b000000000000000000001' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assertPublic(res.body.family);
+});